@@ -3,7 +3,7 @@ import { Document } from '../src/models/Document.js';
 import { Activity } from '../src/models/Activity.js';
 import { User } from '../src/models/User.js';
 import { Organization } from '../src/models/Organization.js';
-import { generateChecksum, generateTextDiff, getVersionStatistics } from '../src/utils/versionControl.js';
+import { generateChecksum, generateTextDiff } from '../src/utils/versionControl.js';
 
 // Demo script to showcase document versioning and activity logging functionality
 
@@ -106,12 +106,9 @@ Content checksum: ${generateChecksum('version3')}`;
     await document.addVersion(version3Content, demoUser._id, 'Major restructure with markdown formatting');
     console.log('✅ Created Version 3 - Major restructure');
 
-    // Reload document to get updated versions
-    await document.populate('versions.editedBy', 'name email');
-
     // Display version statistics
     console.log('\n📊 Version Statistics:');
-    const stats = getVersionStatistics(document);
+    const stats = await document.getVersionStats();
     console.log(`- Total Versions: ${stats.totalVersions}`);
     console.log(`- Current Version: ${document.currentVersion}`);
     console.log(`- Average Size: ${stats.averageSize} bytes`);
@@ -121,8 +118,8 @@ Content checksum: ${generateChecksum('version3')}`;
 
     // Demonstrate version comparison
     console.log('\n🔍 Version Comparison (Version 1 vs Version 3):');
-    const version1 = document.versions.find(v => v.versionNumber === 1);
-    const version3 = document.versions.find(v => v.versionNumber === 3);
+    const version1 = await document.getVersion(1);
+    const version3 = await document.getVersion(3);
     
     if (version1 && version3) {
       const diff = generateTextDiff(version1.content, version3.content);
@@ -180,7 +177,7 @@ Content checksum: ${generateChecksum('version3')}`;
 
     // Export version data
     console.log('\n💾 Version Export Example:');
-    const exportData = document.exportVersions({
+    const exportData = await document.exportVersions({
       includeContent: false, // Exclude content for brevity
       includeMetadata: true
     });
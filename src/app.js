@@ -17,8 +17,14 @@ import { specs, swaggerUi, swaggerUiOptions } from './config/swagger.js';
 // Import routes
 import authRoutes from './routes/auth.js';
 import documentRoutes from './routes/documents.js';
+import folderRoutes from './routes/folders.js';
 import organizationRoutes from './routes/organizations.js';
 import userRoutes from './routes/users.js';
+import templateRoutes from './routes/templates.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import roleRoutes from './routes/roles.js';
+import teamRoutes from './routes/teams.js';
+import publicRoutes from './routes/public.js';
 
 const app = express();
 
@@ -44,7 +50,7 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Share-Password']
 };
 
 app.use(cors(corsOptions));
@@ -120,8 +126,14 @@ app.get('/api-docs.json', (_req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/documents', documentRoutes);
+app.use('/api/folders', folderRoutes);
 app.use('/api/organizations', organizationRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/public', publicRoutes);
 
 // Handle 404 for unmatched routes
 app.use(handleNotFound);
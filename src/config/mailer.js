@@ -0,0 +1,98 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { logger } from './logger.js';
+
+/**
+ * Outgoing email
+ *
+ * MAIL_TRANSPORT picks where messages go:
+ *   smtp    - SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS (default in production)
+ *   file    - one .eml file per message in MAIL_FILE_DIR, for local testing
+ *   console - the message is written to the log (default elsewhere)
+ */
+
+const createSmtpTransport = () => nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT) || 587,
+  secure: parseInt(process.env.SMTP_PORT) === 465,
+  auth: process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+    : undefined
+});
+
+const createFileTransport = () => {
+  const directory = path.resolve(process.env.MAIL_FILE_DIR || 'logs/mail');
+  const transport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    sendMail: async (message) => {
+      const info = await transport.sendMail(message);
+      const recipient = String(message.to).replace(/[^a-z0-9@.-]+/gi, '_');
+      const file = path.join(directory, `${Date.now()}-${recipient}.eml`);
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(file, info.message);
+      return { ...info, file };
+    }
+  };
+};
+
+const createConsoleTransport = () => ({
+  sendMail: async (message) => {
+    logger.info(`Email to ${message.to}: ${message.subject}\n${message.text}`);
+    return { messageId: null };
+  }
+});
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+class Mailer {
+  constructor() {
+    this.transport = null;
+    this.type = null;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      const defaultType = process.env.NODE_ENV === 'production' ? 'smtp' : 'console';
+      this.type = process.env.MAIL_TRANSPORT || defaultType;
+
+      const createTransport = TRANSPORTS[this.type];
+      if (!createTransport) {
+        throw new Error(`Unknown mail transport "${this.type}", expected one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+      }
+      this.transport = createTransport();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Object} Transport result
+   */
+  async send({ to, subject, text, html }) {
+    try {
+      const info = await this.getTransport().sendMail({
+        from: process.env.FROM_EMAIL || 'noreply@localhost',
+        to,
+        subject,
+        text,
+        html
+      });
+
+      logger.info(`Email sent to ${to} via ${this.type}: ${subject}`);
+      return info;
+    } catch (error) {
+      logger.error(`Failed to send email to ${to}:`, error);
+      throw error;
+    }
+  }
+}
+
+export default new Mailer();
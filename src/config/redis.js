@@ -128,6 +128,17 @@ class RedisClient {
     }
   }
 
+  // Read a value and remove it in one step, so only one caller can take it
+  async getdel(key) {
+    try {
+      const value = await this.client.getdel(key);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      logger.error('Redis GETDEL error:', error);
+      throw error;
+    }
+  }
+
   async del(key) {
     try {
       return await this.client.del(key);
@@ -146,6 +157,20 @@ class RedisClient {
     }
   }
 
+  // Increment a counter; the TTL is set when the counter is created
+  async incr(key, ttl = null) {
+    try {
+      const value = await this.client.incr(key);
+      if (ttl && value === 1) {
+        await this.client.expire(key, ttl);
+      }
+      return value;
+    } catch (error) {
+      logger.error('Redis INCR error:', error);
+      throw error;
+    }
+  }
+
   async expire(key, ttl) {
     try {
       return await this.client.expire(key, ttl);
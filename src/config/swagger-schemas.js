@@ -28,9 +28,9 @@
  *           example: "john.doe@example.com"
  *         role:
  *           type: string
- *           enum: [admin, editor, viewer]
+ *           pattern: '^[a-z0-9][a-z0-9-]{1,29}$'
  *           default: viewer
- *           description: User's role within the organization
+ *           description: Key of the user's role within the organization (admin, editor, viewer or a custom role)
  *           example: "editor"
  *         organization:
  *           $ref: '#/components/schemas/OrganizationRef'
@@ -383,11 +383,6 @@
  *           items:
  *             $ref: '#/components/schemas/DocumentShare'
  *           description: Users the document is shared with
- *         versions:
- *           type: array
- *           items:
- *             $ref: '#/components/schemas/DocumentVersion'
- *           description: Document version history
  *         currentVersion:
  *           type: integer
  *           minimum: 1
@@ -457,32 +452,32 @@
  *
  *     DocumentVersion:
  *       type: object
+ *       description: Entry in the document version history (stored as a snapshot or a delta against the previous version)
  *       required:
- *         - version
- *         - content
- *         - createdBy
+ *         - versionNumber
+ *         - editedBy
  *       properties:
- *         version:
+ *         versionNumber:
  *           type: integer
  *           minimum: 1
  *           description: Version number
  *           example: 2
  *         content:
  *           type: string
- *           description: Content at this version
+ *           description: Content at this version (only returned for single versions)
  *           example: "# Updated Project Overview\n\nThis document..."
  *         title:
  *           type: string
  *           description: Title at this version
  *           example: "Project Requirements Document v2"
- *         createdBy:
+ *         editedBy:
  *           $ref: '#/components/schemas/UserRef'
  *         createdAt:
  *           type: string
  *           format: date-time
  *           description: Version creation timestamp
  *           example: "2023-11-25T16:45:00Z"
- *         changeLog:
+ *         changeDescription:
  *           type: string
  *           maxLength: 500
  *           description: Description of changes made
@@ -491,6 +486,14 @@
  *           type: integer
  *           description: Content size in bytes
  *           example: 2048
+ *         storage:
+ *           type: string
+ *           enum: [snapshot, delta]
+ *           description: How the version is stored
+ *           example: "delta"
+ *         checksum:
+ *           type: string
+ *           description: SHA-256 checksum of the content
  *
  *     UserRef:
  *       type: object
@@ -530,7 +533,6 @@
  *     Activity:
  *       type: object
  *       required:
- *         - user
  *         - organization
  *         - action
  *         - category
@@ -541,7 +543,10 @@
  *           description: Unique identifier for the activity
  *           example: "507f1f77bcf86cd799439015"
  *         user:
- *           $ref: '#/components/schemas/UserRef'
+ *           allOf:
+ *             - $ref: '#/components/schemas/UserRef'
+ *           nullable: true
+ *           description: Member who acted; null for guests using a public share link (see metadata.shareLink)
  *         organization:
  *           $ref: '#/components/schemas/OrganizationRef'
  *         document:
@@ -551,12 +556,23 @@
  *           enum: [
  *             document_created, document_updated, document_viewed, document_shared,
  *             document_unshared, document_deleted, document_restored, document_archived,
- *             document_published, document_duplicated, document_exported,
+ *             document_published, document_duplicated, document_exported, document_imported,
  *             version_created, version_restored, version_viewed, version_compared,
+ *             template_created, template_used,
  *             activity_viewed, organization_activity_viewed,
- *             user_invited, user_removed, user_role_changed,
+ *             user_registered, user_updated, user_deactivated, user_reactivated,
+ *             user_invited, user_removed, user_role_changed, invitation_revoked, invitation_accepted,
  *             organization_created, organization_updated,
- *             login, logout, password_changed, profile_updated
+ *             login, logout, password_changed, password_reset, email_verified, profile_updated,
+ *             session_revoked, refresh_token_reused,
+ *             mfa_enabled, mfa_disabled, mfa_recovery_code_used, mfa_recovery_codes_regenerated,
+ *             login_failed, account_locked, account_unlocked,
+ *             api_key_created, api_key_revoked,
+ *             sso_configured, sso_login, sso_user_provisioned,
+ *             role_created, role_updated, role_deleted,
+ *             team_created, team_updated, team_deleted, team_member_added, team_member_removed,
+ *             share_link_created, share_link_revoked, share_link_viewed, share_link_locked,
+ *             document_share_expired
  *           ]
  *           description: Type of activity performed
  *           example: "document_updated"
@@ -0,0 +1,145 @@
+import { ApiKey } from '../models/ApiKey.js';
+import { Activity } from '../models/Activity.js';
+import { catchAsync, AppError } from '../middleware/errorHandler.js';
+
+// Active keys an organization can hold at once
+const MAX_ACTIVE_KEYS = 25;
+
+// Shape an API key for responses; the secret itself is never stored
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  role: apiKey.role,
+  status: apiKey.revokedAt ? 'revoked' : apiKey.isActive ? 'active' : 'expired',
+  createdBy: apiKey.createdBy,
+  createdAt: apiKey.createdAt,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  usageCount: apiKey.usageCount,
+  revokedAt: apiKey.revokedAt
+});
+
+// Load one of the organization's keys
+const findApiKey = async (id, organizationId) => {
+  const apiKey = await ApiKey.findOne({ _id: id, organization: organizationId })
+    .populate('createdBy', 'name email');
+
+  if (!apiKey) {
+    throw new AppError('API key not found', 404, 'API_KEY_NOT_FOUND');
+  }
+
+  return apiKey;
+};
+
+// List the organization's API keys
+export const getApiKeys = catchAsync(async (req, res) => {
+  const organizationId = req.user.organization.id;
+  const includeRevoked = req.query.includeRevoked === 'true';
+
+  const query = { organization: organizationId };
+  if (!includeRevoked) {
+    query.revokedAt = null;
+  }
+
+  const apiKeys = await ApiKey.find(query)
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: { apiKeys: apiKeys.map(formatApiKey) }
+  });
+});
+
+// Get a single API key
+export const getApiKey = catchAsync(async (req, res) => {
+  const apiKey = await findApiKey(req.params.id, req.user.organization.id);
+
+  res.json({
+    success: true,
+    data: { apiKey: formatApiKey(apiKey) }
+  });
+});
+
+// Create an API key; the key is returned only in this response
+export const createApiKey = catchAsync(async (req, res) => {
+  const { name, scopes, expiresAt } = req.body;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  const activeKeys = await ApiKey.countDocuments({
+    organization: organizationId,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+
+  if (activeKeys >= MAX_ACTIVE_KEYS) {
+    throw new AppError(`Organizations can have at most ${MAX_ACTIVE_KEYS} active API keys`, 400, 'API_KEY_LIMIT_REACHED');
+  }
+
+  const { key, prefix, keyHash } = ApiKey.generateKey();
+
+  const apiKey = await ApiKey.create({
+    organization: organizationId,
+    name,
+    prefix,
+    keyHash,
+    scopes: [...new Set(scopes)],
+    createdBy: userId,
+    expiresAt: expiresAt ? new Date(expiresAt) : undefined
+  });
+
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    action: 'api_key_created',
+    details: `Created API key "${name}" (${prefix}) with scopes ${apiKey.scopes.join(', ')}`,
+    category: 'security',
+    severity: 'medium',
+    tags: ['api_key', prefix]
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'API key created successfully, copy it now as it will not be shown again',
+    data: {
+      apiKey: formatApiKey(apiKey),
+      key
+    }
+  });
+});
+
+// Revoke an API key; requests using it fail immediately
+export const revokeApiKey = catchAsync(async (req, res) => {
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  const apiKey = await findApiKey(req.params.id, organizationId);
+
+  if (apiKey.revokedAt) {
+    throw new AppError('API key is already revoked', 400, 'API_KEY_ALREADY_REVOKED');
+  }
+
+  apiKey.revokedAt = new Date();
+  apiKey.revokedBy = userId;
+  await apiKey.save();
+
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    action: 'api_key_revoked',
+    details: `Revoked API key "${apiKey.name}" (${apiKey.prefix})`,
+    category: 'security',
+    severity: 'medium',
+    tags: ['api_key', apiKey.prefix]
+  });
+
+  res.json({
+    success: true,
+    message: 'API key revoked successfully',
+    data: { apiKey: formatApiKey(apiKey) }
+  });
+});
@@ -1,10 +1,39 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import { User } from '../models/User.js';
 import { Organization } from '../models/Organization.js';
 import { Activity } from '../models/Activity.js';
+import { Invitation } from '../models/Invitation.js';
+import { Session } from '../models/Session.js';
+import { Role } from '../models/Role.js';
 import { logger } from '../config/logger.js';
 import redisClient from '../config/redis.js';
+import { sendVerificationEmail, sendPasswordResetEmail } from '../utils/accountEmails.js';
+import { disconnectSessions } from '../utils/collaboration.js';
+import { encryptSecret, decryptSecret } from '../utils/tokens.js';
+import {
+  generateSecret,
+  verifyTOTP,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  TOTP_DIGITS,
+  TOTP_PERIOD
+} from '../utils/mfa.js';
+import { getLockoutPolicy, getLoginState, recordLoginFailure, clearLoginFailures } from '../utils/accountLockout.js';
+import {
+  OidcError,
+  SSO_STATE_TTL,
+  discover,
+  createAuthorizationRequest,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  saveLoginState,
+  consumeLoginState
+} from '../utils/oidc.js';
+import { hasFeature, PLAN_LIMITS } from '../middleware/multiTenant.js';
 
 // Generate JWT token
 const generateToken = (payload) => {
@@ -20,14 +49,283 @@ const generateRefreshToken = (payload) => {
   });
 };
 
-// Store refresh token in Redis
-const storeRefreshToken = async (userId, refreshToken) => {
+// Sign a refresh token for the session's current token ID; the session expires with it
+const signSessionRefreshToken = (session) => {
+  const refreshToken = generateRefreshToken({ id: session.user, sid: session._id, jti: session.tokenId });
+  session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+  return refreshToken;
+};
+
+// Start a session for this device and issue its first token pair
+const startSession = async (tokenPayload, req) => {
+  const session = new Session({
+    user: tokenPayload.id,
+    organization: tokenPayload.organizationId,
+    tokenId: crypto.randomUUID(),
+    userAgent: req.get('User-Agent')?.slice(0, 500),
+    ipAddress: req.ip
+  });
+
+  const refreshToken = signSessionRefreshToken(session);
+  await session.save();
+
+  return {
+    accessToken: generateToken({ ...tokenPayload, sid: session._id }),
+    refreshToken
+  };
+};
+
+/**
+ * Revoke sessions so they can no longer refresh, and close their live sockets
+ * Access tokens already issued for them are rejected through Redis until they would expire
+ * @param {Object} filter - Session query
+ * @param {string} reason - logout, revoked, reuse_detected or password_reset
+ * @returns {number} Number of sessions revoked
+ */
+const revokeSessions = async (filter, reason) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id expiresAt');
+  if (sessions.length === 0) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map(session => session._id) } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
   if (redisClient.isConnectionReady()) {
-    const key = `refresh_token:${userId}`;
-    await redisClient.set(key, refreshToken, 7 * 24 * 60 * 60); // 7 days
+    await Promise.all(sessions.map((session) => {
+      const ttl = Math.max(1, Math.ceil((session.expiresAt - Date.now()) / 1000));
+      return redisClient.set(`revoked_session:${session._id}`, 'true', ttl);
+    }));
+  }
+
+  disconnectSessions(sessions.map(session => session._id.toString()), reason);
+
+  return sessions.length;
+};
+
+// Shape a session for API responses
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString()
+});
+
+// MFA challenge tokens are signed with their own key so they can never pass as access tokens
+const mfaChallengeKey = () => crypto.createHmac('sha256', process.env.JWT_SECRET).update('mfa-challenge').digest('hex');
+
+const mfaChallengeExpiresIn = () => process.env.MFA_CHALLENGE_EXPIRES_IN || '5m';
+const MFA_MAX_ATTEMPTS = 5;
+
+// Short-lived token proving the password step passed; purpose is mfa_login or mfa_enroll
+const generateMfaChallenge = (user, purpose) => {
+  return jwt.sign({ id: user._id, purpose }, mfaChallengeKey(), {
+    expiresIn: mfaChallengeExpiresIn(),
+    jwtid: crypto.randomUUID()
+  });
+};
+
+const verifyMfaChallenge = (token, purpose) => {
+  const decoded = jwt.verify(token, mfaChallengeKey());
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError('MFA challenge has the wrong purpose');
+  }
+  return decoded;
+};
+
+// Issue a login challenge and make it the only one the user can answer
+const issueMfaLoginChallenge = async (user) => {
+  const challengeToken = generateMfaChallenge(user, 'mfa_login');
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'mfa.challengeId': jwt.decode(challengeToken).jti, 'mfa.challengeAttempts': 0 } },
+    { timestamps: false }
+  );
+  return challengeToken;
+};
+
+// Use up one of the challenge's attempts before its code is checked, so parallel guesses share
+// the limit; false once the challenge has had too many or a newer login replaced it
+const claimMfaAttempt = async (challenge) => {
+  const result = await User.updateOne(
+    { _id: challenge.id, 'mfa.challengeId': challenge.jti, 'mfa.challengeAttempts': { $lt: MFA_MAX_ATTEMPTS } },
+    { $inc: { 'mfa.challengeAttempts': 1 } },
+    { timestamps: false }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Organizations can require two-factor authentication for whoever can manage them (admins by default)
+const isMfaRequired = async (user) => {
+  if (!user.organization?.settings?.security?.requireTwoFactor) return false;
+  const permissions = await Role.getPermissions(user.organization._id, user.role);
+  return permissions.includes('organization.manage');
+};
+
+const MFA_USER_FIELDS = '+mfa.secret +mfa.lastUsedStep +mfa.recoveryCodes';
+const LOGIN_ORGANIZATION_FIELDS = 'name domain slug isActive subscription settings.requireEmailVerification settings.security sso.enabled sso.disablePasswordLogin';
+
+// Refuse a login attempt for a locked or throttled account; returns true when a response was sent
+const rejectBlockedLogin = async (user, res) => {
+  const state = await getLoginState(user._id);
+  if (state.allowed) return false;
+
+  res.set('Retry-After', String(state.retryAfter));
+  if (state.reason === 'locked') {
+    res.status(423).json({
+      success: false,
+      message: 'Account is temporarily locked after too many failed login attempts',
+      code: 'ACCOUNT_LOCKED',
+      retryAfter: state.retryAfter
+    });
+  } else {
+    res.status(429).json({
+      success: false,
+      message: 'Too many failed login attempts, please wait before trying again',
+      code: 'LOGIN_THROTTLED',
+      retryAfter: state.retryAfter
+    });
+  }
+  return true;
+};
+
+// Count a failed password or code against the account and record it
+const handleLoginFailure = async (user, req, reason) => {
+  const failure = await recordLoginFailure(user._id, getLockoutPolicy(user.organization));
+
+  await Activity.logActivity({
+    user: user._id,
+    organization: user.organization._id,
+    action: 'login_failed',
+    details: `Failed login (${reason}) from ${req.ip}`,
+    category: 'security',
+    severity: 'high',
+    tags: [reason]
+  });
+
+  if (failure.locked) {
+    await Activity.logActivity({
+      user: user._id,
+      organization: user.organization._id,
+      action: 'account_locked',
+      details: `Account locked for ${Math.round(failure.retryAfter / 60)} minutes after ${failure.failures} failed login attempts`,
+      category: 'security',
+      severity: 'high'
+    });
+    logger.warn(`Account locked after ${failure.failures} failed login attempts: ${user.email}`);
+  }
+};
+
+// Start a session and send the token pair once every login step has passed
+const completeLogin = async (user, req, res, extraData = {}) => {
+  const tokenPayload = {
+    id: user._id,
+    email: user.email,
+    role: user.role,
+    organizationId: user.organization._id
+  };
+
+  // Start a session for this device
+  const { accessToken, refreshToken } = await startSession(tokenPayload, req);
+
+  // Update last login
+  await user.updateLastLogin();
+  await clearLoginFailures(user._id);
+
+  // Log activity
+  await Activity.logActivity({
+    user: user._id,
+    organization: user.organization._id,
+    action: 'login',
+    details: 'User logged in',
+    metadata: { ip: req.ip, userAgent: req.get('User-Agent') }
+  });
+
+  logger.info(`User logged in successfully: ${user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified,
+        mfaEnabled: Boolean(user.mfa?.enabled),
+        preferences: user.preferences
+      },
+      organization: {
+        id: user.organization._id,
+        name: user.organization.name,
+        domain: user.organization.domain,
+        slug: user.organization.slug,
+        subscription: user.organization.subscription
+      },
+      tokens: {
+        accessToken,
+        refreshToken,
+        expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+      },
+      ...extraData
+    }
+  });
+};
+
+// Ask for the second factor when the user has one, or for enrollment when the organization requires it;
+// otherwise finish the login. Password and single sign-on logins both go through here
+const continueLogin = async (user, req, res) => {
+  // Second step: enrolled users confirm a code before any tokens are issued
+  if (user.mfa?.enabled) {
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: {
+        mfaRequired: true,
+        challengeToken: await issueMfaLoginChallenge(user),
+        expiresIn: mfaChallengeExpiresIn()
+      }
+    });
+  }
+
+  // Admins of organizations that require two-factor must enroll before signing in
+  if (await isMfaRequired(user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Your organization requires two-factor authentication, please set it up to continue',
+      code: 'MFA_ENROLLMENT_REQUIRED',
+      data: {
+        challengeToken: generateMfaChallenge(user, 'mfa_enroll'),
+        expiresIn: mfaChallengeExpiresIn()
+      }
+    });
+  }
+
+  await completeLogin(user, req, res);
+};
+
+// Issue a verification token and email it; a mail failure never fails the caller
+const sendEmailVerification = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    logger.error(`Could not send verification email to ${user.email}:`, error);
   }
 };
 
+// Same answer whether or not the address has an account, so emails can't be probed
+const EMAIL_REQUEST_RESPONSE = {
+  success: true,
+  message: 'If an account exists for this email, a message has been sent'
+};
+
 // Register new user and organization
 export const register = async (req, res) => {
   try {
@@ -66,6 +364,7 @@ export const register = async (req, res) => {
     });
 
     await organization.save();
+    await Role.seedDefaults(organization._id);
 
     // Create user
     const user = new User({
@@ -75,23 +374,24 @@ export const register = async (req, res) => {
       role,
       organization: organization._id,
       isActive: true,
-      emailVerified: false // In production, implement email verification
+      emailVerified: false
     });
 
     await user.save();
+    await sendEmailVerification(user);
 
     // Update organization with owner
     organization.owner = user._id;
     await organization.save();
 
     // Log activity
-    await Activity.logActivity(
-      user._id,
-      organization._id,
-      'user_registered',
-      'User registered and organization created',
-      { userRole: role, organizationDomain }
-    );
+    await Activity.logActivity({
+      user: user._id,
+      organization: organization._id,
+      action: 'user_registered',
+      details: 'User registered and organization created',
+      metadata: { userRole: role, organizationDomain }
+    });
 
     // Generate tokens
     const tokenPayload = {
@@ -101,11 +401,8 @@ export const register = async (req, res) => {
       organizationId: organization._id
     };
 
-    const accessToken = generateToken(tokenPayload);
-    const refreshToken = generateRefreshToken({ id: user._id });
-
-    // Store refresh token
-    await storeRefreshToken(user._id, refreshToken);
+    // Start a session for this device
+    const { accessToken, refreshToken } = await startSession(tokenPayload, req);
 
     // Update last login
     await user.updateLastLogin();
@@ -154,7 +451,7 @@ export const login = async (req, res) => {
 
     // Find user with organization
     const user = await User.findOne({ email })
-      .populate('organization', 'name domain slug isActive subscription')
+      .populate('organization', LOGIN_ORGANIZATION_FIELDS)
       .select('+password');
 
     if (!user) {
@@ -165,9 +462,23 @@ export const login = async (req, res) => {
       });
     }
 
+    // Locked accounts are refused before the password is even checked
+    if (await rejectBlockedLogin(user, res)) return;
+
+    // Organizations can make members sign in through their identity provider
+    if (await user.organization.requiresSso(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your organization requires signing in with single sign-on',
+        code: 'SSO_REQUIRED',
+        data: { organization: user.organization.slug }
+      });
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await handleLoginFailure(user, req, 'password');
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password',
@@ -193,60 +504,16 @@ export const login = async (req, res) => {
       });
     }
 
-    // Generate tokens
-    const tokenPayload = {
-      id: user._id,
-      email: user.email,
-      role: user.role,
-      organizationId: user.organization._id
-    };
-
-    const accessToken = generateToken(tokenPayload);
-    const refreshToken = generateRefreshToken({ id: user._id });
-
-    // Store refresh token
-    await storeRefreshToken(user._id, refreshToken);
-
-    // Update last login
-    await user.updateLastLogin();
-
-    // Log activity
-    await Activity.logActivity(
-      user._id,
-      user.organization._id,
-      'user_login',
-      'User logged in',
-      { ip: req.ip, userAgent: req.get('User-Agent') }
-    );
-
-    logger.info(`User logged in successfully: ${email}`);
+    // Organizations can require a verified email before signing in
+    if (user.organization.settings?.requireEmailVerification && !user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before logging in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          emailVerified: user.emailVerified,
-          preferences: user.preferences
-        },
-        organization: {
-          id: user.organization._id,
-          name: user.organization.name,
-          domain: user.organization.domain,
-          slug: user.organization.slug,
-          subscription: user.organization.subscription
-        },
-        tokens: {
-          accessToken,
-          refreshToken,
-          expiresIn: process.env.JWT_EXPIRES_IN || '24h'
-        }
-      }
-    });
+    await continueLogin(user, req, res);
 
   } catch (error) {
     logger.error('Login error:', error);
@@ -258,7 +525,7 @@ export const login = async (req, res) => {
   }
 };
 
-// Refresh access token
+// Rotate the refresh token and issue a new access token
 export const refreshToken = async (req, res) => {
   try {
     const { refreshToken } = req.body;
@@ -274,16 +541,52 @@ export const refreshToken = async (req, res) => {
     // Verify refresh token
     const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
 
-    // Check if refresh token exists in Redis
-    if (redisClient.isConnectionReady()) {
-      const storedToken = await redisClient.get(`refresh_token:${decoded.id}`);
-      if (storedToken !== refreshToken) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid refresh token',
-          code: 'INVALID_REFRESH_TOKEN'
-        });
-      }
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive || session.user.toString() !== decoded.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended, please log in again',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    // Only the newest token of the family is accepted; the update is conditional so
+    // two requests racing with the same token can't both rotate it
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenId: decoded.jti, revokedAt: null },
+      {
+        $set: {
+          tokenId: crypto.randomUUID(),
+          lastUsedAt: new Date(),
+          userAgent: req.get('User-Agent')?.slice(0, 500),
+          ipAddress: req.ip
+        },
+        $inc: { rotationCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      // An older token was replayed: someone else holds this chain, end it everywhere
+      await revokeSessions({ _id: session._id }, 'reuse_detected');
+
+      await Activity.logActivity({
+        user: session.user,
+        organization: session.organization,
+        action: 'refresh_token_reused',
+        details: 'A rotated refresh token was reused; the session was revoked',
+        category: 'security',
+        severity: 'high',
+        tags: ['session', session._id.toString()]
+      });
+
+      logger.warn(`Refresh token reuse detected for session ${session._id} (user ${session.user})`);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used, please log in again',
+        code: 'REFRESH_TOKEN_REUSED'
+      });
     }
 
     // Get user
@@ -298,21 +601,25 @@ export const refreshToken = async (req, res) => {
       });
     }
 
-    // Generate new access token
+    // Generate new token pair
     const tokenPayload = {
       id: user._id,
       email: user.email,
       role: user.role,
-      organizationId: user.organization._id
+      organizationId: user.organization._id,
+      sid: rotated._id
     };
 
     const accessToken = generateToken(tokenPayload);
+    const newRefreshToken = signSessionRefreshToken(rotated);
+    await rotated.save();
 
     res.json({
       success: true,
       message: 'Token refreshed successfully',
       data: {
         accessToken,
+        refreshToken: newRefreshToken,
         expiresIn: process.env.JWT_EXPIRES_IN || '24h'
       }
     });
@@ -352,19 +659,23 @@ export const logout = async (req, res) => {
       }
     }
 
-    // Remove refresh token
-    if (redisClient.isConnectionReady() && refreshToken) {
-      await redisClient.del(`refresh_token:${userId}`);
+    // End this device's session (or the one the refresh token belongs to)
+    let sessionId = req.sessionId;
+    if (!sessionId && refreshToken) {
+      sessionId = jwt.decode(refreshToken)?.sid;
+    }
+    if (sessionId && mongoose.isValidObjectId(sessionId)) {
+      await revokeSessions({ _id: sessionId, user: userId }, 'logout');
     }
 
     // Log activity
-    await Activity.logActivity(
-      userId,
-      req.user.organization.id,
-      'user_logout',
-      'User logged out',
-      { ip: req.ip }
-    );
+    await Activity.logActivity({
+      user: userId,
+      organization: req.user.organization.id,
+      action: 'logout',
+      details: 'User logged out',
+      metadata: { ip: req.ip }
+    });
 
     logger.info(`User logged out: ${req.user.email}`);
 
@@ -430,3 +741,1028 @@ export const getProfile = async (req, res) => {
     });
   }
 };
+
+// Confirm an email address with the token from the verification email
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired',
+        code: 'INVALID_VERIFICATION_TOKEN'
+      });
+    }
+
+    // Tokens are single use
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await Activity.logActivity({
+      user: user._id,
+      organization: user.organization,
+      action: 'email_verified',
+      details: `Email ${user.email} verified`,
+      category: 'security',
+      severity: 'low'
+    });
+
+    logger.info(`Email verified: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        user: {
+          id: user._id,
+          email: user.email,
+          emailVerified: user.emailVerified
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Email verification failed',
+      code: 'EMAIL_VERIFICATION_ERROR'
+    });
+  }
+};
+
+// Send a new verification email, replacing any earlier link
+export const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email, isActive: true });
+    if (user && !user.emailVerified) {
+      await sendEmailVerification(user);
+    }
+
+    res.json(EMAIL_REQUEST_RESPONSE);
+
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend verification email',
+      code: 'RESEND_VERIFICATION_ERROR'
+    });
+  }
+};
+
+// Email a password reset link
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email, isActive: true });
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await sendPasswordResetEmail(user, token);
+      } catch (error) {
+        logger.error(`Could not send password reset email to ${user.email}:`, error);
+      }
+    }
+
+    res.json(EMAIL_REQUEST_RESPONSE);
+
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start password reset',
+      code: 'FORGOT_PASSWORD_ERROR'
+    });
+  }
+};
+
+// Set a new password with the token from the reset email
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      resetPasswordToken: User.hashToken(token),
+      resetPasswordExpires: { $gt: new Date() },
+      isActive: true
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    // Tokens are single use; receiving the email also proves the address
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Sign out existing sessions; proving access to the inbox also lifts a lockout
+    await revokeSessions({ user: user._id }, 'password_reset');
+    await clearLoginFailures(user._id);
+
+    await Activity.logActivity({
+      user: user._id,
+      organization: user.organization,
+      action: 'password_reset',
+      details: 'Password reset by email link',
+      category: 'security',
+      severity: 'medium'
+    });
+
+    logger.info(`Password reset for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully, please log in with your new password'
+    });
+
+  } catch (error) {
+    logger.error('Password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Password reset failed',
+      code: 'PASSWORD_RESET_ERROR'
+    });
+  }
+};
+
+// Join an organization through an invitation link, choosing a password
+export const acceptInvitation = async (req, res) => {
+  try {
+    const { token, name, password } = req.body;
+
+    const invitation = await Invitation.findPendingByToken(token);
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid, expired or has been revoked',
+        code: 'INVALID_INVITATION'
+      });
+    }
+
+    const organization = invitation.organization;
+    if (!organization?.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Organization is inactive',
+        code: 'ORGANIZATION_INACTIVE'
+      });
+    }
+
+    // The email may have registered elsewhere since the invitation was sent
+    const existingUser = await User.findOne({ email: invitation.email });
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists',
+        code: 'EMAIL_IN_USE'
+      });
+    }
+
+    // Receiving the invitation proves the address
+    const user = new User({
+      name: name || invitation.name || invitation.email.split('@')[0],
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      organization: organization._id,
+      isActive: true,
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+
+    await user.save();
+
+    // Tokens are single use
+    invitation.status = 'accepted';
+    invitation.acceptedAt = new Date();
+    invitation.acceptedUser = user._id;
+    invitation.tokenHash = undefined;
+    await invitation.save();
+
+    // Update organization stats
+    const memberOrganization = await Organization.findById(organization._id);
+    if (memberOrganization) {
+      await memberOrganization.updateStats();
+    }
+
+    await Activity.logActivity({
+      user: user._id,
+      organization: organization._id,
+      action: 'invitation_accepted',
+      details: `${user.email} joined as ${user.role}`,
+      category: 'user',
+      severity: 'low',
+      relatedUsers: [invitation.invitedBy]
+    });
+
+    // Generate tokens
+    const tokenPayload = {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      organizationId: organization._id
+    };
+
+    // Start a session for this device
+    const { accessToken, refreshToken } = await startSession(tokenPayload, req);
+
+    // Update last login
+    await user.updateLastLogin();
+
+    logger.info(`Invitation accepted: ${user.email} joined ${organization.domain}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted successfully',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          emailVerified: user.emailVerified
+        },
+        organization: {
+          id: organization._id,
+          name: organization.name,
+          domain: organization.domain,
+          slug: organization.slug
+        },
+        tokens: {
+          accessToken,
+          refreshToken,
+          expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept invitation',
+      code: 'ACCEPT_INVITATION_ERROR'
+    });
+  }
+};
+
+// List the devices the user is signed in on
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActive(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => formatSession(session, req.sessionId))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions',
+      code: 'SESSIONS_ERROR'
+    });
+  }
+};
+
+// Sign out one device
+export const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const revoked = await revokeSessions({ _id: id, user: userId }, 'revoked');
+    if (revoked === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    await Activity.logActivity({
+      user: userId,
+      organization: req.user.organization.id,
+      action: 'session_revoked',
+      details: 'Signed out a session',
+      category: 'security',
+      severity: 'low',
+      tags: ['session', id]
+    });
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      code: 'REVOKE_SESSION_ERROR'
+    });
+  }
+};
+
+// Sign out every device except this one
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const filter = { user: userId };
+    if (req.sessionId) {
+      filter._id = { $ne: req.sessionId };
+    }
+
+    const revoked = await revokeSessions(filter, 'revoked');
+
+    if (revoked > 0) {
+      await Activity.logActivity({
+        user: userId,
+        organization: req.user.organization.id,
+        action: 'session_revoked',
+        details: `Signed out ${revoked} other session${revoked === 1 ? '' : 's'}`,
+        category: 'security',
+        severity: 'medium',
+        tags: ['session']
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Other sessions revoked successfully',
+      data: { revoked }
+    });
+
+  } catch (error) {
+    logger.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions',
+      code: 'REVOKE_SESSIONS_ERROR'
+    });
+  }
+};
+
+// Finish a login with the code from the user's authenticator app or a recovery code
+export const verifyMfaLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = verifyMfaChallenge(challengeToken, 'mfa_login');
+
+    if (!(await claimMfaAttempt(challenge))) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many incorrect codes, please log in again',
+        code: 'MFA_TOO_MANY_ATTEMPTS'
+      });
+    }
+
+    const user = await User.findById(challenge.id)
+      .populate('organization', LOGIN_ORGANIZATION_FIELDS)
+      .select(MFA_USER_FIELDS);
+
+    if (!user || !user.isActive || !user.organization.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'User or organization is inactive',
+        code: 'USER_INACTIVE'
+      });
+    }
+
+    if (await rejectBlockedLogin(user, res)) return;
+
+    const method = user.verifyMfaCode({ code, recoveryCode });
+    if (!method) {
+      await handleLoginFailure(user, req, 'mfa_code');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+        code: 'INVALID_MFA_CODE'
+      });
+    }
+
+    // Keep the used step / recovery code so neither can be replayed, and retire the challenge
+    user.mfa.challengeId = undefined;
+    user.mfa.challengeAttempts = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    if (method === 'recovery_code') {
+      const remaining = user.remainingRecoveryCodes();
+      await Activity.logActivity({
+        user: user._id,
+        organization: user.organization._id,
+        action: 'mfa_recovery_code_used',
+        details: `Signed in with a recovery code, ${remaining} left`,
+        category: 'security',
+        severity: remaining === 0 ? 'high' : 'medium'
+      });
+    }
+
+    await completeLogin(user, req, res);
+
+  } catch (error) {
+    logger.error('MFA verification error:', error);
+
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge, please log in again',
+        code: 'INVALID_MFA_CHALLENGE'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Two-factor verification failed',
+      code: 'MFA_VERIFY_ERROR'
+    });
+  }
+};
+
+// The user managing two-factor: signed in, or an admin mid-login who has to enroll first
+const resolveMfaUser = (req) => {
+  if (req.user) {
+    return { userId: req.user.id, enrolling: false };
+  }
+  const challenge = verifyMfaChallenge(req.body.challengeToken, 'mfa_enroll');
+  return { userId: challenge.id, enrolling: true };
+};
+
+// Get two-factor status for the current user
+export const getMfaStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .populate('organization', 'settings.security.requireTwoFactor')
+      .select('+mfa.recoveryCodes');
+
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(user.mfa?.enabled),
+        enabledAt: user.mfa?.enabledAt,
+        required: await isMfaRequired(user),
+        recoveryCodesRemaining: user.mfa?.enabled ? user.remainingRecoveryCodes() : 0
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get MFA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get two-factor status',
+      code: 'MFA_STATUS_ERROR'
+    });
+  }
+};
+
+// Generate a new authenticator secret; it is only used once a code from it is confirmed
+export const setupMfa = async (req, res) => {
+  try {
+    const { userId } = resolveMfaUser(req);
+
+    const user = await User.findById(userId).populate('organization', 'name');
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (user.mfa?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+        code: 'MFA_ALREADY_ENABLED'
+      });
+    }
+
+    const secret = generateSecret();
+    user.mfa.pendingSecret = encryptSecret(secret);
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm a code to enable two-factor authentication',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({
+          secret,
+          account: user.email,
+          issuer: process.env.MFA_ISSUER || user.organization.name
+        }),
+        digits: TOTP_DIGITS,
+        period: TOTP_PERIOD
+      }
+    });
+
+  } catch (error) {
+    logger.error('MFA setup error:', error);
+
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication or a valid challenge token is required',
+        code: 'INVALID_MFA_CHALLENGE'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Two-factor setup failed',
+      code: 'MFA_SETUP_ERROR'
+    });
+  }
+};
+
+// Confirm the pending secret with a code and return recovery codes (shown only once)
+export const enableMfa = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const { userId, enrolling } = resolveMfaUser(req);
+
+    const user = await User.findById(userId)
+      .populate('organization', LOGIN_ORGANIZATION_FIELDS)
+      .select('+mfa.pendingSecret');
+
+    if (!user || !user.isActive || !user.organization.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'User or organization is inactive',
+        code: 'USER_INACTIVE'
+      });
+    }
+
+    if (user.mfa?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+        code: 'MFA_ALREADY_ENABLED'
+      });
+    }
+
+    if (!user.mfa?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first',
+        code: 'MFA_SETUP_REQUIRED'
+      });
+    }
+
+    const step = verifyTOTP(decryptSecret(user.mfa.pendingSecret), code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+        code: 'INVALID_MFA_CODE'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.mfa = {
+      enabled: true,
+      enabledAt: new Date(),
+      secret: user.mfa.pendingSecret,
+      lastUsedStep: step,
+      recoveryCodes: hashes.map(hash => ({ hash }))
+    };
+    await user.save({ validateBeforeSave: false });
+
+    await Activity.logActivity({
+      user: user._id,
+      organization: user.organization._id,
+      action: 'mfa_enabled',
+      details: 'Two-factor authentication enabled',
+      category: 'security',
+      severity: 'medium'
+    });
+
+    logger.info(`Two-factor authentication enabled for user: ${user.email}`);
+
+    // Enrolling was the last step of a login, so sign in now
+    if (enrolling) {
+      return completeLogin(user, req, res, { recoveryCodes: codes });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled, store your recovery codes somewhere safe',
+      data: { recoveryCodes: codes }
+    });
+
+  } catch (error) {
+    logger.error('MFA enable error:', error);
+
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication or a valid challenge token is required',
+        code: 'INVALID_MFA_CHALLENGE'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication',
+      code: 'MFA_ENABLE_ERROR'
+    });
+  }
+};
+
+// Replace all recovery codes after confirming an authenticator code
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(MFA_USER_FIELDS);
+
+    if (!user.mfa?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+        code: 'MFA_NOT_ENABLED'
+      });
+    }
+
+    if (user.verifyMfaCode({ code: req.body.code }) !== 'totp') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+        code: 'INVALID_MFA_CODE'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.mfa.recoveryCodes = hashes.map(hash => ({ hash }));
+    await user.save({ validateBeforeSave: false });
+
+    await Activity.logActivity({
+      user: user._id,
+      organization: req.user.organization.id,
+      action: 'mfa_recovery_codes_regenerated',
+      details: 'Recovery codes regenerated',
+      category: 'security',
+      severity: 'medium'
+    });
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated, the old codes no longer work',
+      data: { recoveryCodes: codes }
+    });
+
+  } catch (error) {
+    logger.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate recovery codes',
+      code: 'RECOVERY_CODES_ERROR'
+    });
+  }
+};
+
+// Turn two-factor off; needs the password and a current code
+export const disableMfa = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.id)
+      .populate('organization', 'settings.security.requireTwoFactor')
+      .select(`+password ${MFA_USER_FIELDS}`);
+
+    if (!user.mfa?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+        code: 'MFA_NOT_ENABLED'
+      });
+    }
+
+    if (await isMfaRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your organization requires two-factor authentication for administrators',
+        code: 'MFA_REQUIRED_BY_ORGANIZATION'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect',
+        code: 'INVALID_PASSWORD'
+      });
+    }
+
+    if (!user.verifyMfaCode({ code, recoveryCode })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+        code: 'INVALID_MFA_CODE'
+      });
+    }
+
+    user.mfa = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+
+    await Activity.logActivity({
+      user: user._id,
+      organization: req.user.organization.id,
+      action: 'mfa_disabled',
+      details: 'Two-factor authentication disabled',
+      category: 'security',
+      severity: 'high'
+    });
+
+    logger.info(`Two-factor authentication disabled for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    logger.error('MFA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication',
+      code: 'MFA_DISABLE_ERROR'
+    });
+  }
+};
+
+// Where the identity provider sends the browser back; the client app posts the code to /sso/callback
+const ssoRedirectUri = () => process.env.SSO_REDIRECT_URI ||
+  new URL('/sso/callback', process.env.CLIENT_URL || 'http://localhost:3000').toString();
+
+// SSO only runs for active organizations that configured it on a plan with the sso feature
+const isSsoAvailable = (organization) => {
+  return Boolean(organization?.isActive && organization.sso?.enabled && hasFeature(organization.subscription, 'sso'));
+};
+
+const sendOidcError = (res, error) => {
+  const status = ['SSO_PROVIDER_UNAVAILABLE', 'SSO_PROVIDER_ERROR', 'SSO_MISCONFIGURED'].includes(error.code) ? 502 : 401;
+  return res.status(status).json({
+    success: false,
+    message: error.message,
+    code: error.code
+  });
+};
+
+// Whether the organization has a free seat for a new member
+const hasFreeSeat = async (organization) => {
+  const limit = PLAN_LIMITS[organization.subscription.plan]?.users;
+  if (organization.subscription.plan === 'enterprise' || !limit) return true;
+
+  const [members, invitations] = await Promise.all([
+    User.countDocuments({ organization: organization._id, isActive: true }),
+    Invitation.countPending(organization._id)
+  ]);
+  return members + invitations < limit;
+};
+
+// Start single sign-on: find the organization by slug or email domain and return the provider URL
+export const startSso = async (req, res) => {
+  try {
+    const { email, organization: slug } = req.body;
+
+    const domain = email?.split('@')[1];
+    const organization = await Organization.findOne(slug
+      ? { slug: slug.toLowerCase() }
+      : { $or: [{ domain }, { 'sso.allowedDomains': domain }] });
+
+    if (!isSsoAvailable(organization)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Single sign-on is not available for this organization',
+        code: 'SSO_NOT_CONFIGURED'
+      });
+    }
+
+    const metadata = await discover(organization.sso.issuer);
+    const request = createAuthorizationRequest();
+    const redirectUri = ssoRedirectUri();
+
+    await saveLoginState(request.state, {
+      organizationId: organization._id,
+      codeVerifier: request.codeVerifier,
+      nonce: request.nonce,
+      redirectUri
+    });
+
+    res.json({
+      success: true,
+      data: {
+        authorizationUrl: buildAuthorizationUrl(metadata, {
+          clientId: organization.sso.clientId,
+          redirectUri,
+          codeChallenge: request.codeChallenge,
+          state: request.state,
+          nonce: request.nonce,
+          loginHint: email
+        }),
+        state: request.state,
+        expiresIn: SSO_STATE_TTL
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof OidcError) {
+      logger.warn(`SSO start failed: ${error.message}`);
+      return sendOidcError(res, error);
+    }
+
+    logger.error('SSO start error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start single sign-on',
+      code: 'SSO_ERROR'
+    });
+  }
+};
+
+// Finish single sign-on with the code and state the provider sent back; issues the usual token pair
+export const ssoCallback = async (req, res) => {
+  try {
+    const { code, state } = req.body;
+
+    const pending = await consumeLoginState(state);
+    if (!pending) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sign-in request is invalid or has expired, please start again',
+        code: 'INVALID_SSO_STATE'
+      });
+    }
+
+    const organization = await Organization.findById(pending.organizationId).select('+sso.clientSecret');
+    if (!isSsoAvailable(organization)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Single sign-on is not available for this organization',
+        code: 'SSO_NOT_CONFIGURED'
+      });
+    }
+
+    const metadata = await discover(organization.sso.issuer);
+    const tokens = await exchangeCode(metadata, {
+      clientId: organization.sso.clientId,
+      clientSecret: decryptSecret(organization.sso.clientSecret),
+      code,
+      codeVerifier: pending.codeVerifier,
+      redirectUri: pending.redirectUri
+    });
+    const claims = await verifyIdToken(metadata, tokens.id_token, {
+      clientId: organization.sso.clientId,
+      nonce: pending.nonce
+    });
+
+    const email = claims.email?.toLowerCase();
+    if (!email || claims.email_verified !== true) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your identity provider did not share a verified email address',
+        code: 'SSO_EMAIL_UNVERIFIED'
+      });
+    }
+
+    if (!organization.isSsoEmailAllowed(email)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your email domain is not allowed to sign in to this organization',
+        code: 'SSO_DOMAIN_NOT_ALLOWED'
+      });
+    }
+
+    // Match the provider identity first, then link an existing account by email
+    let user = await User.findOne({ organization: organization._id, 'sso.issuer': metadata.issuer, 'sso.subject': claims.sub }) ||
+      await User.findOne({ email });
+
+    if (user && !user.organization.equals(organization._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email belongs to another organization',
+        code: 'EMAIL_IN_USE'
+      });
+    }
+
+    if (user?.sso?.subject && (user.sso.subject !== claims.sub || user.sso.issuer !== metadata.issuer)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account is linked to a different identity',
+        code: 'SSO_IDENTITY_MISMATCH'
+      });
+    }
+
+    let provisioned = false;
+
+    if (!user) {
+      // Just-in-time provisioning on the first sign-in
+      if (!organization.sso.autoProvision) {
+        return res.status(403).json({
+          success: false,
+          message: 'Ask an administrator to invite you before signing in',
+          code: 'SSO_USER_NOT_PROVISIONED'
+        });
+      }
+
+      if (!(await hasFreeSeat(organization))) {
+        return res.status(403).json({
+          success: false,
+          message: `users limit exceeded for ${organization.subscription.plan} plan.`,
+          code: 'SUBSCRIPTION_LIMIT_EXCEEDED'
+        });
+      }
+
+      const name = claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ');
+      user = new User({
+        name: (name.trim().length >= 2 ? name.trim() : email.split('@')[0]).slice(0, 50),
+        email,
+        // Never used: SSO users sign in at their provider
+        password: crypto.randomBytes(32).toString('base64url'),
+        role: organization.sso.defaultRole,
+        organization: organization._id,
+        isActive: true,
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+      });
+      provisioned = true;
+    } else if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'User account is deactivated',
+        code: 'USER_INACTIVE'
+      });
+    }
+
+    // The provider vouches for the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    user.sso = { issuer: metadata.issuer, subject: claims.sub, lastLoginAt: new Date() };
+    await user.save();
+
+    if (provisioned) {
+      await organization.updateStats();
+    }
+
+    await Activity.logActivity({
+      user: user._id,
+      organization: organization._id,
+      action: provisioned ? 'sso_user_provisioned' : 'sso_login',
+      details: provisioned
+        ? `${user.email} joined as ${user.role} through single sign-on`
+        : 'Signed in with single sign-on',
+      category: 'security',
+      severity: 'low',
+      tags: ['sso']
+    });
+
+    await user.populate('organization', LOGIN_ORGANIZATION_FIELDS);
+    await continueLogin(user, req, res);
+
+  } catch (error) {
+    if (error instanceof OidcError) {
+      logger.warn(`SSO callback failed: ${error.message}`);
+      return sendOidcError(res, error);
+    }
+
+    logger.error('SSO callback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Single sign-on failed',
+      code: 'SSO_ERROR'
+    });
+  }
+};
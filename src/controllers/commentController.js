@@ -0,0 +1,373 @@
+import { Comment } from '../models/Comment.js';
+import { Activity } from '../models/Activity.js';
+import { User } from '../models/User.js';
+import { catchAsync, AppError } from '../middleware/errorHandler.js';
+import { hasPermission } from '../middleware/role.js';
+
+// Comments on documents that disable them can still be read, but not added to
+const ensureCommentsAllowed = (document) => {
+  if (document.settings && document.settings.allowComments === false) {
+    throw new AppError('Comments are disabled for this document', 403, 'COMMENTS_DISABLED');
+  }
+};
+
+// Document editors, the document owner and members whose role grants comment.moderate can moderate any comment
+const canModerate = async (document, user) => {
+  return (await hasPermission(user, 'comment.moderate')) ||
+    document.hasEffectivePermission(user.id, 'editor', user.teams);
+};
+
+// Load a comment scoped to the document and organization in the request
+const findComment = async (req) => {
+  const comment = await Comment.findOne({
+    _id: req.params.commentId,
+    document: req.document._id,
+    organization: req.user.organization.id,
+    isDeleted: false
+  });
+
+  if (!comment) {
+    throw new AppError('Comment not found', 404, 'COMMENT_NOT_FOUND');
+  }
+
+  return comment;
+};
+
+// Only keep mentioned users that belong to the same organization
+const resolveMentions = async (mentionIds, organizationId) => {
+  if (!Array.isArray(mentionIds) || mentionIds.length === 0) {
+    return [];
+  }
+
+  const users = await User.find({
+    _id: { $in: mentionIds },
+    organization: organizationId,
+    isActive: true
+  }).select('_id');
+
+  return users.map(user => ({ user: user._id }));
+};
+
+const populateComment = (comment) => comment.populate([
+  { path: 'author', select: 'name email profilePicture' },
+  { path: 'replies.author', select: 'name email profilePicture' },
+  { path: 'resolvedBy', select: 'name email' },
+  { path: 'mentions.user', select: 'name email' }
+]);
+
+const logCommentActivity = (req, action, comment, details, metadata = {}) => {
+  return Activity.logActivity({
+    user: req.user.id,
+    organization: req.user.organization.id,
+    document: req.document._id,
+    action,
+    details,
+    category: 'document',
+    severity: action === 'comment_deleted' ? 'medium' : 'low',
+    metadata: {
+      userAgent: req.get('User-Agent'),
+      commentId: comment._id,
+      ...metadata
+    }
+  });
+};
+
+// Get comments for a document
+export const getComments = catchAsync(async (req, res) => {
+  const { page = 1, limit = 20, status, type, author } = req.query;
+  const organizationId = req.user.organization.id;
+  const documentId = req.document._id;
+
+  const filters = { status, type, author };
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [comments, total] = await Promise.all([
+    Comment.findByDocument(documentId, organizationId, {
+      ...filters,
+      limit: parseInt(limit),
+      skip
+    }),
+    Comment.countDocuments({
+      document: documentId,
+      organization: organizationId,
+      isDeleted: false,
+      ...(status && { status }),
+      ...(type && { type }),
+      ...(author && { author })
+    })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      comments,
+      pagination: {
+        page: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total,
+        limit: parseInt(limit),
+        hasNext: skip + comments.length < total,
+        hasPrev: page > 1
+      },
+      filters
+    }
+  });
+});
+
+// Create a comment on a document
+export const createComment = catchAsync(async (req, res) => {
+  const { content, type, priority, position, tags, mentions } = req.body;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+  const document = req.document;
+
+  ensureCommentsAllowed(document);
+
+  const comment = new Comment({
+    document: document._id,
+    organization: organizationId,
+    author: userId,
+    content,
+    type: type || 'general',
+    priority: priority || 'medium',
+    position,
+    tags: tags || [],
+    mentions: await resolveMentions(mentions, organizationId),
+    metadata: {
+      documentVersion: document.currentVersion,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }
+  });
+
+  await comment.save();
+
+  await logCommentActivity(
+    req,
+    'comment_created',
+    comment,
+    `Comment added to document "${document.title}"`,
+    { type: comment.type }
+  );
+
+  await populateComment(comment);
+
+  res.status(201).json({
+    success: true,
+    message: 'Comment created successfully',
+    data: { comment }
+  });
+});
+
+// Edit a comment (author only)
+export const updateComment = catchAsync(async (req, res) => {
+  const { content, type, priority, tags } = req.body;
+  const userId = req.user.id;
+
+  const comment = await findComment(req);
+
+  if (comment.author?.toString() !== userId.toString()) {
+    throw new AppError('Only the author can edit this comment', 403, 'COMMENT_EDIT_DENIED');
+  }
+
+  const before = { content: comment.content, type: comment.type, priority: comment.priority };
+
+  if (content !== undefined) comment.content = content;
+  if (type !== undefined) comment.type = type;
+  if (priority !== undefined) comment.priority = priority;
+  if (tags !== undefined) comment.tags = tags;
+
+  comment.isEdited = true;
+  comment.editedAt = new Date();
+  comment.metadata.version += 1;
+  await comment.save();
+
+  await logCommentActivity(
+    req,
+    'comment_updated',
+    comment,
+    `Comment edited on document "${req.document.title}"`,
+    { before }
+  );
+
+  await populateComment(comment);
+
+  res.json({
+    success: true,
+    message: 'Comment updated successfully',
+    data: { comment }
+  });
+});
+
+// Reply to a comment
+export const replyToComment = catchAsync(async (req, res) => {
+  const { content } = req.body;
+  const userId = req.user.id;
+
+  ensureCommentsAllowed(req.document);
+
+  const comment = await findComment(req);
+  await comment.addReply(userId, content);
+
+  const reply = comment.replies[comment.replies.length - 1];
+
+  await logCommentActivity(
+    req,
+    'comment_replied',
+    comment,
+    `Replied to a comment on document "${req.document.title}"`,
+    { replyId: reply._id }
+  );
+
+  await populateComment(comment);
+
+  res.status(201).json({
+    success: true,
+    message: 'Reply added successfully',
+    data: { comment }
+  });
+});
+
+// Add or replace the current user's reaction on a comment
+export const reactToComment = catchAsync(async (req, res) => {
+  const { type } = req.body;
+  const userId = req.user.id;
+
+  ensureCommentsAllowed(req.document);
+
+  const comment = await findComment(req);
+  await comment.addReaction(userId, type);
+
+  await logCommentActivity(
+    req,
+    'comment_reacted',
+    comment,
+    `Reacted "${type}" to a comment on document "${req.document.title}"`,
+    { reaction: type }
+  );
+
+  res.json({
+    success: true,
+    message: 'Reaction saved successfully',
+    data: {
+      commentId: comment._id,
+      reactionSummary: comment.reactionSummary
+    }
+  });
+});
+
+// Remove the current user's reaction from a comment
+export const removeReaction = catchAsync(async (req, res) => {
+  const userId = req.user.id;
+
+  const comment = await findComment(req);
+  await comment.removeReaction(userId);
+
+  await logCommentActivity(
+    req,
+    'comment_reacted',
+    comment,
+    `Removed reaction from a comment on document "${req.document.title}"`,
+    { reaction: null }
+  );
+
+  res.json({
+    success: true,
+    message: 'Reaction removed successfully',
+    data: {
+      commentId: comment._id,
+      reactionSummary: comment.reactionSummary
+    }
+  });
+});
+
+// Resolve a comment (author or document moderators)
+export const resolveComment = catchAsync(async (req, res) => {
+  const userId = req.user.id;
+
+  const comment = await findComment(req);
+
+  if (comment.author?.toString() !== userId.toString() && !(await canModerate(req.document, req.user))) {
+    throw new AppError('No permission to resolve this comment', 403, 'COMMENT_RESOLVE_DENIED');
+  }
+
+  if (comment.status === 'resolved') {
+    throw new AppError('Comment is already resolved', 400, 'COMMENT_ALREADY_RESOLVED');
+  }
+
+  await comment.resolve(userId);
+
+  await logCommentActivity(
+    req,
+    'comment_resolved',
+    comment,
+    `Comment resolved on document "${req.document.title}"`
+  );
+
+  await populateComment(comment);
+
+  res.json({
+    success: true,
+    message: 'Comment resolved successfully',
+    data: { comment }
+  });
+});
+
+// Reopen a resolved or dismissed comment (author or document moderators)
+export const reopenComment = catchAsync(async (req, res) => {
+  const userId = req.user.id;
+
+  const comment = await findComment(req);
+
+  if (comment.author?.toString() !== userId.toString() && !(await canModerate(req.document, req.user))) {
+    throw new AppError('No permission to reopen this comment', 403, 'COMMENT_REOPEN_DENIED');
+  }
+
+  if (comment.status === 'open') {
+    throw new AppError('Comment is already open', 400, 'COMMENT_ALREADY_OPEN');
+  }
+
+  const previousStatus = comment.status;
+  await comment.reopen();
+
+  await logCommentActivity(
+    req,
+    'comment_reopened',
+    comment,
+    `Comment reopened on document "${req.document.title}"`,
+    { previousStatus }
+  );
+
+  await populateComment(comment);
+
+  res.json({
+    success: true,
+    message: 'Comment reopened successfully',
+    data: { comment }
+  });
+});
+
+// Delete a comment (soft delete, author or document moderators)
+export const deleteComment = catchAsync(async (req, res) => {
+  const userId = req.user.id;
+
+  const comment = await findComment(req);
+
+  if (comment.author?.toString() !== userId.toString() && !(await canModerate(req.document, req.user))) {
+    throw new AppError('No permission to delete this comment', 403, 'COMMENT_DELETE_DENIED');
+  }
+
+  await comment.softDelete();
+
+  await logCommentActivity(
+    req,
+    'comment_deleted',
+    comment,
+    `Comment deleted on document "${req.document.title}"`
+  );
+
+  res.json({
+    success: true,
+    message: 'Comment deleted successfully'
+  });
+});
@@ -1,8 +1,34 @@
+import mongoose from 'mongoose';
 import { Document } from '../models/Document.js';
 import { Activity } from '../models/Activity.js';
 import { Folder } from '../models/Folder.js';
+import { Team } from '../models/Team.js';
+import { Organization } from '../models/Organization.js';
+import { User } from '../models/User.js';
+import { DocumentVersion } from '../models/DocumentVersion.js';
 import { logger } from '../config/logger.js';
 import { catchAsync, AppError } from '../middleware/errorHandler.js';
+import { hasPermission } from '../middleware/role.js';
+import { listDocumentPresence, applyExternalContent } from '../utils/collaboration.js';
+import { renderExport, parseImportFile, convertContent } from '../utils/documentFormats.js';
+import { parseSearchQuery, highlightMatches, escapeRegex } from '../utils/searchQuery.js';
+import { getSearchProvider } from '../utils/searchProviders.js';
+
+// Documents a user can see: their own, organization-wide ones, ones shared with them or their teams
+// (until the share expires) and ones inheriting a share from their folder
+const accessibleDocumentsQuery = async (userId, organizationId, teamIds = []) => {
+  const folderIds = await Folder.findSharedFolderIds(organizationId, userId, teamIds);
+
+  return {
+    organization: organizationId,
+    $or: [
+      { owner: userId },
+      { visibility: 'organization' },
+      ...Document.activeShareClauses(userId, teamIds),
+      { folder: { $in: folderIds }, 'settings.inheritPermissions': { $ne: false } }
+    ]
+  };
+};
 
 // Get all documents for the user's organization
 export const getDocuments = catchAsync(async (req, res) => {
@@ -11,14 +37,7 @@ export const getDocuments = catchAsync(async (req, res) => {
   const organizationId = req.user.organization.id;
 
   // Build query
-  const query = {
-    organization: organizationId,
-    $or: [
-      { owner: userId },
-      { visibility: 'organization' },
-      { 'sharedWith.user': userId, 'sharedWith.isActive': true }
-    ]
-  };
+  const query = await accessibleDocumentsQuery(userId, organizationId, req.user.teams);
 
   if (status && status !== 'all') {
     query.status = status;
@@ -76,6 +95,118 @@ export const getDocuments = catchAsync(async (req, res) => {
   });
 });
 
+const SEARCH_STATUSES = ['draft', 'published', 'archived'];
+
+// Turn owner:/folder: filter values into ids; unknown values match nothing
+const resolveSearchFilter = async (field, values, { userId, organizationId }) => {
+  const ids = await Promise.all(values.map(async (value) => {
+    if (field === 'owner') {
+      if (value.toLowerCase() === 'me') return userId;
+      if (mongoose.isValidObjectId(value)) return value;
+      const owner = await User.findOne({ organization: organizationId, email: value.toLowerCase() }).select('_id');
+      return owner?._id;
+    }
+
+    if (['root', 'none'].includes(value.toLowerCase())) return null;
+    if (mongoose.isValidObjectId(value)) return value;
+    const folders = await Folder.find({
+      organization: organizationId,
+      name: { $regex: `^${escapeRegex(value)}$`, $options: 'i' }
+    }).select('_id');
+    return folders.map(folder => folder._id);
+  }));
+
+  return ids.flat().filter(id => id !== undefined);
+};
+
+// Full-text search over accessible documents, ranked by relevance
+export const searchDocuments = catchAsync(async (req, res) => {
+  const { q, page = 1, limit = 20 } = req.query;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  const parsed = parseSearchQuery(q);
+  const { tag, owner, status, folder } = parsed.filters;
+  const hasFilters = Object.values(parsed.filters).some(filter => filter.include.length + filter.exclude.length > 0);
+
+  if (parsed.terms.length === 0 && parsed.phrases.length === 0 && !hasFilters) {
+    throw new AppError('Search needs at least one word, phrase or filter', 400, 'EMPTY_SEARCH');
+  }
+
+  const query = await accessibleDocumentsQuery(userId, organizationId, req.user.teams);
+  const conditions = [];
+
+  // Deleted documents never show up, whatever the status filter says
+  const statuses = status.include.length > 0 ? status.include : SEARCH_STATUSES;
+  query.status = { $in: statuses.filter(value => SEARCH_STATUSES.includes(value) && !status.exclude.includes(value)) };
+
+  if (tag.include.length > 0) {
+    conditions.push({ tags: { $all: tag.include.map(value => value.toLowerCase()) } });
+  }
+  if (tag.exclude.length > 0) {
+    conditions.push({ tags: { $nin: tag.exclude.map(value => value.toLowerCase()) } });
+  }
+
+  const context = { userId, organizationId };
+  for (const [field, filter] of [['owner', owner], ['folder', folder]]) {
+    if (filter.include.length > 0) {
+      conditions.push({ [field]: { $in: await resolveSearchFilter(field, filter.include, context) } });
+    }
+    if (filter.exclude.length > 0) {
+      conditions.push({ [field]: { $nin: await resolveSearchFilter(field, filter.exclude, context) } });
+    }
+  }
+
+  if (conditions.length > 0) {
+    query.$and = conditions;
+  }
+
+  const skip = (page - 1) * limit;
+  const { documents, total } = await getSearchProvider().search(parsed, {
+    organizationId,
+    filter: query,
+    skip,
+    limit
+  });
+
+  const results = documents.map(({ _id, content, score, ...document }) => {
+    // Snippets are taken from the readable text, not the markup
+    let text = content || '';
+    try {
+      text = convertContent(text, document.contentType || 'text', 'text');
+    } catch (error) {
+      logger.warn(`Could not convert document ${_id} for search snippets:`, error.message);
+    }
+
+    return {
+      document: { id: _id, ...document },
+      score: score ?? null,
+      highlights: highlightMatches({ title: document.title, text }, parsed)
+    };
+  });
+
+  res.json({
+    success: true,
+    data: {
+      results,
+      query: {
+        terms: parsed.terms,
+        phrases: parsed.phrases,
+        excluded: parsed.excluded,
+        filters: parsed.filters
+      },
+      pagination: {
+        page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit,
+        hasNext: skip + documents.length < total,
+        hasPrev: page > 1
+      }
+    }
+  });
+});
+
 // Get a single document by ID
 export const getDocument = catchAsync(async (req, res) => {
   const { id } = req.params;
@@ -90,14 +221,14 @@ export const getDocument = catchAsync(async (req, res) => {
     .populate('owner', 'name email')
     .populate('folder', 'name path')
     .populate('sharedWith.user', 'name email')
-    .populate('versions.author', 'name email');
+    .populate('sharedWithTeams.team', 'name');
 
   if (!document) {
     throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
   }
 
   // Check if user has permission to view
-  if (!document.hasPermission(userId, 'viewer')) {
+  if (!(await document.hasEffectivePermission(userId, 'viewer', req.user.teams))) {
     throw new AppError('Access denied', 403, 'ACCESS_DENIED');
   }
 
@@ -105,13 +236,14 @@ export const getDocument = catchAsync(async (req, res) => {
   document.updateLastAccessed(userId);
 
   // Log activity
-  await Activity.logActivity(
-    userId,
-    organizationId,
-    'document_viewed',
-    `Document "${document.title}" viewed`,
-    { documentId: document._id }
-  );
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    document: document._id,
+    action: 'document_viewed',
+    details: `Document "${document.title}" viewed`,
+    metadata: { documentId: document._id }
+  });
 
   res.json({
     success: true,
@@ -136,7 +268,7 @@ export const createDocument = catchAsync(async (req, res) => {
       throw new AppError('Folder not found', 404, 'FOLDER_NOT_FOUND');
     }
 
-    if (!folderDoc.hasPermission(userId, 'editor')) {
+    if (!(await folderDoc.hasEffectivePermission(userId, 'editor', req.user.teams))) {
       throw new AppError('No permission to create documents in this folder', 403, 'FOLDER_ACCESS_DENIED');
     }
   }
@@ -164,13 +296,14 @@ export const createDocument = catchAsync(async (req, res) => {
   }
 
   // Log activity
-  await Activity.logActivity(
-    userId,
-    organizationId,
-    'document_created',
-    `Document "${document.title}" created`,
-    { documentId: document._id, folder }
-  );
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    document: document._id,
+    action: 'document_created',
+    details: `Document "${document.title}" created`,
+    metadata: { documentId: document._id, folder }
+  });
 
   // Populate response
   await document.populate([
@@ -185,6 +318,105 @@ export const createDocument = catchAsync(async (req, res) => {
   });
 });
 
+// Import a document from an uploaded markdown, HTML, text or JSON file
+export const importDocument = catchAsync(async (req, res) => {
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+  const { title, folder, tags, visibility } = req.body;
+  const { originalname, size, buffer, fileType } = req.file;
+
+  // Imported files count against the organization's storage
+  const usage = req.subscriptionUsage;
+  if (usage?.resource === 'storage' && usage.current + size > usage.limit) {
+    throw new AppError(`Storage limit exceeded for ${usage.plan} plan`, 403, 'SUBSCRIPTION_LIMIT_EXCEEDED');
+  }
+
+  // Validate folder if provided
+  if (folder) {
+    const folderDoc = await Folder.findOne({
+      _id: folder,
+      organization: organizationId
+    });
+
+    if (!folderDoc) {
+      throw new AppError('Folder not found', 404, 'FOLDER_NOT_FOUND');
+    }
+
+    if (!(await folderDoc.hasEffectivePermission(userId, 'editor', req.user.teams))) {
+      throw new AppError('No permission to create documents in this folder', 403, 'FOLDER_ACCESS_DENIED');
+    }
+  }
+
+  let imported;
+  try {
+    imported = parseImportFile(buffer, originalname);
+  } catch (error) {
+    throw new AppError(`Could not import ${originalname}: ${error.message}`, 400, 'INVALID_IMPORT_FILE');
+  }
+
+  const document = new Document({
+    title: title || imported.title,
+    content: imported.content,
+    contentType: imported.contentType,
+    owner: userId,
+    organization: organizationId,
+    folder: folder || null,
+    tags: tags?.length ? tags : imported.tags,
+    visibility: visibility || 'private',
+    status: 'draft',
+    metadata: { importedSize: size }
+  });
+
+  await document.save();
+
+  await Organization.updateOne(
+    { _id: organizationId },
+    { $inc: { 'stats.storageUsed': size } }
+  );
+
+  // Update folder stats if document is in a folder
+  if (folder) {
+    const folderDoc = await Folder.findById(folder);
+    if (folderDoc) {
+      await folderDoc.updateStats();
+    }
+  }
+
+  // Log activity
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    document: document._id,
+    action: 'document_imported',
+    details: `Imported "${originalname}" as document "${document.title}"`,
+    category: 'document',
+    severity: 'low',
+    tags: ['import', fileType]
+  });
+
+  // Populate response
+  await document.populate([
+    { path: 'owner', select: 'name email' },
+    { path: 'folder', select: 'name path' }
+  ]);
+
+  res.status(201).json({
+    success: true,
+    message: 'Document imported successfully',
+    data: {
+      document,
+      import: {
+        fileName: originalname,
+        fileType,
+        size,
+        contentType: imported.contentType,
+        sanitized: Boolean(imported.sanitized),
+        fromBundle: Boolean(imported.bundle)
+      }
+    }
+  });
+});
+
 // Update a document
 export const updateDocument = catchAsync(async (req, res) => {
   const { id } = req.params;
@@ -203,12 +435,40 @@ export const updateDocument = catchAsync(async (req, res) => {
   }
 
   // Check if user has permission to edit
-  if (!document.hasPermission(userId, 'editor')) {
+  if (!(await document.hasEffectivePermission(userId, 'editor', req.user.teams))) {
     throw new AppError('No permission to edit this document', 403, 'EDIT_ACCESS_DENIED');
   }
 
+  // Publishing and unpublishing need the document.publish permission
+  const changesPublication = updates.status && updates.status !== document.status &&
+    [updates.status, document.status].includes('published');
+  if (changesPublication && !(await hasPermission(req.user, 'document.publish'))) {
+    throw new AppError('You do not have permission to publish documents', 403, 'PUBLISH_ACCESS_DENIED');
+  }
+
+  // Moving into a folder takes the same access as creating a document there
+  if (updates.folder && updates.folder.toString() !== document.folder?.toString()) {
+    const folderDoc = await Folder.findOne({
+      _id: updates.folder,
+      organization: organizationId
+    });
+
+    if (!folderDoc) {
+      throw new AppError('Folder not found', 404, 'FOLDER_NOT_FOUND');
+    }
+
+    if (!(await folderDoc.hasEffectivePermission(userId, 'editor', req.user.teams))) {
+      throw new AppError('No permission to move documents into this folder', 403, 'FOLDER_ACCESS_DENIED');
+    }
+
+    if (folderDoc.isArchived) {
+      throw new AppError('Cannot move documents into an archived folder', 400, 'FOLDER_ARCHIVED');
+    }
+  }
+
   // Create version if content is being updated
-  if (updates.content && updates.content !== document.content) {
+  const contentChanged = typeof updates.content === 'string' && updates.content !== document.content;
+  if (updates.content && contentChanged) {
     const changeDescription = updates.changeDescription || 'Manual update';
     await document.addVersion(updates.content, userId, changeDescription);
   }
@@ -226,13 +486,25 @@ export const updateDocument = catchAsync(async (req, res) => {
   delete updates.organization;
   delete updates.versions;
   delete updates.sharedWith;
+  delete updates.sharedWithTeams;
+  delete updates.revision; // Advanced only by the collaboration server
   delete updates.changeDescription; // Already used for version creation
 
+  // Folder inheritance has its own endpoint, so keep it when settings are replaced
+  if (updates.settings) {
+    updates.settings = { ...updates.settings, inheritPermissions: document.settings.inheritPermissions };
+  }
+
   // Update document
   Object.assign(document, updates);
   document.updatedAt = new Date();
   await document.save();
 
+  // Live editing sessions would otherwise keep, and later persist, the old content
+  if (contentChanged) {
+    await applyExternalContent(document._id, document.content, req.user);
+  }
+
   // Track document changes with enhanced activity logging
   await Activity.trackDocumentChange(
     document._id,
@@ -278,7 +550,7 @@ export const deleteDocument = catchAsync(async (req, res) => {
   }
 
   // Check if user has permission to delete (owner or admin)
-  if (!document.hasPermission(userId, 'admin') && document.owner.toString() !== userId) {
+  if (!(await document.hasEffectivePermission(userId, 'admin', req.user.teams)) && document.owner.toString() !== userId) {
     throw new AppError('No permission to delete this document', 403, 'DELETE_ACCESS_DENIED');
   }
 
@@ -287,6 +559,14 @@ export const deleteDocument = catchAsync(async (req, res) => {
   document.deletedAt = new Date();
   await document.save();
 
+  // The imported file stops counting against the organization's storage
+  if (document.metadata.importedSize > 0) {
+    await Organization.updateOne(
+      { _id: organizationId },
+      { $inc: { 'stats.storageUsed': -document.metadata.importedSize } }
+    );
+  }
+
   // Update folder stats if document was in a folder
   if (document.folder) {
     const folder = await Folder.findById(document.folder);
@@ -296,13 +576,14 @@ export const deleteDocument = catchAsync(async (req, res) => {
   }
 
   // Log activity
-  await Activity.logActivity(
-    userId,
-    organizationId,
-    'document_deleted',
-    `Document "${document.title}" deleted`,
-    { documentId: document._id }
-  );
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    document: document._id,
+    action: 'document_deleted',
+    details: `Document "${document.title}" deleted`,
+    metadata: { documentId: document._id }
+  });
 
   res.json({
     success: true,
@@ -310,10 +591,12 @@ export const deleteDocument = catchAsync(async (req, res) => {
   });
 });
 
-// Share a document with a user
+// Share a document with a user or a team
 export const shareDocument = catchAsync(async (req, res) => {
   const { id } = req.params;
-  const { userId: targetUserId, permission, expiresAt } = req.body;
+  const { userId: targetUserId, teamId, permission } = req.body;
+  const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : undefined;
+  const expiry = expiresAt ? ` until ${expiresAt.toISOString()}` : '';
   const userId = req.user.id;
   const organizationId = req.user.organization.id;
 
@@ -328,10 +611,36 @@ export const shareDocument = catchAsync(async (req, res) => {
   }
 
   // Check if user has permission to share
-  if (!document.hasPermission(userId, 'admin') && document.owner.toString() !== userId) {
+  if (!(await document.hasEffectivePermission(userId, 'admin', req.user.teams)) && document.owner.toString() !== userId) {
     throw new AppError('No permission to share this document', 403, 'SHARE_ACCESS_DENIED');
   }
 
+  if (teamId) {
+    const team = await Team.findOne({ _id: teamId, organization: organizationId });
+
+    if (!team) {
+      throw new AppError('Team not found in organization', 404, 'TEAM_NOT_FOUND');
+    }
+
+    await document.shareWithTeam(team._id, permission, userId, expiresAt);
+
+    await Activity.logActivity({
+      user: userId,
+      organization: organizationId,
+      document: document._id,
+      action: 'document_shared',
+      details: `Document "${document.title}" shared with team "${team.name}" as ${permission}${expiry}`,
+      category: 'document',
+      metadata: { teamId: team._id, permission }
+    });
+
+    return res.json({
+      success: true,
+      message: 'Document shared with team successfully',
+      data: { expiresAt: expiresAt || null }
+    });
+  }
+
   // Validate target user exists in same organization
   const { User } = await import('../models/User.js');
   const targetUser = await User.findOne({
@@ -348,21 +657,231 @@ export const shareDocument = catchAsync(async (req, res) => {
   await document.shareWith(targetUserId, permission, userId, expiresAt);
 
   // Log activity
-  await Activity.logActivity(
-    userId,
-    organizationId,
-    'document_shared',
-    `Document "${document.title}" shared with ${targetUser.name}`,
-    {
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    document: document._id,
+    action: 'document_shared',
+    details: `Document "${document.title}" shared with ${targetUser.name}${expiry}`,
+    metadata: {
       documentId: document._id,
       targetUserId,
       permission
     }
-  );
+  });
 
   res.json({
     success: true,
-    message: 'Document shared successfully'
+    message: 'Document shared successfully',
+    data: { expiresAt: expiresAt || null }
+  });
+});
+
+// Stop sharing a document with a team
+export const unshareDocumentWithTeam = catchAsync(async (req, res) => {
+  const { id, teamId } = req.params;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  const document = await Document.findOne({
+    _id: id,
+    organization: organizationId,
+    status: { $ne: 'deleted' }
+  });
+
+  if (!document) {
+    throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
+  }
+
+  if (!(await document.hasEffectivePermission(userId, 'admin', req.user.teams))) {
+    throw new AppError('No permission to manage document sharing', 403, 'SHARE_ACCESS_DENIED');
+  }
+
+  if (!document.sharedWithTeams.some(share => share.team.toString() === teamId)) {
+    throw new AppError('Document is not shared with this team', 404, 'TEAM_SHARE_NOT_FOUND');
+  }
+
+  await document.revokeTeamAccess(teamId);
+
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    document: document._id,
+    action: 'document_unshared',
+    details: `Document "${document.title}" no longer shared with a team`,
+    category: 'document',
+    metadata: { teamId }
+  });
+
+  res.json({
+    success: true,
+    message: 'Team access removed successfully'
+  });
+});
+
+// Turn inheritance of folder shares on or off for a document
+export const updateDocumentInheritance = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { inheritPermissions } = req.body;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  const document = await Document.findOne({
+    _id: id,
+    organization: organizationId,
+    status: { $ne: 'deleted' }
+  });
+
+  if (!document) {
+    throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
+  }
+
+  if (!(await document.hasEffectivePermission(userId, 'admin', req.user.teams))) {
+    throw new AppError('No permission to manage document sharing', 403, 'SHARE_ACCESS_DENIED');
+  }
+
+  const previous = document.settings.inheritPermissions !== false;
+  document.settings.inheritPermissions = inheritPermissions;
+  await document.save();
+
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    document: document._id,
+    action: 'document_updated',
+    details: `${inheritPermissions ? 'Restored' : 'Stopped'} folder permission inheritance for document "${document.title}"`,
+    category: 'document',
+    changes: {
+      before: { inheritPermissions: previous },
+      after: { inheritPermissions }
+    }
+  });
+
+  res.json({
+    success: true,
+    message: inheritPermissions ? 'Document now inherits folder permissions' : 'Document no longer inherits folder permissions',
+    data: { inheritPermissions }
+  });
+});
+
+// Explain why a user can or cannot see a document
+export const explainDocumentAccess = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+  const targetUserId = req.query.userId || userId.toString();
+
+  const document = await Document.findOne({
+    _id: id,
+    organization: organizationId,
+    status: { $ne: 'deleted' }
+  }).select('title owner folder visibility settings sharedWith sharedWithTeams');
+
+  if (!document) {
+    throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
+  }
+
+  // Anyone can check their own access; explaining someone else's takes document admin or member.manage
+  if (targetUserId !== userId.toString() &&
+    !(await document.hasEffectivePermission(userId, 'admin', req.user.teams)) &&
+    !(await hasPermission(req.user, 'member.manage'))) {
+    throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+  }
+
+  const targetUser = await User.findOne({
+    _id: targetUserId,
+    organization: organizationId
+  }).select('name email role isActive');
+
+  if (!targetUser) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  const teams = await Team.find({ organization: organizationId, 'members.user': targetUser._id }).select('name');
+  const teamNames = Object.fromEntries(teams.map(team => [team._id.toString(), team.name]));
+  const grants = await document.getAccessGrants(targetUser._id, teams.map(team => team._id));
+  const canView = targetUser.isActive && grants.length > 0;
+  const user = {
+    id: targetUser._id,
+    name: targetUser.name,
+    email: targetUser.email,
+    role: targetUser.role
+  };
+
+  // The document's details, grants and denials are only explained to someone who can see it
+  const requesterCanView = targetUser._id.toString() === userId.toString()
+    ? canView
+    : await document.hasEffectivePermission(userId, 'viewer', req.user.teams);
+  if (!requesterCanView) {
+    return res.json({
+      success: true,
+      data: {
+        user,
+        canView,
+        reason: canView ? 'The user has access to the document' : 'The user has no access to the document'
+      }
+    });
+  }
+
+  const permissionLevels = { viewer: 1, editor: 2, admin: 3 };
+  const best = grants.reduce((strongest, grant) =>
+    !strongest || permissionLevels[grant.permission] > permissionLevels[strongest.permission] ? grant : strongest, null);
+
+  const inheritsPermissions = document.settings.inheritPermissions !== false;
+  const denials = [];
+
+  // Shares that would apply but have run out
+  const expiredShares = [
+    ...document.sharedWith.filter(share => share.user.toString() === targetUser._id.toString()),
+    ...document.sharedWithTeams.filter(share => teamNames[share.team.toString()])
+  ].filter(share => share.expiresAt && share.expiresAt <= new Date());
+
+  if (!targetUser.isActive) {
+    denials.push('The user account is deactivated');
+  }
+  if (grants.length === 0) {
+    denials.push('The user does not own the document');
+    if (expiredShares.length > 0) {
+      denials.push(...expiredShares.map(share => share.team
+        ? `The share with team "${teamNames[share.team.toString()]}" expired on ${share.expiresAt.toISOString()}`
+        : `The share with the user expired on ${share.expiresAt.toISOString()}`));
+    } else {
+      denials.push('The document is not shared with the user or any of their teams');
+    }
+    if (!document.folder) {
+      denials.push('The document is not in a folder, so there is nothing to inherit');
+    } else if (!inheritsPermissions) {
+      denials.push('The document does not inherit permissions from its folder');
+    } else {
+      denials.push('Neither the folder nor its parents are shared with the user or their teams');
+    }
+    denials.push(`The document's visibility is ${document.visibility}`);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      user,
+      document: {
+        id: document._id,
+        title: document.title,
+        folder: document.folder,
+        visibility: document.visibility,
+        inheritPermissions: inheritsPermissions
+      },
+      canView,
+      permission: canView ? best.permission : null,
+      source: canView ? best.source : null,
+      grants: grants.map(({ source, via, permission, team, folder, share }) => ({
+        source,
+        ...(via && { via }),
+        permission,
+        ...(team && { team: { id: team, name: teamNames[team.toString()] } }),
+        ...(folder && { folder }),
+        ...(share && { sharedAt: share.sharedAt, expiresAt: share.expiresAt })
+      })),
+      denials
+    }
   });
 });
 
@@ -377,27 +896,24 @@ export const getDocumentVersions = catchAsync(async (req, res) => {
     _id: id,
     organization: organizationId,
     status: { $ne: 'deleted' }
-  })
-    .populate('versions.editedBy', 'name email')
-    .select('title versions currentVersion');
+  }).select('title owner folder visibility settings sharedWith sharedWithTeams currentVersion');
 
   if (!document) {
     throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
   }
 
   // Check if user has permission to view
-  if (!document.hasPermission(userId, 'viewer')) {
+  if (!(await document.hasEffectivePermission(userId, 'viewer', req.user.teams))) {
     throw new AppError('Access denied', 403, 'ACCESS_DENIED');
   }
 
   // Paginate versions (newest first)
   const startIndex = (page - 1) * limit;
   const endIndex = startIndex + parseInt(limit);
-  const sortedVersions = document.versions
-    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-    .slice(startIndex, endIndex);
-
-  const totalVersions = document.versions.length;
+  const [sortedVersions, totalVersions] = await Promise.all([
+    document.getVersions({ skip: startIndex, limit: parseInt(limit) }),
+    DocumentVersion.countDocuments({ document: document._id })
+  ]);
   const totalPages = Math.ceil(totalVersions / limit);
 
   // Log activity
@@ -442,23 +958,21 @@ export const getDocumentVersion = catchAsync(async (req, res) => {
     _id: id,
     organization: organizationId,
     status: { $ne: 'deleted' }
-  })
-    .populate('versions.editedBy', 'name email')
-    .select('title versions currentVersion');
+  }).select('title owner folder visibility settings sharedWith sharedWithTeams currentVersion');
 
   if (!document) {
     throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
   }
 
   // Check if user has permission to view
-  if (!document.hasPermission(userId, 'viewer')) {
+  if (!(await document.hasEffectivePermission(userId, 'viewer', req.user.teams))) {
     throw new AppError('Access denied', 403, 'ACCESS_DENIED');
   }
 
   // Find the specific version
-  const version = document.versions.find(v => v.versionNumber === parseInt(versionNumber));
+  const version = await document.getVersion(parseInt(versionNumber));
 
-  if (!version) {
+  if (!version || version.content === null) {
     throw new AppError('Version not found', 404, 'VERSION_NOT_FOUND');
   }
 
@@ -505,7 +1019,7 @@ export const restoreDocumentVersion = catchAsync(async (req, res) => {
   }
 
   // Check if user has permission to edit
-  if (!document.hasPermission(userId, 'editor')) {
+  if (!(await document.hasEffectivePermission(userId, 'editor', req.user.teams))) {
     throw new AppError('No permission to edit this document', 403, 'EDIT_ACCESS_DENIED');
   }
 
@@ -519,6 +1033,8 @@ export const restoreDocumentVersion = catchAsync(async (req, res) => {
     throw error;
   }
 
+  await applyExternalContent(document._id, document.content, req.user);
+
   // Log activity
   await Activity.logActivity({
     user: userId,
@@ -534,10 +1050,7 @@ export const restoreDocumentVersion = catchAsync(async (req, res) => {
     }
   });
 
-  await document.populate([
-    { path: 'owner', select: 'name email' },
-    { path: 'versions.editedBy', select: 'name email' }
-  ]);
+  await document.populate('owner', 'name email');
 
   res.json({
     success: true,
@@ -553,7 +1066,7 @@ export const restoreDocumentVersion = catchAsync(async (req, res) => {
 // Compare two document versions
 export const compareDocumentVersions = catchAsync(async (req, res) => {
   const { id } = req.params;
-  const { version1, version2 } = req.query;
+  const { version1, version2, format = 'json', context } = req.query;
   const userId = req.user.id;
   const organizationId = req.user.organization.id;
 
@@ -565,30 +1078,32 @@ export const compareDocumentVersions = catchAsync(async (req, res) => {
     _id: id,
     organization: organizationId,
     status: { $ne: 'deleted' }
-  })
-    .populate('versions.editedBy', 'name email')
-    .select('title versions currentVersion');
+  }).select('title owner folder visibility settings sharedWith sharedWithTeams currentVersion');
 
   if (!document) {
     throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
   }
 
   // Check if user has permission to view
-  if (!document.hasPermission(userId, 'viewer')) {
+  if (!(await document.hasEffectivePermission(userId, 'viewer', req.user.teams))) {
     throw new AppError('Access denied', 403, 'ACCESS_DENIED');
   }
 
   // Find the versions to compare
-  const ver1 = document.versions.find(v => v.versionNumber === parseInt(version1));
-  const ver2 = document.versions.find(v => v.versionNumber === parseInt(version2));
+  const [ver1, ver2] = await Promise.all([
+    document.getVersion(parseInt(version1)),
+    document.getVersion(parseInt(version2))
+  ]);
 
-  if (!ver1 || !ver2) {
+  if (!ver1 || !ver2 || ver1.content === null || ver2.content === null) {
     throw new AppError('One or both versions not found', 404, 'VERSION_NOT_FOUND');
   }
 
   // Use enhanced diff calculation
-  const { generateTextDiff } = await import('../utils/versionControl.js');
-  const diffResult = generateTextDiff(ver1.content, ver2.content);
+  const { generateTextDiff, renderTextDiff } = await import('../utils/versionControl.js');
+  const diffResult = generateTextDiff(ver1.content, ver2.content, {
+    ...(context !== undefined && { context: parseInt(context) })
+  });
 
   // Log activity
   await Activity.logActivity({
@@ -602,10 +1117,22 @@ export const compareDocumentVersions = catchAsync(async (req, res) => {
     metadata: {
       version1: parseInt(version1),
       version2: parseInt(version2),
-      changesCount: diffResult.summary.totalChanges
+      changesCount: diffResult.summary.totalChanges,
+      format
     }
   });
 
+  if (format === 'unified') {
+    return res.type('text/x-diff').send(renderTextDiff(diffResult, 'unified', {
+      oldLabel: `${document.title} (version ${version1})`,
+      newLabel: `${document.title} (version ${version2})`
+    }));
+  }
+
+  if (format === 'html') {
+    return res.type('html').send(renderTextDiff(diffResult, 'html'));
+  }
+
   res.json({
     success: true,
     data: {
@@ -617,12 +1144,105 @@ export const compareDocumentVersions = catchAsync(async (req, res) => {
         version1: ver1,
         version2: ver2,
         diff: diffResult.changes,
+        hunks: diffResult.hunks,
         summary: diffResult.summary
       }
     }
   });
 });
 
+// Export document as markdown, HTML, plain text or a JSON bundle
+export const exportDocument = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+  const { format = 'md', includeVersions = false } = req.query;
+
+  const document = await Document.findOne({
+    _id: id,
+    organization: organizationId,
+    status: { $ne: 'deleted' }
+  });
+
+  if (!document) {
+    throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
+  }
+
+  // Check if user has permission to view
+  if (!(await document.hasEffectivePermission(userId, 'viewer', req.user.teams))) {
+    throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+  }
+
+  // Owners can always take a copy of their own documents
+  const isOwner = document.owner.toString() === userId.toString();
+  if (!isOwner && document.settings?.allowDownload === false) {
+    throw new AppError('Downloads are disabled for this document', 403, 'DOWNLOAD_DISABLED');
+  }
+
+  const versions = format === 'json' && includeVersions
+    ? (await document.exportVersions()).versions
+    : null;
+
+  const { body, mimeType, fileName } = renderExport(document, format, { versions });
+
+  // Log activity
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    document: id,
+    action: 'document_exported',
+    details: `Exported document "${document.title}" as ${format}${versions ? ' with version history' : ''}`,
+    category: 'document',
+    severity: 'low',
+    tags: ['export', format]
+  });
+
+  res.attachment(fileName);
+  res.type(`${mimeType}; charset=utf-8`);
+  res.send(body);
+});
+
+// Get users currently viewing or editing a document
+export const getDocumentPresence = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  const document = await Document.findOne({
+    _id: id,
+    organization: organizationId,
+    status: { $ne: 'deleted' }
+  }).select('title owner folder visibility settings sharedWith sharedWithTeams');
+
+  if (!document) {
+    throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
+  }
+
+  // Check if user has permission to view
+  if (!(await document.hasEffectivePermission(userId, 'viewer', req.user.teams))) {
+    throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+  }
+
+  const users = await listDocumentPresence(id);
+
+  const summary = users.reduce((counts, user) => {
+    counts[user.status] = (counts[user.status] || 0) + 1;
+    return counts;
+  }, { total: users.length, active: 0, idle: 0, away: 0 });
+
+  res.json({
+    success: true,
+    data: {
+      document: {
+        id: document._id,
+        title: document.title
+      },
+      users,
+      summary
+    }
+  });
+});
+
 // Get document activity log
 export const getDocumentActivity = catchAsync(async (req, res) => {
   const { id } = req.params;
@@ -648,7 +1268,7 @@ export const getDocumentActivity = catchAsync(async (req, res) => {
   }
 
   // Check if user has permission to view
-  if (!document.hasPermission(userId, 'viewer')) {
+  if (!(await document.hasEffectivePermission(userId, 'viewer', req.user.teams))) {
     throw new AppError('Access denied', 403, 'ACCESS_DENIED');
   }
 
@@ -736,9 +1356,9 @@ export const getOrganizationActivity = catchAsync(async (req, res) => {
     userId: filterUserId
   } = req.query;
 
-  // Check if user has admin permissions
-  if (req.user.role !== 'admin') {
-    throw new AppError('Admin access required', 403, 'ADMIN_ACCESS_REQUIRED');
+  // Check if user can view the organization's activity
+  if (!(await hasPermission(req.user, 'activity.view'))) {
+    throw new AppError('You do not have permission to view organization activity', 403, 'INSUFFICIENT_PERMISSIONS');
   }
 
   // Build activity query
@@ -0,0 +1,595 @@
+import { Folder } from '../models/Folder.js';
+import { Document } from '../models/Document.js';
+import { Activity } from '../models/Activity.js';
+import { User } from '../models/User.js';
+import { Team } from '../models/Team.js';
+import { catchAsync, AppError } from '../middleware/errorHandler.js';
+import { hasPermission } from '../middleware/role.js';
+
+const MAX_FOLDER_LEVEL = 10;
+
+// Load a folder scoped to the user's organization
+const findFolder = async (folderId, organizationId) => {
+  const folder = await Folder.findOne({
+    _id: folderId,
+    organization: organizationId
+  });
+
+  if (!folder) {
+    throw new AppError('Folder not found', 404, 'FOLDER_NOT_FOUND');
+  }
+
+  return folder;
+};
+
+// Members with folder.manage (admins by default) can act on any folder in their organization
+const hasFolderPermission = async (folder, user, permission = 'viewer') => {
+  if (await hasPermission(user, 'folder.manage')) return true;
+  return folder.hasEffectivePermission(user.id, permission, user.teams);
+};
+
+const refreshStats = async (folderIds) => {
+  const uniqueIds = [...new Set(folderIds.filter(Boolean).map(id => id.toString()))];
+  const folders = await Folder.find({ _id: { $in: uniqueIds } });
+  await Promise.all(folders.map(folder => folder.updateStats()));
+};
+
+const logFolderActivity = (req, action, details, metadata = {}, extra = {}) => {
+  return Activity.logActivity({
+    user: req.user.id,
+    organization: req.user.organization.id,
+    action,
+    details,
+    category: 'document',
+    metadata,
+    ...extra
+  });
+};
+
+// Get folders (optionally the direct children of a parent)
+export const getFolders = catchAsync(async (req, res) => {
+  const { parent } = req.query;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  const folders = parent !== undefined
+    ? await Folder.getFolderTree(organizationId, userId, parent === 'root' ? null : parent, req.user.teams)
+    : await Folder.findByOrganization(organizationId, userId, {}, req.user.teams);
+
+  res.json({
+    success: true,
+    data: { folders }
+  });
+});
+
+// Get the nested folder tree
+export const getFolderTree = catchAsync(async (req, res) => {
+  const { root } = req.query;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  if (root) {
+    const rootFolder = await findFolder(root, organizationId);
+    if (!(await hasFolderPermission(rootFolder, req.user, 'viewer'))) {
+      throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+    }
+  }
+
+  const tree = await Folder.getNestedTree(organizationId, userId, root || null, req.user.teams);
+
+  res.json({
+    success: true,
+    data: { tree }
+  });
+});
+
+// Get a single folder with its subfolders and documents
+export const getFolder = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  const folder = await findFolder(id, organizationId);
+
+  if (!(await hasFolderPermission(folder, req.user, 'viewer'))) {
+    throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+  }
+
+  // Documents in a folder shared with the user are visible unless they opt out of inheritance
+  const sharedFolderIds = await Folder.findSharedFolderIds(organizationId, userId, req.user.teams);
+  const inherited = sharedFolderIds.some(folderId => folderId.equals(folder._id));
+
+  const [subfolders, documents] = await Promise.all([
+    Folder.getFolderTree(organizationId, userId, folder._id, req.user.teams),
+    Document.find({
+      organization: organizationId,
+      folder: folder._id,
+      status: { $ne: 'deleted' },
+      $or: [
+        { owner: userId },
+        { visibility: 'organization' },
+        ...Document.activeShareClauses(userId, req.user.teams),
+        ...(inherited ? [{ 'settings.inheritPermissions': { $ne: false } }] : [])
+      ]
+    })
+      .select('title contentType status visibility owner tags metadata.wordCount updatedAt')
+      .populate('owner', 'name email')
+      .sort({ title: 1 })
+  ]);
+
+  await folder.populate([
+    { path: 'owner', select: 'name email' },
+    { path: 'parent', select: 'name path' },
+    { path: 'sharedWith.user', select: 'name email' },
+    { path: 'sharedWithTeams.team', select: 'name' }
+  ]);
+
+  res.json({
+    success: true,
+    data: { folder, subfolders, documents }
+  });
+});
+
+// Create a new folder
+export const createFolder = catchAsync(async (req, res) => {
+  const { name, description, parent, color, icon, visibility } = req.body;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  let parentFolder = null;
+  if (parent) {
+    parentFolder = await findFolder(parent, organizationId);
+
+    if (!(await hasFolderPermission(parentFolder, req.user, 'editor'))) {
+      throw new AppError('No permission to create folders here', 403, 'FOLDER_ACCESS_DENIED');
+    }
+
+    if (parentFolder.isArchived) {
+      throw new AppError('Cannot create folders inside an archived folder', 400, 'FOLDER_ARCHIVED');
+    }
+
+    if (parentFolder.level + 1 > MAX_FOLDER_LEVEL) {
+      throw new AppError('Maximum folder depth exceeded', 400, 'FOLDER_DEPTH_EXCEEDED');
+    }
+  }
+
+  const folder = new Folder({
+    name,
+    description,
+    owner: userId,
+    organization: organizationId,
+    parent: parentFolder ? parentFolder._id : null,
+    color,
+    icon,
+    visibility: visibility || 'private'
+  });
+
+  await folder.save();
+
+  if (parentFolder) {
+    await parentFolder.updateStats();
+  }
+
+  await logFolderActivity(req, 'folder_created', `Folder "${folder.name}" created`, {
+    folderId: folder._id,
+    parent: folder.parent
+  });
+
+  await folder.populate([
+    { path: 'owner', select: 'name email' },
+    { path: 'parent', select: 'name path' }
+  ]);
+
+  res.status(201).json({
+    success: true,
+    message: 'Folder created successfully',
+    data: { folder }
+  });
+});
+
+// Update folder details
+export const updateFolder = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const organizationId = req.user.organization.id;
+  const updates = req.body;
+
+  const folder = await findFolder(id, organizationId);
+
+  if (!(await hasFolderPermission(folder, req.user, 'editor'))) {
+    throw new AppError('No permission to edit this folder', 403, 'FOLDER_ACCESS_DENIED');
+  }
+
+  const allowedFields = ['name', 'description', 'color', 'icon', 'visibility'];
+  const changes = {};
+  allowedFields.forEach(field => {
+    if (updates[field] !== undefined) {
+      changes[field] = updates[field];
+    }
+  });
+
+  const renamed = changes.name !== undefined && changes.name !== folder.name;
+
+  Object.assign(folder, changes);
+  await folder.save();
+
+  // Child paths embed this folder's name
+  if (renamed) {
+    await folder.refreshDescendantPaths();
+  }
+
+  await logFolderActivity(req, 'folder_updated', `Folder "${folder.name}" updated`, {
+    folderId: folder._id,
+    updatedFields: Object.keys(changes)
+  });
+
+  res.json({
+    success: true,
+    message: 'Folder updated successfully',
+    data: { folder }
+  });
+});
+
+// Move a folder under a new parent (or to the root)
+export const moveFolder = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { parent: newParentId = null } = req.body;
+  const organizationId = req.user.organization.id;
+
+  const folder = await findFolder(id, organizationId);
+
+  if (!(await hasFolderPermission(folder, req.user, 'admin'))) {
+    throw new AppError('No permission to move this folder', 403, 'FOLDER_ACCESS_DENIED');
+  }
+
+  const oldParentId = folder.parent;
+
+  if ((oldParentId ? oldParentId.toString() : null) === (newParentId ? newParentId.toString() : null)) {
+    throw new AppError('Folder is already in this location', 400, 'FOLDER_ALREADY_THERE');
+  }
+
+  let newParent = null;
+  if (newParentId) {
+    newParent = await findFolder(newParentId, organizationId);
+
+    if (!(await hasFolderPermission(newParent, req.user, 'editor'))) {
+      throw new AppError('No permission to move folders into the destination', 403, 'FOLDER_ACCESS_DENIED');
+    }
+
+    if (newParent.isArchived) {
+      throw new AppError('Cannot move folders into an archived folder', 400, 'FOLDER_ARCHIVED');
+    }
+
+    if (await folder.isAncestorOf(newParent._id)) {
+      throw new AppError('Cannot move a folder into itself or one of its subfolders', 400, 'CIRCULAR_FOLDER_REFERENCE');
+    }
+
+    const subtreeDepth = await folder.getSubtreeDepth();
+    if (newParent.level + 1 + subtreeDepth > MAX_FOLDER_LEVEL) {
+      throw new AppError('Maximum folder depth exceeded', 400, 'FOLDER_DEPTH_EXCEEDED');
+    }
+  }
+
+  // Pre-save middleware recomputes path and level from the new parent
+  folder.parent = newParent ? newParent._id : null;
+  await folder.save();
+
+  const updatedDescendants = await folder.refreshDescendantPaths();
+
+  await refreshStats([oldParentId, folder.parent]);
+
+  await logFolderActivity(req, 'folder_moved', `Folder "${folder.name}" moved to ${newParent ? `"${newParent.name}"` : 'root'}`, {
+    folderId: folder._id,
+    from: oldParentId,
+    to: folder.parent,
+    updatedDescendants
+  });
+
+  res.json({
+    success: true,
+    message: 'Folder moved successfully',
+    data: { folder, updatedDescendants }
+  });
+});
+
+// Delete an empty folder
+export const deleteFolder = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const organizationId = req.user.organization.id;
+
+  const folder = await findFolder(id, organizationId);
+
+  if (!(await hasFolderPermission(folder, req.user, 'admin'))) {
+    throw new AppError('No permission to delete this folder', 403, 'FOLDER_ACCESS_DENIED');
+  }
+
+  const [subfolderCount, documentCount] = await Promise.all([
+    Folder.countDocuments({ parent: folder._id }),
+    Document.countDocuments({ folder: folder._id, status: { $ne: 'deleted' } })
+  ]);
+
+  if (subfolderCount > 0 || documentCount > 0) {
+    throw new AppError('Folder is not empty. Move or archive its contents first', 400, 'FOLDER_NOT_EMPTY');
+  }
+
+  await folder.deleteOne();
+
+  if (folder.parent) {
+    await refreshStats([folder.parent]);
+  }
+
+  await logFolderActivity(req, 'folder_deleted', `Folder "${folder.name}" deleted`, {
+    folderId: folder._id
+  });
+
+  res.json({
+    success: true,
+    message: 'Folder deleted successfully'
+  });
+});
+
+// Archive a folder together with its subfolders and documents
+export const archiveFolder = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const organizationId = req.user.organization.id;
+
+  const folder = await findFolder(id, organizationId);
+
+  if (!(await hasFolderPermission(folder, req.user, 'admin'))) {
+    throw new AppError('No permission to archive this folder', 403, 'FOLDER_ACCESS_DENIED');
+  }
+
+  if (folder.isArchived) {
+    throw new AppError('Folder is already archived', 400, 'FOLDER_ALREADY_ARCHIVED');
+  }
+
+  const archivedAt = new Date();
+  const folderIds = [folder._id, ...(await folder.getDescendantIds())];
+
+  const [folderResult, documentResult] = await Promise.all([
+    Folder.updateMany(
+      { _id: { $in: folderIds }, organization: organizationId, isArchived: false },
+      { $set: { isArchived: true, archivedAt } }
+    ),
+    Document.updateMany(
+      { folder: { $in: folderIds }, organization: organizationId, status: { $in: ['draft', 'published'] } },
+      { $set: { status: 'archived', archivedAt } }
+    )
+  ]);
+
+  if (folder.parent) {
+    await refreshStats([folder.parent]);
+  }
+
+  await logFolderActivity(req, 'folder_archived', `Folder "${folder.name}" archived with its contents`, {
+    folderId: folder._id,
+    foldersArchived: folderResult.modifiedCount,
+    documentsArchived: documentResult.modifiedCount
+  }, { severity: 'medium' });
+
+  res.json({
+    success: true,
+    message: 'Folder archived successfully',
+    data: {
+      foldersArchived: folderResult.modifiedCount,
+      documentsArchived: documentResult.modifiedCount
+    }
+  });
+});
+
+// Move documents into a folder
+export const moveDocumentsToFolder = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { documentIds } = req.body;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  const folder = await findFolder(id, organizationId);
+
+  if (!(await hasFolderPermission(folder, req.user, 'editor'))) {
+    throw new AppError('No permission to add documents to this folder', 403, 'FOLDER_ACCESS_DENIED');
+  }
+
+  if (folder.isArchived) {
+    throw new AppError('Cannot move documents into an archived folder', 400, 'FOLDER_ARCHIVED');
+  }
+
+  const documents = await Document.find({
+    _id: { $in: documentIds },
+    organization: organizationId,
+    status: { $ne: 'deleted' }
+  });
+
+  if (documents.length !== documentIds.length) {
+    throw new AppError('One or more documents not found', 404, 'DOCUMENT_NOT_FOUND');
+  }
+
+  const allowed = await Promise.all(documents.map(doc => doc.hasEffectivePermission(userId, 'editor', req.user.teams)));
+  const denied = documents.filter((doc, index) => !allowed[index]);
+  if (denied.length > 0) {
+    throw new AppError('No permission to move one or more documents', 403, 'EDIT_ACCESS_DENIED');
+  }
+
+  const previousFolders = documents.map(doc => doc.folder);
+
+  await Document.updateMany(
+    { _id: { $in: documents.map(doc => doc._id) } },
+    { $set: { folder: folder._id } }
+  );
+
+  await refreshStats([...previousFolders, folder._id]);
+
+  await Promise.all(documents.map(doc => Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    document: doc._id,
+    action: 'document_moved',
+    details: `Document "${doc.title}" moved to folder "${folder.name}"`,
+    category: 'document',
+    metadata: { from: doc.folder, to: folder._id }
+  })));
+
+  res.json({
+    success: true,
+    message: 'Documents moved successfully',
+    data: {
+      folderId: folder._id,
+      movedDocuments: documents.map(doc => doc._id)
+    }
+  });
+});
+
+// Move a document out of a folder back to the root
+export const removeDocumentFromFolder = catchAsync(async (req, res) => {
+  const { id, documentId } = req.params;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  const folder = await findFolder(id, organizationId);
+
+  const document = await Document.findOne({
+    _id: documentId,
+    organization: organizationId,
+    folder: folder._id,
+    status: { $ne: 'deleted' }
+  });
+
+  if (!document) {
+    throw new AppError('Document not found in this folder', 404, 'DOCUMENT_NOT_FOUND');
+  }
+
+  if (!(await document.hasEffectivePermission(userId, 'editor', req.user.teams))) {
+    throw new AppError('No permission to move this document', 403, 'EDIT_ACCESS_DENIED');
+  }
+
+  document.folder = null;
+  await document.save();
+
+  await folder.updateStats();
+
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    document: document._id,
+    action: 'document_moved',
+    details: `Document "${document.title}" moved out of folder "${folder.name}"`,
+    category: 'document',
+    metadata: { from: folder._id, to: null }
+  });
+
+  res.json({
+    success: true,
+    message: 'Document removed from folder successfully'
+  });
+});
+
+// Share a folder with a user
+export const shareFolder = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { userId: targetUserId, teamId, permission } = req.body;
+  const organizationId = req.user.organization.id;
+
+  const folder = await findFolder(id, organizationId);
+
+  if (!(await hasFolderPermission(folder, req.user, 'admin'))) {
+    throw new AppError('No permission to share this folder', 403, 'SHARE_ACCESS_DENIED');
+  }
+
+  if (teamId) {
+    const team = await Team.findOne({ _id: teamId, organization: organizationId });
+
+    if (!team) {
+      throw new AppError('Team not found in organization', 404, 'TEAM_NOT_FOUND');
+    }
+
+    await folder.shareWithTeam(team._id, permission, req.user.id);
+
+    await logFolderActivity(req, 'folder_shared', `Folder "${folder.name}" shared with team "${team.name}" as ${permission}`, {
+      folderId: folder._id,
+      teamId: team._id,
+      permission
+    });
+
+    return res.json({
+      success: true,
+      message: 'Folder shared with team successfully'
+    });
+  }
+
+  const targetUser = await User.findOne({
+    _id: targetUserId,
+    organization: organizationId,
+    isActive: true
+  });
+
+  if (!targetUser) {
+    throw new AppError('Target user not found in organization', 404, 'TARGET_USER_NOT_FOUND');
+  }
+
+  await folder.shareWith(targetUserId, permission, req.user.id);
+
+  await logFolderActivity(req, 'folder_shared', `Folder "${folder.name}" shared with ${targetUser.name}`, {
+    folderId: folder._id,
+    targetUserId,
+    permission
+  }, { relatedUsers: [targetUser._id] });
+
+  res.json({
+    success: true,
+    message: 'Folder shared successfully'
+  });
+});
+
+// Remove folder sharing for a user
+export const unshareFolder = catchAsync(async (req, res) => {
+  const { id, userId: targetUserId } = req.params;
+  const organizationId = req.user.organization.id;
+
+  const folder = await findFolder(id, organizationId);
+
+  if (!(await hasFolderPermission(folder, req.user, 'admin'))) {
+    throw new AppError('No permission to manage folder sharing', 403, 'SHARE_ACCESS_DENIED');
+  }
+
+  folder.sharedWith = folder.sharedWith.filter(
+    share => share.user.toString() !== targetUserId
+  );
+  await folder.save();
+
+  await logFolderActivity(req, 'folder_unshared', `Folder "${folder.name}" sharing removed`, {
+    folderId: folder._id,
+    targetUserId
+  }, { relatedUsers: [targetUserId] });
+
+  res.json({
+    success: true,
+    message: 'Folder sharing removed successfully'
+  });
+});
+
+// Stop sharing a folder with a team
+export const unshareFolderWithTeam = catchAsync(async (req, res) => {
+  const { id, teamId } = req.params;
+  const organizationId = req.user.organization.id;
+
+  const folder = await findFolder(id, organizationId);
+
+  if (!(await hasFolderPermission(folder, req.user, 'admin'))) {
+    throw new AppError('No permission to manage folder sharing', 403, 'SHARE_ACCESS_DENIED');
+  }
+
+  if (!folder.sharedWithTeams.some(share => share.team.toString() === teamId)) {
+    throw new AppError('Folder is not shared with this team', 404, 'TEAM_SHARE_NOT_FOUND');
+  }
+
+  await folder.revokeTeamAccess(teamId);
+
+  await logFolderActivity(req, 'folder_unshared', `Folder "${folder.name}" no longer shared with a team`, {
+    folderId: folder._id,
+    teamId
+  });
+
+  res.json({
+    success: true,
+    message: 'Team access removed successfully'
+  });
+});
@@ -2,8 +2,15 @@ import { Organization } from '../models/Organization.js';
 import { User } from '../models/User.js';
 import { Document } from '../models/Document.js';
 import { Activity } from '../models/Activity.js';
+import { Invitation } from '../models/Invitation.js';
+import { Role } from '../models/Role.js';
 import { logger } from '../config/logger.js';
 import { catchAsync, AppError } from '../middleware/errorHandler.js';
+import { hasPermission, canGrantRole } from '../middleware/role.js';
+import { sendInvitationEmail } from '../utils/accountEmails.js';
+import { encryptSecret } from '../utils/tokens.js';
+import { getLockoutPolicy } from '../utils/accountLockout.js';
+import { discover, OidcError } from '../utils/oidc.js';
 
 // Get organization details
 export const getOrganization = catchAsync(async (req, res) => {
@@ -29,9 +36,9 @@ export const updateOrganization = catchAsync(async (req, res) => {
   const userId = req.user.id;
   const updates = req.body;
 
-  // Only admin can update organization
-  if (req.user.role !== 'admin') {
-    throw new AppError('Only administrators can update organization details', 403, 'ADMIN_REQUIRED');
+  // Only members with organization.manage can update the organization
+  if (!(await hasPermission(req.user, 'organization.manage'))) {
+    throw new AppError('You do not have permission to update organization details', 403, 'INSUFFICIENT_PERMISSIONS');
   }
 
   const organization = await Organization.findById(organizationId);
@@ -45,22 +52,29 @@ export const updateOrganization = catchAsync(async (req, res) => {
   delete updates.domain;
   delete updates.subscription;
   delete updates.stats;
+  delete updates.sso;
   delete updates.settings.apiKeys;
   delete updates.settings.webhooks;
 
   // Update organization
   Object.assign(organization, updates);
   organization.updatedAt = new Date();
+
+  // Checked against the resulting settings, since a request may change only one of the two
+  const lockout = getLockoutPolicy(organization);
+  if (lockout.progressiveDelayAfter >= lockout.maxFailedAttempts) {
+    throw new AppError('Progressive delays must start before the account is locked', 400, 'VALIDATION_ERROR');
+  }
   await organization.save();
 
   // Log activity
-  await Activity.logActivity(
-    userId,
-    organizationId,
-    'organization_updated',
-    'Organization details updated',
-    { updatedFields: Object.keys(updates) }
-  );
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    action: 'organization_updated',
+    details: 'Organization details updated',
+    metadata: { updatedFields: Object.keys(updates) }
+  });
 
   res.json({
     success: true,
@@ -120,89 +134,222 @@ export const getMembers = catchAsync(async (req, res) => {
   });
 });
 
-// Invite a new member
-export const inviteMember = catchAsync(async (req, res) => {
+// Shape an invitation for API responses
+const formatInvitation = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  name: invitation.name,
+  role: invitation.role,
+  status: invitation.isExpired ? 'expired' : invitation.status,
+  invitedBy: invitation.invitedBy,
+  expiresAt: invitation.expiresAt,
+  sentCount: invitation.sentCount,
+  lastSentAt: invitation.lastSentAt,
+  acceptedAt: invitation.acceptedAt,
+  revokedAt: invitation.revokedAt,
+  createdAt: invitation.createdAt
+});
+
+// Email an invitation link; a mail failure is reported but keeps the invitation
+const deliverInvitation = async (invitation, token, req) => {
+  const inviter = await User.findById(req.user.id).select('name');
+
+  try {
+    await sendInvitationEmail(invitation, token, {
+      organizationName: req.user.organization.name,
+      inviterName: inviter?.name || 'An administrator'
+    });
+    return true;
+  } catch (error) {
+    logger.error(`Could not send invitation email to ${invitation.email}:`, error);
+    return false;
+  }
+};
+
+// Load an invitation scoped to the user's organization
+const findInvitation = async (invitationId, organizationId) => {
+  const invitation = await Invitation.findOne({
+    _id: invitationId,
+    organization: organizationId
+  });
+
+  if (!invitation) {
+    throw new AppError('Invitation not found', 404, 'INVITATION_NOT_FOUND');
+  }
+
+  return invitation;
+};
+
+// Invite someone to join the organization by email
+export const createInvitation = catchAsync(async (req, res) => {
   const { email, role = 'viewer', name } = req.body;
   const organizationId = req.user.organization.id;
   const userId = req.user.id;
 
-  // Only admin can invite members
-  if (req.user.role !== 'admin') {
-    throw new AppError('Only administrators can invite members', 403, 'ADMIN_REQUIRED');
+  // Only members with member.invite can invite members
+  if (!(await hasPermission(req.user, 'member.invite'))) {
+    throw new AppError('You do not have permission to invite members', 403, 'INSUFFICIENT_PERMISSIONS');
   }
 
-  // Check if user already exists in organization
-  const existingUser = await User.findOne({
-    email,
-    organization: organizationId
-  });
+  if (!(await Role.isAssignable(organizationId, role))) {
+    throw new AppError('Role does not exist in this organization', 400, 'ROLE_NOT_FOUND');
+  }
 
-  if (existingUser) {
-    throw new AppError('User already exists in organization', 400, 'USER_EXISTS');
+  if (!(await canGrantRole(req.user, role))) {
+    throw new AppError('You cannot invite members with permissions you do not have', 403, 'ROLE_NOT_GRANTABLE');
   }
 
-  // Get organization for subscription limits
-  const organization = await Organization.findById(organizationId);
-  if (!organization) {
-    throw new AppError('Organization not found', 404, 'ORGANIZATION_NOT_FOUND');
+  // Email addresses identify a single account across organizations
+  const existingUser = await User.findOne({ email }).select('organization');
+  if (existingUser) {
+    if (existingUser.organization.toString() === organizationId.toString()) {
+      throw new AppError('User already exists in organization', 400, 'USER_EXISTS');
+    }
+    throw new AppError('This email already belongs to another organization', 409, 'EMAIL_IN_USE');
   }
 
-  // Check subscription limits
-  const currentMemberCount = await User.countDocuments({
+  const pending = await Invitation.findOne({
     organization: organizationId,
-    isActive: true
+    email,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
   });
 
-  const maxMembers = organization.subscription.limits.users;
-  if (currentMemberCount >= maxMembers) {
-    throw new AppError(
-      `Member limit reached. Current plan allows ${maxMembers} members.`,
-      400,
-      'MEMBER_LIMIT_REACHED'
-    );
+  if (pending) {
+    throw new AppError('An invitation is already pending for this email, resend it instead', 409, 'INVITATION_EXISTS');
   }
 
-  // Create user with temporary password
-  const tempPassword = Math.random().toString(36).slice(-8);
-  const newUser = new User({
-    name: name || email.split('@')[0],
+  const invitation = new Invitation({
+    organization: organizationId,
     email,
-    password: tempPassword,
+    name,
     role,
+    invitedBy: userId
+  });
+  const token = invitation.issueToken();
+  await invitation.save();
+
+  const emailSent = await deliverInvitation(invitation, token, req);
+
+  await Activity.logActivity({
+    user: userId,
     organization: organizationId,
-    isActive: true,
-    emailVerified: false
+    action: 'user_invited',
+    details: `Invited ${email} as ${role}`,
+    category: 'user',
+    severity: 'medium'
+  });
+
+  res.status(201).json({
+    success: true,
+    message: emailSent ? 'Invitation sent successfully' : 'Invitation created but the email could not be sent',
+    data: {
+      invitation: formatInvitation(invitation),
+      emailSent
+    }
   });
+});
 
-  await newUser.save();
+// List the organization's invitations
+export const getInvitations = catchAsync(async (req, res) => {
+  const { status } = req.query;
+  const organizationId = req.user.organization.id;
 
-  // TODO: Send invitation email with temporary password
-  // This would typically integrate with an email service
+  const query = { organization: organizationId };
+  const now = new Date();
+
+  // Expired is derived from a pending invitation's expiry date
+  if (status === 'expired') {
+    query.status = 'pending';
+    query.expiresAt = { $lte: now };
+  } else if (status === 'pending') {
+    query.status = 'pending';
+    query.expiresAt = { $gt: now };
+  } else if (status) {
+    query.status = status;
+  }
 
-  // Log activity
-  await Activity.logActivity(
-    userId,
-    organizationId,
-    'member_invited',
-    `New member invited: ${email}`,
-    { invitedUserId: newUser._id, role }
-  );
+  const invitations = await Invitation.find(query)
+    .populate('invitedBy', 'name email')
+    .sort({ createdAt: -1 });
 
-  // Update organization stats
-  await organization.updateStats();
+  res.json({
+    success: true,
+    data: {
+      invitations: invitations.map(formatInvitation)
+    }
+  });
+});
 
-  res.status(201).json({
+// Send a pending or expired invitation again with a fresh link
+export const resendInvitation = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const organizationId = req.user.organization.id;
+  const userId = req.user.id;
+
+  const invitation = await findInvitation(id, organizationId);
+
+  if (invitation.status !== 'pending') {
+    throw new AppError(`Invitation has been ${invitation.status}`, 400, 'INVITATION_NOT_PENDING');
+  }
+
+  // The old link stops working once a new token is issued
+  const token = invitation.issueToken();
+  await invitation.save();
+
+  const emailSent = await deliverInvitation(invitation, token, req);
+
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    action: 'user_invited',
+    details: `Invitation resent to ${invitation.email}`,
+    category: 'user',
+    severity: 'low'
+  });
+
+  res.json({
     success: true,
-    message: 'Member invited successfully',
+    message: emailSent ? 'Invitation resent successfully' : 'Invitation renewed but the email could not be sent',
     data: {
-      user: {
-        id: newUser._id,
-        name: newUser.name,
-        email: newUser.email,
-        role: newUser.role,
-        isActive: newUser.isActive,
-        createdAt: newUser.createdAt
-      }
+      invitation: formatInvitation(invitation),
+      emailSent
+    }
+  });
+});
+
+// Revoke a pending invitation so its link can no longer be used
+export const revokeInvitation = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const organizationId = req.user.organization.id;
+  const userId = req.user.id;
+
+  const invitation = await findInvitation(id, organizationId);
+
+  if (invitation.status !== 'pending') {
+    throw new AppError(`Invitation has been ${invitation.status}`, 400, 'INVITATION_NOT_PENDING');
+  }
+
+  invitation.status = 'revoked';
+  invitation.revokedAt = new Date();
+  invitation.revokedBy = userId;
+  invitation.tokenHash = undefined;
+  await invitation.save();
+
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    action: 'invitation_revoked',
+    details: `Invitation for ${invitation.email} revoked`,
+    category: 'user',
+    severity: 'medium'
+  });
+
+  res.json({
+    success: true,
+    message: 'Invitation revoked successfully',
+    data: {
+      invitation: formatInvitation(invitation)
     }
   });
 });
@@ -214,9 +361,13 @@ export const updateMemberRole = catchAsync(async (req, res) => {
   const organizationId = req.user.organization.id;
   const userId = req.user.id;
 
-  // Only admin can update member roles
-  if (req.user.role !== 'admin') {
-    throw new AppError('Only administrators can update member roles', 403, 'ADMIN_REQUIRED');
+  // Only members with member.manage can update member roles
+  if (!(await hasPermission(req.user, 'member.manage'))) {
+    throw new AppError('You do not have permission to update member roles', 403, 'INSUFFICIENT_PERMISSIONS');
+  }
+
+  if (!(await Role.isAssignable(organizationId, role))) {
+    throw new AppError('Role does not exist in this organization', 400, 'ROLE_NOT_FOUND');
   }
 
   const member = await User.findOne({
@@ -229,23 +380,28 @@ export const updateMemberRole = catchAsync(async (req, res) => {
   }
 
   // Cannot change own role
-  if (member._id.toString() === userId) {
+  if (member._id.equals(userId)) {
     throw new AppError('Cannot change your own role', 400, 'CANNOT_CHANGE_OWN_ROLE');
   }
 
+  // Members can neither hand out nor take away more than their own role grants
+  if (!(await canGrantRole(req.user, role)) || !(await canGrantRole(req.user, member.role))) {
+    throw new AppError('You cannot assign a role with permissions you do not have', 403, 'ROLE_NOT_GRANTABLE');
+  }
+
   const oldRole = member.role;
   member.role = role;
   member.updatedAt = new Date();
   await member.save();
 
   // Log activity
-  await Activity.logActivity(
-    userId,
-    organizationId,
-    'member_role_updated',
-    `Member role updated: ${member.email} from ${oldRole} to ${role}`,
-    { memberId, oldRole, newRole: role }
-  );
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    action: 'user_role_changed',
+    details: `Member role updated: ${member.email} from ${oldRole} to ${role}`,
+    metadata: { memberId, oldRole, newRole: role }
+  });
 
   res.json({
     success: true,
@@ -268,9 +424,9 @@ export const removeMember = catchAsync(async (req, res) => {
   const organizationId = req.user.organization.id;
   const userId = req.user.id;
 
-  // Only admin can remove members
-  if (req.user.role !== 'admin') {
-    throw new AppError('Only administrators can remove members', 403, 'ADMIN_REQUIRED');
+  // Only members with member.manage can remove members
+  if (!(await hasPermission(req.user, 'member.manage'))) {
+    throw new AppError('You do not have permission to remove members', 403, 'INSUFFICIENT_PERMISSIONS');
   }
 
   const member = await User.findOne({
@@ -283,7 +439,7 @@ export const removeMember = catchAsync(async (req, res) => {
   }
 
   // Cannot remove self
-  if (member._id.toString() === userId) {
+  if (member._id.equals(userId)) {
     throw new AppError('Cannot remove yourself from organization', 400, 'CANNOT_REMOVE_SELF');
   }
 
@@ -299,13 +455,13 @@ export const removeMember = catchAsync(async (req, res) => {
   );
 
   // Log activity
-  await Activity.logActivity(
-    userId,
-    organizationId,
-    'member_removed',
-    `Member removed: ${member.email}`,
-    { removedMemberId: memberId }
-  );
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    action: 'user_removed',
+    details: `Member removed: ${member.email}`,
+    metadata: { removedMemberId: memberId }
+  });
 
   // Update organization stats
   const organization = await Organization.findById(organizationId);
@@ -323,9 +479,9 @@ export const removeMember = catchAsync(async (req, res) => {
 export const getStats = catchAsync(async (req, res) => {
   const organizationId = req.user.organization.id;
 
-  // Only admin can view detailed stats
-  if (req.user.role !== 'admin') {
-    throw new AppError('Only administrators can view organization statistics', 403, 'ADMIN_REQUIRED');
+  // Only members with activity.view can see detailed stats
+  if (!(await hasPermission(req.user, 'activity.view'))) {
+    throw new AppError('You do not have permission to view organization statistics', 403, 'INSUFFICIENT_PERMISSIONS');
   }
 
   const organization = await Organization.findById(organizationId);
@@ -377,3 +533,107 @@ export const getStats = catchAsync(async (req, res) => {
     data: { stats }
   });
 });
+
+// Shape the SSO configuration for responses; the client secret is never returned
+const formatSsoConfig = (organization) => ({
+  enabled: organization.sso?.enabled || false,
+  issuer: organization.sso?.issuer || null,
+  clientId: organization.sso?.clientId || null,
+  hasClientSecret: Boolean(organization.sso?.clientSecret),
+  allowedDomains: organization.sso?.allowedDomains?.length ? organization.sso.allowedDomains : [organization.domain],
+  defaultRole: organization.sso?.defaultRole || 'viewer',
+  autoProvision: organization.sso?.autoProvision ?? true,
+  disablePasswordLogin: organization.sso?.disablePasswordLogin || false
+});
+
+// Get the organization's single sign-on configuration
+export const getSsoConfig = catchAsync(async (req, res) => {
+  const organization = await Organization.findById(req.user.organization.id).select('+sso.clientSecret');
+
+  if (!organization) {
+    throw new AppError('Organization not found', 404, 'ORGANIZATION_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: { sso: formatSsoConfig(organization) }
+  });
+});
+
+// Configure OpenID Connect single sign-on
+export const updateSsoConfig = catchAsync(async (req, res) => {
+  const organizationId = req.user.organization.id;
+  const {
+    enabled,
+    issuer,
+    clientId,
+    clientSecret,
+    allowedDomains,
+    defaultRole,
+    autoProvision,
+    disablePasswordLogin
+  } = req.body;
+
+  const organization = await Organization.findById(organizationId).select('+sso.clientSecret');
+
+  if (!organization) {
+    throw new AppError('Organization not found', 404, 'ORGANIZATION_NOT_FOUND');
+  }
+
+  // Only the organization's own domain and its subdomains can be trusted
+  if (allowedDomains) {
+    const foreign = allowedDomains.filter(domain => domain !== organization.domain && !domain.endsWith(`.${organization.domain}`));
+    if (foreign.length > 0) {
+      throw new AppError(`Allowed domains must be ${organization.domain} or one of its subdomains: ${foreign.join(', ')}`, 400, 'INVALID_SSO_DOMAIN');
+    }
+  }
+
+  if (issuer !== undefined) organization.sso.issuer = issuer.replace(/\/+$/, '');
+  if (clientId !== undefined) organization.sso.clientId = clientId;
+  if (clientSecret) organization.sso.clientSecret = encryptSecret(clientSecret);
+  if (allowedDomains !== undefined) organization.sso.allowedDomains = [...new Set(allowedDomains)];
+  if (defaultRole !== undefined) organization.sso.defaultRole = defaultRole;
+  if (autoProvision !== undefined) organization.sso.autoProvision = autoProvision;
+  if (disablePasswordLogin !== undefined) organization.sso.disablePasswordLogin = disablePasswordLogin;
+  if (enabled !== undefined) organization.sso.enabled = enabled;
+
+  if (organization.sso.enabled) {
+    if (!organization.sso.issuer || !organization.sso.clientId || !organization.sso.clientSecret) {
+      throw new AppError('Issuer, client ID and client secret are required to enable single sign-on', 400, 'SSO_INCOMPLETE');
+    }
+
+    if (process.env.NODE_ENV === 'production' && !organization.sso.issuer.startsWith('https://')) {
+      throw new AppError('Issuer must use HTTPS', 400, 'INVALID_SSO_ISSUER');
+    }
+
+    // Check the provider answers before anyone depends on it
+    try {
+      await discover(organization.sso.issuer);
+    } catch (error) {
+      if (error instanceof OidcError) {
+        throw new AppError(`Could not load the provider configuration: ${error.message}`, 400, 'SSO_DISCOVERY_FAILED');
+      }
+      throw error;
+    }
+  }
+
+  await organization.save();
+
+  await Activity.logActivity({
+    user: req.user.id,
+    organization: organizationId,
+    action: 'sso_configured',
+    details: `Single sign-on ${organization.sso.enabled ? 'enabled' : 'disabled'} (${organization.sso.issuer || 'no issuer'})`,
+    category: 'security',
+    severity: 'high',
+    tags: ['sso']
+  });
+
+  logger.info(`SSO configuration updated for organization ${organization.domain}`);
+
+  res.json({
+    success: true,
+    message: 'Single sign-on configuration updated successfully',
+    data: { sso: formatSsoConfig(organization) }
+  });
+});
@@ -0,0 +1,200 @@
+import { Role, PERMISSIONS } from '../models/Role.js';
+import { User } from '../models/User.js';
+import { Invitation } from '../models/Invitation.js';
+import { Activity } from '../models/Activity.js';
+import { catchAsync, AppError } from '../middleware/errorHandler.js';
+import { missingPermissions } from '../middleware/role.js';
+
+// Custom roles an organization can define on top of the defaults
+const MAX_CUSTOM_ROLES = 50;
+
+// Shape a role for responses
+const formatRole = (role, memberCount = 0) => ({
+  id: role._id,
+  key: role.key,
+  name: role.name,
+  description: role.description,
+  permissions: role.permissions,
+  isDefault: role.isDefault,
+  memberCount,
+  createdAt: role.createdAt,
+  updatedAt: role.updatedAt
+});
+
+// Roles can only be given permissions the user's own role grants, so nobody can raise their own access
+const ensureCanGrant = async (user, permissions) => {
+  const missing = await missingPermissions(user, permissions);
+  if (missing.length > 0) {
+    throw new AppError(`You cannot grant permissions you do not have: ${missing.join(', ')}`, 403, 'PERMISSION_NOT_GRANTABLE');
+  }
+};
+
+// Load one of the organization's roles
+const findRole = async (id, organizationId) => {
+  const role = await Role.findOne({ _id: id, organization: organizationId });
+
+  if (!role) {
+    throw new AppError('Role not found', 404, 'ROLE_NOT_FOUND');
+  }
+
+  return role;
+};
+
+// List the organization's roles with member counts and the permissions roles can grant
+export const getRoles = catchAsync(async (req, res) => {
+  const organizationId = req.user.organization.id;
+
+  // Organizations created before custom roles get their defaults on first use
+  await Role.seedDefaults(organizationId);
+
+  const [roles, counts] = await Promise.all([
+    Role.find({ organization: organizationId }).sort({ isDefault: -1, name: 1 }),
+    User.aggregate([
+      { $match: { organization: organizationId } },
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const memberCounts = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+
+  res.json({
+    success: true,
+    data: {
+      roles: roles.map(role => formatRole(role, memberCounts[role.key])),
+      permissions: PERMISSIONS
+    }
+  });
+});
+
+// Create a custom role
+export const createRole = catchAsync(async (req, res) => {
+  const { key, name, description, permissions } = req.body;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  await Role.seedDefaults(organizationId);
+  await ensureCanGrant(req.user, permissions || []);
+
+  if (await Role.exists({ organization: organizationId, key })) {
+    throw new AppError(`A role with the key "${key}" already exists`, 409, 'ROLE_EXISTS');
+  }
+
+  const customRoles = await Role.countDocuments({ organization: organizationId, isDefault: false });
+  if (customRoles >= MAX_CUSTOM_ROLES) {
+    throw new AppError(`Organizations can have at most ${MAX_CUSTOM_ROLES} custom roles`, 400, 'ROLE_LIMIT_REACHED');
+  }
+
+  const role = await Role.create({
+    organization: organizationId,
+    key,
+    name,
+    description,
+    permissions,
+    createdBy: userId
+  });
+
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    action: 'role_created',
+    details: `Created role "${role.name}" (${role.key}) with permissions ${role.permissions.join(', ') || 'none'}`,
+    category: 'organization',
+    severity: 'medium',
+    tags: ['role', role.key]
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Role created successfully',
+    data: { role: formatRole(role) }
+  });
+});
+
+// Update a role's name, description or permissions; changes apply to its members on their next request
+export const updateRole = catchAsync(async (req, res) => {
+  const { name, description, permissions } = req.body;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  const role = await findRole(req.params.id, organizationId);
+
+  if (permissions !== undefined && role.key === 'admin') {
+    throw new AppError('The admin role always has every permission', 400, 'ROLE_PERMISSIONS_LOCKED');
+  }
+
+  const previousPermissions = [...role.permissions];
+
+  if (permissions !== undefined) {
+    await ensureCanGrant(req.user, permissions.filter(permission => !previousPermissions.includes(permission)));
+  }
+
+  if (name !== undefined) role.name = name;
+  if (description !== undefined) role.description = description;
+  if (permissions !== undefined) role.permissions = permissions;
+  await role.save();
+
+  const added = role.permissions.filter(permission => !previousPermissions.includes(permission));
+  const removed = previousPermissions.filter(permission => !role.permissions.includes(permission));
+
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    action: 'role_updated',
+    details: `Updated role "${role.name}" (${role.key})` +
+      (added.length ? `, added ${added.join(', ')}` : '') +
+      (removed.length ? `, removed ${removed.join(', ')}` : ''),
+    changes: {
+      before: { permissions: previousPermissions },
+      after: { permissions: role.permissions }
+    },
+    category: 'organization',
+    severity: 'medium',
+    tags: ['role', role.key]
+  });
+
+  const memberCount = await User.countDocuments({ organization: organizationId, role: role.key });
+
+  res.json({
+    success: true,
+    message: 'Role updated successfully',
+    data: { role: formatRole(role, memberCount) }
+  });
+});
+
+// Delete a custom role that nobody holds
+export const deleteRole = catchAsync(async (req, res) => {
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  const role = await findRole(req.params.id, organizationId);
+
+  if (role.isDefault) {
+    throw new AppError('Default roles cannot be deleted', 400, 'DEFAULT_ROLE');
+  }
+
+  const [memberCount, invitationCount] = await Promise.all([
+    User.countDocuments({ organization: organizationId, role: role.key }),
+    Invitation.countDocuments({ organization: organizationId, role: role.key, status: 'pending', expiresAt: { $gt: new Date() } })
+  ]);
+
+  if (memberCount > 0 || invitationCount > 0) {
+    throw new AppError('Move members and pending invitations to another role before deleting this one', 409, 'ROLE_IN_USE');
+  }
+
+  await role.deleteOne();
+
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    action: 'role_deleted',
+    details: `Deleted role "${role.name}" (${role.key})`,
+    category: 'organization',
+    severity: 'medium',
+    tags: ['role', role.key]
+  });
+
+  res.json({
+    success: true,
+    message: 'Role deleted successfully'
+  });
+});
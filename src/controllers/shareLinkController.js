@@ -0,0 +1,375 @@
+import { ShareLink } from '../models/ShareLink.js';
+import { Document } from '../models/Document.js';
+import { Organization } from '../models/Organization.js';
+import { Comment } from '../models/Comment.js';
+import { Activity } from '../models/Activity.js';
+import { catchAsync, AppError } from '../middleware/errorHandler.js';
+import { convertContent, renderExport, sanitizeImportedHtml } from '../utils/documentFormats.js';
+
+// Active links a document can have at once
+const MAX_ACTIVE_LINKS = 20;
+
+// Wrong passwords a link accepts before it is locked, and for how long
+const SHARE_LINK_MAX_PASSWORD_ATTEMPTS = parseInt(process.env.SHARE_LINK_MAX_PASSWORD_ATTEMPTS) || 5;
+const SHARE_LINK_LOCKOUT_MINUTES = parseInt(process.env.SHARE_LINK_LOCKOUT_MINUTES) || 15;
+
+// Shared pages may only show their own markup, inline styles and images
+const SHARED_PAGE_CSP = "sandbox; default-src 'none'; style-src 'unsafe-inline'; img-src https: data:";
+
+// Shape a share link for responses; the token itself is never stored
+const formatShareLink = (link) => ({
+  id: link._id,
+  document: link.document,
+  permission: link.permission,
+  status: link.revokedAt ? 'revoked'
+    : link.expiresAt && link.expiresAt <= new Date() ? 'expired'
+      : link.isExhausted ? 'exhausted' : 'active',
+  requiresPassword: link.requiresPassword,
+  expiresAt: link.expiresAt,
+  maxViews: link.maxViews,
+  viewCount: link.viewCount,
+  lastViewedAt: link.lastViewedAt,
+  createdBy: link.createdBy,
+  createdAt: link.createdAt,
+  revokedAt: link.revokedAt
+});
+
+// Load a document the user can manage links for
+const findManagedDocument = async (req) => {
+  const document = await Document.findOne({
+    _id: req.params.id,
+    organization: req.user.organization.id,
+    status: { $ne: 'deleted' }
+  });
+
+  if (!document) {
+    throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
+  }
+
+  if (!(await document.hasEffectivePermission(req.user.id, 'admin', req.user.teams))) {
+    throw new AppError('No permission to manage share links for this document', 403, 'SHARE_ACCESS_DENIED');
+  }
+
+  return document;
+};
+
+// Count a wrong password against the link, locking it once the limit is reached
+const handlePasswordFailure = async (link, req) => {
+  const lockedUntil = await link.recordPasswordFailure(SHARE_LINK_MAX_PASSWORD_ATTEMPTS, SHARE_LINK_LOCKOUT_MINUTES);
+  if (!lockedUntil) return;
+
+  await Activity.logActivity({
+    organization: link.organization,
+    document: link.document,
+    action: 'share_link_locked',
+    details: `Public link locked for ${SHARE_LINK_LOCKOUT_MINUTES} minutes after ${SHARE_LINK_MAX_PASSWORD_ATTEMPTS} wrong passwords, last from ${req.ip}`,
+    category: 'security',
+    severity: 'high',
+    metadata: { shareLink: link._id },
+    tags: ['share_link', link._id.toString()]
+  });
+};
+
+// Resolve a public link token to its document, checking state, password and organization settings
+const openShareLink = async (req, res) => {
+  const link = await ShareLink.findByToken(req.params.token);
+
+  if (!link || link.revokedAt) {
+    throw new AppError('Share link not found', 404, 'SHARE_LINK_NOT_FOUND');
+  }
+
+  if (link.expiresAt && link.expiresAt <= new Date()) {
+    throw new AppError('This share link has expired', 410, 'SHARE_LINK_EXPIRED');
+  }
+
+  if (link.isExhausted) {
+    throw new AppError('This share link has reached its view limit', 410, 'SHARE_LINK_EXHAUSTED');
+  }
+
+  // A locked link refuses every password, right or wrong, until the lock ends
+  if (link.passwordLockedUntil && link.passwordLockedUntil > new Date()) {
+    res.set('Retry-After', String(Math.ceil((link.passwordLockedUntil - new Date()) / 1000)));
+    throw new AppError('This share link is temporarily locked after too many wrong passwords', 423, 'SHARE_LINK_LOCKED');
+  }
+
+  const password = req.get('X-Share-Password');
+  if (!(await link.checkPassword(password))) {
+    if (!password) {
+      throw new AppError('This share link requires a password', 401, 'SHARE_LINK_PASSWORD_REQUIRED');
+    }
+    await handlePasswordFailure(link, req);
+    throw new AppError('Incorrect password', 401, 'INVALID_SHARE_LINK_PASSWORD');
+  }
+
+  if (link.requiresPassword) {
+    await link.clearPasswordFailures();
+  }
+
+  const [document, organization] = await Promise.all([
+    Document.findOne({
+      _id: link.document,
+      organization: link.organization,
+      status: { $ne: 'deleted' }
+    }).populate('owner', 'name'),
+    Organization.findById(link.organization).select('name isActive settings.allowPublicDocuments')
+  ]);
+
+  // Links stop working as soon as the organization turns public documents off
+  if (!document || !organization?.isActive || !organization.settings.allowPublicDocuments) {
+    throw new AppError('Share link not found', 404, 'SHARE_LINK_NOT_FOUND');
+  }
+
+  return { link, document, organization };
+};
+
+// Create a public link to a document; the token is returned only in this response
+export const createShareLink = catchAsync(async (req, res) => {
+  const { permission = 'viewer', password, expiresAt, maxViews } = req.body;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  const document = await findManagedDocument(req);
+
+  const organization = await Organization.findById(organizationId).select('settings.allowPublicDocuments');
+  if (!organization.settings.allowPublicDocuments) {
+    throw new AppError('Public documents are turned off for this organization', 403, 'PUBLIC_LINKS_DISABLED');
+  }
+
+  const activeLinks = await ShareLink.countDocuments({
+    document: document._id,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+
+  if (activeLinks >= MAX_ACTIVE_LINKS) {
+    throw new AppError(`Documents can have at most ${MAX_ACTIVE_LINKS} active share links`, 400, 'SHARE_LINK_LIMIT_REACHED');
+  }
+
+  const { token, tokenHash } = ShareLink.generateToken();
+
+  const link = new ShareLink({
+    organization: organizationId,
+    document: document._id,
+    tokenHash,
+    permission,
+    expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+    maxViews,
+    createdBy: userId
+  });
+  await link.setPassword(password);
+  await link.save();
+
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    document: document._id,
+    action: 'share_link_created',
+    details: `Created a public ${permission} link for document "${document.title}"` +
+      (link.requiresPassword ? ' with a password' : '') +
+      (link.expiresAt ? `, expiring ${link.expiresAt.toISOString()}` : '') +
+      (link.maxViews ? `, limited to ${link.maxViews} views` : ''),
+    category: 'document',
+    severity: 'medium',
+    tags: ['share_link', link._id.toString()]
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Share link created successfully, copy it now as it will not be shown again',
+    data: {
+      link: formatShareLink(link),
+      token,
+      url: `${req.protocol}://${req.get('host')}/api/public/links/${token}`
+    }
+  });
+});
+
+// List a document's share links
+export const getShareLinks = catchAsync(async (req, res) => {
+  const document = await findManagedDocument(req);
+  const includeRevoked = req.query.includeRevoked === 'true';
+
+  const query = { document: document._id, organization: req.user.organization.id };
+  if (!includeRevoked) {
+    query.revokedAt = null;
+  }
+
+  const links = await ShareLink.find(query)
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: { links: links.map(formatShareLink) }
+  });
+});
+
+// Revoke a share link; it stops working immediately
+export const revokeShareLink = catchAsync(async (req, res) => {
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  const document = await findManagedDocument(req);
+
+  const link = await ShareLink.findOne({
+    _id: req.params.linkId,
+    document: document._id,
+    organization: organizationId
+  });
+
+  if (!link) {
+    throw new AppError('Share link not found', 404, 'SHARE_LINK_NOT_FOUND');
+  }
+
+  if (link.revokedAt) {
+    throw new AppError('Share link is already revoked', 400, 'SHARE_LINK_ALREADY_REVOKED');
+  }
+
+  link.revokedAt = new Date();
+  link.revokedBy = userId;
+  await link.save();
+
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    document: document._id,
+    action: 'share_link_revoked',
+    details: `Revoked a public link for document "${document.title}" after ${link.viewCount} view(s)`,
+    category: 'document',
+    severity: 'medium',
+    tags: ['share_link', link._id.toString()]
+  });
+
+  res.json({
+    success: true,
+    message: 'Share link revoked successfully',
+    data: { link: formatShareLink(link) }
+  });
+});
+
+// Open a document through a public link (?format=html for a standalone page)
+export const viewSharedDocument = catchAsync(async (req, res) => {
+  const { link, document, organization } = await openShareLink(req, res);
+
+  // Another request may have used the last view since the link was loaded
+  if (!(await link.recordView())) {
+    throw new AppError('This share link has reached its view limit', 410, 'SHARE_LINK_EXHAUSTED');
+  }
+
+  // Guests are anonymous: the view is recorded against the link, not the member who created it
+  await Activity.logActivity({
+    organization: link.organization,
+    document: document._id,
+    action: 'share_link_viewed',
+    details: `Document "${document.title}" viewed through a public link (view ${link.viewCount}${link.maxViews ? ` of ${link.maxViews}` : ''})`,
+    category: 'document',
+    metadata: {
+      shareLink: link._id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    },
+    tags: ['share_link', link._id.toString()]
+  });
+
+  if (req.query.format === 'html') {
+    // Anyone with the link sees this page, so it never runs the document's scripts
+    const { body, mimeType, fileName } = renderExport(document, 'html', { sanitize: true });
+    res.set({
+      'Content-Type': mimeType,
+      'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+      'Content-Security-Policy': SHARED_PAGE_CSP,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    return res.send(body);
+  }
+
+  let comments;
+  if (link.permission === 'commenter') {
+    const found = await Comment.find({ document: document._id, isDeleted: false, status: 'open' })
+      .select('content type author guest replies createdAt')
+      .populate('author', 'name')
+      .populate('replies.author', 'name')
+      .sort({ createdAt: 1 });
+
+    comments = found.map(comment => ({
+      id: comment._id,
+      author: comment.author?.name || comment.guest?.name,
+      isGuest: !comment.author,
+      type: comment.type,
+      content: comment.content,
+      createdAt: comment.createdAt,
+      replies: comment.replies
+        .filter(reply => !reply.isDeleted)
+        .map(reply => ({ author: reply.author?.name, content: reply.content, createdAt: reply.createdAt }))
+    }));
+  }
+
+  res.json({
+    success: true,
+    data: {
+      document: {
+        title: document.title,
+        html: sanitizeImportedHtml(convertContent(document.content, document.contentType || 'text', 'html')),
+        contentType: document.contentType,
+        owner: document.owner?.name,
+        organization: organization.name,
+        updatedAt: document.updatedAt
+      },
+      permission: link.permission,
+      viewsRemaining: link.maxViews ? link.maxViews - link.viewCount : null,
+      expiresAt: link.expiresAt,
+      ...(comments && { comments })
+    }
+  });
+});
+
+// Comment on a document as a guest through a commenter link
+export const commentOnSharedDocument = catchAsync(async (req, res) => {
+  const { name, content } = req.body;
+  const { link, document } = await openShareLink(req, res);
+
+  if (link.permission !== 'commenter') {
+    throw new AppError('This share link does not allow comments', 403, 'SHARE_LINK_READ_ONLY');
+  }
+
+  if (document.settings && document.settings.allowComments === false) {
+    throw new AppError('Comments are disabled for this document', 403, 'COMMENTS_DISABLED');
+  }
+
+  const comment = await Comment.create({
+    document: document._id,
+    organization: link.organization,
+    guest: { name, shareLink: link._id },
+    content,
+    metadata: {
+      documentVersion: document.currentVersion,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }
+  });
+
+  await Activity.logActivity({
+    organization: link.organization,
+    document: document._id,
+    action: 'comment_created',
+    details: `Guest "${name}" commented on document "${document.title}" through a public link`,
+    category: 'document',
+    metadata: { shareLink: link._id, guestName: name },
+    tags: ['share_link', link._id.toString()]
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Comment added successfully',
+    data: {
+      comment: {
+        id: comment._id,
+        author: name,
+        isGuest: true,
+        type: comment.type,
+        content: comment.content,
+        createdAt: comment.createdAt
+      }
+    }
+  });
+});
@@ -0,0 +1,284 @@
+import { Team } from '../models/Team.js';
+import { User } from '../models/User.js';
+import { Document } from '../models/Document.js';
+import { Folder } from '../models/Folder.js';
+import { Activity } from '../models/Activity.js';
+import { hasPermission } from '../middleware/role.js';
+import { catchAsync, AppError } from '../middleware/errorHandler.js';
+
+// Shape a team for responses
+const formatTeam = (team) => ({
+  id: team._id,
+  name: team.name,
+  description: team.description,
+  memberCount: team.members.length,
+  createdBy: team.createdBy,
+  createdAt: team.createdAt,
+  updatedAt: team.updatedAt
+});
+
+// Load one of the organization's teams
+const findTeam = async (id, organizationId) => {
+  const team = await Team.findOne({ _id: id, organization: organizationId });
+
+  if (!team) {
+    throw new AppError('Team not found', 404, 'TEAM_NOT_FOUND');
+  }
+
+  return team;
+};
+
+// Team names are unique within an organization, ignoring case
+const ensureNameAvailable = async (name, organizationId, excludeId = null) => {
+  const query = { organization: organizationId, name };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const existing = await Team.findOne(query).collation({ locale: 'en', strength: 2 });
+  if (existing) {
+    throw new AppError(`A team named "${name}" already exists`, 409, 'TEAM_EXISTS');
+  }
+};
+
+// Members must be active users of the same organization
+const ensureActiveMembers = async (userIds, organizationId) => {
+  const uniqueIds = [...new Set(userIds.map(id => id.toString()))];
+  const users = await User.find({
+    _id: { $in: uniqueIds },
+    organization: organizationId,
+    isActive: true
+  }).select('name email');
+
+  if (users.length !== uniqueIds.length) {
+    throw new AppError('One or more users not found in organization', 404, 'USER_NOT_FOUND');
+  }
+
+  return users;
+};
+
+// Team maintainers manage their own team; team.manage covers every team
+const ensureCanManage = async (team, user) => {
+  if (team.isMaintainer(user.id) || await hasPermission(user, 'team.manage')) {
+    return;
+  }
+
+  throw new AppError('Only team maintainers can manage this team', 403, 'TEAM_ACCESS_DENIED');
+};
+
+// List the organization's teams (?mine=true for the user's own)
+export const getTeams = catchAsync(async (req, res) => {
+  const { mine } = req.query;
+  const organizationId = req.user.organization.id;
+
+  const query = { organization: organizationId };
+  if (mine === 'true') {
+    query['members.user'] = req.user.id;
+  }
+
+  const teams = await Team.find(query)
+    .collation({ locale: 'en', strength: 2 })
+    .sort({ name: 1 });
+
+  res.json({
+    success: true,
+    data: {
+      teams: teams.map(team => ({
+        ...formatTeam(team),
+        myRole: team.getMember(req.user.id)?.role || null
+      }))
+    }
+  });
+});
+
+// Get a team with its members
+export const getTeam = catchAsync(async (req, res) => {
+  const team = await findTeam(req.params.id, req.user.organization.id);
+
+  await team.populate([
+    { path: 'members.user', select: 'name email role isActive' },
+    { path: 'members.addedBy', select: 'name email' },
+    { path: 'createdBy', select: 'name email' }
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      team: {
+        ...formatTeam(team),
+        members: team.members
+      }
+    }
+  });
+});
+
+// Create a team, optionally with its first members
+export const createTeam = catchAsync(async (req, res) => {
+  const { name, description, members = [] } = req.body;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  await ensureNameAvailable(name, organizationId);
+  await ensureActiveMembers(members.map(member => member.userId), organizationId);
+
+  const team = new Team({
+    organization: organizationId,
+    name,
+    description,
+    createdBy: userId
+  });
+
+  members.forEach(member => team.addMember(member.userId, member.role, userId));
+  await team.save();
+
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    action: 'team_created',
+    details: `Created team "${team.name}" with ${team.members.length} member(s)`,
+    category: 'organization',
+    relatedUsers: team.members.map(member => member.user),
+    tags: ['team']
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Team created successfully',
+    data: { team: formatTeam(team) }
+  });
+});
+
+// Rename a team or change its description
+export const updateTeam = catchAsync(async (req, res) => {
+  const { name, description } = req.body;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  const team = await findTeam(req.params.id, organizationId);
+  await ensureCanManage(team, req.user);
+
+  const before = { name: team.name, description: team.description };
+
+  if (name !== undefined && name !== team.name) {
+    await ensureNameAvailable(name, organizationId, team._id);
+    team.name = name;
+  }
+  if (description !== undefined) team.description = description;
+  await team.save();
+
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    action: 'team_updated',
+    details: `Updated team "${team.name}"`,
+    changes: {
+      before,
+      after: { name: team.name, description: team.description }
+    },
+    category: 'organization',
+    tags: ['team']
+  });
+
+  res.json({
+    success: true,
+    message: 'Team updated successfully',
+    data: { team: formatTeam(team) }
+  });
+});
+
+// Delete a team and everything shared with it
+export const deleteTeam = catchAsync(async (req, res) => {
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  const team = await findTeam(req.params.id, organizationId);
+
+  const revoke = { $pull: { sharedWithTeams: { team: team._id } } };
+  const [documents, folders] = await Promise.all([
+    Document.updateMany({ organization: organizationId, 'sharedWithTeams.team': team._id }, revoke),
+    Folder.updateMany({ organization: organizationId, 'sharedWithTeams.team': team._id }, revoke)
+  ]);
+
+  await team.deleteOne();
+
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    action: 'team_deleted',
+    details: `Deleted team "${team.name}", revoking ${documents.modifiedCount} document and ${folders.modifiedCount} folder share(s)`,
+    category: 'organization',
+    severity: 'medium',
+    tags: ['team']
+  });
+
+  res.json({
+    success: true,
+    message: 'Team deleted successfully'
+  });
+});
+
+// Add a member to a team, or change an existing member's team role
+export const addTeamMember = catchAsync(async (req, res) => {
+  const { userId: memberId, role = 'member' } = req.body;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  const team = await findTeam(req.params.id, organizationId);
+  await ensureCanManage(team, req.user);
+
+  const [member] = await ensureActiveMembers([memberId], organizationId);
+  const isNew = !team.getMember(memberId);
+
+  team.addMember(memberId, role, userId);
+  await team.save();
+
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    action: 'team_member_added',
+    details: isNew
+      ? `Added ${member.email} to team "${team.name}" as ${role}`
+      : `Changed ${member.email}'s role in team "${team.name}" to ${role}`,
+    category: 'organization',
+    relatedUsers: [member._id],
+    tags: ['team']
+  });
+
+  res.status(isNew ? 201 : 200).json({
+    success: true,
+    message: isNew ? 'Member added to team' : 'Team member updated',
+    data: { team: formatTeam(team) }
+  });
+});
+
+// Remove a member from a team; members may always leave on their own
+export const removeTeamMember = catchAsync(async (req, res) => {
+  const { id, userId: memberId } = req.params;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  const team = await findTeam(id, organizationId);
+
+  if (memberId !== userId.toString()) {
+    await ensureCanManage(team, req.user);
+  }
+
+  if (!team.removeMember(memberId)) {
+    throw new AppError('User is not a member of this team', 404, 'TEAM_MEMBER_NOT_FOUND');
+  }
+  await team.save();
+
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    action: 'team_member_removed',
+    details: `Removed a member from team "${team.name}"`,
+    category: 'organization',
+    relatedUsers: [memberId],
+    tags: ['team']
+  });
+
+  res.json({
+    success: true,
+    message: 'Member removed from team',
+    data: { team: formatTeam(team) }
+  });
+});
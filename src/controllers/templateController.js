@@ -0,0 +1,257 @@
+import { Document } from '../models/Document.js';
+import { Activity } from '../models/Activity.js';
+import { Folder } from '../models/Folder.js';
+import { User } from '../models/User.js';
+import { catchAsync, AppError } from '../middleware/errorHandler.js';
+import { convertContent } from '../utils/documentFormats.js';
+import {
+  TEMPLATE_CATEGORIES,
+  SYSTEM_TEMPLATES,
+  isSystemTemplateId,
+  findSystemTemplate,
+  buildTemplateValues,
+  renderTemplate
+} from '../utils/templates.js';
+
+const PREVIEW_LENGTH = 200;
+
+// First lines of a template as plain text, for the gallery
+const buildPreview = (content, contentType) => {
+  let text = content || '';
+  try {
+    text = convertContent(text, contentType || 'text', 'text');
+  } catch (error) {
+    // Show the raw content when it can't be converted
+  }
+  return text.replace(/\s+/g, ' ').trim().slice(0, PREVIEW_LENGTH);
+};
+
+// Load an organization template the user can see
+const findTemplate = async (templateId, userId, organizationId, teamIds = []) => {
+  const template = await Document.findOne({
+    _id: templateId,
+    organization: organizationId,
+    isTemplate: true,
+    status: { $ne: 'deleted' }
+  });
+
+  if (!template) {
+    throw new AppError('Template not found', 404, 'TEMPLATE_NOT_FOUND');
+  }
+
+  if (template.visibility !== 'organization' && !(await template.hasEffectivePermission(userId, 'viewer', teamIds))) {
+    throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+  }
+
+  return template;
+};
+
+// List system and organization templates grouped by category
+export const getTemplates = catchAsync(async (req, res) => {
+  const { category, source } = req.query;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  const systemTemplates = source === 'organization' ? [] : SYSTEM_TEMPLATES
+    .filter(template => !category || template.templateCategory === category)
+    .map(({ content, ...template }) => ({
+      ...template,
+      source: 'system',
+      preview: buildPreview(content, template.contentType)
+    }));
+
+  let organizationTemplates = [];
+  if (source !== 'system') {
+    const query = {
+      organization: organizationId,
+      isTemplate: true,
+      status: { $ne: 'deleted' },
+      $or: [
+        { owner: userId },
+        { visibility: 'organization' },
+        ...Document.activeShareClauses(userId, req.user.teams)
+      ]
+    };
+    if (category) {
+      query.templateCategory = category;
+    }
+
+    const templates = await Document.find(query)
+      .select('title content contentType tags templateCategory visibility owner updatedAt')
+      .sort({ updatedAt: -1 })
+      .populate('owner', 'name email')
+      .lean();
+
+    organizationTemplates = templates.map(({ _id, content, ...template }) => ({
+      id: _id,
+      ...template,
+      source: 'organization',
+      preview: buildPreview(content, template.contentType)
+    }));
+  }
+
+  const templates = [...organizationTemplates, ...systemTemplates];
+  const categories = TEMPLATE_CATEGORIES
+    .filter(name => !category || name === category)
+    .map(name => ({
+      category: name,
+      templates: templates.filter(template => template.templateCategory === name)
+    }));
+
+  res.json({
+    success: true,
+    data: {
+      categories,
+      total: templates.length
+    }
+  });
+});
+
+// Save a copy of a document as an organization template
+export const createTemplate = catchAsync(async (req, res) => {
+  const { documentId, templateCategory, title, visibility } = req.body;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  const document = await Document.findOne({
+    _id: documentId,
+    organization: organizationId,
+    status: { $ne: 'deleted' }
+  });
+
+  if (!document) {
+    throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
+  }
+
+  // Check if user has permission to view
+  if (document.visibility !== 'organization' && !(await document.hasEffectivePermission(userId, 'viewer', req.user.teams))) {
+    throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+  }
+
+  // Templates live outside folders and are shared with the organization unless asked otherwise
+  const template = document.createCopy({
+    title: title || document.title,
+    owner: userId,
+    folder: null,
+    visibility: visibility || 'organization',
+    status: 'published',
+    isTemplate: true,
+    templateCategory
+  });
+
+  await template.save();
+
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    document: template._id,
+    action: 'template_created',
+    details: `Template "${template.title}" created from document "${document.title}"`,
+    category: 'document',
+    severity: 'low',
+    tags: ['template', templateCategory]
+  });
+
+  await template.populate({ path: 'owner', select: 'name email' });
+
+  res.status(201).json({
+    success: true,
+    message: 'Template created successfully',
+    data: { template }
+  });
+});
+
+// Create a draft document from a system or organization template
+export const instantiateTemplate = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { title, folder } = req.body;
+  const userId = req.user.id;
+  const organizationId = req.user.organization.id;
+
+  let template;
+  if (isSystemTemplateId(id)) {
+    template = findSystemTemplate(id);
+    if (!template) {
+      throw new AppError('Template not found', 404, 'TEMPLATE_NOT_FOUND');
+    }
+  } else {
+    template = await findTemplate(id, userId, organizationId, req.user.teams);
+  }
+
+  // Validate folder if provided
+  if (folder) {
+    const folderDoc = await Folder.findOne({
+      _id: folder,
+      organization: organizationId
+    });
+
+    if (!folderDoc) {
+      throw new AppError('Folder not found', 404, 'FOLDER_NOT_FOUND');
+    }
+
+    if (!(await folderDoc.hasEffectivePermission(userId, 'editor', req.user.teams))) {
+      throw new AppError('No permission to create documents in this folder', 403, 'FOLDER_ACCESS_DENIED');
+    }
+  }
+
+  const user = await User.findById(userId).select('name email');
+  const values = buildTemplateValues({ user, organization: req.user.organization });
+
+  const fields = {
+    title: renderTemplate(title || template.title, values),
+    content: renderTemplate(template.content, values, template.contentType),
+    owner: userId,
+    folder: folder || null,
+    visibility: 'private',
+    status: 'draft'
+  };
+
+  const document = isSystemTemplateId(id)
+    ? new Document({
+      ...fields,
+      contentType: template.contentType,
+      organization: organizationId,
+      tags: [...template.tags]
+    })
+    : template.createCopy(fields);
+
+  await document.save();
+
+  // Update folder stats if document is in a folder
+  if (folder) {
+    const folderDoc = await Folder.findById(folder);
+    if (folderDoc) {
+      folderDoc.updateStats();
+    }
+  }
+
+  await Activity.logActivity({
+    user: userId,
+    organization: organizationId,
+    document: document._id,
+    action: 'template_used',
+    details: `Document "${document.title}" created from template "${template.title}"`,
+    category: 'document',
+    severity: 'low',
+    tags: ['template', template.templateCategory]
+  });
+
+  // Populate response
+  await document.populate([
+    { path: 'owner', select: 'name email' },
+    { path: 'folder', select: 'name path' }
+  ]);
+
+  res.status(201).json({
+    success: true,
+    message: 'Document created from template',
+    data: {
+      document,
+      template: {
+        id: template.id,
+        title: template.title,
+        templateCategory: template.templateCategory
+      }
+    }
+  });
+});
@@ -3,6 +3,9 @@ import { Document } from '../models/Document.js';
 import { Activity } from '../models/Activity.js';
 import { logger } from '../config/logger.js';
 import { catchAsync, AppError } from '../middleware/errorHandler.js';
+import { clearLoginFailures } from '../utils/accountLockout.js';
+import { hasPermission, canGrantRole } from '../middleware/role.js';
+import { Role } from '../models/Role.js';
 
 // Get all users in organization
 export const getUsers = catchAsync(async (req, res) => {
@@ -99,16 +102,18 @@ export const getUser = catchAsync(async (req, res) => {
   });
 });
 
-// Update user details (admin only)
+// Update user details (self, or other members with member.manage)
 export const updateUser = catchAsync(async (req, res) => {
   const { id } = req.params;
   const organizationId = req.user.organization.id;
   const currentUserId = req.user.id;
   const updates = req.body;
+  const canManageMembers = await hasPermission(req.user, 'member.manage');
+  const isSelf = id === currentUserId.toString();
 
-  // Only admin can update other users
-  if (req.user.role !== 'admin' && id !== currentUserId) {
-    throw new AppError('Only administrators can update other users', 403, 'ADMIN_REQUIRED');
+  // Only members with member.manage can update other users
+  if (!canManageMembers && !isSelf) {
+    throw new AppError('You do not have permission to update other users', 403, 'INSUFFICIENT_PERMISSIONS');
   }
 
   const user = await User.findOne({
@@ -125,34 +130,43 @@ export const updateUser = catchAsync(async (req, res) => {
   delete updates.organization;
   delete updates.emailVerified;
 
-  // Only admin can change roles
-  if (updates.role && req.user.role !== 'admin') {
+  // Only members with member.manage can change roles
+  if (updates.role && !canManageMembers) {
     delete updates.role;
   }
 
   // Cannot change own role or status
-  if (id === currentUserId) {
+  if (isSelf) {
     delete updates.role;
     delete updates.isActive;
   }
 
+  if (updates.role && !(await Role.isAssignable(organizationId, updates.role))) {
+    throw new AppError('Role does not exist in this organization', 400, 'ROLE_NOT_FOUND');
+  }
+
+  // Members can neither hand out nor take away more than their own role grants
+  if (updates.role && (!(await canGrantRole(req.user, updates.role)) || !(await canGrantRole(req.user, user.role)))) {
+    throw new AppError('You cannot assign a role with permissions you do not have', 403, 'ROLE_NOT_GRANTABLE');
+  }
+
   // Update user
   Object.assign(user, updates);
   user.updatedAt = new Date();
   await user.save();
 
   // Log activity
-  await Activity.logActivity(
-    currentUserId,
-    organizationId,
-    'user_updated',
-    `User profile updated: ${user.email}`,
-    { 
+  await Activity.logActivity({
+    user: currentUserId,
+    organization: organizationId,
+    action: 'user_updated',
+    details: `User profile updated: ${user.email}`,
+    metadata: {
       targetUserId: id,
       updatedFields: Object.keys(updates),
-      updatedBy: currentUserId === id ? 'self' : 'admin'
+      updatedBy: isSelf ? 'self' : 'admin'
     }
-  );
+  });
 
   // Return user without password
   const updatedUser = await User.findById(id).select('-password');
@@ -170,13 +184,13 @@ export const deactivateUser = catchAsync(async (req, res) => {
   const organizationId = req.user.organization.id;
   const currentUserId = req.user.id;
 
-  // Only admin can deactivate users
-  if (req.user.role !== 'admin') {
-    throw new AppError('Only administrators can deactivate users', 403, 'ADMIN_REQUIRED');
+  // Only members with member.manage can deactivate users
+  if (!(await hasPermission(req.user, 'member.manage'))) {
+    throw new AppError('You do not have permission to deactivate users', 403, 'INSUFFICIENT_PERMISSIONS');
   }
 
   // Cannot deactivate self
-  if (id === currentUserId) {
+  if (id === currentUserId.toString()) {
     throw new AppError('Cannot deactivate yourself', 400, 'CANNOT_DEACTIVATE_SELF');
   }
 
@@ -205,13 +219,13 @@ export const deactivateUser = catchAsync(async (req, res) => {
   );
 
   // Log activity
-  await Activity.logActivity(
-    currentUserId,
-    organizationId,
-    'user_deactivated',
-    `User deactivated: ${user.email}`,
-    { deactivatedUserId: id }
-  );
+  await Activity.logActivity({
+    user: currentUserId,
+    organization: organizationId,
+    action: 'user_deactivated',
+    details: `User deactivated: ${user.email}`,
+    metadata: { deactivatedUserId: id }
+  });
 
   res.json({
     success: true,
@@ -225,9 +239,9 @@ export const reactivateUser = catchAsync(async (req, res) => {
   const organizationId = req.user.organization.id;
   const currentUserId = req.user.id;
 
-  // Only admin can reactivate users
-  if (req.user.role !== 'admin') {
-    throw new AppError('Only administrators can reactivate users', 403, 'ADMIN_REQUIRED');
+  // Only members with member.manage can reactivate users
+  if (!(await hasPermission(req.user, 'member.manage'))) {
+    throw new AppError('You do not have permission to reactivate users', 403, 'INSUFFICIENT_PERMISSIONS');
   }
 
   const user = await User.findOne({
@@ -265,13 +279,13 @@ export const reactivateUser = catchAsync(async (req, res) => {
   await user.save();
 
   // Log activity
-  await Activity.logActivity(
-    currentUserId,
-    organizationId,
-    'user_reactivated',
-    `User reactivated: ${user.email}`,
-    { reactivatedUserId: id }
-  );
+  await Activity.logActivity({
+    user: currentUserId,
+    organization: organizationId,
+    action: 'user_reactivated',
+    details: `User reactivated: ${user.email}`,
+    metadata: { reactivatedUserId: id }
+  });
 
   res.json({
     success: true,
@@ -289,6 +303,46 @@ export const reactivateUser = catchAsync(async (req, res) => {
   });
 });
 
+// Lift a lockout from failed logins and reset the user's failure count
+export const unlockUser = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const organizationId = req.user.organization.id;
+
+  // Only members with member.manage can unlock users
+  if (!(await hasPermission(req.user, 'member.manage'))) {
+    throw new AppError('You do not have permission to unlock users', 403, 'INSUFFICIENT_PERMISSIONS');
+  }
+
+  const user = await User.findOne({
+    _id: id,
+    organization: organizationId
+  });
+
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  const wasLocked = await clearLoginFailures(user._id);
+
+  if (wasLocked) {
+    await Activity.logActivity({
+      user: req.user.id,
+      organization: organizationId,
+      action: 'account_unlocked',
+      details: `Account unlocked: ${user.email}`,
+      category: 'security',
+      severity: 'medium',
+      relatedUsers: [user._id]
+    });
+  }
+
+  res.json({
+    success: true,
+    message: wasLocked ? 'User unlocked successfully' : 'User was not locked, failed login attempts were reset',
+    data: { wasLocked }
+  });
+});
+
 // Get user's documents
 export const getUserDocuments = catchAsync(async (req, res) => {
   const { id } = req.params;
@@ -296,8 +350,8 @@ export const getUserDocuments = catchAsync(async (req, res) => {
   const organizationId = req.user.organization.id;
   const currentUserId = req.user.id;
 
-  // Users can only view their own documents unless they're admin
-  if (id !== currentUserId && req.user.role !== 'admin') {
+  // Users can only view their own documents unless they can manage members
+  if (id !== currentUserId.toString() && !(await hasPermission(req.user, 'member.manage'))) {
     throw new AppError('Access denied', 403, 'ACCESS_DENIED');
   }
 
@@ -363,8 +417,8 @@ export const getUserActivity = catchAsync(async (req, res) => {
   const organizationId = req.user.organization.id;
   const currentUserId = req.user.id;
 
-  // Users can only view their own activity unless they're admin
-  if (id !== currentUserId && req.user.role !== 'admin') {
+  // Users can only view their own activity unless they can view the activity log
+  if (id !== currentUserId.toString() && !(await hasPermission(req.user, 'activity.view'))) {
     throw new AppError('Access denied', 403, 'ACCESS_DENIED');
   }
 
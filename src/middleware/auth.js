@@ -1,7 +1,106 @@
 import jwt from 'jsonwebtoken';
 import { User } from '../models/User.js';
+import { ApiKey } from '../models/ApiKey.js';
+import { Session } from '../models/Session.js';
+import { Role, DEFAULT_ROLES } from '../models/Role.js';
+import { Team } from '../models/Team.js';
 import { logger } from '../config/logger.js';
 import redisClient from '../config/redis.js';
+import { requireFeature } from './multiTenant.js';
+
+// Routers API keys may call, and the scope resource each one needs
+const API_KEY_RESOURCES = {
+  '/api/documents': 'documents',
+  '/api/folders': 'folders',
+  '/api/templates': 'templates'
+};
+
+const ROLE_RANK = { viewer: 1, editor: 2, admin: 3 };
+
+// Authenticate `Authorization: ApiKey <key>`: the request runs as the key's creator,
+// limited to the key's scopes and never above the key's role
+const authenticateApiKey = async (req, res, next, key) => {
+  const apiKey = await ApiKey.findActiveByKey(key);
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired API key.',
+      code: 'INVALID_API_KEY'
+    });
+  }
+
+  const resource = API_KEY_RESOURCES[req.baseUrl];
+  if (!resource) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot be used for this endpoint.',
+      code: 'API_KEY_NOT_ALLOWED'
+    });
+  }
+
+  const requiredScope = `${resource}:${['GET', 'HEAD'].includes(req.method) ? 'read' : 'write'}`;
+  if (!apiKey.hasScope(requiredScope)) {
+    return res.status(403).json({
+      success: false,
+      message: `API key is missing the ${requiredScope} scope.`,
+      code: 'INSUFFICIENT_SCOPE',
+      requiredScope
+    });
+  }
+
+  const user = await User.findById(apiKey.createdBy)
+    .populate('organization', 'name domain slug isActive subscription');
+
+  if (!user || !user.isActive || !user.organization.isActive || !user.organization._id.equals(apiKey.organization)) {
+    return res.status(401).json({
+      success: false,
+      message: 'API key owner is inactive.',
+      code: 'API_KEY_INACTIVE'
+    });
+  }
+
+  // The key gets what both its creator's role and its own role allow
+  const userPermissions = await Role.getPermissions(user.organization._id, user.role);
+  const keyPermissions = DEFAULT_ROLES[apiKey.role].permissions;
+
+  req.user = {
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    role: ROLE_RANK[apiKey.role] <= ROLE_RANK[user.role] ? apiKey.role : user.role,
+    permissions: userPermissions.filter(permission => keyPermissions.includes(permission)),
+    teams: await Team.findTeamIds(user._id, user.organization._id),
+    organization: {
+      id: user.organization._id,
+      name: user.organization.name,
+      domain: user.organization.domain,
+      slug: user.organization.slug,
+      subscription: user.organization.subscription
+    },
+    preferences: user.preferences
+  };
+  req.apiKey = {
+    id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes
+  };
+
+  apiKey.recordUsage(req.ip).catch(err =>
+    logger.error('Failed to record API key usage:', err)
+  );
+
+  // Keys only work while the organization's plan includes API access
+  return requireFeature('api_access')(req, res, next);
+};
+
+// Revoked sessions are flagged in Redis; without Redis the session itself says whether it was revoked
+export const isSessionRevoked = async (sessionId) => {
+  if (redisClient.isConnectionReady()) {
+    return Boolean(await redisClient.exists(`revoked_session:${sessionId}`));
+  }
+  return Boolean(await Session.exists({ _id: sessionId, revokedAt: { $ne: null } }));
+};
 
 // Main authentication middleware
 export const authenticate = async (req, res, next) => {
@@ -9,6 +108,10 @@ export const authenticate = async (req, res, next) => {
     console.log('AUTH: Starting authentication');
     const authHeader = req.headers.authorization;
 
+    if (authHeader && authHeader.startsWith('ApiKey ')) {
+      return await authenticateApiKey(req, res, next, authHeader.slice('ApiKey '.length).trim());
+    }
+
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       console.log('AUTH: No auth header or invalid format');
       return res.status(401).json({
@@ -47,6 +150,15 @@ export const authenticate = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     console.log('AUTH: JWT decoded:', decoded);
 
+    // Tokens issued for a session stop working as soon as the session is revoked
+    if (decoded.sid && await isSessionRevoked(decoded.sid)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked.',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
     // Fetch user details with organization
     console.log('AUTH: Fetching user details');
     console.log('AUTH: User model:', typeof User, User);
@@ -86,6 +198,8 @@ export const authenticate = async (req, res, next) => {
       email: user.email,
       name: user.name,
       role: user.role,
+      // Teams grant access to documents and folders shared with them
+      teams: await Team.findTeamIds(user._id, user.organization._id),
       organization: {
         id: user.organization._id,
         name: user.organization.name,
@@ -97,6 +211,7 @@ export const authenticate = async (req, res, next) => {
     };
 
     req.token = token;
+    req.sessionId = decoded.sid;
 
     // Update last login if it's been more than 1 hour
     const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
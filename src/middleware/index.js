@@ -10,6 +10,11 @@ export {
   requireAdmin,
   requireEditor,
   requireViewer,
+  requirePermission,
+  resolvePermissions,
+  missingPermissions,
+  canGrantRole,
+  hasPermission,
   requireOwnerOrAdmin,
   requireSameOrganization
 } from './role.js';
@@ -27,12 +32,34 @@ export {
   validatePagination,
   validateUserRegistration,
   validateUserLogin,
+  validateEmailVerification,
+  validateEmailRequest,
+  validatePasswordReset,
+  validateInvitation,
+  validateInvitationAcceptance,
   validateDocumentCreation,
   validateDocumentUpdate,
   validateDocumentShare,
+  validateFolderShare,
+  validateShareLinkCreation,
+  validateGuestComment,
+  validateDocumentInheritance,
+  validateAccessExplanation,
+  validateDocumentExport,
+  validateDocumentImport,
+  validateDocumentSearch,
   validateCommentCreation,
   validateOrganizationCreation,
   validateFolderCreation,
+  validateTemplateCreation,
+  validateTemplateInstantiation,
+  validateApiKeyCreation,
+  validateRoleCreation,
+  validateRoleUpdate,
+  validateTeamCreation,
+  validateTeamUpdate,
+  validateTeamMember,
+  validateSsoConfig,
   sanitizeInput
 } from './validation.js';
 
@@ -45,6 +72,7 @@ export {
   apiLimiter,
   searchLimiter,
   commentLimiter,
+  publicLinkLimiter,
   createRoleBasedLimiter,
   createOrgLimiter,
   subscriptionBasedLimiter
@@ -61,6 +89,8 @@ export {
   validateUserAccess
 } from './multiTenant.js';
 
+export { uploadDocumentFile } from './upload.js';
+
 export {
   AppError,
   globalErrorHandler,
@@ -1,6 +1,42 @@
 import { Organization } from '../models/Organization.js';
 import { logger } from '../config/logger.js';
 
+// Limits based on subscription plan (enterprise has none)
+export const PLAN_LIMITS = {
+  free: {
+    users: 5,
+    documents: 50,
+    storage: 100 * 1024 * 1024, // 100MB
+    collaborators: 3
+  },
+  basic: {
+    users: 25,
+    documents: 500,
+    storage: 1024 * 1024 * 1024, // 1GB
+    collaborators: 10
+  },
+  premium: {
+    users: 100,
+    documents: 5000,
+    storage: 10 * 1024 * 1024 * 1024, // 10GB
+    collaborators: 50
+  }
+};
+
+// Features by plan
+export const PLAN_FEATURES = {
+  free: ['basic_collaboration', 'basic_sharing'],
+  basic: ['basic_collaboration', 'basic_sharing', 'version_history', 'comments'],
+  premium: ['basic_collaboration', 'basic_sharing', 'version_history', 'comments', 'advanced_sharing', 'real_time_collaboration'],
+  enterprise: ['basic_collaboration', 'basic_sharing', 'version_history', 'comments', 'advanced_sharing', 'real_time_collaboration', 'api_access', 'sso', 'audit_logs']
+};
+
+// Check whether a subscription's plan includes a feature
+export const hasFeature = (subscription, feature) => {
+  const availableFeatures = PLAN_FEATURES[subscription?.plan] || PLAN_FEATURES.free;
+  return availableFeatures.includes(feature);
+};
+
 // Middleware to ensure multi-tenant data isolation
 export const enforceMultiTenancy = (req, res, next) => {
   try {
@@ -120,29 +156,7 @@ export const checkSubscriptionLimits = (resource, action = 'create') => {
         return next();
       }
 
-      // Define limits based on subscription plan
-      const limits = {
-        free: {
-          users: 5,
-          documents: 50,
-          storage: 100 * 1024 * 1024, // 100MB
-          collaborators: 3
-        },
-        basic: {
-          users: 25,
-          documents: 500,
-          storage: 1024 * 1024 * 1024, // 1GB
-          collaborators: 10
-        },
-        premium: {
-          users: 100,
-          documents: 5000,
-          storage: 10 * 1024 * 1024 * 1024, // 10GB
-          collaborators: 50
-        }
-      };
-
-      const planLimits = limits[subscription.plan] || limits.free;
+      const planLimits = PLAN_LIMITS[subscription.plan] || PLAN_LIMITS.free;
       const currentLimit = planLimits[resource];
 
       if (!currentLimit) {
@@ -154,11 +168,14 @@ export const checkSubscriptionLimits = (resource, action = 'create') => {
 
       switch (resource) {
         case 'users':
+          // Pending invitations hold a seat until they are accepted, revoked or expire
           const { User } = await import('../models/User.js');
-          currentUsage = await User.countDocuments({
-            organization: organization.id,
-            isActive: true
-          });
+          const { Invitation } = await import('../models/Invitation.js');
+          const [members, invitations] = await Promise.all([
+            User.countDocuments({ organization: organization.id, isActive: true }),
+            Invitation.countPending(organization.id)
+          ]);
+          currentUsage = members + invitations;
           break;
 
         case 'documents':
@@ -170,9 +187,10 @@ export const checkSubscriptionLimits = (resource, action = 'create') => {
           break;
 
         case 'storage':
-          // This would need to be calculated based on actual file sizes
-          // For now, we'll use a placeholder
-          currentUsage = organization.stats?.storageUsed || 0;
+          // Counted as files are imported; the auth context doesn't carry stats
+          const { Organization } = await import('../models/Organization.js');
+          const usage = await Organization.findById(organization.id).select('stats.storageUsed');
+          currentUsage = usage?.stats?.storageUsed || 0;
           break;
 
         default:
@@ -227,17 +245,9 @@ export const requireFeature = (feature) => {
 
       const subscription = user.organization.subscription;
 
-      // Define features by plan
-      const planFeatures = {
-        free: ['basic_collaboration', 'basic_sharing'],
-        basic: ['basic_collaboration', 'basic_sharing', 'version_history', 'comments'],
-        premium: ['basic_collaboration', 'basic_sharing', 'version_history', 'comments', 'advanced_sharing', 'real_time_collaboration'],
-        enterprise: ['basic_collaboration', 'basic_sharing', 'version_history', 'comments', 'advanced_sharing', 'real_time_collaboration', 'api_access', 'sso', 'audit_logs']
-      };
-
-      const availableFeatures = planFeatures[subscription.plan] || planFeatures.free;
+      const availableFeatures = PLAN_FEATURES[subscription.plan] || PLAN_FEATURES.free;
 
-      if (!availableFeatures.includes(feature)) {
+      if (!hasFeature(subscription, feature)) {
         return res.status(403).json({
           success: false,
           message: `Feature '${feature}' is not available in your ${subscription.plan} plan.`,
@@ -374,7 +384,7 @@ export const validateDocumentAccess = (permission = 'view') => {
       }
 
       // Check specific permissions
-      const hasAccess = checkDocumentPermission(document, user.id, permission);
+      const hasAccess = await checkDocumentPermission(document, user.id, permission, user.teams);
 
       if (!hasAccess) {
         return res.status(403).json({
@@ -399,16 +409,14 @@ export const validateDocumentAccess = (permission = 'view') => {
 };
 
 // Helper function to check document permissions
-const checkDocumentPermission = (document, userId, permission) => {
+const checkDocumentPermission = async (document, userId, permission, teamIds = []) => {
   // Owner has all permissions
-  if (document.owner._id.toString() === userId) {
+  if (document.owner._id.toString() === userId.toString()) {
     return true;
   }
 
-  // Check shared access
-  const sharedAccess = document.sharedWith.find(
-    share => share.user.toString() === userId && share.isActive
-  );
+  // Check shared access, directly, through one of the user's teams or inherited from the document's folder
+  const sharedAccess = (await document.getEffectiveAccess(userId, teamIds))?.share;
 
   if (!sharedAccess) {
     // Check if document is organization-wide visible
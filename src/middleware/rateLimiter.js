@@ -157,6 +157,18 @@ export const commentLimiter = rateLimit({
   handler: rateLimitHandler
 });
 
+// Rate limiter for public share links, which anyone can open and guess passwords on
+export const publicLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // limit each IP to 100 link requests per windowMs
+  message: 'Too many share link requests, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: createRedisStore(),
+  keyGenerator: createKeyGenerator('public'),
+  handler: rateLimitHandler
+});
+
 // Dynamic rate limiter based on user role
 export const createRoleBasedLimiter = (limits) => {
   return rateLimit({
@@ -1,4 +1,5 @@
 import { logger } from '../config/logger.js';
+import { Role } from '../models/Role.js';
 
 // Role hierarchy for permission checking
 const ROLE_HIERARCHY = {
@@ -54,6 +55,77 @@ export const requireRole = (requiredRoles = []) => {
     };
 };
 
+// Load the permissions of the user's role, once per request
+export const resolvePermissions = async (user) => {
+    if (!user.permissions) {
+        user.permissions = await Role.getPermissions(user.organization.id, user.role);
+    }
+    return user.permissions;
+};
+
+// Check whether the user's role grants a permission
+export const hasPermission = async (user, permission) => {
+    const permissions = await resolvePermissions(user);
+    return permissions.includes(permission);
+};
+
+// Permissions from the list that the user's own role does not grant
+export const missingPermissions = async (user, permissions) => {
+    const held = await resolvePermissions(user);
+    return permissions.filter(permission => !held.includes(permission));
+};
+
+// Check whether the user may hand out a role: only admins grant admin, and nobody
+// can grant a role with permissions their own role lacks
+export const canGrantRole = async (user, roleKey) => {
+    if (roleKey === 'admin') {
+        return user.role === 'admin';
+    }
+
+    const permissions = await Role.getPermissions(user.organization.id, roleKey);
+    return (await missingPermissions(user, permissions)).length === 0;
+};
+
+// Check if user's role grants all of the given permissions
+export const requirePermission = (...requiredPermissions) => {
+    return async (req, res, next) => {
+        try {
+            const user = req.user;
+
+            if (!user) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Authentication required.',
+                    code: 'AUTH_REQUIRED'
+                });
+            }
+
+            const permissions = await resolvePermissions(user);
+            const missing = requiredPermissions.filter(permission => !permissions.includes(permission));
+
+            if (missing.length > 0) {
+                logger.warn(`Access denied for user ${user.id} with role ${user.role}. Missing: ${missing.join(', ')}`);
+                return res.status(403).json({
+                    success: false,
+                    message: 'Insufficient permissions.',
+                    code: 'INSUFFICIENT_PERMISSIONS',
+                    required: requiredPermissions,
+                    current: user.role
+                });
+            }
+
+            next();
+        } catch (error) {
+            logger.error('Permission check error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Permission check failed.',
+                code: 'PERMISSION_ERROR'
+            });
+        }
+    };
+};
+
 // Check if user is admin
 export const requireAdmin = requireRole(['admin']);
 
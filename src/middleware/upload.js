@@ -0,0 +1,59 @@
+import multer from 'multer';
+import { Organization } from '../models/Organization.js';
+import { AppError } from './errorHandler.js';
+import { importFileType } from '../utils/documentFormats.js';
+
+// Imported files become document content, which is capped at 1MB
+const MAX_DOCUMENT_SIZE = parseInt(process.env.MAX_DOCUMENT_SIZE) || 1048576;
+
+// Accept a single document file in the "file" field, within the organization's type and size limits
+export const uploadDocumentFile = async (req, res, next) => {
+  try {
+    const organization = await Organization.findById(req.user.organization.id)
+      .select('settings.allowedFileTypes settings.maxFileSize');
+
+    // An empty list means every importable type is allowed
+    const allowedTypes = organization?.settings?.allowedFileTypes || [];
+    const maxFileSize = Math.min(organization?.settings?.maxFileSize || MAX_DOCUMENT_SIZE, MAX_DOCUMENT_SIZE);
+
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: maxFileSize, files: 1, fields: 10 },
+      fileFilter: (req, file, callback) => {
+        const fileType = importFileType(file.originalname);
+
+        if (!fileType) {
+          return callback(new AppError('Only .md, .txt, .html and .json files can be imported', 415, 'UNSUPPORTED_FILE_TYPE'));
+        }
+
+        if (allowedTypes.length > 0 && !allowedTypes.includes(fileType)) {
+          return callback(new AppError(`Your organization does not allow .${fileType} uploads`, 415, 'FILE_TYPE_NOT_ALLOWED'));
+        }
+
+        file.fileType = fileType;
+        callback(null, true);
+      }
+    }).single('file');
+
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return next(new AppError(`File exceeds the maximum size of ${maxFileSize} bytes`, 413, 'FILE_TOO_LARGE'));
+        }
+        return next(new AppError(error.message, 400, 'UPLOAD_ERROR'));
+      }
+
+      if (error) {
+        return next(error);
+      }
+
+      if (!req.file) {
+        return next(new AppError('A file is required in the "file" field', 400, 'FILE_REQUIRED'));
+      }
+
+      next();
+    });
+  } catch (error) {
+    next(error);
+  }
+};
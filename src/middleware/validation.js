@@ -1,5 +1,7 @@
 import { validationResult, body, param, query } from 'express-validator';
 import { logger } from '../config/logger.js';
+import { API_KEY_SCOPES } from '../models/ApiKey.js';
+import { PERMISSIONS, DEFAULT_ROLES, ROLE_KEY_PATTERN } from '../models/Role.js';
 
 // Middleware to handle validation errors
 export const handleValidationErrors = (req, res, next) => {
@@ -60,9 +62,14 @@ export const validateDocumentContent = body('content')
   .isLength({ max: 1048576 })
   .withMessage('Document content cannot exceed 1MB');
 
-export const validateRole = body('role')
-  .isIn(['admin', 'editor', 'viewer'])
-  .withMessage('Role must be admin, editor, or viewer');
+// Key of a default or custom role; controllers check that it exists in the organization
+const roleKey = () => body('role')
+  .trim()
+  .toLowerCase()
+  .matches(ROLE_KEY_PATTERN)
+  .withMessage('Role must be a valid role key');
+
+export const validateRole = roleKey();
 
 export const validatePermission = body('permission')
   .isIn(['viewer', 'editor', 'admin'])
@@ -94,7 +101,10 @@ export const validateUserRegistration = [
     .withMessage('Organization domain is required')
     .matches(/^[a-zA-Z0-9][a-zA-Z0-9-]{1,61}[a-zA-Z0-9]\.[a-zA-Z]{2,}$/)
     .withMessage('Please provide a valid domain'),
-  validateRole.optional(),
+  body('role')
+    .optional()
+    .isIn(Object.keys(DEFAULT_ROLES))
+    .withMessage('Role must be admin, editor, or viewer'),
   handleValidationErrors
 ];
 
@@ -106,6 +116,117 @@ export const validateUserLogin = [
   handleValidationErrors
 ];
 
+const validateAccountToken = body('token')
+  .isHexadecimal()
+  .isLength({ min: 64, max: 64 })
+  .withMessage('Token is invalid');
+
+export const validateEmailVerification = [
+  validateAccountToken,
+  handleValidationErrors
+];
+
+export const validateEmailRequest = [
+  validateEmail,
+  handleValidationErrors
+];
+
+export const validateInvitation = [
+  validateEmail,
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  roleKey().optional(),
+  handleValidationErrors
+];
+
+export const validateInvitationAcceptance = [
+  validateAccountToken,
+  validateName.optional(),
+  validatePassword,
+  body('confirmPassword')
+    .custom((value, { req }) => {
+      if (value !== req.body.password) {
+        throw new Error('Password confirmation does not match');
+      }
+      return true;
+    }),
+  handleValidationErrors
+];
+
+export const validatePasswordReset = [
+  validateAccountToken,
+  validatePassword,
+  body('confirmPassword')
+    .custom((value, { req }) => {
+      if (value !== req.body.password) {
+        throw new Error('Password confirmation does not match');
+      }
+      return true;
+    }),
+  handleValidationErrors
+];
+
+// Factories, since .optional() changes a chain for every set that shares it
+const mfaCode = () => body('code')
+  .trim()
+  .matches(/^\d{6}$/)
+  .withMessage('Code must be 6 digits');
+
+const mfaChallengeToken = () => body('challengeToken')
+  .isJWT()
+  .withMessage('Challenge token is invalid');
+
+// Either an authenticator code or a recovery code
+const secondFactor = () => [
+  mfaCode().optional(),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Recovery code is invalid'),
+  body()
+    .custom((value) => {
+      if (!value.code && !value.recoveryCode) {
+        throw new Error('A code or recovery code is required');
+      }
+      return true;
+    })
+];
+
+export const validateMfaLogin = [
+  mfaChallengeToken(),
+  ...secondFactor(),
+  handleValidationErrors
+];
+
+export const validateMfaSetup = [
+  mfaChallengeToken().optional(),
+  handleValidationErrors
+];
+
+export const validateMfaEnable = [
+  mfaCode(),
+  mfaChallengeToken().optional(),
+  handleValidationErrors
+];
+
+export const validateMfaConfirmation = [
+  mfaCode(),
+  handleValidationErrors
+];
+
+export const validateMfaDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...secondFactor(),
+  handleValidationErrors
+];
+
 export const validateDocumentCreation = [
   validateDocumentTitle,
   validateDocumentContent,
@@ -148,16 +269,155 @@ export const validateDocumentUpdate = [
   handleValidationErrors
 ];
 
-export const validateDocumentShare = [
-  validateObjectId('id'),
+// Shares go to exactly one user or one team
+const shareTarget = () => [
   body('userId')
+    .optional()
     .isMongoId()
     .withMessage('User ID must be valid'),
+  body('teamId')
+    .optional()
+    .isMongoId()
+    .withMessage('Team ID must be valid'),
+  body()
+    .custom((value) => {
+      if (!value.userId === !value.teamId) {
+        throw new Error('Provide either a user ID or a team ID');
+      }
+      return true;
+    })
+];
+
+export const validateDocumentShare = [
+  validateObjectId('id'),
+  ...shareTarget(),
   validatePermission,
   body('expiresAt')
     .optional()
     .isISO8601()
-    .withMessage('Expiration date must be a valid ISO 8601 date'),
+    .withMessage('Expiration date must be a valid ISO 8601 date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiration date must be in the future'),
+  handleValidationErrors
+];
+
+export const validateDocumentInheritance = [
+  validateObjectId('id'),
+  body('inheritPermissions')
+    .isBoolean()
+    .withMessage('inheritPermissions must be true or false')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+export const validateAccessExplanation = [
+  validateObjectId('id'),
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('User ID must be valid'),
+  handleValidationErrors
+];
+
+export const validateShareLinkCreation = [
+  validateObjectId('id'),
+  body('permission')
+    .optional()
+    .isIn(['viewer', 'commenter'])
+    .withMessage('Permission must be viewer or commenter'),
+  body('password')
+    .optional()
+    .isString()
+    .isLength({ min: 4, max: 128 })
+    .withMessage('Password must be between 4 and 128 characters'),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future'),
+  body('maxViews')
+    .optional()
+    .isInt({ min: 1, max: 1000000 })
+    .withMessage('Maximum views must be a positive integer')
+    .toInt(),
+  handleValidationErrors
+];
+
+export const validateGuestComment = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Comment content must be between 1 and 2000 characters'),
+  handleValidationErrors
+];
+
+export const validateFolderShare = [
+  validateObjectId('id'),
+  ...shareTarget(),
+  validatePermission,
+  handleValidationErrors
+];
+
+export const validateDocumentExport = [
+  validateObjectId('id'),
+  query('format')
+    .optional()
+    .isIn(['md', 'html', 'txt', 'json'])
+    .withMessage('Format must be md, html, txt, or json'),
+  query('includeVersions')
+    .optional()
+    .isBoolean()
+    .withMessage('includeVersions must be true or false')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+export const validateDocumentSearch = [
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Search query must be between 1 and 500 characters'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt(),
+  handleValidationErrors
+];
+
+// Runs after the multipart body has been parsed
+export const validateDocumentImport = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  body('folder')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Folder ID must be valid'),
+  body('visibility')
+    .optional()
+    .isIn(['private', 'organization', 'public'])
+    .withMessage('Visibility must be private, organization, or public'),
+  body('tags')
+    .optional()
+    .customSanitizer(value => (Array.isArray(value) ? value : String(value).split(','))
+      .map(tag => String(tag).trim())
+      .filter(Boolean)),
+  body('tags.*')
+    .isLength({ max: 50 })
+    .withMessage('Tag cannot exceed 50 characters'),
   handleValidationErrors
 ];
 
@@ -220,6 +480,223 @@ export const validateFolderCreation = [
   handleValidationErrors
 ];
 
+export const validateTemplateCreation = [
+  body('documentId')
+    .isMongoId()
+    .withMessage('Document ID must be valid'),
+  body('templateCategory')
+    .isIn(['meeting', 'project', 'report', 'proposal', 'other'])
+    .withMessage('Template category must be meeting, project, report, proposal, or other'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  body('visibility')
+    .optional()
+    .isIn(['private', 'organization'])
+    .withMessage('Visibility must be private or organization'),
+  handleValidationErrors
+];
+
+export const validateTemplateInstantiation = [
+  param('id')
+    .custom(value => /^[a-f\d]{24}$/i.test(value) || /^system-[a-z-]+$/.test(value))
+    .withMessage('Template ID must be a valid document ID or a system template ID'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  body('folder')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Folder ID must be valid'),
+  handleValidationErrors
+];
+
+export const validateApiKeyCreation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Scopes must be from: ${API_KEY_SCOPES.join(', ')}`),
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future'),
+  handleValidationErrors
+];
+
+const roleName = () => body('name')
+  .trim()
+  .isLength({ min: 1, max: 50 })
+  .withMessage('Name must be between 1 and 50 characters');
+
+const rolePermissions = () => body('permissions')
+  .isArray()
+  .withMessage('Permissions must be an array');
+
+const roleFields = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  body('permissions.*')
+    .isIn(PERMISSIONS)
+    .withMessage(`Permissions must be from: ${PERMISSIONS.join(', ')}`)
+];
+
+export const validateRoleCreation = [
+  body('key')
+    .trim()
+    .toLowerCase()
+    .matches(ROLE_KEY_PATTERN)
+    .withMessage('Key must be 2-30 lowercase letters, numbers, or hyphens'),
+  roleName(),
+  rolePermissions(),
+  ...roleFields,
+  handleValidationErrors
+];
+
+export const validateRoleUpdate = [
+  roleName().optional(),
+  rolePermissions().optional(),
+  ...roleFields,
+  handleValidationErrors
+];
+
+const teamName = () => body('name')
+  .trim()
+  .isLength({ min: 2, max: 100 })
+  .withMessage('Team name must be between 2 and 100 characters');
+
+const teamDescription = () => body('description')
+  .optional()
+  .trim()
+  .isLength({ max: 500 })
+  .withMessage('Description cannot exceed 500 characters');
+
+export const validateTeamCreation = [
+  teamName(),
+  teamDescription(),
+  body('members')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('Members must be an array of at most 500 entries'),
+  body('members.*.userId')
+    .isMongoId()
+    .withMessage('Member user ID must be valid'),
+  body('members.*.role')
+    .optional()
+    .isIn(['member', 'maintainer'])
+    .withMessage('Team role must be member or maintainer'),
+  handleValidationErrors
+];
+
+export const validateTeamUpdate = [
+  validateObjectId('id'),
+  teamName().optional(),
+  teamDescription(),
+  handleValidationErrors
+];
+
+export const validateTeamMember = [
+  validateObjectId('id'),
+  body('userId')
+    .isMongoId()
+    .withMessage('User ID must be valid'),
+  body('role')
+    .optional()
+    .isIn(['member', 'maintainer'])
+    .withMessage('Team role must be member or maintainer'),
+  handleValidationErrors
+];
+
+export const validateSsoStart = [
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  body('organization')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9-]+$/i)
+    .withMessage('Organization must be a valid slug'),
+  body()
+    .custom((value) => {
+      if (!value.email && !value.organization) {
+        throw new Error('An email or organization is required');
+      }
+      return true;
+    }),
+  handleValidationErrors
+];
+
+export const validateSsoCallback = [
+  body('code')
+    .isString()
+    .isLength({ min: 1, max: 2048 })
+    .withMessage('Authorization code is required'),
+  body('state')
+    .isString()
+    .isLength({ min: 16, max: 128 })
+    .withMessage('State is invalid'),
+  handleValidationErrors
+];
+
+export const validateSsoConfig = [
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Enabled must be boolean'),
+  body('issuer')
+    .optional()
+    .isURL({ protocols: ['https', 'http'], require_tld: false, require_protocol: true })
+    .withMessage('Issuer must be a URL'),
+  body('clientId')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Client ID must be between 1 and 255 characters'),
+  body('clientSecret')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 1024 })
+    .withMessage('Client secret must be between 1 and 1024 characters'),
+  body('allowedDomains')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Allowed domains must be a non-empty array'),
+  body('allowedDomains.*')
+    .isFQDN()
+    .withMessage('Each allowed domain must be a valid domain')
+    .toLowerCase(),
+  body('defaultRole')
+    .optional()
+    .isIn(['editor', 'viewer'])
+    .withMessage('Default role must be editor or viewer'),
+  body('autoProvision')
+    .optional()
+    .isBoolean()
+    .withMessage('Auto provisioning setting must be boolean'),
+  body('disablePasswordLogin')
+    .optional()
+    .isBoolean()
+    .withMessage('Password login setting must be boolean'),
+  handleValidationErrors
+];
+
 // Sanitization middleware
 export const sanitizeInput = (req, res, next) => {
   // Remove any potential XSS attempts from string fields
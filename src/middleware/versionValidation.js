@@ -28,6 +28,15 @@ export const validateVersionComparison = [
   query('version2')
     .isInt({ min: 1 })
     .withMessage('Version 2 must be a positive integer')
+    .toInt(),
+  query('format')
+    .optional()
+    .isIn(['json', 'unified', 'html'])
+    .withMessage('Format must be json, unified, or html'),
+  query('context')
+    .optional()
+    .isInt({ min: 0, max: 50 })
+    .withMessage('Context must be between 0 and 50 lines')
     .toInt()
 ];
 
@@ -50,12 +59,27 @@ export const validateActivityQuery = [
     .isIn([
       'document_created', 'document_updated', 'document_viewed', 'document_shared',
       'document_unshared', 'document_deleted', 'document_restored', 'document_archived',
-      'document_published', 'document_duplicated', 'document_exported',
+      'document_published', 'document_duplicated', 'document_exported', 'document_imported', 'document_moved',
       'version_created', 'version_restored', 'version_viewed', 'version_compared',
+      'template_created', 'template_used',
+      'comment_created', 'comment_updated', 'comment_replied', 'comment_reacted',
+      'comment_resolved', 'comment_reopened', 'comment_deleted',
+      'folder_created', 'folder_updated', 'folder_moved', 'folder_deleted',
+      'folder_archived', 'folder_shared', 'folder_unshared',
       'activity_viewed', 'organization_activity_viewed',
-      'user_invited', 'user_removed', 'user_role_changed',
+      'user_registered', 'user_updated', 'user_deactivated', 'user_reactivated',
+      'user_invited', 'user_removed', 'user_role_changed', 'invitation_revoked', 'invitation_accepted',
       'organization_created', 'organization_updated',
-      'login', 'logout', 'password_changed', 'profile_updated'
+      'login', 'logout', 'password_changed', 'password_reset', 'email_verified', 'profile_updated',
+      'session_revoked', 'refresh_token_reused',
+      'mfa_enabled', 'mfa_disabled', 'mfa_recovery_code_used', 'mfa_recovery_codes_regenerated',
+      'login_failed', 'account_locked', 'account_unlocked',
+      'api_key_created', 'api_key_revoked',
+      'sso_configured', 'sso_login', 'sso_user_provisioned',
+      'role_created', 'role_updated', 'role_deleted',
+      'team_created', 'team_updated', 'team_deleted', 'team_member_added', 'team_member_removed',
+      'share_link_created', 'share_link_revoked', 'share_link_viewed', 'share_link_locked',
+      'document_share_expired'
     ])
     .withMessage('Invalid action type'),
   query('category')
@@ -1,10 +1,11 @@
 import mongoose from 'mongoose';
 
 const activitySchema = new mongoose.Schema({
+    // Empty for guests acting through a public share link, which metadata.shareLink names instead
     user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: [true, 'User is required for activity tracking'],
+        required: [function () { return !this.metadata?.shareLink; }, 'User is required for activity tracking'],
         index: true
     },
     organization: {
@@ -24,12 +25,27 @@ const activitySchema = new mongoose.Schema({
             values: [
                 'document_created', 'document_updated', 'document_viewed', 'document_shared',
                 'document_unshared', 'document_deleted', 'document_restored', 'document_archived',
-                'document_published', 'document_duplicated', 'document_exported',
+                'document_published', 'document_duplicated', 'document_exported', 'document_imported', 'document_moved',
                 'version_created', 'version_restored', 'version_viewed', 'version_compared',
+                'template_created', 'template_used',
+                'comment_created', 'comment_updated', 'comment_replied', 'comment_reacted',
+                'comment_resolved', 'comment_reopened', 'comment_deleted',
+                'folder_created', 'folder_updated', 'folder_moved', 'folder_deleted',
+                'folder_archived', 'folder_shared', 'folder_unshared',
                 'activity_viewed', 'organization_activity_viewed',
-                'user_invited', 'user_removed', 'user_role_changed',
+                'user_registered', 'user_updated', 'user_deactivated', 'user_reactivated',
+                'user_invited', 'user_removed', 'user_role_changed', 'invitation_revoked', 'invitation_accepted',
                 'organization_created', 'organization_updated',
-                'login', 'logout', 'password_changed', 'profile_updated'
+                'login', 'logout', 'password_changed', 'password_reset', 'email_verified', 'profile_updated',
+                'session_revoked', 'refresh_token_reused',
+                'mfa_enabled', 'mfa_disabled', 'mfa_recovery_code_used', 'mfa_recovery_codes_regenerated',
+                'login_failed', 'account_locked', 'account_unlocked',
+                'api_key_created', 'api_key_revoked',
+                'sso_configured', 'sso_login', 'sso_user_provisioned',
+                'role_created', 'role_updated', 'role_deleted',
+                'team_created', 'team_updated', 'team_deleted', 'team_member_added', 'team_member_removed',
+                'share_link_created', 'share_link_revoked', 'share_link_viewed', 'share_link_locked',
+                'document_share_expired'
             ],
             message: 'Invalid activity action'
         },
@@ -60,6 +76,11 @@ const activitySchema = new mongoose.Schema({
             maxlength: [500, 'User agent cannot exceed 500 characters']
         },
         sessionId: String,
+        shareLink: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ShareLink'
+        },
+        guestName: String,
         deviceType: {
             type: String,
             enum: ['desktop', 'mobile', 'tablet', 'unknown'],
@@ -146,10 +167,11 @@ activitySchema.statics.logActivity = async function (data) {
     // Determine category if not provided
     let activityCategory = category;
     if (!activityCategory) {
-        if (action.startsWith('document_')) activityCategory = 'document';
+        if (['document_', 'comment_', 'folder_', 'template_', 'share_link_'].some(prefix => action.startsWith(prefix))) activityCategory = 'document';
         else if (action.startsWith('user_')) activityCategory = 'user';
-        else if (action.startsWith('organization_')) activityCategory = 'organization';
-        else if (['login', 'logout', 'password_changed'].includes(action)) activityCategory = 'security';
+        else if (['organization_', 'role_', 'team_'].some(prefix => action.startsWith(prefix))) activityCategory = 'organization';
+        else if (['mfa_', 'api_key_', 'sso_'].some(prefix => action.startsWith(prefix))) activityCategory = 'security';
+        else if (['login', 'logout', 'password_changed', 'password_reset', 'email_verified', 'session_revoked', 'refresh_token_reused', 'login_failed', 'account_locked', 'account_unlocked'].includes(action)) activityCategory = 'security';
         else activityCategory = 'system';
     }
 
@@ -0,0 +1,128 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { hashToken } from '../utils/tokens.js';
+
+// Read covers GET requests to the resource, write everything else
+export const API_KEY_SCOPES = [
+  'documents:read',
+  'documents:write',
+  'folders:read',
+  'folders:write',
+  'templates:read',
+  'templates:write'
+];
+
+const KEY_PREFIX = 'dk';
+
+const apiKeySchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Public part of the key, shown in listings so keys can be told apart
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // SHA-256 of the full key; the key itself is only shown once, when created
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: API_KEY_SCOPES,
+        message: 'Invalid API key scope'
+      }
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  // Requests made with the key run as this user, limited to the key's scopes
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function (doc, ret) {
+      delete ret.keyHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+apiKeySchema.index({ organization: 1, revokedAt: 1 });
+
+// Virtual for keys that can still authenticate
+apiKeySchema.virtual('isActive').get(function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Virtual for the role requests made with the key get: never admin, editor only with a write scope
+apiKeySchema.virtual('role').get(function () {
+  return (this.scopes || []).some(scope => scope.endsWith(':write')) ? 'editor' : 'viewer';
+});
+
+// Instance method to check a scope
+apiKeySchema.methods.hasScope = function (scope) {
+  return this.scopes.includes(scope);
+};
+
+// Instance method to record a request made with the key (not awaited by callers)
+apiKeySchema.methods.recordUsage = function (ipAddress) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: ipAddress }, $inc: { usageCount: 1 } }
+  );
+};
+
+// Static method to generate a new key; returns the plain key alongside the fields to store
+apiKeySchema.statics.generateKey = function () {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `${KEY_PREFIX}_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, prefix, keyHash: hashToken(key) };
+};
+
+// Static method to find the active key for a plain key from a request
+apiKeySchema.statics.findActiveByKey = function (key) {
+  return this.findOne({
+    keyHash: hashToken(key),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+export const ApiKey = mongoose.model('ApiKey', apiKeySchema);
@@ -39,12 +39,24 @@ const commentSchema = new mongoose.Schema({
     required: [true, 'Organization is required'],
     index: true
   },
+  // Guests commenting through a public share link have no account
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Author is required'],
+    required: [function() { return !this.guest?.name; }, 'Author is required'],
     index: true
   },
+  guest: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Guest name cannot exceed 100 characters']
+    },
+    shareLink: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ShareLink'
+    }
+  },
   content: {
     type: String,
     required: [true, 'Comment content is required'],
@@ -288,6 +300,13 @@ commentSchema.methods.addReaction = function(userId, reactionType) {
   return this.save();
 };
 
+// Instance method to remove a user's reaction
+commentSchema.methods.removeReaction = function(userId) {
+  this.reactions = this.reactions.filter(r => r.user.toString() !== userId.toString());
+  
+  return this.save();
+};
+
 // Instance method to resolve comment
 commentSchema.methods.resolve = function(resolvedBy) {
   this.status = 'resolved';
@@ -297,6 +316,15 @@ commentSchema.methods.resolve = function(resolvedBy) {
   return this.save();
 };
 
+// Instance method to reopen a resolved or dismissed comment
+commentSchema.methods.reopen = function() {
+  this.status = 'open';
+  this.resolvedBy = undefined;
+  this.resolvedAt = undefined;
+  
+  return this.save();
+};
+
 // Instance method to soft delete
 commentSchema.methods.softDelete = function() {
   this.isDeleted = true;
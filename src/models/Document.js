@@ -1,37 +1,52 @@
 import mongoose from 'mongoose';
+import { DocumentVersion } from './DocumentVersion.js';
+import { Folder } from './Folder.js';
+import {
+    generateChecksum,
+    logVersionActivity,
+    getVersionStatistics,
+    cleanupOldVersions,
+    exportVersionData
+} from '../utils/versionControl.js';
+import { searchIndexPlugin } from '../utils/searchProviders.js';
 
-const versionSchema = new mongoose.Schema({
-    content: {
-        type: String,
-        required: true
-    },
-    title: String,
-    versionNumber: {
-        type: Number,
+const shareSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
         required: true
     },
-    changeDescription: {
+    permission: {
         type: String,
-        maxlength: [500, 'Change description cannot exceed 500 characters']
+        enum: {
+            values: ['viewer', 'editor', 'admin'],
+            message: 'Permission must be viewer, editor, or admin'
+        },
+        default: 'viewer'
     },
-    editedBy: {
+    sharedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
     },
-    size: {
-        type: Number,
-        default: 0
+    sharedAt: {
+        type: Date,
+        default: Date.now
     },
-    checksum: String
-}, {
-    timestamps: true
+    expiresAt: Date,
+    // Set once the expiry reminder has gone out, so it is only sent once
+    expiryNotifiedAt: Date,
+    isActive: {
+        type: Boolean,
+        default: true
+    }
 });
 
-const shareSchema = new mongoose.Schema({
-    user: {
+// Shares with a team apply to everyone on it
+const teamShareSchema = new mongoose.Schema({
+    team: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
+        ref: 'Team',
         required: true
     },
     permission: {
@@ -52,12 +67,20 @@ const shareSchema = new mongoose.Schema({
         default: Date.now
     },
     expiresAt: Date,
+    // Set once the expiry reminder has gone out, so it is only sent once
+    expiryNotifiedAt: Date,
     isActive: {
         type: Boolean,
         default: true
     }
 });
 
+const PERMISSION_LEVELS = { viewer: 1, editor: 2, admin: 3 };
+
+// Shares count until they are revoked or reach their expiry
+const isShareActive = (share, now = new Date()) =>
+    share.isActive && (!share.expiresAt || share.expiresAt > now);
+
 const documentSchema = new mongoose.Schema({
     title: {
         type: String,
@@ -116,12 +139,19 @@ const documentSchema = new mongoose.Schema({
         default: 'private'
     },
     sharedWith: [shareSchema],
-    versions: [versionSchema],
+    sharedWithTeams: [teamShareSchema],
+    // Version history lives in the DocumentVersion collection
     currentVersion: {
         type: Number,
         default: 1,
         min: 1
     },
+    // Real-time editing revision, advanced by every operation applied in a collaboration session
+    revision: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     isTemplate: {
         type: Boolean,
         default: false
@@ -137,6 +167,12 @@ const documentSchema = new mongoose.Schema({
             default: 0,
             min: 0
         },
+        // Bytes of the file the document was imported from, counted in the organization's storage
+        importedSize: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
         wordCount: {
             type: Number,
             default: 0,
@@ -200,6 +236,11 @@ const documentSchema = new mongoose.Schema({
             type: Number,
             default: 30000, // 30 seconds
             min: 5000 // minimum 5 seconds
+        },
+        // Whether shares on the containing folder and its ancestors apply to this document
+        inheritPermissions: {
+            type: Boolean,
+            default: true
         }
     },
     encryption: {
@@ -237,22 +278,15 @@ documentSchema.index({ organization: 1, tags: 1 });
 documentSchema.index({ organization: 1, createdAt: -1 });
 documentSchema.index({ organization: 1, updatedAt: -1 });
 documentSchema.index({ 'sharedWith.user': 1, 'sharedWith.isActive': 1 });
+documentSchema.index({ 'sharedWithTeams.team': 1, 'sharedWithTeams.isActive': 1 });
+documentSchema.index({ 'sharedWith.isActive': 1, 'sharedWith.expiresAt': 1 });
+documentSchema.index({ 'sharedWithTeams.isActive': 1, 'sharedWithTeams.expiresAt': 1 });
 documentSchema.index({ owner: 1, status: 1 });
 documentSchema.index({ isTemplate: 1, templateCategory: 1 });
 
-// Virtual for version count
-documentSchema.virtual('versionCount').get(function () {
-    return this.versions.length;
-});
-
-// Virtual for latest version
-documentSchema.virtual('latestVersion').get(function () {
-    return this.versions[this.versions.length - 1];
-});
-
 // Virtual for shared user count
 documentSchema.virtual('sharedUserCount').get(function () {
-    return this.sharedWith.filter(share => share.isActive).length;
+    return this.sharedWith.filter(share => isShareActive(share)).length;
 });
 
 // Pre-save middleware to update metadata
@@ -270,14 +304,30 @@ documentSchema.pre('save', function (next) {
     next();
 });
 
+// Static method to build the query clauses matching a user's unexpired shares, directly or through their teams
+documentSchema.statics.activeShareClauses = function (userId, teamIds = [], permissions = null) {
+    const active = {
+        isActive: true,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+        ...(permissions && { permission: permissions })
+    };
+
+    return [
+        { sharedWith: { $elemMatch: { user: userId, ...active } } },
+        { sharedWithTeams: { $elemMatch: { team: { $in: teamIds }, ...active } } }
+    ];
+};
+
 // Static method to find documents by organization with proper isolation
-documentSchema.statics.findByOrganization = function (organizationId, userId, options = {}) {
+documentSchema.statics.findByOrganization = async function (organizationId, userId, options = {}, teamIds = []) {
+    const folderIds = await Folder.findSharedFolderIds(organizationId, userId, teamIds);
     const query = {
         organization: organizationId,
         $or: [
             { owner: userId },
             { visibility: 'organization' },
-            { 'sharedWith.user': userId, 'sharedWith.isActive': true }
+            ...this.activeShareClauses(userId, teamIds),
+            { folder: { $in: folderIds }, 'settings.inheritPermissions': { $ne: false } }
         ],
         status: { $ne: 'deleted' }
     };
@@ -288,17 +338,16 @@ documentSchema.statics.findByOrganization = function (organizationId, userId, op
         .populate('sharedWith.user', 'name email');
 };
 
-// Static method to find accessible documents for a user
-documentSchema.statics.findAccessible = function (userId, organizationId, permission = 'viewer') {
+// Static method to find accessible documents for a user, directly, through their teams or through folders
+documentSchema.statics.findAccessible = async function (userId, organizationId, permission = 'viewer', teamIds = []) {
+    const permissions = permission === 'editor' ? { $in: ['editor', 'admin'] } : { $in: ['viewer', 'editor', 'admin'] };
+    const folderIds = await Folder.findSharedFolderIds(organizationId, userId, teamIds, permission === 'editor' ? 'editor' : 'viewer');
     const query = {
         organization: organizationId,
         $or: [
             { owner: userId },
-            {
-                'sharedWith.user': userId,
-                'sharedWith.isActive': true,
-                'sharedWith.permission': permission === 'editor' ? { $in: ['editor', 'admin'] } : { $in: ['viewer', 'editor', 'admin'] }
-            }
+            ...this.activeShareClauses(userId, teamIds, permissions),
+            { folder: { $in: folderIds }, 'settings.inheritPermissions': { $ne: false } }
         ],
         status: { $ne: 'deleted' }
     };
@@ -306,54 +355,115 @@ documentSchema.statics.findAccessible = function (userId, organizationId, permis
     return this.find(query);
 };
 
+// Instance method to find the strongest unexpired share a user has, directly or through one of their teams
+documentSchema.methods.getSharedAccess = function (userId, teamIds = []) {
+    const teams = teamIds.map(id => id.toString());
+    const shares = [
+        ...this.sharedWith.filter(s => isShareActive(s) && (s.user._id || s.user).toString() === userId.toString()),
+        ...(this.sharedWithTeams || []).filter(s => isShareActive(s) && teams.includes((s.team._id || s.team).toString()))
+    ];
+
+    let best = null;
+    for (const share of shares) {
+        if (!best || (PERMISSION_LEVELS[share.permission] || 1) > (PERMISSION_LEVELS[best.permission] || 1)) {
+            best = share;
+        }
+    }
+    return best;
+};
+
 // Instance method to check if user has permission
-documentSchema.methods.hasPermission = function (userId, permission = 'viewer') {
+documentSchema.methods.hasPermission = function (userId, permission = 'viewer', teamIds = []) {
     // Owner has all permissions
-    if (this.owner.toString() === userId.toString()) {
+    if ((this.owner._id || this.owner).toString() === userId.toString()) {
         return true;
     }
 
-    // Check shared permissions
-    const share = this.sharedWith.find(s =>
-        s.user.toString() === userId.toString() && s.isActive
-    );
+    // Check shared permissions, including shares with the user's teams
+    const share = this.getSharedAccess(userId, teamIds);
 
     if (!share) return false;
 
-    const permissionLevels = { viewer: 1, editor: 2, admin: 3 };
-    const requiredLevel = permissionLevels[permission] || 1;
-    const userLevel = permissionLevels[share.permission] || 1;
+    const requiredLevel = PERMISSION_LEVELS[permission] || 1;
+    const userLevel = PERMISSION_LEVELS[share.permission] || 1;
 
     return userLevel >= requiredLevel;
 };
 
-// Instance method to add version with enhanced tracking
-documentSchema.methods.addVersion = function (content, editedBy, changeDescription = '') {
-    const { generateChecksum, logVersionActivity } = require('../utils/versionControl.js');
+// Instance method to list everything that gives a user access, including shares inherited from the folder ancestry
+documentSchema.methods.getAccessGrants = async function (userId, teamIds = []) {
+    const teams = teamIds.map(id => id.toString());
+    const grants = [];
 
-    const versionNumber = this.versions.length + 1;
-    const checksum = generateChecksum(content);
+    if ((this.owner._id || this.owner).toString() === userId.toString()) {
+        grants.push({ source: 'owner', permission: 'admin' });
+    }
 
-    const versionData = {
-        content,
-        title: this.title,
-        versionNumber,
-        changeDescription,
-        editedBy,
-        size: Buffer.byteLength(content, 'utf8'),
-        checksum
-    };
+    // Folder shares have no expiry of their own, so the same check covers both
+    const describeShares = (item) => [
+        ...item.sharedWith
+            .filter(s => isShareActive(s) && (s.user._id || s.user).toString() === userId.toString())
+            .map(share => ({ source: 'user', permission: share.permission, share })),
+        ...(item.sharedWithTeams || [])
+            .filter(s => isShareActive(s) && teams.includes((s.team._id || s.team).toString()))
+            .map(share => ({ source: 'team', permission: share.permission, team: share.team._id || share.team, share }))
+    ];
+
+    grants.push(...describeShares(this));
+
+    if (this.folder && this.settings?.inheritPermissions !== false) {
+        const ancestry = await Folder.getAncestry(this.folder._id || this.folder);
+        for (const folder of ancestry) {
+            grants.push(...describeShares(folder).map(grant => ({
+                ...grant,
+                source: 'folder',
+                via: grant.source,
+                folder: { id: folder._id, name: folder.name, path: folder.fullPath }
+            })));
+        }
+    }
+
+    if (this.visibility === 'organization') {
+        grants.push({ source: 'organization', permission: 'viewer' });
+    }
+
+    return grants;
+};
+
+// Instance method to find the strongest grant a user has, if any
+documentSchema.methods.getEffectiveAccess = async function (userId, teamIds = []) {
+    const grants = await this.getAccessGrants(userId, teamIds);
+
+    let best = null;
+    for (const grant of grants) {
+        if (!best || PERMISSION_LEVELS[grant.permission] > PERMISSION_LEVELS[best.permission]) {
+            best = grant;
+        }
+    }
+    return best;
+};
 
-    this.versions.push(versionData);
-    this.currentVersion = versionNumber;
+// Instance method to check permission including organization visibility and folder inheritance
+documentSchema.methods.hasEffectivePermission = async function (userId, permission = 'viewer', teamIds = []) {
+    if (this.hasPermission(userId, permission, teamIds)) {
+        return true;
+    }
+
+    const access = await this.getEffectiveAccess(userId, teamIds);
+    return !!access && PERMISSION_LEVELS[access.permission] >= (PERMISSION_LEVELS[permission] || 1);
+};
+
+// Instance method to add version with enhanced tracking
+documentSchema.methods.addVersion = async function (content, editedBy, changeDescription = '') {
+    const version = await DocumentVersion.createVersion(this, { content, editedBy, changeDescription });
+
+    this.currentVersion = version.versionNumber;
     this.content = content;
     this.metadata.lastEditedBy = editedBy;
 
     // Keep only the last N versions to prevent unlimited growth
     const maxVersions = parseInt(process.env.MAX_VERSIONS_PER_DOCUMENT) || 50;
-    if (this.versions.length > maxVersions) {
-        this.versions = this.versions.slice(-maxVersions);
-    }
+    await DocumentVersion.pruneVersions(this._id, maxVersions);
 
     // Log version creation activity
     logVersionActivity('version_created', {
@@ -361,35 +471,36 @@ documentSchema.methods.addVersion = function (content, editedBy, changeDescripti
         organizationId: this.organization,
         documentId: this._id,
         documentTitle: this.title,
-        versionNumber,
-        details: `Created version ${versionNumber}: ${changeDescription}`,
-        metadata: { checksum, size: versionData.size }
+        versionNumber: version.versionNumber,
+        details: `Created version ${version.versionNumber}: ${changeDescription}`,
+        metadata: { checksum: version.checksum, size: version.size }
     });
 
     return this.save();
 };
 
-// Instance method to get version by number
+// Instance method to get version by number (with content rebuilt from deltas)
 documentSchema.methods.getVersion = function (versionNumber) {
-    return this.versions.find(v => v.versionNumber === versionNumber);
+    return DocumentVersion.getVersion(this._id, versionNumber);
 };
 
-// Instance method to restore to specific version
-documentSchema.methods.restoreToVersion = function (versionNumber, userId, changeDescription = '') {
-    const { logVersionActivity } = require('../utils/versionControl.js');
+// Instance method to list version history without content
+documentSchema.methods.getVersions = function (options = {}) {
+    return DocumentVersion.listVersions(this._id, options);
+};
 
-    const targetVersion = this.getVersion(versionNumber);
-    if (!targetVersion) {
+// Instance method to restore to specific version
+documentSchema.methods.restoreToVersion = async function (versionNumber, userId, changeDescription = '') {
+    const targetVersion = await this.getVersion(versionNumber);
+    if (!targetVersion || targetVersion.content === null) {
         throw new Error(`Version ${versionNumber} not found`);
     }
 
+    this.title = targetVersion.title || this.title;
+
     // Create new version with restored content
     const restoreDescription = changeDescription || `Restored to version ${versionNumber}`;
-    this.addVersion(targetVersion.content, userId, restoreDescription);
-
-    // Update current content
-    this.content = targetVersion.content;
-    this.title = targetVersion.title || this.title;
+    await this.addVersion(targetVersion.content, userId, restoreDescription);
 
     // Log restore activity
     logVersionActivity('version_restored', {
@@ -399,32 +510,60 @@ documentSchema.methods.restoreToVersion = function (versionNumber, userId, chang
         documentTitle: this.title,
         versionNumber: this.currentVersion,
         details: `Restored document to version ${versionNumber}`,
-        metadata: { restoredFromVersion: versionNumber }
+        metadata: { restoredFromVersion: versionNumber, checksum: generateChecksum(targetVersion.content) }
     });
 
-    return this.save();
+    return this;
 };
 
 // Instance method to get version statistics
-documentSchema.methods.getVersionStats = function () {
-    const { getVersionStatistics } = require('../utils/versionControl.js');
-    return getVersionStatistics(this);
+documentSchema.methods.getVersionStats = async function () {
+    const versions = await DocumentVersion.listVersions(this._id, { sort: { versionNumber: 1 } });
+    return getVersionStatistics({ versions });
 };
 
 // Instance method to cleanup old versions
-documentSchema.methods.cleanupVersions = function (retentionPolicy = {}) {
-    const { cleanupOldVersions } = require('../utils/versionControl.js');
-    return cleanupOldVersions(this, retentionPolicy);
+documentSchema.methods.cleanupVersions = async function (retentionPolicy = {}) {
+    const versions = await DocumentVersion.listVersions(this._id, { sort: { versionNumber: 1 } });
+    const removed = cleanupOldVersions({ versions }, retentionPolicy);
+
+    await DocumentVersion.removeVersions(this._id, removed.map(v => v.versionNumber));
+    return removed;
 };
 
 // Instance method to export version data
-documentSchema.methods.exportVersions = function (options = {}) {
-    const { exportVersionData } = require('../utils/versionControl.js');
-    return exportVersionData(this, options);
+documentSchema.methods.exportVersions = async function (options = {}) {
+    const { includeContent = true, versionRange = null } = options;
+
+    const versions = includeContent
+        ? await DocumentVersion.getVersionsWithContent(this._id, versionRange || {})
+        : await DocumentVersion.listVersions(this._id, { sort: { versionNumber: 1 } });
+
+    return exportVersionData({
+        _id: this._id,
+        title: this.title,
+        currentVersion: this.currentVersion,
+        versions
+    }, options);
+};
+
+// Instance method to build an unsaved copy, used by duplication and templates
+documentSchema.methods.createCopy = function (overrides = {}) {
+    return new this.constructor({
+        title: `Copy of ${this.title}`,
+        content: this.content,
+        contentType: this.contentType,
+        organization: this.organization,
+        folder: this.folder,
+        tags: [...this.tags],
+        visibility: 'private',
+        status: 'draft',
+        ...overrides
+    });
 };
 
 // Instance method to share document
-documentSchema.methods.shareWith = function (userId, permission, sharedBy) {
+documentSchema.methods.shareWith = function (userId, permission, sharedBy, expiresAt) {
     // Remove existing share if any
     this.sharedWith = this.sharedWith.filter(s => s.user.toString() !== userId.toString());
 
@@ -433,6 +572,7 @@ documentSchema.methods.shareWith = function (userId, permission, sharedBy) {
         user: userId,
         permission,
         sharedBy,
+        expiresAt,
         isActive: true
     });
 
@@ -448,6 +588,28 @@ documentSchema.methods.revokeAccess = function (userId) {
     return this.save();
 };
 
+// Instance method to share document with a team
+documentSchema.methods.shareWithTeam = function (teamId, permission, sharedBy, expiresAt) {
+    // Replace any existing share with the team
+    this.sharedWithTeams = this.sharedWithTeams.filter(s => s.team.toString() !== teamId.toString());
+
+    this.sharedWithTeams.push({
+        team: teamId,
+        permission,
+        sharedBy,
+        expiresAt,
+        isActive: true
+    });
+
+    return this.save();
+};
+
+// Instance method to stop sharing with a team
+documentSchema.methods.revokeTeamAccess = function (teamId) {
+    this.sharedWithTeams = this.sharedWithTeams.filter(s => s.team.toString() !== teamId.toString());
+    return this.save();
+};
+
 // Instance method to update collaborator activity
 documentSchema.methods.updateCollaboratorActivity = function (userId, role = 'viewer') {
     let collaborator = this.metadata.collaborators.find(c =>
@@ -468,4 +630,7 @@ documentSchema.methods.updateCollaboratorActivity = function (userId, role = 'vi
     return this.save({ validateBeforeSave: false });
 };
 
+// Keep the configured search provider's index up to date
+documentSchema.plugin(searchIndexPlugin);
+
 export const Document = mongoose.model('Document', documentSchema);
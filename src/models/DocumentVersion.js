@@ -0,0 +1,386 @@
+import mongoose from 'mongoose';
+import {
+  generateChecksum,
+  calculateContentSize,
+  createContentDelta,
+  applyContentDelta,
+  calculateDeltaSize
+} from '../utils/versionControl.js';
+
+// A full snapshot is written at least every N versions so reads replay a bounded number of deltas
+const SNAPSHOT_INTERVAL = parseInt(process.env.VERSION_SNAPSHOT_INTERVAL) || 10;
+
+// Saves racing for the same version number retry against the winner this many times
+const VERSION_NUMBER_RETRIES = 5;
+
+const deltaOperationSchema = new mongoose.Schema({
+  op: {
+    type: String,
+    enum: ['retain', 'delete', 'insert'],
+    required: true
+  },
+  count: Number,
+  lines: {
+    type: [String],
+    default: undefined
+  }
+}, { _id: false });
+
+const documentVersionSchema = new mongoose.Schema({
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: [true, 'Document is required']
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization is required'],
+    index: true
+  },
+  versionNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  title: String,
+  changeDescription: {
+    type: String,
+    maxlength: [500, 'Change description cannot exceed 500 characters']
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  storage: {
+    type: String,
+    enum: ['snapshot', 'delta'],
+    required: true
+  },
+  // Full content, only set for snapshots
+  content: String,
+  // Forward delta from baseVersion, only set for deltas
+  delta: {
+    type: [deltaOperationSchema],
+    default: undefined
+  },
+  baseVersion: Number,
+  // Number of deltas between this version and the nearest snapshot
+  chainLength: {
+    type: Number,
+    default: 0
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  storedSize: {
+    type: Number,
+    default: 0
+  },
+  checksum: String
+}, {
+  timestamps: true
+});
+
+documentVersionSchema.index({ document: 1, versionNumber: 1 }, { unique: true });
+documentVersionSchema.index({ document: 1, storage: 1, versionNumber: -1 });
+documentVersionSchema.index({ organization: 1, createdAt: -1 });
+
+// Fields returned when listing history; storage internals stay private
+const METADATA_FIELDS = '-content -delta';
+
+// Build the stored representation of content relative to the previous version
+const encodeVersion = (content, previous) => {
+  const size = calculateContentSize(content);
+
+  if (previous && previous.chainLength + 1 < SNAPSHOT_INTERVAL) {
+    const delta = createContentDelta(previous.content, content);
+    const storedSize = calculateDeltaSize(delta);
+
+    // A delta larger than the content itself is not worth replaying
+    if (storedSize < size) {
+      return {
+        storage: 'delta',
+        delta,
+        content: undefined,
+        baseVersion: previous.versionNumber,
+        chainLength: previous.chainLength + 1,
+        size,
+        storedSize
+      };
+    }
+  }
+
+  return {
+    storage: 'snapshot',
+    content,
+    delta: undefined,
+    baseVersion: undefined,
+    chainLength: 0,
+    size,
+    storedSize: size
+  };
+};
+
+// Static method to rebuild the content of a single version
+documentVersionSchema.statics.getContent = async function (documentId, versionNumber) {
+  const snapshot = await this.findOne({
+    document: documentId,
+    storage: 'snapshot',
+    versionNumber: { $lte: versionNumber }
+  })
+    .sort({ versionNumber: -1 })
+    .select('versionNumber content')
+    .lean();
+
+  if (!snapshot) return null;
+
+  let content = snapshot.content;
+  if (snapshot.versionNumber === versionNumber) return content;
+
+  const deltas = await this.find({
+    document: documentId,
+    versionNumber: { $gt: snapshot.versionNumber, $lte: versionNumber }
+  })
+    .sort({ versionNumber: 1 })
+    .select('versionNumber storage content delta checksum')
+    .lean();
+
+  if (deltas.length === 0 || deltas[deltas.length - 1].versionNumber !== versionNumber) {
+    return null;
+  }
+
+  for (const version of deltas) {
+    content = version.storage === 'snapshot' ? version.content : applyContentDelta(content, version.delta);
+  }
+
+  const target = deltas[deltas.length - 1];
+  if (target.checksum && generateChecksum(content) !== target.checksum) {
+    throw new Error(`Checksum mismatch while rebuilding version ${versionNumber}`);
+  }
+
+  return content;
+};
+
+// Static method to get a version with its content
+documentVersionSchema.statics.getVersion = async function (documentId, versionNumber) {
+  const version = await this.findOne({ document: documentId, versionNumber })
+    .select(METADATA_FIELDS)
+    .populate('editedBy', 'name email')
+    .lean();
+
+  if (!version) return null;
+
+  version.content = await this.getContent(documentId, versionNumber);
+  return version;
+};
+
+// Static method to list version metadata (newest first by default)
+documentVersionSchema.statics.listVersions = function (documentId, options = {}) {
+  const { skip = 0, limit = 0, sort = { versionNumber: -1 } } = options;
+
+  return this.find({ document: documentId })
+    .select(METADATA_FIELDS)
+    .sort(sort)
+    .skip(skip)
+    .limit(limit)
+    .populate('editedBy', 'name email')
+    .lean();
+};
+
+// Static method to get versions with content in ascending order, replaying deltas once
+documentVersionSchema.statics.getVersionsWithContent = async function (documentId, range = {}) {
+  const { start = 1, end = Number.MAX_SAFE_INTEGER } = range;
+
+  const snapshot = await this.findOne({
+    document: documentId,
+    storage: 'snapshot',
+    versionNumber: { $lte: start }
+  })
+    .sort({ versionNumber: -1 })
+    .select('versionNumber')
+    .lean();
+
+  const versions = await this.find({
+    document: documentId,
+    versionNumber: { $gte: snapshot ? snapshot.versionNumber : start, $lte: end }
+  })
+    .sort({ versionNumber: 1 })
+    .populate('editedBy', 'name email')
+    .lean();
+
+  let content = null;
+  return versions
+    .map(version => {
+      content = version.storage === 'snapshot' ? version.content : applyContentDelta(content, version.delta);
+      const { delta, ...rest } = version;
+      return { ...rest, content };
+    })
+    .filter(version => version.versionNumber >= start);
+};
+
+// Static method to get the latest version number of a document (0 when there is no history)
+documentVersionSchema.statics.getLatestVersionNumber = async function (documentId) {
+  const latest = await this.findOne({ document: documentId })
+    .sort({ versionNumber: -1 })
+    .select('versionNumber')
+    .lean();
+
+  return latest ? latest.versionNumber : 0;
+};
+
+// Static method to append a new version for a document; two saves can read the same latest
+// version, so the unique index turns the loser away and it retries on top of the winner
+documentVersionSchema.statics.createVersion = async function (document, { content, editedBy, changeDescription = '' }) {
+  for (let attempt = 1; ; attempt += 1) {
+    const latest = await this.findOne({ document: document._id })
+      .sort({ versionNumber: -1 })
+      .select('versionNumber chainLength')
+      .lean();
+
+    const previous = latest
+      ? { ...latest, content: await this.getContent(document._id, latest.versionNumber) }
+      : null;
+
+    const version = new this({
+      document: document._id,
+      organization: document.organization,
+      versionNumber: latest ? latest.versionNumber + 1 : 1,
+      title: document.title,
+      changeDescription,
+      editedBy,
+      checksum: generateChecksum(content),
+      // Fall back to a snapshot if the previous version can no longer be rebuilt
+      ...encodeVersion(content, previous && previous.content !== null ? previous : null)
+    });
+
+    try {
+      return await version.save();
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= VERSION_NUMBER_RETRIES) throw error;
+    }
+  }
+};
+
+// Static method to import an existing history, keeping version numbers and timestamps
+documentVersionSchema.statics.importVersions = async function (document, versions) {
+  const sorted = [...versions].sort((a, b) => a.versionNumber - b.versionNumber);
+  const entries = [];
+  let previous = null;
+
+  for (const version of sorted) {
+    const content = version.content || '';
+
+    entries.push({
+      document: document._id,
+      organization: document.organization,
+      versionNumber: version.versionNumber,
+      title: version.title,
+      changeDescription: version.changeDescription,
+      editedBy: version.editedBy,
+      checksum: version.checksum || generateChecksum(content),
+      createdAt: version.createdAt,
+      updatedAt: version.updatedAt || version.createdAt,
+      ...encodeVersion(content, previous)
+    });
+
+    previous = { versionNumber: version.versionNumber, content, chainLength: entries[entries.length - 1].chainLength };
+  }
+
+  if (entries.length === 0) return [];
+
+  // Preserve the original timestamps instead of stamping the import time
+  return this.insertMany(entries, { timestamps: false });
+};
+
+// Static method to delete versions, re-encoding the survivors so every delta chain stays intact
+documentVersionSchema.statics.removeVersions = async function (documentId, versionNumbers) {
+  const toRemove = new Set(versionNumbers);
+  if (toRemove.size === 0) return 0;
+
+  // Only versions from the snapshot the first removed one is built on up to the next snapshot
+  // after the last removed one can need re-encoding; the rest of the history is left alone
+  const first = Math.min(...toRemove);
+  const last = Math.max(...toRemove);
+  const [start, end] = await Promise.all([
+    this.findOne({ document: documentId, storage: 'snapshot', versionNumber: { $lte: first } })
+      .sort({ versionNumber: -1 })
+      .select('versionNumber')
+      .lean(),
+    this.findOne({ document: documentId, storage: 'snapshot', versionNumber: { $gt: last } })
+      .sort({ versionNumber: 1 })
+      .select('versionNumber')
+      .lean()
+  ]);
+
+  const versions = await this.find({
+    document: documentId,
+    versionNumber: { $gte: start ? start.versionNumber : 0, ...(end && { $lt: end.versionNumber }) }
+  })
+    .sort({ versionNumber: 1 })
+    .select('versionNumber storage content delta chainLength baseVersion')
+    .lean();
+
+  const operations = [];
+  let content = null;
+  let previousKept = null;
+
+  for (const version of versions) {
+    content = version.storage === 'snapshot' ? version.content : applyContentDelta(content, version.delta);
+
+    if (toRemove.has(version.versionNumber)) continue;
+
+    // A delta survives as long as the version it was built against survives
+    if (version.storage === 'delta' && (!previousKept || version.baseVersion !== previousKept.versionNumber)) {
+      const encoded = encodeVersion(content, previousKept);
+      operations.push({
+        updateOne: {
+          filter: { _id: version._id },
+          update: encoded.storage === 'snapshot'
+            ? { $set: { storage: 'snapshot', content, chainLength: 0, storedSize: encoded.storedSize }, $unset: { delta: 1, baseVersion: 1 } }
+            : { $set: { delta: encoded.delta, baseVersion: encoded.baseVersion, chainLength: encoded.chainLength, storedSize: encoded.storedSize } }
+        }
+      });
+      previousKept = { versionNumber: version.versionNumber, content, chainLength: encoded.chainLength };
+      continue;
+    }
+
+    const chainLength = version.storage === 'snapshot' ? 0 : previousKept.chainLength + 1;
+    if (chainLength !== version.chainLength) {
+      operations.push({
+        updateOne: { filter: { _id: version._id }, update: { $set: { chainLength } } }
+      });
+    }
+    previousKept = { versionNumber: version.versionNumber, content, chainLength };
+  }
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+  }
+
+  const result = await this.deleteMany({
+    document: documentId,
+    versionNumber: { $in: [...toRemove] }
+  });
+
+  return result.deletedCount;
+};
+
+// Static method to keep only the newest N versions of a document. Old versions are removed a
+// snapshot interval at a time once the history is that far over the limit, not on every save
+documentVersionSchema.statics.pruneVersions = async function (documentId, maxVersions) {
+  const total = await this.countDocuments({ document: documentId });
+  if (total < maxVersions + SNAPSHOT_INTERVAL) return 0;
+
+  const oldest = await this.find({ document: documentId })
+    .sort({ versionNumber: 1 })
+    .limit(total - maxVersions)
+    .select('versionNumber')
+    .lean();
+
+  return this.removeVersions(documentId, oldest.map(v => v.versionNumber));
+};
+
+export const DocumentVersion = mongoose.model('DocumentVersion', documentVersionSchema);
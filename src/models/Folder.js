@@ -1,4 +1,8 @@
 import mongoose from 'mongoose';
+import { escapeRegex } from '../utils/searchQuery.js';
+
+const PERMISSION_LEVELS = { viewer: 1, editor: 2, admin: 3 };
+const MAX_DEPTH = 10;
 
 const folderSchema = new mongoose.Schema({
   name: {
@@ -77,6 +81,32 @@ const folderSchema = new mongoose.Schema({
       default: true
     }
   }],
+  // Shares with a team apply to everyone on it
+  sharedWithTeams: [{
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team',
+      required: true
+    },
+    permission: {
+      type: String,
+      enum: ['viewer', 'editor', 'admin'],
+      default: 'viewer'
+    },
+    sharedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    sharedAt: {
+      type: Date,
+      default: Date.now
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
   visibility: {
     type: String,
     enum: ['private', 'organization', 'public'],
@@ -117,6 +147,7 @@ folderSchema.index({ organization: 1, path: 1 });
 folderSchema.index({ organization: 1, name: 1 });
 folderSchema.index({ organization: 1, visibility: 1 });
 folderSchema.index({ 'sharedWith.user': 1, 'sharedWith.isActive': 1 });
+folderSchema.index({ 'sharedWithTeams.team': 1, 'sharedWithTeams.isActive': 1 });
 
 // Virtual for full path display
 folderSchema.virtual('fullPath').get(function() {
@@ -167,14 +198,18 @@ folderSchema.pre('save', async function(next) {
 });
 
 // Static method to find folders by organization
-folderSchema.statics.findByOrganization = function(organizationId, userId, options = {}) {
+folderSchema.statics.findByOrganization = async function(organizationId, userId, options = {}, teamIds = []) {
+  // Folders below a shared folder are shared too
+  const inheritedIds = await this.findSharedFolderIds(organizationId, userId, teamIds);
   const query = {
     organization: organizationId,
     isArchived: false,
     $or: [
       { owner: userId },
       { visibility: 'organization' },
-      { 'sharedWith.user': userId, 'sharedWith.isActive': true }
+      { 'sharedWith.user': userId, 'sharedWith.isActive': true },
+      { sharedWithTeams: { $elemMatch: { team: { $in: teamIds }, isActive: true } } },
+      { _id: { $in: inheritedIds } }
     ]
   };
   
@@ -185,7 +220,9 @@ folderSchema.statics.findByOrganization = function(organizationId, userId, optio
 };
 
 // Static method to get folder tree
-folderSchema.statics.getFolderTree = function(organizationId, userId, parentId = null) {
+folderSchema.statics.getFolderTree = async function(organizationId, userId, parentId = null, teamIds = []) {
+  // Folders below a shared folder are shared too
+  const inheritedIds = await this.findSharedFolderIds(organizationId, userId, teamIds);
   const query = {
     organization: organizationId,
     parent: parentId,
@@ -193,7 +230,9 @@ folderSchema.statics.getFolderTree = function(organizationId, userId, parentId =
     $or: [
       { owner: userId },
       { visibility: 'organization' },
-      { 'sharedWith.user': userId, 'sharedWith.isActive': true }
+      { 'sharedWith.user': userId, 'sharedWith.isActive': true },
+      { sharedWithTeams: { $elemMatch: { team: { $in: teamIds }, isActive: true } } },
+      { _id: { $in: inheritedIds } }
     ]
   };
   
@@ -202,27 +241,287 @@ folderSchema.statics.getFolderTree = function(organizationId, userId, parentId =
     .sort({ name: 1 });
 };
 
+// Static method to build the nested folder tree
+folderSchema.statics.getNestedTree = async function(organizationId, userId, rootId = null, teamIds = []) {
+  // Folders below a shared folder are shared too
+  const inheritedIds = await this.findSharedFolderIds(organizationId, userId, teamIds);
+  const folders = await this.find({
+    organization: organizationId,
+    isArchived: false,
+    $or: [
+      { owner: userId },
+      { visibility: 'organization' },
+      { 'sharedWith.user': userId, 'sharedWith.isActive': true },
+      { sharedWithTeams: { $elemMatch: { team: { $in: teamIds }, isActive: true } } },
+      { _id: { $in: inheritedIds } }
+    ]
+  })
+    .select('name description parent path level color icon visibility owner stats')
+    .sort({ name: 1 })
+    .lean();
+
+  const nodes = new Map(folders.map(folder => [folder._id.toString(), { ...folder, children: [] }]));
+  const roots = [];
+
+  nodes.forEach(node => {
+    const parentId = node.parent ? node.parent.toString() : null;
+
+    if (parentId === (rootId ? rootId.toString() : null)) {
+      roots.push(node);
+    } else if (parentId && nodes.has(parentId)) {
+      nodes.get(parentId).children.push(node);
+    } else if (!rootId) {
+      // Parent is not visible to this user, surface the folder at the top level
+      roots.push(node);
+    }
+  });
+
+  return roots;
+};
+
+// Static method to load a folder and its ancestors, nearest first
+folderSchema.statics.getAncestry = async function(folderId) {
+  const folder = await this.findById(folderId);
+  if (!folder) return [];
+
+  // Every ancestor's full path is a prefix of this folder's path
+  const prefixes = [];
+  for (let i = folder.path.indexOf('/', 1); i !== -1; i = folder.path.indexOf('/', i + 1)) {
+    prefixes.push(folder.path.slice(0, i));
+  }
+  if (folder.path) prefixes.push(folder.path);
+
+  const candidates = prefixes.length === 0 ? [] : await this.find({
+    organization: folder.organization,
+    level: { $lt: folder.level },
+    $expr: { $in: [{ $concat: ['$path', '/', '$name'] }, prefixes] }
+  });
+
+  // Folder names aren't unique, so follow parent links through the candidates
+  const byId = new Map(candidates.map(candidate => [candidate._id.toString(), candidate]));
+  const ancestry = [folder];
+  let parentId = folder.parent;
+
+  while (parentId && ancestry.length <= MAX_DEPTH) {
+    const parent = byId.get(parentId.toString()) || await this.findById(parentId);
+    if (!parent) break;
+    ancestry.push(parent);
+    parentId = parent.parent;
+  }
+
+  return ancestry;
+};
+
+// Static method to find folders shared with a user or their teams at a permission level or above,
+// including everything below them
+folderSchema.statics.findSharedFolderIds = async function(organizationId, userId, teamIds = [], permission = 'viewer') {
+  const permissions = Object.keys(PERMISSION_LEVELS)
+    .filter(level => PERMISSION_LEVELS[level] >= (PERMISSION_LEVELS[permission] || 1));
+
+  const shared = await this.find({
+    organization: organizationId,
+    $or: [
+      { sharedWith: { $elemMatch: { user: userId, isActive: true, permission: { $in: permissions } } } },
+      { sharedWithTeams: { $elemMatch: { team: { $in: teamIds }, isActive: true, permission: { $in: permissions } } } }
+    ]
+  }).select('name path parent');
+
+  if (shared.length === 0) return [];
+
+  const descendants = await this.find({
+    organization: organizationId,
+    $or: shared.map(folder => ({ path: new RegExp(`^${escapeRegex(folder.fullPath)}(/|$)`) }))
+  }).select('parent');
+
+  const included = new Set(shared.map(folder => folder._id.toString()));
+  const parents = new Map(descendants.map(folder => [folder._id.toString(), folder.parent?.toString()]));
+
+  // A same-named sibling's subtree matches the path too; keep only folders whose parents lead to a share
+  const leadsToShare = (id, depth = 0) => {
+    if (included.has(id)) return true;
+    const parentId = parents.get(id);
+    if (!parentId || depth > MAX_DEPTH || !leadsToShare(parentId, depth + 1)) return false;
+    included.add(id);
+    return true;
+  };
+  parents.forEach((parentId, id) => leadsToShare(id));
+
+  return [...included].map(id => new mongoose.Types.ObjectId(id));
+};
+
+// Instance method to collect all descendant folder ids (breadth-first)
+folderSchema.methods.getDescendantIds = async function() {
+  const descendants = [];
+  let frontier = [this._id];
+
+  while (frontier.length > 0) {
+    const children = await this.constructor.find({ parent: { $in: frontier } }).select('_id');
+    frontier = children.map(child => child._id);
+    descendants.push(...frontier);
+  }
+
+  return descendants;
+};
+
+// Instance method to check whether a folder is this folder or one of its descendants
+folderSchema.methods.isAncestorOf = async function(folderId) {
+  let current = folderId ? await this.constructor.findById(folderId).select('parent') : null;
+
+  while (current) {
+    if (current._id.equals(this._id)) {
+      return true;
+    }
+    current = current.parent ? await this.constructor.findById(current.parent).select('parent') : null;
+  }
+
+  return false;
+};
+
+// Instance method to recompute path and level for every folder below this one
+folderSchema.methods.refreshDescendantPaths = async function() {
+  let parents = [this];
+  let updated = 0;
+
+  while (parents.length > 0) {
+    const nextParents = [];
+
+    for (const parent of parents) {
+      const children = await this.constructor.find({ parent: parent._id });
+      if (children.length === 0) continue;
+
+      const level = parent.level + 1;
+      if (level > 10) {
+        throw new Error('Maximum folder depth exceeded');
+      }
+
+      await this.constructor.bulkWrite(children.map(child => ({
+        updateOne: {
+          filter: { _id: child._id },
+          update: { $set: { path: parent.fullPath, level } }
+        }
+      })));
+
+      children.forEach(child => {
+        child.path = parent.fullPath;
+        child.level = level;
+      });
+
+      nextParents.push(...children);
+      updated += children.length;
+    }
+
+    parents = nextParents;
+  }
+
+  return updated;
+};
+
+// Instance method to get the depth of the deepest descendant relative to this folder
+folderSchema.methods.getSubtreeDepth = async function() {
+  let depth = 0;
+  let frontier = [this._id];
+
+  while (frontier.length > 0) {
+    const children = await this.constructor.find({ parent: { $in: frontier } }).select('_id');
+    if (children.length === 0) break;
+    frontier = children.map(child => child._id);
+    depth += 1;
+  }
+
+  return depth;
+};
+
+// Instance method to find the strongest active share a user has, directly or through one of their teams
+folderSchema.methods.getSharedAccess = function(userId, teamIds = []) {
+  const teams = teamIds.map(id => id.toString());
+  const shares = [
+    ...this.sharedWith.filter(s => s.isActive && (s.user._id || s.user).toString() === userId.toString()),
+    ...(this.sharedWithTeams || []).filter(s => s.isActive && teams.includes((s.team._id || s.team).toString()))
+  ];
+
+  let best = null;
+  for (const share of shares) {
+    if (!best || (PERMISSION_LEVELS[share.permission] || 1) > (PERMISSION_LEVELS[best.permission] || 1)) {
+      best = share;
+    }
+  }
+  return best;
+};
+
 // Instance method to check if user has permission
-folderSchema.methods.hasPermission = function(userId, permission = 'viewer') {
+folderSchema.methods.hasPermission = function(userId, permission = 'viewer', teamIds = []) {
   // Owner has all permissions
-  if (this.owner.toString() === userId.toString()) {
+  if ((this.owner._id || this.owner).toString() === userId.toString()) {
     return true;
   }
   
-  // Check shared permissions
-  const share = this.sharedWith.find(s => 
-    s.user.toString() === userId.toString() && s.isActive
-  );
+  // Check shared permissions, including shares with the user's teams
+  const share = this.getSharedAccess(userId, teamIds);
   
   if (!share) return false;
   
-  const permissionLevels = { viewer: 1, editor: 2, admin: 3 };
-  const requiredLevel = permissionLevels[permission] || 1;
-  const userLevel = permissionLevels[share.permission] || 1;
+  const requiredLevel = PERMISSION_LEVELS[permission] || 1;
+  const userLevel = PERMISSION_LEVELS[share.permission] || 1;
   
   return userLevel >= requiredLevel;
 };
 
+// Instance method to check permission including organization visibility and shares on parent folders
+folderSchema.methods.hasEffectivePermission = async function(userId, permission = 'viewer', teamIds = []) {
+  if (permission === 'viewer' && this.visibility === 'organization') return true;
+  if (this.hasPermission(userId, permission, teamIds)) return true;
+
+  // Owning or having a parent folder shared covers everything below it
+  const ancestors = this.parent ? await this.constructor.getAncestry(this.parent) : [];
+  return ancestors.some(ancestor => ancestor.hasPermission(userId, permission, teamIds));
+};
+
+// Instance method to share folder
+folderSchema.methods.shareWith = function(userId, permission, sharedBy) {
+  // Remove existing share if any
+  this.sharedWith = this.sharedWith.filter(s => s.user.toString() !== userId.toString());
+  
+  // Add new share
+  this.sharedWith.push({
+    user: userId,
+    permission,
+    sharedBy,
+    isActive: true
+  });
+  
+  return this.save();
+};
+
+// Instance method to revoke access
+folderSchema.methods.revokeAccess = function(userId) {
+  const share = this.sharedWith.find(s => s.user.toString() === userId.toString());
+  if (share) {
+    share.isActive = false;
+  }
+  return this.save();
+};
+
+// Instance method to share folder with a team
+folderSchema.methods.shareWithTeam = function(teamId, permission, sharedBy) {
+  // Replace any existing share with the team
+  this.sharedWithTeams = this.sharedWithTeams.filter(s => s.team.toString() !== teamId.toString());
+
+  this.sharedWithTeams.push({
+    team: teamId,
+    permission,
+    sharedBy,
+    isActive: true
+  });
+
+  return this.save();
+};
+
+// Instance method to stop sharing with a team
+folderSchema.methods.revokeTeamAccess = function(teamId) {
+  this.sharedWithTeams = this.sharedWithTeams.filter(s => s.team.toString() !== teamId.toString());
+  return this.save();
+};
+
 // Instance method to update stats
 folderSchema.methods.updateStats = async function() {
   const Document = mongoose.model('Document');
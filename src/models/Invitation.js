@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+import { hashToken, issueToken } from '../utils/tokens.js';
+import { ROLE_KEY_PATTERN } from './Role.js';
+
+const invitationSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization is required'],
+    index: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  role: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [ROLE_KEY_PATTERN, 'Role must be a valid role key'],
+    default: 'viewer'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Inviting user is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  // SHA-256 of the token in the invitation link
+  tokenHash: {
+    type: String,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  sentCount: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: Date,
+  acceptedAt: Date,
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function (doc, ret) {
+      delete ret.tokenHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+invitationSchema.index({ organization: 1, email: 1, status: 1 });
+invitationSchema.index({ tokenHash: 1 }, { unique: true, sparse: true });
+
+// Pending invitations past their expiry can no longer be accepted
+invitationSchema.virtual('isExpired').get(function () {
+  return this.status === 'pending' && this.expiresAt <= new Date();
+});
+
+// Instance method to issue a new link, replacing any earlier one (saved by the caller)
+invitationSchema.methods.issueToken = function () {
+  const { token, hash, expires } = issueToken(parseInt(process.env.INVITATION_TTL) || 7 * 24 * 60 * 60);
+  this.tokenHash = hash;
+  this.expiresAt = expires;
+  this.sentCount += 1;
+  this.lastSentAt = new Date();
+  return token;
+};
+
+// Static method to find the pending invitation behind a link
+invitationSchema.statics.findPendingByToken = function (token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  }).populate('organization', 'name domain slug isActive subscription');
+};
+
+// Static method to count seats held by pending invitations
+invitationSchema.statics.countPending = function (organizationId) {
+  return this.countDocuments({
+    organization: organizationId,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+export const Invitation = mongoose.model('Invitation', invitationSchema);
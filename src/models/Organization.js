@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { Role } from './Role.js';
 
 const organizationSchema = new mongoose.Schema({
   name: {
@@ -58,12 +59,39 @@ const organizationSchema = new mongoose.Schema({
     },
     allowedFileTypes: [{
       type: String,
-      enum: ['pdf', 'doc', 'docx', 'txt', 'md', 'rtf']
+      enum: ['pdf', 'doc', 'docx', 'txt', 'md', 'rtf', 'html', 'json']
     }],
     maxFileSize: {
       type: Number,
       default: 10485760, // 10MB in bytes
       min: [1024, 'File size must be at least 1KB']
+    },
+    security: {
+      // Admins must use two-factor authentication to sign in
+      requireTwoFactor: {
+        type: Boolean,
+        default: false
+      },
+      // Failed logins per account before it is slowed down and then locked
+      lockout: {
+        maxFailedAttempts: {
+          type: Number,
+          default: 5,
+          min: [3, 'Must allow at least 3 failed attempts'],
+          max: [20, 'Cannot allow more than 20 failed attempts']
+        },
+        lockoutMinutes: {
+          type: Number,
+          default: 15,
+          min: [1, 'Lockout must last at least 1 minute'],
+          max: [1440, 'Lockout cannot exceed 1440 minutes']
+        },
+        progressiveDelayAfter: {
+          type: Number,
+          default: 3,
+          min: [1, 'Delays must start after at least 1 failed attempt']
+        }
+      }
     }
   },
   subscription: {
@@ -103,6 +131,47 @@ const organizationSchema = new mongoose.Schema({
       zipCode: String
     }
   },
+  // OpenID Connect single sign-on (needs the sso feature)
+  sso: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    issuer: {
+      type: String,
+      trim: true
+    },
+    clientId: {
+      type: String,
+      trim: true
+    },
+    // Encrypted with encryptSecret
+    clientSecret: {
+      type: String,
+      select: false
+    },
+    // Email domains that may sign in; each is the organization's domain or a subdomain of it
+    allowedDomains: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }],
+    // Role for users created on their first SSO login
+    defaultRole: {
+      type: String,
+      enum: ['editor', 'viewer'],
+      default: 'viewer'
+    },
+    autoProvision: {
+      type: Boolean,
+      default: true
+    },
+    // Members must sign in through SSO; those who can manage the organization keep password login so a broken provider can't lock everyone out
+    disablePasswordLogin: {
+      type: Boolean,
+      default: false
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -186,6 +255,21 @@ organizationSchema.methods.hasFeature = function (feature) {
   return this.subscription.features.includes(feature);
 };
 
+// Instance method to check an email against the domains allowed to use SSO
+organizationSchema.methods.isSsoEmailAllowed = function (email) {
+  const domain = String(email).toLowerCase().split('@')[1];
+  const allowedDomains = this.sso?.allowedDomains?.length ? this.sso.allowedDomains : [this.domain];
+  return Boolean(domain) && allowedDomains.includes(domain);
+};
+
+// Instance method to check whether a user must sign in through SSO; members who can manage
+// the organization keep password login so a broken provider can't lock everyone out
+organizationSchema.methods.requiresSso = async function (user) {
+  if (!this.sso?.enabled || !this.sso.disablePasswordLogin) return false;
+  const permissions = await Role.getPermissions(this._id, user.role);
+  return !permissions.includes('organization.manage');
+};
+
 // Instance method to update stats
 organizationSchema.methods.updateStats = async function () {
   const User = mongoose.model('User');
@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+
+// Everything a role can be allowed to do; routes check these with requirePermission
+export const PERMISSIONS = [
+  'document.create',
+  'document.edit',
+  'document.publish',
+  'document.delete',
+  'document.comment',
+  'comment.moderate',
+  'folder.create',
+  'folder.edit',
+  'folder.delete',
+  'folder.manage',
+  'template.create',
+  'member.invite',
+  'member.manage',
+  'organization.manage',
+  'activity.view',
+  'api_key.manage',
+  'role.manage',
+  'team.manage'
+];
+
+// Roles every organization starts with; they can be edited but not deleted
+export const DEFAULT_ROLES = {
+  admin: {
+    name: 'Admin',
+    description: 'Full access to the organization',
+    permissions: PERMISSIONS
+  },
+  editor: {
+    name: 'Editor',
+    description: 'Create, edit, publish and organize documents',
+    permissions: [
+      'document.create',
+      'document.edit',
+      'document.publish',
+      'document.delete',
+      'document.comment',
+      'folder.create',
+      'folder.edit',
+      'folder.delete',
+      'template.create'
+    ]
+  },
+  viewer: {
+    name: 'Viewer',
+    description: 'Read and comment on documents',
+    permissions: ['document.comment']
+  }
+};
+
+export const ROLE_KEY_PATTERN = /^[a-z0-9][a-z0-9-]{1,29}$/;
+
+const roleSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization is required'],
+    index: true
+  },
+  // Stored in User.role and Invitation.role
+  key: {
+    type: String,
+    required: [true, 'Role key is required'],
+    lowercase: true,
+    trim: true,
+    match: [ROLE_KEY_PATTERN, 'Role key can only contain lowercase letters, numbers, and hyphens (2-30 characters)']
+  },
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    trim: true,
+    maxlength: [50, 'Role name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  permissions: [{
+    type: String,
+    enum: {
+      values: PERMISSIONS,
+      message: 'Invalid permission'
+    }
+  }],
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+roleSchema.index({ organization: 1, key: 1 }, { unique: true });
+
+// Pre-save middleware to keep the admin role complete, so an organization can't lock itself out
+roleSchema.pre('save', function (next) {
+  if (this.key === 'admin') {
+    this.permissions = PERMISSIONS;
+  }
+  this.permissions = [...new Set(this.permissions)];
+  next();
+});
+
+// Instance method to check a permission
+roleSchema.methods.hasPermission = function (permission) {
+  return this.permissions.includes(permission);
+};
+
+// Static method to create the default roles an organization is missing; edited ones are left alone
+roleSchema.statics.seedDefaults = function (organizationId) {
+  return this.bulkWrite(Object.entries(DEFAULT_ROLES).map(([key, role]) => ({
+    updateOne: {
+      filter: { organization: organizationId, key },
+      update: { $setOnInsert: { ...role, organization: organizationId, key, isDefault: true } },
+      upsert: true
+    }
+  })));
+};
+
+// Static method to get the permissions behind a role key, falling back to the defaults for unseeded organizations
+roleSchema.statics.getPermissions = async function (organizationId, key) {
+  if (key === 'admin') {
+    return PERMISSIONS;
+  }
+
+  const role = await this.findOne({ organization: organizationId, key }).select('permissions').lean();
+  if (role) {
+    return role.permissions;
+  }
+
+  return DEFAULT_ROLES[key]?.permissions || [];
+};
+
+// Static method to check that a role key can be given to members of an organization
+roleSchema.statics.isAssignable = async function (organizationId, key) {
+  return Boolean(DEFAULT_ROLES[key]) || Boolean(await this.exists({ organization: organizationId, key }));
+};
+
+export const Role = mongoose.model('Role', roleSchema);
@@ -0,0 +1,168 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { hashToken } from '../utils/tokens.js';
+
+const shareLinkSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization is required'],
+    index: true
+  },
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: [true, 'Document is required'],
+    index: true
+  },
+  // SHA-256 of the link token; the token itself is only shown once, when created
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Commenters can also read and add comments without an account
+  permission: {
+    type: String,
+    enum: {
+      values: ['viewer', 'commenter'],
+      message: 'Permission must be viewer or commenter'
+    },
+    default: 'viewer'
+  },
+  passwordHash: {
+    type: String,
+    select: false
+  },
+  requiresPassword: {
+    type: Boolean,
+    default: false
+  },
+  // Wrong passwords in a row; reaching the limit locks the link until passwordLockedUntil
+  failedPasswordAttempts: {
+    type: Number,
+    default: 0
+  },
+  passwordLockedUntil: Date,
+  expiresAt: Date,
+  maxViews: {
+    type: Number,
+    min: [1, 'Maximum views must be at least 1']
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function (doc, ret) {
+      delete ret.tokenHash;
+      delete ret.passwordHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+shareLinkSchema.index({ tokenHash: 1 }, { unique: true });
+shareLinkSchema.index({ organization: 1, document: 1, revokedAt: 1 });
+
+// Virtual for links that have used up their views
+shareLinkSchema.virtual('isExhausted').get(function () {
+  return !!this.maxViews && this.viewCount >= this.maxViews;
+});
+
+// Virtual for links that still open the document
+shareLinkSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date()) && !this.isExhausted;
+});
+
+// Instance method to set or clear the link password (saved by the caller)
+shareLinkSchema.methods.setPassword = async function (password) {
+  this.passwordHash = password ? await bcrypt.hash(password, 12) : undefined;
+  this.requiresPassword = !!password;
+};
+
+// Instance method to check a password (the link must be loaded with +passwordHash)
+shareLinkSchema.methods.checkPassword = function (password) {
+  if (!this.requiresPassword) return Promise.resolve(true);
+  if (!password || !this.passwordHash) return Promise.resolve(false);
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Instance method to count a wrong password; returns the lock end once maxAttempts is reached
+shareLinkSchema.methods.recordPasswordFailure = async function (maxAttempts, lockoutMinutes) {
+  const link = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedPasswordAttempts: 1 } },
+    { new: true, timestamps: false }
+  ).select('failedPasswordAttempts');
+
+  if (!link || link.failedPasswordAttempts < maxAttempts) return null;
+
+  const lockedUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedPasswordAttempts: 0, passwordLockedUntil: lockedUntil } },
+    { timestamps: false }
+  );
+  return lockedUntil;
+};
+
+// Instance method to forget wrong passwords after a correct one
+shareLinkSchema.methods.clearPasswordFailures = async function () {
+  if (!this.failedPasswordAttempts && !this.passwordLockedUntil) return;
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedPasswordAttempts: 0 }, $unset: { passwordLockedUntil: 1 } },
+    { timestamps: false }
+  );
+};
+
+// Instance method to count a view; false once the link has run out of views
+shareLinkSchema.methods.recordView = async function () {
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      $or: [
+        { maxViews: null },
+        { $expr: { $lt: ['$viewCount', '$maxViews'] } }
+      ]
+    },
+    { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } }
+  );
+
+  if (result.modifiedCount === 0) return false;
+
+  this.viewCount += 1;
+  return true;
+};
+
+// Static method to generate a new link token; returns the plain token alongside its hash
+shareLinkSchema.statics.generateToken = function () {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+};
+
+// Static method to find the link for a plain token, whatever its state
+shareLinkSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: hashToken(token) }).select('+passwordHash');
+};
+
+export const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
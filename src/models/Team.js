@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+const teamMemberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Maintainers can rename the team and manage its members
+  role: {
+    type: String,
+    enum: {
+      values: ['member', 'maintainer'],
+      message: 'Team role must be member or maintainer'
+    },
+    default: 'member'
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const teamSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Team name is required'],
+    trim: true,
+    minlength: [2, 'Team name must be at least 2 characters long'],
+    maxlength: [100, 'Team name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  members: [teamMemberSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+teamSchema.index({ organization: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+teamSchema.index({ organization: 1, 'members.user': 1 });
+
+// Virtual for member count
+teamSchema.virtual('memberCount').get(function () {
+  return this.members.length;
+});
+
+// Instance method to find a member entry
+teamSchema.methods.getMember = function (userId) {
+  return this.members.find(member => (member.user._id || member.user).toString() === userId.toString());
+};
+
+// Instance method to check if user can manage the team's details and members
+teamSchema.methods.isMaintainer = function (userId) {
+  return this.getMember(userId)?.role === 'maintainer';
+};
+
+// Instance method to add a member or change their team role (saved by the caller)
+teamSchema.methods.addMember = function (userId, role = 'member', addedBy = null) {
+  const existing = this.getMember(userId);
+  if (existing) {
+    existing.role = role;
+    return existing;
+  }
+
+  this.members.push({ user: userId, role, addedBy });
+  return this.members[this.members.length - 1];
+};
+
+// Instance method to remove a member (saved by the caller)
+teamSchema.methods.removeMember = function (userId) {
+  const before = this.members.length;
+  this.members = this.members.filter(member => (member.user._id || member.user).toString() !== userId.toString());
+  return this.members.length < before;
+};
+
+// Static method to list the ids of the teams a user belongs to
+teamSchema.statics.findTeamIds = function (userId, organizationId) {
+  return this.find({ organization: organizationId, 'members.user': userId }).distinct('_id');
+};
+
+export const Team = mongoose.model('Team', teamSchema);
@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { hashToken, issueToken, decryptSecret } from '../utils/tokens.js';
+import { verifyTOTP, hashRecoveryCode } from '../utils/mfa.js';
+import { ROLE_KEY_PATTERN } from './Role.js';
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -23,12 +26,12 @@ const userSchema = new mongoose.Schema({
     minlength: [8, 'Password must be at least 8 characters long'],
     select: false // Don't include password in queries by default
   },
+  // Key of a default or custom Role in the user's organization
   role: {
     type: String,
-    enum: {
-      values: ['admin', 'editor', 'viewer'],
-      message: 'Role must be either admin, editor, or viewer'
-    },
+    lowercase: true,
+    trim: true,
+    match: [ROLE_KEY_PATTERN, 'Role must be a valid role key'],
     default: 'viewer'
   },
   organization: {
@@ -68,11 +71,57 @@ const userSchema = new mongoose.Schema({
   resetPasswordToken: String,
   resetPasswordExpires: Date,
   emailVerificationToken: String,
+  emailVerificationExpires: Date,
   emailVerified: {
     type: Boolean,
     default: false
   },
-  emailVerifiedAt: Date
+  emailVerifiedAt: Date,
+  // Identity at the organization's SSO provider, set on the first SSO login
+  sso: {
+    issuer: String,
+    subject: String,
+    lastLoginAt: Date
+  },
+  // Two-factor authentication (TOTP); the secret is encrypted, recovery codes are hashed
+  mfa: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated by setup, moved to `secret` once a code from it is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Last time step accepted, so a code can't be replayed within its window
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        _id: false,
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    // Newest login challenge and the codes tried against it; older challenges stop working
+    challengeId: {
+      type: String,
+      select: false
+    },
+    challengeAttempts: {
+      type: Number,
+      select: false
+    }
+  }
 }, {
   timestamps: true,
   toJSON: {
@@ -82,6 +131,15 @@ const userSchema = new mongoose.Schema({
       delete ret.resetPasswordToken;
       delete ret.resetPasswordExpires;
       delete ret.emailVerificationToken;
+      delete ret.emailVerificationExpires;
+      if (ret.mfa) {
+        delete ret.mfa.secret;
+        delete ret.mfa.pendingSecret;
+        delete ret.mfa.lastUsedStep;
+        delete ret.mfa.recoveryCodes;
+        delete ret.mfa.challengeId;
+        delete ret.mfa.challengeAttempts;
+      }
       return ret;
     }
   },
@@ -94,6 +152,7 @@ userSchema.index({ organization: 1, role: 1 });
 userSchema.index({ organization: 1, isActive: 1 });
 userSchema.index({ resetPasswordToken: 1 });
 userSchema.index({ emailVerificationToken: 1 });
+userSchema.index({ 'sso.issuer': 1, 'sso.subject': 1 }, { sparse: true });
 
 // Virtual for full name display
 userSchema.virtual('displayName').get(function () {
@@ -124,6 +183,55 @@ userSchema.methods.updateLastLogin = function () {
   return this.save({ validateBeforeSave: false });
 };
 
+// Instance method to issue an email verification token (saved by the caller)
+userSchema.methods.createEmailVerificationToken = function () {
+  const { token, hash, expires } = issueToken(parseInt(process.env.EMAIL_VERIFICATION_TTL) || 24 * 60 * 60);
+  this.emailVerificationToken = hash;
+  this.emailVerificationExpires = expires;
+  return token;
+};
+
+// Instance method to issue a password reset token (saved by the caller)
+userSchema.methods.createPasswordResetToken = function () {
+  const { token, hash, expires } = issueToken(parseInt(process.env.PASSWORD_RESET_TTL) || 60 * 60);
+  this.resetPasswordToken = hash;
+  this.resetPasswordExpires = expires;
+  return token;
+};
+
+// Instance method to check a second factor: an authenticator code or an unused recovery code
+// Needs +mfa.secret +mfa.lastUsedStep +mfa.recoveryCodes selected; changes are saved by the caller
+userSchema.methods.verifyMfaCode = function ({ code, recoveryCode }) {
+  if (!this.mfa?.enabled) return null;
+
+  if (code) {
+    const step = verifyTOTP(decryptSecret(this.mfa.secret), code, { lastUsedStep: this.mfa.lastUsedStep ?? -1 });
+    if (step === null) return null;
+    this.mfa.lastUsedStep = step;
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const entry = this.mfa.recoveryCodes.find(candidate => candidate.hash === hash && !candidate.usedAt);
+    if (!entry) return null;
+    entry.usedAt = new Date();
+    return 'recovery_code';
+  }
+
+  return null;
+};
+
+// Instance method to count unused recovery codes (needs +mfa.recoveryCodes)
+userSchema.methods.remainingRecoveryCodes = function () {
+  return (this.mfa?.recoveryCodes || []).filter(entry => !entry.usedAt).length;
+};
+
+// Static method to hash a token received from a client for lookup
+userSchema.statics.hashToken = function (token) {
+  return hashToken(token);
+};
+
 // Static method to find users by organization
 userSchema.statics.findByOrganization = function (organizationId, options = {}) {
   const query = { organization: organizationId, isActive: true };
@@ -5,6 +5,13 @@ export { Document } from './Document.js';
 export { Activity } from './Activity.js';
 export { Folder } from './Folder.js';
 export { Comment } from './Comment.js';
+export { DocumentVersion } from './DocumentVersion.js';
+export { Invitation } from './Invitation.js';
+export { Session } from './Session.js';
+export { ApiKey } from './ApiKey.js';
+export { Role } from './Role.js';
+export { Team } from './Team.js';
+export { ShareLink } from './ShareLink.js';
 
 // Model initialization function
 export const initializeModels = async () => {
@@ -15,7 +22,14 @@ export const initializeModels = async () => {
     import('./Document.js'),
     import('./Activity.js'),
     import('./Folder.js'),
-    import('./Comment.js')
+    import('./Comment.js'),
+    import('./DocumentVersion.js'),
+    import('./Invitation.js'),
+    import('./Session.js'),
+    import('./ApiKey.js'),
+    import('./Role.js'),
+    import('./Team.js'),
+    import('./ShareLink.js')
   ]);
   
   console.log('All models initialized successfully');
@@ -0,0 +1,78 @@
+import express from 'express';
+import {
+  getApiKeys,
+  getApiKey,
+  createApiKey,
+  revokeApiKey
+} from '../controllers/apiKeyController.js';
+import {
+  authenticate,
+  requirePermission,
+  requireFeature,
+  validateObjectId,
+  validateApiKeyCreation,
+  handleValidationErrors,
+  sanitizeInput,
+  enforceMultiTenancy
+} from '../middleware/index.js';
+import { query } from 'express-validator';
+
+const router = express.Router();
+
+// Key management needs the api_key.manage permission and a plan with API access;
+// requests count against the app-wide general limit, not the login limit
+router.use(authenticate);
+router.use(enforceMultiTenancy);
+router.use(sanitizeInput);
+router.use(requirePermission('api_key.manage'));
+router.use(requireFeature('api_access'));
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    List the organization's API keys (?includeRevoked=true)
+ * @access  Private (api_key.manage permission)
+ */
+router.get('/',
+  [
+    query('includeRevoked')
+      .optional()
+      .isBoolean()
+      .withMessage('includeRevoked must be true or false'),
+    handleValidationErrors
+  ],
+  getApiKeys
+);
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create an API key with scopes; the key is only returned once
+ * @access  Private (api_key.manage permission)
+ */
+router.post('/',
+  validateApiKeyCreation,
+  createApiKey
+);
+
+/**
+ * @route   GET /api/api-keys/:id
+ * @desc    Get an API key's details and usage
+ * @access  Private (api_key.manage permission)
+ */
+router.get('/:id',
+  validateObjectId('id'),
+  handleValidationErrors,
+  getApiKey
+);
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (api_key.manage permission)
+ */
+router.delete('/:id',
+  validateObjectId('id'),
+  handleValidationErrors,
+  revokeApiKey
+);
+
+export default router;
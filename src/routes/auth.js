@@ -4,13 +4,41 @@ import {
   login,
   refreshToken,
   logout,
-  getProfile
+  getProfile,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  acceptInvitation,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyMfaLogin,
+  getMfaStatus,
+  setupMfa,
+  enableMfa,
+  regenerateRecoveryCodes,
+  disableMfa,
+  startSso,
+  ssoCallback
 } from '../controllers/authController.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, optionalAuth } from '../middleware/auth.js';
 import { authLimiter } from '../middleware/rateLimiter.js';
 import {
   validateUserRegistration,
   validateUserLogin,
+  validateEmailVerification,
+  validateEmailRequest,
+  validatePasswordReset,
+  validateInvitationAcceptance,
+  validateObjectId,
+  validateMfaLogin,
+  validateMfaSetup,
+  validateMfaEnable,
+  validateMfaConfirmation,
+  validateMfaDisable,
+  validateSsoStart,
+  validateSsoCallback,
   handleValidationErrors,
   sanitizeInput
 } from '../middleware/validation.js';
@@ -137,6 +165,12 @@ router.post('/register',
  *       Authenticate a user with email and password. Returns JWT tokens for
  *       accessing protected endpoints. The access token should be included
  *       in the Authorization header for subsequent requests.
+ *
+ *       Users with two-factor authentication get `mfaRequired: true` and a
+ *       `challengeToken` instead of tokens; send it with a code to
+ *       `POST /api/auth/mfa/verify`. Admins of organizations that require
+ *       two-factor and have not enrolled get 403 `MFA_ENROLLMENT_REQUIRED`
+ *       with a `challengeToken` for `/api/auth/mfa/setup` and `/api/auth/mfa/enable`.
  *     security: []
  *     requestBody:
  *       required: true
@@ -237,6 +271,10 @@ router.post('/login',
  *       Generate a new access token using a valid refresh token.
  *       Use this endpoint when the access token expires to get a new one
  *       without requiring the user to log in again.
+ *
+ *       Refresh tokens rotate: each call returns a new refresh token and the
+ *       one that was sent stops working. Reusing an old refresh token revokes
+ *       the whole session (REFRESH_TOKEN_REUSED).
  *     security: []
  *     requestBody:
  *       required: true
@@ -269,6 +307,9 @@ router.post('/login',
  *                     accessToken:
  *                       type: string
  *                       example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                     refreshToken:
+ *                       type: string
+ *                       example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
  *                     expiresIn:
  *                       type: integer
  *                       example: 3600
@@ -327,9 +368,9 @@ router.post('/refresh',
  *     tags: [Authentication]
  *     summary: User logout
  *     description: |
- *       Log out the current user and invalidate their refresh token.
- *       This endpoint requires authentication and will blacklist the
- *       provided refresh token to prevent its future use.
+ *       Log out the current user and end the session on this device.
+ *       The access token is blacklisted and the session's refresh token
+ *       can no longer be used.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -488,6 +529,171 @@ router.get('/profile',
   getProfile
 );
 
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm an email address with the token from the verification email
+ * @access  Public
+ */
+router.post('/verify-email',
+  validateEmailVerification,
+  verifyEmail
+);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new verification email
+ * @access  Public
+ */
+router.post('/resend-verification',
+  validateEmailRequest,
+  resendVerification
+);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post('/forgot-password',
+  validateEmailRequest,
+  forgotPassword
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with the token from the reset email
+ * @access  Public
+ */
+router.post('/reset-password',
+  validatePasswordReset,
+  resetPassword
+);
+
+/**
+ * @route   POST /api/auth/accept-invitation
+ * @desc    Join an organization with the token from an invitation email
+ * @access  Public
+ */
+router.post('/accept-invitation',
+  validateInvitationAcceptance,
+  acceptInvitation
+);
+
+/**
+ * @route   POST /api/auth/mfa/verify
+ * @desc    Finish a login with an authenticator or recovery code and the login's challenge token
+ * @access  Public
+ */
+router.post('/mfa/verify',
+  validateMfaLogin,
+  verifyMfaLogin
+);
+
+/**
+ * @route   GET /api/auth/mfa
+ * @desc    Get two-factor status and remaining recovery codes
+ * @access  Private
+ */
+router.get('/mfa',
+  authenticate,
+  getMfaStatus
+);
+
+/**
+ * @route   POST /api/auth/mfa/setup
+ * @desc    Generate an authenticator secret and otpauth URI
+ * @access  Private, or with an enrollment challenge token from login
+ */
+router.post('/mfa/setup',
+  optionalAuth,
+  validateMfaSetup,
+  setupMfa
+);
+
+/**
+ * @route   POST /api/auth/mfa/enable
+ * @desc    Confirm the new secret with a code; returns recovery codes (and tokens when enrolling during login)
+ * @access  Private, or with an enrollment challenge token from login
+ */
+router.post('/mfa/enable',
+  optionalAuth,
+  validateMfaEnable,
+  enableMfa
+);
+
+/**
+ * @route   POST /api/auth/mfa/recovery-codes
+ * @desc    Replace recovery codes after confirming an authenticator code
+ * @access  Private
+ */
+router.post('/mfa/recovery-codes',
+  authenticate,
+  validateMfaConfirmation,
+  regenerateRecoveryCodes
+);
+
+/**
+ * @route   POST /api/auth/mfa/disable
+ * @desc    Turn two-factor off with the password and a code
+ * @access  Private
+ */
+router.post('/mfa/disable',
+  authenticate,
+  validateMfaDisable,
+  disableMfa
+);
+
+/**
+ * @route   POST /api/auth/sso/start
+ * @desc    Start single sign-on for an organization (by `email` domain or `organization` slug)
+ * @access  Public
+ */
+router.post('/sso/start',
+  validateSsoStart,
+  startSso
+);
+
+/**
+ * @route   POST /api/auth/sso/callback
+ * @desc    Finish single sign-on with the `code` and `state` from the provider redirect
+ * @access  Public
+ */
+router.post('/sso/callback',
+  validateSsoCallback,
+  ssoCallback
+);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the devices the current user is signed in on
+ * @access  Private
+ */
+router.get('/sessions',
+  authenticate,
+  getSessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out every other device
+ * @access  Private
+ */
+router.delete('/sessions',
+  authenticate,
+  revokeOtherSessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out one device
+ * @access  Private
+ */
+router.delete('/sessions/:id',
+  authenticate,
+  [validateObjectId('id'), handleValidationErrors],
+  revokeSession
+);
+
 /**
  * @route   PUT /api/auth/profile
  * @desc    Update user profile
@@ -551,13 +757,13 @@ router.put('/profile',
       }
 
       // Log activity
-      await Activity.logActivity(
-        userId,
-        req.user.organization.id,
-        'profile_updated',
-        'User profile updated',
-        { updatedFields: Object.keys(updates) }
-      );
+      await Activity.logActivity({
+        user: userId,
+        organization: req.user.organization.id,
+        action: 'profile_updated',
+        details: 'User profile updated',
+        metadata: { updatedFields: Object.keys(updates) }
+      });
 
       logger.info(`User profile updated: ${user.email}`);
 
@@ -660,13 +866,13 @@ router.post('/change-password',
       await user.save();
 
       // Log activity
-      await Activity.logActivity(
-        userId,
-        req.user.organization.id,
-        'password_changed',
-        'User password changed',
-        { ip: req.ip }
-      );
+      await Activity.logActivity({
+        user: userId,
+        organization: req.user.organization.id,
+        action: 'password_changed',
+        details: 'User password changed',
+        metadata: { ip: req.ip }
+      });
 
       logger.info(`Password changed for user: ${user.email}`);
 
@@ -0,0 +1,215 @@
+import express from 'express';
+import {
+  getComments,
+  createComment,
+  updateComment,
+  replyToComment,
+  reactToComment,
+  removeReaction,
+  resolveComment,
+  reopenComment,
+  deleteComment
+} from '../controllers/commentController.js';
+import {
+  requirePermission,
+  commentLimiter,
+  validateCommentCreation,
+  validateObjectId,
+  validatePagination,
+  handleValidationErrors,
+  validateDocumentAccess
+} from '../middleware/index.js';
+import { body, query } from 'express-validator';
+
+// Mounted under /api/documents/:documentId/comments, which already applies
+// authentication, multi-tenancy and input sanitization
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @route   GET /api/documents/:documentId/comments
+ * @desc    Get comments for a document (filter by status, type, author)
+ * @access  Private (Document viewer)
+ */
+router.get('/',
+  validateObjectId('documentId'),
+  validatePagination,
+  [
+    query('status')
+      .optional()
+      .isIn(['open', 'resolved', 'dismissed'])
+      .withMessage('Status must be open, resolved, or dismissed'),
+    query('type')
+      .optional()
+      .isIn(['general', 'suggestion', 'question', 'issue', 'approval'])
+      .withMessage('Comment type must be general, suggestion, question, issue, or approval'),
+    query('author')
+      .optional()
+      .isMongoId()
+      .withMessage('Author must be a valid user ID')
+  ],
+  handleValidationErrors,
+  validateDocumentAccess('view'),
+  getComments
+);
+
+/**
+ * @route   POST /api/documents/:documentId/comments
+ * @desc    Add a comment to a document
+ * @access  Private (Document viewer, document.comment permission)
+ */
+router.post('/',
+  requirePermission('document.comment'),
+  commentLimiter,
+  [
+    body('priority')
+      .optional()
+      .isIn(['low', 'medium', 'high'])
+      .withMessage('Priority must be low, medium, or high'),
+    body('position.line')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Position line must be a positive integer'),
+    body('position.selectedText')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Selected text cannot exceed 500 characters'),
+    body('mentions')
+      .optional()
+      .isArray()
+      .withMessage('Mentions must be an array of user IDs'),
+    body('mentions.*')
+      .optional()
+      .isMongoId()
+      .withMessage('Each mention must be a valid user ID')
+  ],
+  validateCommentCreation,
+  validateDocumentAccess('view'),
+  createComment
+);
+
+/**
+ * @route   PUT /api/documents/:documentId/comments/:commentId
+ * @desc    Edit a comment
+ * @access  Private (Comment author)
+ */
+router.put('/:commentId',
+  commentLimiter,
+  [
+    validateObjectId('documentId'),
+    validateObjectId('commentId'),
+    body('content')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('Comment content must be between 1 and 2000 characters'),
+    body('type')
+      .optional()
+      .isIn(['general', 'suggestion', 'question', 'issue', 'approval'])
+      .withMessage('Comment type must be general, suggestion, question, issue, or approval'),
+    body('priority')
+      .optional()
+      .isIn(['low', 'medium', 'high'])
+      .withMessage('Priority must be low, medium, or high'),
+    handleValidationErrors
+  ],
+  validateDocumentAccess('view'),
+  updateComment
+);
+
+/**
+ * @route   DELETE /api/documents/:documentId/comments/:commentId
+ * @desc    Delete a comment (soft delete)
+ * @access  Private (Comment author, document editor or comment.moderate permission)
+ */
+router.delete('/:commentId',
+  commentLimiter,
+  validateObjectId('documentId'),
+  validateObjectId('commentId'),
+  handleValidationErrors,
+  validateDocumentAccess('view'),
+  deleteComment
+);
+
+/**
+ * @route   POST /api/documents/:documentId/comments/:commentId/replies
+ * @desc    Reply to a comment
+ * @access  Private (Document viewer, document.comment permission)
+ */
+router.post('/:commentId/replies',
+  requirePermission('document.comment'),
+  commentLimiter,
+  [
+    validateObjectId('documentId'),
+    validateObjectId('commentId'),
+    body('content')
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage('Reply content must be between 1 and 1000 characters'),
+    handleValidationErrors
+  ],
+  validateDocumentAccess('view'),
+  replyToComment
+);
+
+/**
+ * @route   POST /api/documents/:documentId/comments/:commentId/reactions
+ * @desc    React to a comment (replaces any previous reaction by the user)
+ * @access  Private (Document viewer)
+ */
+router.post('/:commentId/reactions',
+  commentLimiter,
+  [
+    validateObjectId('documentId'),
+    validateObjectId('commentId'),
+    body('type')
+      .isIn(['like', 'dislike', 'love', 'laugh', 'angry', 'sad'])
+      .withMessage('Reaction must be like, dislike, love, laugh, angry, or sad'),
+    handleValidationErrors
+  ],
+  validateDocumentAccess('view'),
+  reactToComment
+);
+
+/**
+ * @route   DELETE /api/documents/:documentId/comments/:commentId/reactions
+ * @desc    Remove the current user's reaction from a comment
+ * @access  Private (Document viewer)
+ */
+router.delete('/:commentId/reactions',
+  commentLimiter,
+  validateObjectId('documentId'),
+  validateObjectId('commentId'),
+  handleValidationErrors,
+  validateDocumentAccess('view'),
+  removeReaction
+);
+
+/**
+ * @route   POST /api/documents/:documentId/comments/:commentId/resolve
+ * @desc    Resolve a comment
+ * @access  Private (Comment author, document editor or comment.moderate permission)
+ */
+router.post('/:commentId/resolve',
+  commentLimiter,
+  validateObjectId('documentId'),
+  validateObjectId('commentId'),
+  handleValidationErrors,
+  validateDocumentAccess('view'),
+  resolveComment
+);
+
+/**
+ * @route   POST /api/documents/:documentId/comments/:commentId/reopen
+ * @desc    Reopen a resolved or dismissed comment
+ * @access  Private (Comment author, document editor or comment.moderate permission)
+ */
+router.post('/:commentId/reopen',
+  commentLimiter,
+  validateObjectId('documentId'),
+  validateObjectId('commentId'),
+  handleValidationErrors,
+  validateDocumentAccess('view'),
+  reopenComment
+);
+
+export default router;
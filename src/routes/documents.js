@@ -1,26 +1,46 @@
 import express from 'express';
 import {
   getDocuments,
+  searchDocuments,
   getDocument,
   createDocument,
+  importDocument,
   updateDocument,
   deleteDocument,
   shareDocument,
+  unshareDocumentWithTeam,
+  updateDocumentInheritance,
+  explainDocumentAccess,
   getDocumentVersions,
   getDocumentVersion,
   restoreDocumentVersion,
   compareDocumentVersions,
+  exportDocument,
+  getDocumentPresence,
   getDocumentActivity,
   getOrganizationActivity
 } from '../controllers/documentController.js';
+import {
+  createShareLink,
+  getShareLinks,
+  revokeShareLink
+} from '../controllers/shareLinkController.js';
 import {
   authenticate,
-  requireEditor,
-  requireAdmin,
+  requirePermission,
   documentLimiter,
+  uploadLimiter,
+  searchLimiter,
+  uploadDocumentFile,
   validateDocumentCreation,
   validateDocumentUpdate,
   validateDocumentShare,
+  validateDocumentInheritance,
+  validateAccessExplanation,
+  validateShareLinkCreation,
+  validateDocumentExport,
+  validateDocumentImport,
+  validateDocumentSearch,
   validateObjectId,
   validatePagination,
   handleValidationErrors,
@@ -37,6 +57,7 @@ import {
   validateDateRange,
   validateDocumentUpdateWithVersioning
 } from '../middleware/versionValidation.js';
+import commentRoutes from './comments.js';
 
 const router = express.Router();
 
@@ -162,6 +183,17 @@ router.get('/',
   getDocuments
 );
 
+/**
+ * @route   GET /api/documents/search
+ * @desc    Ranked full-text search (?q=words "phrases" -excluded tag: owner: status: folder:)
+ * @access  Private
+ */
+router.get('/search',
+  searchLimiter,
+  validateDocumentSearch,
+  searchDocuments
+);
+
 /**
  * @swagger
  * /api/documents/{id}:
@@ -432,20 +464,35 @@ router.get('/:id',
  *               $ref: '#/components/schemas/ErrorResponse'
  */
 router.post('/',
-  requireEditor,
+  requirePermission('document.create'),
   documentLimiter,
   checkSubscriptionLimits('documents'),
   validateDocumentCreation,
   createDocument
 );
 
+/**
+ * @route   POST /api/documents/import
+ * @desc    Create a document from an uploaded .md, .txt, .html or .json file (multipart field "file")
+ * @access  Private (document.create permission)
+ */
+router.post('/import',
+  requirePermission('document.create'),
+  uploadLimiter,
+  checkSubscriptionLimits('documents'),
+  checkSubscriptionLimits('storage'),
+  uploadDocumentFile,
+  validateDocumentImport,
+  importDocument
+);
+
 /**
  * @route   PUT /api/documents/:id
  * @desc    Update a document with version tracking
- * @access  Private (Editor+)
+ * @access  Private (document.edit permission)
  */
 router.put('/:id',
-  requireEditor,
+  requirePermission('document.edit'),
   documentLimiter,
   validateObjectId('id'),
   validateDocumentAccess('edit'),
@@ -457,9 +504,10 @@ router.put('/:id',
 /**
  * @route   DELETE /api/documents/:id
  * @desc    Delete a document (soft delete)
- * @access  Private (Admin or Owner)
+ * @access  Private (Admin or Owner, document.delete permission)
  */
 router.delete('/:id',
+  requirePermission('document.delete'),
   validateObjectId('id'),
   handleValidationErrors,
   validateDocumentAccess('admin'),
@@ -468,7 +516,7 @@ router.delete('/:id',
 
 /**
  * @route   POST /api/documents/:id/share
- * @desc    Share a document with another user
+ * @desc    Share a document with another user (userId) or a team (teamId)
  * @access  Private (Admin or Owner)
  */
 router.post('/:id/share',
@@ -476,6 +524,71 @@ router.post('/:id/share',
   shareDocument
 );
 
+/**
+ * @route   DELETE /api/documents/:id/share/teams/:teamId
+ * @desc    Stop sharing a document with a team
+ * @access  Private (Admin or Owner)
+ */
+router.delete('/:id/share/teams/:teamId',
+  validateObjectId('id'),
+  validateObjectId('teamId'),
+  handleValidationErrors,
+  unshareDocumentWithTeam
+);
+
+/**
+ * @route   PUT /api/documents/:id/inheritance
+ * @desc    Turn inheritance of folder shares on or off for a document
+ * @access  Private (Admin or Owner)
+ */
+router.put('/:id/inheritance',
+  validateDocumentInheritance,
+  updateDocumentInheritance
+);
+
+/**
+ * @route   GET /api/documents/:id/access
+ * @desc    Explain why a user (?userId=, default yourself) can or cannot see a document
+ * @access  Private (Self, document admin or member.manage permission)
+ */
+router.get('/:id/access',
+  validateAccessExplanation,
+  explainDocumentAccess
+);
+
+/**
+ * @route   POST /api/documents/:id/links
+ * @desc    Create a public share link (viewer or commenter, optional password, expiry and view limit)
+ * @access  Private (Admin or Owner)
+ */
+router.post('/:id/links',
+  validateShareLinkCreation,
+  createShareLink
+);
+
+/**
+ * @route   GET /api/documents/:id/links
+ * @desc    List a document's share links (?includeRevoked=true to include revoked ones)
+ * @access  Private (Admin or Owner)
+ */
+router.get('/:id/links',
+  validateObjectId('id'),
+  handleValidationErrors,
+  getShareLinks
+);
+
+/**
+ * @route   DELETE /api/documents/:id/links/:linkId
+ * @desc    Revoke a share link
+ * @access  Private (Admin or Owner)
+ */
+router.delete('/:id/links/:linkId',
+  validateObjectId('id'),
+  validateObjectId('linkId'),
+  handleValidationErrors,
+  revokeShareLink
+);
+
 /**
  * @route   DELETE /api/documents/:id/share/:userId
  * @desc    Remove document sharing
@@ -508,7 +621,7 @@ router.delete('/:id/share/:userId',
       }
 
       // Check if user has permission to manage sharing
-      if (!document.hasPermission(userId, 'admin') && document.owner.toString() !== userId) {
+      if (!(await document.hasEffectivePermission(userId, 'admin', req.user.teams)) && document.owner.toString() !== userId) {
         throw new AppError('No permission to manage document sharing', 403, 'SHARE_ACCESS_DENIED');
       }
 
@@ -520,13 +633,14 @@ router.delete('/:id/share/:userId',
       await document.save();
 
       // Log activity
-      await Activity.logActivity(
-        userId,
-        organizationId,
-        'document_unshared',
-        `Document "${document.title}" sharing removed`,
-        { documentId: document._id, targetUserId }
-      );
+      await Activity.logActivity({
+        user: userId,
+        organization: organizationId,
+        document: document._id,
+        action: 'document_unshared',
+        details: `Document "${document.title}" sharing removed`,
+        metadata: { documentId: document._id, targetUserId }
+      });
 
       res.json({
         success: true,
@@ -565,6 +679,19 @@ router.get('/:id/versions',
   getDocumentVersions
 );
 
+/**
+ * @route   GET /api/documents/:id/versions/compare
+ * @desc    Compare two document versions (?format=json|unified|html)
+ * @access  Private
+ */
+// Must be registered before /:versionNumber, which would otherwise capture "compare"
+router.get('/:id/versions/compare',
+  validateObjectId('id'),
+  validateVersionComparison,
+  handleValidationErrors,
+  compareDocumentVersions
+);
+
 /**
  * @route   GET /api/documents/:id/versions/:versionNumber
  * @desc    Get specific document version
@@ -580,10 +707,10 @@ router.get('/:id/versions/:versionNumber',
 /**
  * @route   POST /api/documents/:id/versions/:versionNumber/restore
  * @desc    Restore document to specific version
- * @access  Private (Editor+)
+ * @access  Private (document.edit permission)
  */
 router.post('/:id/versions/:versionNumber/restore',
-  requireEditor,
+  requirePermission('document.edit'),
   validateObjectId('id'),
   validateVersionRestore,
   handleValidationErrors,
@@ -591,15 +718,24 @@ router.post('/:id/versions/:versionNumber/restore',
 );
 
 /**
- * @route   GET /api/documents/:id/versions/compare
- * @desc    Compare two document versions
+ * @route   GET /api/documents/:id/export
+ * @desc    Download document as md, html, txt or a json bundle (?format=md|html|txt|json)
  * @access  Private
  */
-router.get('/:id/versions/compare',
+router.get('/:id/export',
+  validateDocumentExport,
+  exportDocument
+);
+
+/**
+ * @route   GET /api/documents/:id/presence
+ * @desc    Get users currently in the document with their status, colour and cursor
+ * @access  Private
+ */
+router.get('/:id/presence',
   validateObjectId('id'),
-  validateVersionComparison,
   handleValidationErrors,
-  compareDocumentVersions
+  getDocumentPresence
 );
 
 /**
@@ -618,10 +754,10 @@ router.get('/:id/activity',
 /**
  * @route   GET /api/documents/organization/activity
  * @desc    Get organization-wide activity log
- * @access  Private (Admin only)
+ * @access  Private (activity.view permission)
  */
 router.get('/organization/activity',
-  requireAdmin,
+  requirePermission('activity.view'),
   validateActivityQuery,
   validateDateRange,
   handleValidationErrors,
@@ -631,11 +767,11 @@ router.get('/organization/activity',
 /**
  * @route   POST /api/documents/:id/duplicate
  * @desc    Duplicate a document
- * @access  Private (Editor+)
+ * @access  Private (document.create permission)
  */
 router.post('/:id/duplicate',
   [
-    requireEditor,
+    requirePermission('document.create'),
     validateObjectId('id'),
     handleValidationErrors
   ],
@@ -661,36 +797,30 @@ router.post('/:id/duplicate',
       }
 
       // Check if user has permission to view original document
-      if (!originalDocument.hasPermission(userId, 'viewer')) {
+      if (!(await originalDocument.hasEffectivePermission(userId, 'viewer', req.user.teams))) {
         throw new AppError('Access denied', 403, 'ACCESS_DENIED');
       }
 
-      // Create duplicate
-      const duplicateDocument = new Document({
+      // Create duplicate (always private and a draft)
+      const duplicateDocument = originalDocument.createCopy({
         title: title || `Copy of ${originalDocument.title}`,
-        content: originalDocument.content,
-        contentType: originalDocument.contentType,
-        owner: userId,
-        organization: organizationId,
-        folder: originalDocument.folder,
-        tags: [...originalDocument.tags],
-        visibility: 'private', // Always create as private
-        status: 'draft'
+        owner: userId
       });
 
       await duplicateDocument.save();
 
       // Log activity
-      await Activity.logActivity(
-        userId,
-        organizationId,
-        'document_duplicated',
-        `Document "${originalDocument.title}" duplicated as "${duplicateDocument.title}"`,
-        {
+      await Activity.logActivity({
+        user: userId,
+        organization: organizationId,
+        document: originalDocument._id,
+        action: 'document_duplicated',
+        details: `Document "${originalDocument.title}" duplicated as "${duplicateDocument.title}"`,
+        metadata: {
           originalDocumentId: originalDocument._id,
           duplicateDocumentId: duplicateDocument._id
         }
-      );
+      });
 
       // Populate response
       await duplicateDocument.populate([
@@ -725,4 +855,11 @@ router.post('/:id/duplicate',
   }
 );
 
+/**
+ * @route   /api/documents/:documentId/comments
+ * @desc    Comment threads on a document
+ * @access  Private
+ */
+router.use('/:documentId/comments', commentRoutes);
+
 export default router;
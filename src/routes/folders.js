@@ -0,0 +1,248 @@
+import express from 'express';
+import {
+  getFolders,
+  getFolderTree,
+  getFolder,
+  createFolder,
+  updateFolder,
+  moveFolder,
+  deleteFolder,
+  archiveFolder,
+  moveDocumentsToFolder,
+  removeDocumentFromFolder,
+  shareFolder,
+  unshareFolder,
+  unshareFolderWithTeam
+} from '../controllers/folderController.js';
+import {
+  authenticate,
+  requirePermission,
+  documentLimiter,
+  validateFolderCreation,
+  validateFolderShare,
+  validateObjectId,
+  handleValidationErrors,
+  sanitizeInput,
+  enforceMultiTenancy
+} from '../middleware/index.js';
+import { body, query } from 'express-validator';
+
+const router = express.Router();
+
+// Apply authentication and multi-tenancy to all routes
+router.use(authenticate);
+router.use(enforceMultiTenancy);
+router.use(sanitizeInput);
+
+/**
+ * @route   GET /api/folders
+ * @desc    Get accessible folders (optionally the children of ?parent=<id|root>)
+ * @access  Private
+ */
+router.get('/',
+  [
+    query('parent')
+      .optional()
+      .custom(value => value === 'root' || /^[a-f\d]{24}$/i.test(value))
+      .withMessage('Parent must be a valid folder ID or "root"'),
+    handleValidationErrors
+  ],
+  getFolders
+);
+
+/**
+ * @route   GET /api/folders/tree
+ * @desc    Get the nested folder tree (optionally below ?root=<id>)
+ * @access  Private
+ */
+router.get('/tree',
+  [
+    query('root')
+      .optional()
+      .isMongoId()
+      .withMessage('Root must be a valid folder ID'),
+    handleValidationErrors
+  ],
+  getFolderTree
+);
+
+/**
+ * @route   GET /api/folders/:id
+ * @desc    Get a folder with its subfolders and documents
+ * @access  Private
+ */
+router.get('/:id',
+  validateObjectId('id'),
+  handleValidationErrors,
+  getFolder
+);
+
+/**
+ * @route   POST /api/folders
+ * @desc    Create a new folder
+ * @access  Private (folder.create permission)
+ */
+router.post('/',
+  requirePermission('folder.create'),
+  documentLimiter,
+  [
+    body('visibility')
+      .optional()
+      .isIn(['private', 'organization', 'public'])
+      .withMessage('Visibility must be private, organization, or public'),
+    body('icon')
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Icon name cannot exceed 50 characters')
+  ],
+  validateFolderCreation,
+  createFolder
+);
+
+/**
+ * @route   PUT /api/folders/:id
+ * @desc    Update folder details
+ * @access  Private (Folder editor, folder.edit permission)
+ */
+router.put('/:id',
+  requirePermission('folder.edit'),
+  documentLimiter,
+  [
+    validateObjectId('id'),
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Folder name must be between 1 and 100 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot exceed 500 characters'),
+    body('color')
+      .optional()
+      .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+      .withMessage('Color must be a valid hex color'),
+    body('visibility')
+      .optional()
+      .isIn(['private', 'organization', 'public'])
+      .withMessage('Visibility must be private, organization, or public'),
+    handleValidationErrors
+  ],
+  updateFolder
+);
+
+/**
+ * @route   DELETE /api/folders/:id
+ * @desc    Delete an empty folder
+ * @access  Private (Folder admin, folder.delete permission)
+ */
+router.delete('/:id',
+  requirePermission('folder.delete'),
+  validateObjectId('id'),
+  handleValidationErrors,
+  deleteFolder
+);
+
+/**
+ * @route   POST /api/folders/:id/move
+ * @desc    Move a folder under a new parent (null for root)
+ * @access  Private (Folder admin, folder.edit permission)
+ */
+router.post('/:id/move',
+  requirePermission('folder.edit'),
+  documentLimiter,
+  [
+    validateObjectId('id'),
+    body('parent')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Parent folder ID must be valid'),
+    handleValidationErrors
+  ],
+  moveFolder
+);
+
+/**
+ * @route   POST /api/folders/:id/archive
+ * @desc    Archive a folder with its subfolders and documents
+ * @access  Private (Folder admin, folder.edit permission)
+ */
+router.post('/:id/archive',
+  requirePermission('folder.edit'),
+  validateObjectId('id'),
+  handleValidationErrors,
+  archiveFolder
+);
+
+/**
+ * @route   POST /api/folders/:id/documents
+ * @desc    Move documents into a folder
+ * @access  Private (folder.edit permission)
+ */
+router.post('/:id/documents',
+  requirePermission('folder.edit'),
+  documentLimiter,
+  [
+    validateObjectId('id'),
+    body('documentIds')
+      .isArray({ min: 1, max: 100 })
+      .withMessage('documentIds must be an array of 1 to 100 document IDs'),
+    body('documentIds.*')
+      .isMongoId()
+      .withMessage('Each document ID must be valid'),
+    handleValidationErrors
+  ],
+  moveDocumentsToFolder
+);
+
+/**
+ * @route   DELETE /api/folders/:id/documents/:documentId
+ * @desc    Move a document out of a folder to the root
+ * @access  Private (folder.edit permission)
+ */
+router.delete('/:id/documents/:documentId',
+  requirePermission('folder.edit'),
+  documentLimiter,
+  validateObjectId('id'),
+  validateObjectId('documentId'),
+  handleValidationErrors,
+  removeDocumentFromFolder
+);
+
+/**
+ * @route   POST /api/folders/:id/share
+ * @desc    Share a folder with another user (userId) or a team (teamId)
+ * @access  Private (Folder admin)
+ */
+router.post('/:id/share',
+  validateFolderShare,
+  shareFolder
+);
+
+/**
+ * @route   DELETE /api/folders/:id/share/teams/:teamId
+ * @desc    Stop sharing a folder with a team
+ * @access  Private (Folder admin)
+ */
+router.delete('/:id/share/teams/:teamId',
+  validateObjectId('id'),
+  validateObjectId('teamId'),
+  handleValidationErrors,
+  unshareFolderWithTeam
+);
+
+/**
+ * @route   DELETE /api/folders/:id/share/:userId
+ * @desc    Remove folder sharing
+ * @access  Private (Folder admin)
+ */
+router.delete('/:id/share/:userId',
+  validateObjectId('id'),
+  validateObjectId('userId'),
+  handleValidationErrors,
+  unshareFolder
+);
+
+export default router;
@@ -3,23 +3,33 @@ import {
   getOrganization,
   updateOrganization,
   getMembers,
-  inviteMember,
+  createInvitation,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation,
   updateMemberRole,
   removeMember,
-  getStats
+  getStats,
+  getSsoConfig,
+  updateSsoConfig
 } from '../controllers/organizationController.js';
 import {
   authenticate,
-  requireAdmin,
+  requirePermission,
   validateOrganizationCreation,
   validateObjectId,
   validatePagination,
   handleValidationErrors,
   sanitizeInput,
   enforceMultiTenancy,
+  checkSubscriptionLimits,
+  validateInvitation,
+  validateSsoConfig,
+  validateRole,
+  requireFeature,
   authLimiter
 } from '../middleware/index.js';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 
 const router = express.Router();
 
@@ -41,10 +51,10 @@ router.get('/',
 /**
  * @route   PUT /api/organizations
  * @desc    Update organization details
- * @access  Private (Admin only)
+ * @access  Private (organization.manage permission)
  */
 router.put('/',
-  requireAdmin,
+  requirePermission('organization.manage'),
   [
     body('name')
       .optional()
@@ -80,11 +90,49 @@ router.put('/',
       .optional()
       .isInt({ min: 6, max: 50 })
       .withMessage('Minimum password length must be between 6 and 50'),
+    body('settings.security.lockout.maxFailedAttempts')
+      .optional()
+      .isInt({ min: 3, max: 20 })
+      .withMessage('Maximum failed attempts must be between 3 and 20')
+      .toInt(),
+    body('settings.security.lockout.lockoutMinutes')
+      .optional()
+      .isInt({ min: 1, max: 1440 })
+      .withMessage('Lockout duration must be between 1 and 1440 minutes')
+      .toInt(),
+    body('settings.security.lockout.progressiveDelayAfter')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Progressive delay threshold must be a positive integer')
+      .toInt(),
     handleValidationErrors
   ],
   updateOrganization
 );
 
+/**
+ * @route   GET /api/organizations/sso
+ * @desc    Get the OpenID Connect single sign-on configuration
+ * @access  Private (organization.manage permission)
+ */
+router.get('/sso',
+  requirePermission('organization.manage'),
+  requireFeature('sso'),
+  getSsoConfig
+);
+
+/**
+ * @route   PUT /api/organizations/sso
+ * @desc    Configure OpenID Connect single sign-on (issuer, client, allowed domains, provisioning)
+ * @access  Private (organization.manage permission)
+ */
+router.put('/sso',
+  requirePermission('organization.manage'),
+  requireFeature('sso'),
+  validateSsoConfig,
+  updateSsoConfig
+);
+
 /**
  * @route   GET /api/organizations/members
  * @desc    Get organization members
@@ -97,43 +145,68 @@ router.get('/members',
 );
 
 /**
- * @route   POST /api/organizations/members
- * @desc    Invite a new member to the organization
- * @access  Private (Admin only)
+ * @route   GET /api/organizations/invitations
+ * @desc    List invitations (?status=pending|accepted|revoked|expired)
+ * @access  Private (member.invite permission)
  */
-router.post('/members',
-  requireAdmin,
+router.get('/invitations',
+  requirePermission('member.invite'),
   [
-    body('email')
-      .isEmail()
-      .normalizeEmail()
-      .withMessage('Valid email is required'),
-    body('name')
-      .optional()
-      .trim()
-      .isLength({ min: 2, max: 50 })
-      .withMessage('Name must be between 2 and 50 characters'),
-    body('role')
+    query('status')
       .optional()
-      .isIn(['viewer', 'editor', 'admin'])
-      .withMessage('Role must be viewer, editor, or admin'),
+      .isIn(['pending', 'accepted', 'revoked', 'expired'])
+      .withMessage('Status must be pending, accepted, revoked, or expired'),
     handleValidationErrors
   ],
-  inviteMember
+  getInvitations
+);
+
+/**
+ * @route   POST /api/organizations/invitations
+ * @desc    Invite someone by email; they choose their own password when accepting
+ * @access  Private (member.invite permission)
+ */
+router.post('/invitations',
+  requirePermission('member.invite'),
+  checkSubscriptionLimits('users'),
+  validateInvitation,
+  createInvitation
+);
+
+/**
+ * @route   POST /api/organizations/invitations/:id/resend
+ * @desc    Send an invitation again with a new link
+ * @access  Private (member.invite permission)
+ */
+router.post('/invitations/:id/resend',
+  requirePermission('member.invite'),
+  validateObjectId('id'),
+  handleValidationErrors,
+  resendInvitation
+);
+
+/**
+ * @route   DELETE /api/organizations/invitations/:id
+ * @desc    Revoke a pending invitation
+ * @access  Private (member.invite permission)
+ */
+router.delete('/invitations/:id',
+  requirePermission('member.invite'),
+  validateObjectId('id'),
+  handleValidationErrors,
+  revokeInvitation
 );
 
 /**
  * @route   PUT /api/organizations/members/:memberId/role
  * @desc    Update member role
- * @access  Private (Admin only)
+ * @access  Private (member.manage permission)
  */
 router.put('/members/:memberId/role',
-  requireAdmin,
+  requirePermission('member.manage'),
   [
     validateObjectId('memberId'),
-    body('role')
-      .isIn(['viewer', 'editor', 'admin'])
-      .withMessage('Role must be viewer, editor, or admin'),
+    validateRole,
     handleValidationErrors
   ],
   updateMemberRole
@@ -142,10 +215,10 @@ router.put('/members/:memberId/role',
 /**
  * @route   DELETE /api/organizations/members/:memberId
  * @desc    Remove member from organization
- * @access  Private (Admin only)
+ * @access  Private (member.manage permission)
  */
 router.delete('/members/:memberId',
-  requireAdmin,
+  requirePermission('member.manage'),
   validateObjectId('memberId'),
   handleValidationErrors,
   removeMember
@@ -154,20 +227,20 @@ router.delete('/members/:memberId',
 /**
  * @route   GET /api/organizations/stats
  * @desc    Get organization statistics
- * @access  Private (Admin only)
+ * @access  Private (activity.view permission)
  */
 router.get('/stats',
-  requireAdmin,
+  requirePermission('activity.view'),
   getStats
 );
 
 /**
  * @route   POST /api/organizations/members/:memberId/reactivate
  * @desc    Reactivate a deactivated member
- * @access  Private (Admin only)
+ * @access  Private (member.manage permission)
  */
 router.post('/members/:memberId/reactivate',
-  requireAdmin,
+  requirePermission('member.manage'),
   validateObjectId('memberId'),
   handleValidationErrors,
   async (req, res) => {
@@ -215,13 +288,13 @@ router.post('/members/:memberId/reactivate',
       await member.save();
 
       // Log activity
-      await Activity.logActivity(
-        userId,
-        organizationId,
-        'member_reactivated',
-        `Member reactivated: ${member.email}`,
-        { reactivatedMemberId: memberId }
-      );
+      await Activity.logActivity({
+        user: userId,
+        organization: organizationId,
+        action: 'user_reactivated',
+        details: `Member reactivated: ${member.email}`,
+        metadata: { reactivatedMemberId: memberId }
+      });
 
       // Update organization stats
       await organization.updateStats();
@@ -265,10 +338,10 @@ router.post('/members/:memberId/reactivate',
 /**
  * @route   GET /api/organizations/activity
  * @desc    Get organization activity log
- * @access  Private (Admin only)
+ * @access  Private (activity.view permission)
  */
 router.get('/activity',
-  requireAdmin,
+  requirePermission('activity.view'),
   [
     validatePagination,
     handleValidationErrors
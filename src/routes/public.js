@@ -0,0 +1,54 @@
+import express from 'express';
+import {
+  viewSharedDocument,
+  commentOnSharedDocument
+} from '../controllers/shareLinkController.js';
+import {
+  publicLinkLimiter,
+  commentLimiter,
+  validateGuestComment,
+  handleValidationErrors,
+  sanitizeInput
+} from '../middleware/index.js';
+import { param, query } from 'express-validator';
+
+const router = express.Router();
+
+// Public routes need no account, so every request is rate limited by IP
+router.use(publicLinkLimiter);
+router.use(sanitizeInput);
+
+const validateToken = param('token')
+  .matches(/^[A-Za-z0-9_-]{32}$/)
+  .withMessage('Invalid share link');
+
+/**
+ * @route   GET /api/public/links/:token
+ * @desc    Open a document through a share link (password in the X-Share-Password header, ?format=html for a page)
+ * @access  Public
+ */
+router.get('/links/:token',
+  [
+    validateToken,
+    query('format')
+      .optional()
+      .isIn(['json', 'html'])
+      .withMessage('Format must be json or html'),
+    handleValidationErrors
+  ],
+  viewSharedDocument
+);
+
+/**
+ * @route   POST /api/public/links/:token/comments
+ * @desc    Comment on a document as a guest through a commenter link
+ * @access  Public
+ */
+router.post('/links/:token/comments',
+  commentLimiter,
+  validateToken,
+  validateGuestComment,
+  commentOnSharedDocument
+);
+
+export default router;
@@ -0,0 +1,68 @@
+import express from 'express';
+import {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
+} from '../controllers/roleController.js';
+import {
+  authenticate,
+  requirePermission,
+  validateObjectId,
+  validateRoleCreation,
+  validateRoleUpdate,
+  handleValidationErrors,
+  sanitizeInput,
+  enforceMultiTenancy
+} from '../middleware/index.js';
+
+const router = express.Router();
+
+// Apply authentication and multi-tenancy to all routes
+router.use(authenticate);
+router.use(enforceMultiTenancy);
+router.use(sanitizeInput);
+
+/**
+ * @route   GET /api/roles
+ * @desc    List the organization's roles and the permissions they can grant
+ * @access  Private (Organization member)
+ */
+router.get('/', getRoles);
+
+/**
+ * @route   POST /api/roles
+ * @desc    Create a custom role
+ * @access  Private (role.manage permission)
+ */
+router.post('/',
+  requirePermission('role.manage'),
+  validateRoleCreation,
+  createRole
+);
+
+/**
+ * @route   PUT /api/roles/:id
+ * @desc    Update a role's name, description or permissions
+ * @access  Private (role.manage permission)
+ */
+router.put('/:id',
+  requirePermission('role.manage'),
+  validateObjectId('id'),
+  validateRoleUpdate,
+  updateRole
+);
+
+/**
+ * @route   DELETE /api/roles/:id
+ * @desc    Delete a custom role with no members or pending invitations
+ * @access  Private (role.manage permission)
+ */
+router.delete('/:id',
+  requirePermission('role.manage'),
+  validateObjectId('id'),
+  handleValidationErrors,
+  deleteRole
+);
+
+export default router;
@@ -0,0 +1,113 @@
+import express from 'express';
+import {
+  getTeams,
+  getTeam,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+  addTeamMember,
+  removeTeamMember
+} from '../controllers/teamController.js';
+import {
+  authenticate,
+  requirePermission,
+  validateObjectId,
+  validateTeamCreation,
+  validateTeamUpdate,
+  validateTeamMember,
+  handleValidationErrors,
+  sanitizeInput,
+  enforceMultiTenancy
+} from '../middleware/index.js';
+import { query } from 'express-validator';
+
+const router = express.Router();
+
+// Apply authentication and multi-tenancy to all routes
+router.use(authenticate);
+router.use(enforceMultiTenancy);
+router.use(sanitizeInput);
+
+/**
+ * @route   GET /api/teams
+ * @desc    List the organization's teams (?mine=true for the teams you belong to)
+ * @access  Private (Organization member)
+ */
+router.get('/',
+  [
+    query('mine')
+      .optional()
+      .isBoolean()
+      .withMessage('Mine must be true or false'),
+    handleValidationErrors
+  ],
+  getTeams
+);
+
+/**
+ * @route   GET /api/teams/:id
+ * @desc    Get a team and its members
+ * @access  Private (Organization member)
+ */
+router.get('/:id',
+  validateObjectId('id'),
+  handleValidationErrors,
+  getTeam
+);
+
+/**
+ * @route   POST /api/teams
+ * @desc    Create a team, optionally with members ([{ userId, role }])
+ * @access  Private (team.manage permission)
+ */
+router.post('/',
+  requirePermission('team.manage'),
+  validateTeamCreation,
+  createTeam
+);
+
+/**
+ * @route   PUT /api/teams/:id
+ * @desc    Rename a team or change its description
+ * @access  Private (team.manage permission or team maintainer)
+ */
+router.put('/:id',
+  validateTeamUpdate,
+  updateTeam
+);
+
+/**
+ * @route   DELETE /api/teams/:id
+ * @desc    Delete a team and revoke everything shared with it
+ * @access  Private (team.manage permission)
+ */
+router.delete('/:id',
+  requirePermission('team.manage'),
+  validateObjectId('id'),
+  handleValidationErrors,
+  deleteTeam
+);
+
+/**
+ * @route   POST /api/teams/:id/members
+ * @desc    Add a member to a team or change their team role
+ * @access  Private (team.manage permission or team maintainer)
+ */
+router.post('/:id/members',
+  validateTeamMember,
+  addTeamMember
+);
+
+/**
+ * @route   DELETE /api/teams/:id/members/:userId
+ * @desc    Remove a member from a team (members can remove themselves)
+ * @access  Private (team.manage permission, team maintainer or self)
+ */
+router.delete('/:id/members/:userId',
+  validateObjectId('id'),
+  validateObjectId('userId'),
+  handleValidationErrors,
+  removeTeamMember
+);
+
+export default router;
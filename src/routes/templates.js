@@ -0,0 +1,73 @@
+import express from 'express';
+import {
+  getTemplates,
+  createTemplate,
+  instantiateTemplate
+} from '../controllers/templateController.js';
+import {
+  authenticate,
+  requirePermission,
+  documentLimiter,
+  validateTemplateCreation,
+  validateTemplateInstantiation,
+  handleValidationErrors,
+  sanitizeInput,
+  enforceMultiTenancy,
+  checkSubscriptionLimits
+} from '../middleware/index.js';
+import { query } from 'express-validator';
+
+const router = express.Router();
+
+// Apply authentication and multi-tenancy to all routes
+router.use(authenticate);
+router.use(enforceMultiTenancy);
+router.use(sanitizeInput);
+
+/**
+ * @route   GET /api/templates
+ * @desc    Get organization and system templates grouped by category (?category=&source=system|organization)
+ * @access  Private
+ */
+router.get('/',
+  [
+    query('category')
+      .optional()
+      .isIn(['meeting', 'project', 'report', 'proposal', 'other'])
+      .withMessage('Category must be meeting, project, report, proposal, or other'),
+    query('source')
+      .optional()
+      .isIn(['system', 'organization'])
+      .withMessage('Source must be system or organization'),
+    handleValidationErrors
+  ],
+  getTemplates
+);
+
+/**
+ * @route   POST /api/templates
+ * @desc    Save a copy of a document as an organization template
+ * @access  Private (template.create permission)
+ */
+router.post('/',
+  requirePermission('template.create'),
+  documentLimiter,
+  checkSubscriptionLimits('documents'),
+  validateTemplateCreation,
+  createTemplate
+);
+
+/**
+ * @route   POST /api/templates/:id/instantiate
+ * @desc    Create a draft document from a template, filling in {{placeholders}}
+ * @access  Private (document.create permission)
+ */
+router.post('/:id/instantiate',
+  requirePermission('document.create'),
+  documentLimiter,
+  checkSubscriptionLimits('documents'),
+  validateTemplateInstantiation,
+  instantiateTemplate
+);
+
+export default router;
@@ -5,12 +5,14 @@ import {
   updateUser,
   deactivateUser,
   reactivateUser,
+  unlockUser,
   getUserDocuments,
   getUserActivity
 } from '../controllers/userController.js';
 import {
   authenticate,
-  requireAdmin,
+  requirePermission,
+  hasPermission,
   validateObjectId,
   validatePagination,
   handleValidationErrors,
@@ -20,6 +22,7 @@ import {
   validateUserAccess
 } from '../middleware/index.js';
 import { body } from 'express-validator';
+import { ROLE_KEY_PATTERN } from '../models/Role.js';
 
 const router = express.Router();
 
@@ -72,8 +75,10 @@ router.put('/:id',
       .withMessage('Valid email is required'),
     body('role')
       .optional()
-      .isIn(['viewer', 'editor', 'admin'])
-      .withMessage('Role must be viewer, editor, or admin'),
+      .trim()
+      .toLowerCase()
+      .matches(ROLE_KEY_PATTERN)
+      .withMessage('Role must be a valid role key'),
     body('isActive')
       .optional()
       .isBoolean()
@@ -102,10 +107,10 @@ router.put('/:id',
 /**
  * @route   POST /api/users/:id/deactivate
  * @desc    Deactivate a user
- * @access  Private (Admin only)
+ * @access  Private (member.manage permission)
  */
 router.post('/:id/deactivate',
-  requireAdmin,
+  requirePermission('member.manage'),
   validateObjectId('id'),
   handleValidationErrors,
   validateUserAccess,
@@ -115,15 +120,27 @@ router.post('/:id/deactivate',
 /**
  * @route   POST /api/users/:id/reactivate
  * @desc    Reactivate a user
- * @access  Private (Admin only)
+ * @access  Private (member.manage permission)
  */
 router.post('/:id/reactivate',
-  requireAdmin,
+  requirePermission('member.manage'),
   validateObjectId('id'),
   handleValidationErrors,
   reactivateUser
 );
 
+/**
+ * @route   POST /api/users/:id/unlock
+ * @desc    Unlock an account locked by failed logins
+ * @access  Private (member.manage permission)
+ */
+router.post('/:id/unlock',
+  requirePermission('member.manage'),
+  validateObjectId('id'),
+  handleValidationErrors,
+  unlockUser
+);
+
 /**
  * @route   GET /api/users/:id/documents
  * @desc    Get user's documents
@@ -155,10 +172,10 @@ router.get('/:id/activity',
 /**
  * @route   POST /api/users/:id/reset-password
  * @desc    Reset user password (admin only)
- * @access  Private (Admin only)
+ * @access  Private (member.manage permission)
  */
 router.post('/:id/reset-password',
-  requireAdmin,
+  requirePermission('member.manage'),
   [
     validateObjectId('id'),
     body('newPassword')
@@ -185,7 +202,7 @@ router.post('/:id/reset-password',
       const currentUserId = req.user.id;
 
       // Cannot reset own password through this endpoint
-      if (id === currentUserId) {
+      if (id === currentUserId.toString()) {
         throw new AppError('Cannot reset your own password through this endpoint', 400, 'CANNOT_RESET_OWN_PASSWORD');
       }
 
@@ -210,13 +227,13 @@ router.post('/:id/reset-password',
       }
 
       // Log activity
-      await Activity.logActivity(
-        currentUserId,
-        organizationId,
-        'password_reset',
-        `Password reset for user: ${user.email}`,
-        { targetUserId: id, emailSent: sendEmail }
-      );
+      await Activity.logActivity({
+        user: currentUserId,
+        organization: organizationId,
+        action: 'password_reset',
+        details: `Password reset for user: ${user.email}`,
+        metadata: { targetUserId: id, emailSent: sendEmail }
+      });
 
       res.json({
         success: true,
@@ -250,7 +267,7 @@ router.post('/:id/reset-password',
 /**
  * @route   GET /api/users/:id/permissions
  * @desc    Get user's effective permissions
- * @access  Private (Admin or self)
+ * @access  Private (Self, or member.manage permission)
  */
 router.get('/:id/permissions',
   validateObjectId('id'),
@@ -259,14 +276,17 @@ router.get('/:id/permissions',
     try {
       const { User } = await import('../models/User.js');
       const { Document } = await import('../models/Document.js');
+      const { Folder } = await import('../models/Folder.js');
+      const { Role } = await import('../models/Role.js');
+      const { Team } = await import('../models/Team.js');
       const { AppError } = await import('../middleware/errorHandler.js');
 
       const { id } = req.params;
       const organizationId = req.user.organization.id;
       const currentUserId = req.user.id;
 
-      // Users can only view their own permissions unless they're admin
-      if (id !== currentUserId && req.user.role !== 'admin') {
+      // Users can only view their own permissions unless they can manage members
+      if (id !== currentUserId.toString() && !(await hasPermission(req.user, 'member.manage'))) {
         throw new AppError('Access denied', 403, 'ACCESS_DENIED');
       }
 
@@ -279,32 +299,61 @@ router.get('/:id/permissions',
         throw new AppError('User not found', 404, 'USER_NOT_FOUND');
       }
 
-      // Get documents shared with user
-      const sharedDocuments = await Document.find({
+      // Teams the user belongs to; their shares count as the user's own
+      const teams = await Team.find({ organization: organizationId, 'members.user': id })
+        .select('name members')
+        .sort({ name: 1 });
+      const teamIds = teams.map(team => team._id);
+      const teamNames = Object.fromEntries(teams.map(team => [team._id.toString(), team.name]));
+
+      const sharedQuery = {
         organization: organizationId,
-        'sharedWith.user': id,
-        'sharedWith.isActive': true,
-        status: { $ne: 'deleted' }
-      })
-        .select('title sharedWith')
-        .populate('owner', 'name email');
-
-      // Extract permissions for shared documents
-      const documentPermissions = sharedDocuments.map(doc => {
-        const shareInfo = doc.sharedWith.find(share =>
-          share.user.toString() === id && share.isActive
-        );
-
-        return {
-          documentId: doc._id,
-          documentTitle: doc.title,
-          owner: doc.owner,
-          permission: shareInfo.permission,
-          sharedAt: shareInfo.sharedAt,
-          expiresAt: shareInfo.expiresAt
-        };
+        $or: [
+          { 'sharedWith.user': id, 'sharedWith.isActive': true },
+          { sharedWithTeams: { $elemMatch: { team: { $in: teamIds }, isActive: true } } }
+        ]
+      };
+
+      // Get documents and folders shared with the user or their teams
+      const [sharedDocuments, sharedFolders] = await Promise.all([
+        Document.find({
+          organization: organizationId,
+          status: { $ne: 'deleted' },
+          $or: Document.activeShareClauses(id, teamIds)
+        })
+          .select('title owner sharedWith sharedWithTeams')
+          .populate('owner', 'name email'),
+        Folder.find(sharedQuery)
+          .select('name path owner sharedWith sharedWithTeams')
+          .populate('owner', 'name email')
+      ]);
+
+      // Describe the strongest share behind each item and where it comes from
+      const describeShare = (share) => ({
+        permission: share.permission,
+        source: share.team ? 'team' : 'user',
+        ...(share.team && { team: { id: share.team, name: teamNames[share.team.toString()] } }),
+        sharedAt: share.sharedAt,
+        expiresAt: share.expiresAt
       });
 
+      const documentPermissions = sharedDocuments.map(doc => ({
+        documentId: doc._id,
+        documentTitle: doc.title,
+        owner: doc.owner,
+        ...describeShare(doc.getSharedAccess(id, teamIds))
+      }));
+
+      const folderPermissions = sharedFolders.map(folder => ({
+        folderId: folder._id,
+        folderName: folder.name,
+        path: folder.path,
+        owner: folder.owner,
+        ...describeShare(folder.getSharedAccess(id, teamIds))
+      }));
+
+      const grantedPermissions = await Role.getPermissions(organizationId, user.role);
+
       const permissions = {
         user: {
           id: user._id,
@@ -313,15 +362,24 @@ router.get('/:id/permissions',
           role: user.role
         },
         rolePermissions: {
-          canCreateDocuments: ['editor', 'admin'].includes(user.role),
-          canEditDocuments: ['editor', 'admin'].includes(user.role),
-          canDeleteDocuments: user.role === 'admin',
-          canManageUsers: user.role === 'admin',
-          canManageOrganization: user.role === 'admin',
+          permissions: grantedPermissions,
+          canCreateDocuments: grantedPermissions.includes('document.create'),
+          canEditDocuments: grantedPermissions.includes('document.edit'),
+          canPublishDocuments: grantedPermissions.includes('document.publish'),
+          canDeleteDocuments: grantedPermissions.includes('document.delete'),
+          canManageUsers: grantedPermissions.includes('member.manage'),
+          canManageOrganization: grantedPermissions.includes('organization.manage'),
           canViewAllDocuments: user.role === 'admin'
         },
+        teams: teams.map(team => ({
+          id: team._id,
+          name: team.name,
+          role: team.getMember(id).role
+        })),
         sharedDocuments: documentPermissions,
-        totalSharedDocuments: documentPermissions.length
+        totalSharedDocuments: documentPermissions.length,
+        sharedFolders: folderPermissions,
+        totalSharedFolders: folderPermissions.length
       };
 
       res.json({
@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+
+/**
+ * Collaboration cluster check
+ * Runs two in-process collaboration nodes against a local Redis and verifies that
+ * socket rooms span both nodes and that concurrent edits submitted through either
+ * node are sequenced into a single history every client converges on
+ *
+ * Usage: REDIS_URL=redis://localhost:6379 node src/scripts/checkCollaborationCluster.js [--clients 6] [--rounds 200]
+ */
+
+import 'dotenv/config';
+import http from 'http';
+import crypto from 'crypto';
+import Redis from 'ioredis';
+import { Server as SocketIOServer } from 'socket.io';
+import { io as connectClient } from 'socket.io-client';
+import { createAdapter } from '@socket.io/redis-adapter';
+import { RedisCollaborationStore } from '../utils/collaborationStore.js';
+import { SimulatedClient, createRandom, randomClientOperation } from './fuzzOperationalTransform.js';
+
+const defaultRedisClient = () => process.env.REDIS_URL
+  ? new Redis(process.env.REDIS_URL)
+  : new Redis({
+    host: process.env.REDIS_HOST || 'localhost',
+    port: process.env.REDIS_PORT || 6379,
+    password: process.env.REDIS_PASSWORD || undefined
+  });
+
+const withTimeout = (promise, ms, message) => Promise.race([
+  promise,
+  new Promise((_, reject) => setTimeout(() => reject(new Error(message)), ms))
+]);
+
+// Start a bare Socket.IO node on an ephemeral port using the Redis adapter
+const startNode = async (createRedisClient) => {
+  const pubClient = createRedisClient();
+  const subClient = createRedisClient();
+  const server = http.createServer();
+  const io = new SocketIOServer(server);
+
+  io.adapter(createAdapter(pubClient, subClient));
+  io.on('connection', (socket) => {
+    socket.on('join-document', ({ documentId }) => {
+      socket.join(`document:${documentId}`);
+      socket.emit('document-joined', { documentId });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, resolve));
+
+  return {
+    io,
+    port: server.address().port,
+    close: async () => {
+      io.close();
+      await Promise.all([pubClient.quit(), subClient.quit()]);
+    }
+  };
+};
+
+// A client on node A must receive a room broadcast made from node B
+const checkRoomBroadcast = async (createRedisClient) => {
+  const [nodeA, nodeB] = await Promise.all([startNode(createRedisClient), startNode(createRedisClient)]);
+  const documentId = crypto.randomUUID();
+  const client = connectClient(`http://localhost:${nodeA.port}`, { transports: ['websocket'] });
+
+  try {
+    await withTimeout(new Promise(resolve => {
+      client.on('document-joined', resolve);
+      client.emit('join-document', { documentId });
+    }), 5000, 'Client could not join a document on node A');
+
+    const remoteSockets = await nodeB.io.in(`document:${documentId}`).fetchSockets();
+
+    const received = withTimeout(
+      new Promise(resolve => client.on('document-operation', resolve)),
+      5000,
+      'Broadcast from node B never reached the client on node A'
+    );
+    nodeB.io.to(`document:${documentId}`).emit('document-operation', { revision: 1 });
+    await received;
+
+    return { remoteSocketsSeen: remoteSockets.length };
+  } finally {
+    client.close();
+    await Promise.all([nodeA.close(), nodeB.close()]);
+  }
+};
+
+// Clients split across two stores submit concurrently; both stores must share one history
+const checkSharedSequencer = async (createRedisClient, { clients: clientCount, rounds, seed }) => {
+  const redisA = createRedisClient();
+  const redisB = createRedisClient();
+  const prefix = `collab-check:${crypto.randomUUID()}`;
+  const stores = [
+    new RedisCollaborationStore(redisA, { prefix }),
+    new RedisCollaborationStore(redisB, { prefix })
+  ];
+  const documentId = 'document';
+  const initial = 'The quick brown fox\njumps over the lazy dog\n';
+  const random = createRandom(seed);
+
+  try {
+    await Promise.all(stores.map(store =>
+      store.loadDocument(documentId, async () => ({ content: initial, revision: 0 }))
+    ));
+
+    const clients = Array.from({ length: clientCount }, (_, i) => new SimulatedClient(i, initial, 0));
+    const storeFor = (client) => stores[client.id % stores.length];
+
+    const deliverResults = (results) => {
+      // Clients see server messages in revision order, as the adapter would deliver them
+      results
+        .filter(Boolean)
+        .sort((a, b) => a.result.revision - b.result.revision)
+        .forEach(({ client, result }) => {
+          clients.forEach(other => {
+            other.inbox.push(other === client
+              ? { type: 'ack', revision: result.revision }
+              : { type: 'operation', operation: result.operation.toJSON(), revision: result.revision });
+          });
+        });
+    };
+
+    // Every client with something to send submits at the same time through its own node
+    const submitRound = async () => {
+      const results = await Promise.all(clients.map(async client => {
+        const message = client.outbox.shift();
+        if (!message) return null;
+
+        const result = await storeFor(client).submitOperation(documentId, message.operation, message.revision, {
+          userId: String(client.id),
+          operationId: message.operationId
+        });
+        return { client, result };
+      }));
+
+      deliverResults(results);
+      return results.some(Boolean);
+    };
+
+    for (let round = 0; round < rounds; round++) {
+      clients.forEach(client => {
+        if (random() < 0.6) client.edit(randomClientOperation(random, client.content));
+      });
+
+      await submitRound();
+
+      clients.forEach(client => {
+        while (client.inbox.length > 0 && random() < 0.7) {
+          client.receive(client.inbox.shift());
+        }
+      });
+    }
+
+    // Drain until quiet
+    let pending = true;
+    while (pending) {
+      clients.forEach(client => {
+        while (client.inbox.length > 0) client.receive(client.inbox.shift());
+      });
+      pending = await submitRound();
+    }
+
+    const [stateA, stateB] = await Promise.all(stores.map(store =>
+      store.loadDocument(documentId, async () => { throw new Error('State unexpectedly missing'); })
+    ));
+
+    const diverged = clients.filter(client =>
+      client.content !== stateA.content || client.revision !== stateA.revision
+    );
+
+    return {
+      revision: stateA.revision,
+      storesAgree: stateA.content === stateB.content && stateA.revision === stateB.revision,
+      diverged: diverged.length
+    };
+  } finally {
+    const keys = await redisA.keys(`${prefix}:*`);
+    if (keys.length > 0) await redisA.del(...keys);
+    await Promise.all([redisA.quit(), redisB.quit()]);
+  }
+};
+
+const runClusterCheck = async (options = {}) => {
+  const {
+    createRedisClient = defaultRedisClient,
+    clients = 6,
+    rounds = 200,
+    seed = Date.now() % 100000
+  } = options;
+
+  console.log('🔍 Checking collaboration across two in-process nodes...\n');
+
+  const broadcast = await checkRoomBroadcast(createRedisClient);
+  console.log(`✅ Room broadcast crossed nodes (node B saw ${broadcast.remoteSocketsSeen} remote socket)`);
+
+  const sequencer = await checkSharedSequencer(createRedisClient, { clients, rounds, seed });
+  console.log(`📊 ${clients} clients produced ${sequencer.revision} revisions (seed ${seed})`);
+
+  const passed = sequencer.storesAgree && sequencer.diverged === 0 && broadcast.remoteSocketsSeen === 1;
+  if (!sequencer.storesAgree) console.log('❌ Nodes disagree on the document state');
+  if (sequencer.diverged > 0) console.log(`❌ ${sequencer.diverged} clients diverged from the shared state`);
+  if (broadcast.remoteSocketsSeen !== 1) console.log('❌ Node B could not see the socket connected to node A');
+
+  return { passed, broadcast, sequencer };
+};
+
+// Run check if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? parseInt(args[index + 1]) : undefined;
+  };
+
+  runClusterCheck({ clients: option('clients'), rounds: option('rounds'), seed: option('seed') })
+    .then(({ passed }) => {
+      console.log(passed ? '\n✅ Cluster check passed' : '\n❌ Cluster check failed');
+      process.exit(passed ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('\n❌ Cluster check failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runClusterCheck, checkRoomBroadcast, checkSharedSequencer };
@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+
+/**
+ * Operational transform convergence fuzzer
+ * Simulates clients making random concurrent edits against an OperationServer over
+ * delayed FIFO channels, dropping connections and resyncing offline edits, and checks
+ * that every replica ends with the server's content
+ *
+ * Usage: node src/scripts/fuzzOperationalTransform.js [--runs 200] [--clients 4] [--steps 300] [--seed 1]
+ */
+
+import {
+  TextOperation,
+  OperationServer,
+  fromClientOperation
+} from '../utils/operationalTransform.js';
+
+// Small seeded PRNG so failures can be replayed with --seed
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const ALPHABET = 'abcdefghij \n';
+
+const randomText = (random, maxLength) => {
+  const length = 1 + Math.floor(random() * maxLength);
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    text += ALPHABET[Math.floor(random() * ALPHABET.length)];
+  }
+  return text;
+};
+
+// Random positional edit like an editor would send
+const randomClientOperation = (random, content) => {
+  const roll = random();
+  const position = Math.floor(random() * (content.length + 1));
+  const remaining = content.length - position;
+
+  if (roll < 0.45 || remaining === 0) {
+    return { type: 'insert', position, content: randomText(random, 5) };
+  }
+  if (roll < 0.8) {
+    return { type: 'delete', position, length: 1 + Math.floor(random() * Math.min(remaining, 8)) };
+  }
+  return {
+    type: 'replace',
+    position,
+    oldLength: Math.floor(random() * Math.min(remaining, 8)),
+    content: randomText(random, 4)
+  };
+};
+
+// Client side of the protocol: one operation in flight, later edits buffered
+class SimulatedClient {
+  constructor(id, content, revision) {
+    this.id = id;
+    this.content = content;
+    this.revision = revision;
+    this.outstanding = null;
+    this.outstandingId = null;
+    this.buffer = null;
+    this.outbox = [];
+    this.inbox = [];
+    this.sequence = 0;
+    this.offline = false;
+  }
+
+  send(operation, clientOperation = null) {
+    this.outstandingId = `${this.id}-${this.sequence++}`;
+    if (this.offline) return;
+
+    this.outbox.push({
+      // Send the original positional form when it is still valid, component form otherwise
+      operation: clientOperation || { ops: operation.toJSON() },
+      revision: this.revision,
+      operationId: this.outstandingId
+    });
+  }
+
+  edit(clientOperation) {
+    const operation = fromClientOperation(clientOperation, this.content.length);
+    this.content = operation.apply(this.content);
+
+    if (!this.outstanding) {
+      this.outstanding = operation;
+      this.send(operation, clientOperation);
+    } else {
+      this.buffer = this.buffer ? this.buffer.compose(operation) : operation;
+    }
+  }
+
+  // Connection drops: anything still in flight either way is lost
+  disconnect() {
+    this.offline = true;
+    this.outbox = [];
+    this.inbox = [];
+  }
+
+  // Everything not yet acknowledged, in order, for resync-document
+  resyncOperations() {
+    const operations = [];
+    if (this.outstanding) {
+      operations.push({ operation: { ops: this.outstanding.toJSON() }, operationId: this.outstandingId });
+    }
+    if (this.buffer) {
+      operations.push({ operation: { ops: this.buffer.toJSON() }, operationId: `${this.id}-${this.sequence++}` });
+    }
+    return operations;
+  }
+
+  resynced(result) {
+    result.remote.forEach(entry => {
+      this.content = entry.operation.apply(this.content);
+    });
+    this.revision = result.revision;
+    this.outstanding = null;
+    this.buffer = null;
+    this.offline = false;
+  }
+
+  receive(message) {
+    this.revision = message.revision;
+
+    if (message.type === 'ack') {
+      this.outstanding = this.buffer;
+      this.buffer = null;
+      if (this.outstanding) this.send(this.outstanding);
+      return;
+    }
+
+    let operation = TextOperation.fromJSON(message.operation);
+    if (this.outstanding) {
+      [this.outstanding, operation] = TextOperation.transform(this.outstanding, operation);
+    }
+    if (this.buffer) {
+      [this.buffer, operation] = TextOperation.transform(this.buffer, operation);
+    }
+    this.content = operation.apply(this.content);
+  }
+}
+
+const runSimulation = (seed, clientCount, steps) => {
+  const random = createRandom(seed);
+  const initial = randomText(random, 40);
+  const server = new OperationServer(initial, 0, { maxLogSize: steps * clientCount + 1 });
+  const clients = Array.from({ length: clientCount }, (_, i) => new SimulatedClient(i, initial, 0));
+
+  const deliverToServer = (client) => {
+    const message = client.outbox.shift();
+    const result = server.receive(message.operation, message.revision, {
+      userId: client.id,
+      operationId: message.operationId
+    });
+
+    clients.forEach(other => {
+      if (other.offline) return;
+      other.inbox.push(other === client
+        ? { type: 'ack', revision: result.revision }
+        : { type: 'operation', operation: result.operation.toJSON(), revision: result.revision });
+    });
+  };
+
+  const reconnect = (client) => {
+    const result = server.replay(client.resyncOperations(), client.revision, { userId: client.id });
+    client.resynced(result);
+
+    result.applied.filter(entry => !entry.duplicate).forEach(entry => {
+      clients.forEach(other => {
+        if (other !== client && !other.offline) {
+          other.inbox.push({ type: 'operation', operation: entry.operation.toJSON(), revision: entry.revision });
+        }
+      });
+    });
+  };
+
+  for (let step = 0; step < steps; step++) {
+    const client = clients[Math.floor(random() * clients.length)];
+    const roll = random();
+
+    if (roll > 0.97) {
+      if (client.offline) reconnect(client);
+      else client.disconnect();
+    } else if (client.offline) {
+      if (roll < 0.4) client.edit(randomClientOperation(random, client.content));
+    } else if (roll < 0.4) {
+      client.edit(randomClientOperation(random, client.content));
+    } else if (roll < 0.7 && client.outbox.length > 0) {
+      deliverToServer(client);
+    } else if (client.inbox.length > 0) {
+      client.receive(client.inbox.shift());
+    }
+  }
+
+  clients.filter(client => client.offline).forEach(reconnect);
+
+  // Drain every channel until the system is quiet
+  let pending = true;
+  while (pending) {
+    pending = false;
+    clients.forEach(client => {
+      while (client.outbox.length > 0) {
+        deliverToServer(client);
+        pending = true;
+      }
+    });
+    clients.forEach(client => {
+      while (client.inbox.length > 0) {
+        client.receive(client.inbox.shift());
+        pending = true;
+      }
+    });
+  }
+
+  const diverged = clients.filter(client =>
+    client.content !== server.content || client.revision !== server.revision
+  );
+
+  // Replicas can agree and still be wrong if a resync applied an edit twice
+  const operationIds = server.log.map(entry => entry.operationId);
+  const duplicated = operationIds.length - new Set(operationIds).size;
+
+  return { converged: diverged.length === 0 && duplicated === 0, server, diverged, duplicated };
+};
+
+const parseArgs = (args) => {
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? parseInt(args[index + 1]) : fallback;
+  };
+
+  return {
+    runs: option('runs', 200),
+    clients: option('clients', 4),
+    steps: option('steps', 300),
+    seed: option('seed', Date.now() % 100000)
+  };
+};
+
+const fuzzOperationalTransform = ({ runs, clients, steps, seed }) => {
+  console.log(`🎲 Fuzzing OT convergence: ${runs} runs, ${clients} clients, ${steps} steps, seed ${seed}\n`);
+
+  let operations = 0;
+  const failures = [];
+
+  for (let run = 0; run < runs; run++) {
+    const runSeed = seed + run;
+    try {
+      const result = runSimulation(runSeed, clients, steps);
+      operations += result.server.revision;
+      if (result.diverged.length > 0) {
+        failures.push({ seed: runSeed, reason: `${result.diverged.length} clients diverged from the server` });
+      } else if (result.duplicated > 0) {
+        failures.push({ seed: runSeed, reason: `${result.duplicated} operations were applied twice` });
+      }
+    } catch (error) {
+      failures.push({ seed: runSeed, reason: error.message });
+    }
+  }
+
+  console.log(`📊 Applied ${operations} operations across ${runs} runs`);
+
+  failures.slice(0, 10).forEach(failure => {
+    console.log(`❌ Seed ${failure.seed}: ${failure.reason}`);
+  });
+
+  return { runs, operations, failures };
+};
+
+// Run fuzzer if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const results = fuzzOperationalTransform(parseArgs(process.argv.slice(2)));
+
+  if (results.failures.length === 0) {
+    console.log('\n✅ All replicas converged');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${results.failures.length} runs failed to converge (replay with --runs 1 --seed <seed>)`);
+    process.exit(1);
+  }
+}
+
+export { fuzzOperationalTransform, runSimulation, SimulatedClient, createRandom, randomClientOperation };
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Document version migration script
+ * Moves versions embedded in documents into the DocumentVersion collection
+ *
+ * Usage: node src/scripts/migrateDocumentVersions.js [--dry-run] [--keep-embedded]
+ */
+
+import 'dotenv/config';
+import database from '../config/database.js';
+import { Document } from '../models/Document.js';
+import { DocumentVersion } from '../models/DocumentVersion.js';
+
+const migrateDocumentVersions = async (options = {}) => {
+  const { dryRun = false, keepEmbedded = false } = options;
+
+  const results = {
+    documentsScanned: 0,
+    documentsMigrated: 0,
+    documentsSkipped: 0,
+    versionsMigrated: 0,
+    snapshots: 0,
+    deltas: 0,
+    bytesBefore: 0,
+    bytesAfter: 0,
+    errors: []
+  };
+
+  console.log(`🔄 Migrating embedded document versions${dryRun ? ' (dry run)' : ''}...\n`);
+
+  await database.connect();
+  console.log('✅ Database connected\n');
+
+  // The versions array is no longer part of the schema, so read it from the raw collection
+  const cursor = Document.collection.find(
+    { 'versions.0': { $exists: true } },
+    { projection: { title: 1, organization: 1, versions: 1 } }
+  );
+
+  for await (const document of cursor) {
+    results.documentsScanned++;
+
+    try {
+      const existing = await DocumentVersion.countDocuments({ document: document._id });
+      if (existing > 0) {
+        console.log(`⏭️  "${document.title}" already has ${existing} migrated versions, skipping`);
+        results.documentsSkipped++;
+        continue;
+      }
+
+      results.bytesBefore += document.versions.reduce(
+        (sum, version) => sum + Buffer.byteLength(version.content || '', 'utf8'), 0
+      );
+
+      if (dryRun) {
+        console.log(`📄 Would migrate ${document.versions.length} versions of "${document.title}"`);
+        results.documentsMigrated++;
+        results.versionsMigrated += document.versions.length;
+        continue;
+      }
+
+      const migrated = await DocumentVersion.importVersions(document, document.versions);
+
+      migrated.forEach(version => {
+        results[version.storage === 'snapshot' ? 'snapshots' : 'deltas']++;
+        results.bytesAfter += version.storedSize;
+      });
+
+      if (!keepEmbedded) {
+        await Document.collection.updateOne({ _id: document._id }, { $unset: { versions: '' } });
+      }
+
+      console.log(`✅ Migrated ${migrated.length} versions of "${document.title}"`);
+      results.documentsMigrated++;
+      results.versionsMigrated += migrated.length;
+    } catch (error) {
+      console.error(`❌ Failed to migrate "${document.title}": ${error.message}`);
+      results.errors.push({ documentId: document._id, error: error.message });
+    }
+  }
+
+  console.log('\n📊 Migration summary:');
+  console.log(`- Documents scanned: ${results.documentsScanned}`);
+  console.log(`- Documents migrated: ${results.documentsMigrated}`);
+  console.log(`- Documents skipped: ${results.documentsSkipped}`);
+  console.log(`- Versions migrated: ${results.versionsMigrated}`);
+  if (!dryRun) {
+    console.log(`- Stored as snapshots / deltas: ${results.snapshots} / ${results.deltas}`);
+    console.log(`- Content size: ${results.bytesBefore} bytes -> ${results.bytesAfter} bytes`);
+  }
+  console.log(`- Errors: ${results.errors.length}`);
+
+  return results;
+};
+
+// Run migration if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+
+  migrateDocumentVersions({
+    dryRun: args.includes('--dry-run'),
+    keepEmbedded: args.includes('--keep-embedded')
+  })
+    .then(async (results) => {
+      await database.disconnect();
+      console.log(`\n${results.errors.length === 0 ? '✅' : '⚠️'} Migration completed`);
+      process.exit(results.errors.length === 0 ? 0 : 1);
+    })
+    .catch(async (error) => {
+      console.error('\n❌ Migration failed:', error);
+      await database.disconnect();
+      process.exit(1);
+    });
+}
+
+export { migrateDocumentVersions };
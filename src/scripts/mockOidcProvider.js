@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Mock OpenID Connect provider for trying organization single sign-on locally
+ *
+ * Implements discovery, JWKS, the authorization endpoint (signs in straight away as the
+ * login_hint, or the --email user) and the token endpoint with PKCE and client secret
+ * checks, issuing RS256 ID tokens. Nothing is persisted; keys change on every start.
+ *
+ * Configure the organization with PUT /api/organizations/sso:
+ *   { "enabled": true, "issuer": "http://localhost:4000", "clientId": "docs-app", "clientSecret": "docs-secret" }
+ *
+ * Usage: node src/scripts/mockOidcProvider.js [--port=4000] [--client-id=docs-app]
+ *        [--client-secret=docs-secret] [--email=alice@example.com] [--name="Alice Example"]
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const CODE_TTL = 60 * 1000;
+
+const createMockOidcProvider = (options = {}) => {
+  const {
+    port = 4000,
+    clientId = 'docs-app',
+    clientSecret = 'docs-secret',
+    email: defaultEmail = 'alice@example.com',
+    name: defaultName = null
+  } = options;
+
+  const issuer = `http://localhost:${port}`;
+  const kid = crypto.randomUUID();
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const codes = new Map();
+
+  const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+  };
+
+  const readForm = async (req) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    return Object.fromEntries(new URLSearchParams(raw));
+  };
+
+  // Client credentials from the Basic header or the form body
+  const readClient = (req, form) => {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Basic ')) {
+      const [id, secret] = Buffer.from(header.slice(6), 'base64').toString().split(':').map(decodeURIComponent);
+      return { id, secret };
+    }
+    return { id: form.client_id, secret: form.client_secret };
+  };
+
+  const handleAuthorize = (url, res) => {
+    const params = url.searchParams;
+    const redirectUri = params.get('redirect_uri');
+
+    if (params.get('client_id') !== clientId) {
+      return sendJson(res, 400, { error: 'unauthorized_client' });
+    }
+    if (!redirectUri || params.get('response_type') !== 'code') {
+      return sendJson(res, 400, { error: 'invalid_request' });
+    }
+    if (params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge')) {
+      return sendJson(res, 400, { error: 'invalid_request', error_description: 'PKCE with S256 is required' });
+    }
+
+    const email = params.get('login_hint') || defaultEmail;
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, {
+      redirectUri,
+      codeChallenge: params.get('code_challenge'),
+      nonce: params.get('nonce'),
+      email,
+      expires: Date.now() + CODE_TTL
+    });
+
+    const location = new URL(redirectUri);
+    location.searchParams.set('code', code);
+    if (params.get('state')) location.searchParams.set('state', params.get('state'));
+
+    console.log(`🔑 Signed in ${email}, redirecting to ${location.origin}${location.pathname}`);
+    res.writeHead(302, { Location: location.toString() });
+    res.end();
+  };
+
+  const handleToken = async (req, res) => {
+    const form = await readForm(req);
+    const client = readClient(req, form);
+
+    if (client.id !== clientId || client.secret !== clientSecret) {
+      return sendJson(res, 401, { error: 'invalid_client' });
+    }
+
+    const grant = codes.get(form.code);
+    codes.delete(form.code);
+
+    if (form.grant_type !== 'authorization_code' || !grant || grant.expires < Date.now()) {
+      return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+    if (grant.redirectUri !== form.redirect_uri) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'redirect_uri does not match' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(form.code_verifier || '').digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const localPart = grant.email.split('@')[0];
+    const idToken = jwt.sign({
+      email: grant.email,
+      email_verified: true,
+      name: defaultName || localPart.charAt(0).toUpperCase() + localPart.slice(1),
+      nonce: grant.nonce
+    }, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer,
+      audience: clientId,
+      subject: crypto.createHash('sha256').update(grant.email).digest('hex').slice(0, 24),
+      expiresIn: '5m'
+    });
+
+    sendJson(res, 200, {
+      access_token: crypto.randomBytes(24).toString('base64url'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer);
+
+    try {
+      if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+        return sendJson(res, 200, {
+          issuer,
+          authorization_endpoint: `${issuer}/authorize`,
+          token_endpoint: `${issuer}/token`,
+          jwks_uri: `${issuer}/jwks`,
+          response_types_supported: ['code'],
+          subject_types_supported: ['public'],
+          id_token_signing_alg_values_supported: ['RS256'],
+          code_challenge_methods_supported: ['S256'],
+          token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+          scopes_supported: ['openid', 'email', 'profile']
+        });
+      }
+      if (req.method === 'GET' && url.pathname === '/jwks') {
+        return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+      }
+      if (req.method === 'GET' && url.pathname === '/authorize') {
+        return handleAuthorize(url, res);
+      }
+      if (req.method === 'POST' && url.pathname === '/token') {
+        return await handleToken(req, res);
+      }
+      sendJson(res, 404, { error: 'not_found' });
+    } catch (error) {
+      console.error('❌ Mock provider error:', error);
+      sendJson(res, 500, { error: 'server_error' });
+    }
+  });
+
+  return { server, issuer, clientId, clientSecret };
+};
+
+const readOption = (args, name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+
+// Run the provider if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const provider = createMockOidcProvider({
+    port: parseInt(readOption(args, 'port')) || 4000,
+    clientId: readOption(args, 'client-id'),
+    clientSecret: readOption(args, 'client-secret'),
+    email: readOption(args, 'email'),
+    name: readOption(args, 'name')
+  });
+
+  provider.server.listen(new URL(provider.issuer).port, () => {
+    console.log(`🚀 Mock OIDC provider running at ${provider.issuer}`);
+    console.log(`- Client ID: ${provider.clientId}`);
+    console.log(`- Client secret: ${provider.clientSecret}`);
+  });
+}
+
+export { createMockOidcProvider };
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Search reindex script
+ * Rebuilds the index of the configured search provider (SEARCH_PROVIDER) or the one given
+ *
+ * mongo:  drops and recreates the documents text index when its definition changed
+ * memory: builds the inverted index in this process and reports its size; running servers
+ *         build their own index on start, so restart them to rebuild theirs
+ *
+ * Usage: node src/scripts/reindexSearch.js [--provider=mongo|memory] [--organization=<id>]
+ */
+
+import 'dotenv/config';
+import database from '../config/database.js';
+import { createSearchProvider } from '../utils/searchProviders.js';
+
+const reindexSearch = async (options = {}) => {
+  const { provider: type, organizationId = null } = options;
+  const provider = createSearchProvider(type);
+
+  console.log(`🔄 Rebuilding the ${provider.type} search index${organizationId ? ` for organization ${organizationId}` : ''}...\n`);
+
+  await database.connect();
+  console.log('✅ Database connected\n');
+
+  if (provider.type === 'mongo' && organizationId) {
+    console.log('⚠️  The Mongo text index covers every organization, rebuilding all of it\n');
+  }
+
+  const stats = await provider.reindex({ organizationId });
+
+  console.log('📊 Reindex summary:');
+  console.log(`- Provider: ${stats.provider}`);
+  console.log(`- Documents indexed: ${stats.documents}`);
+  if (stats.rebuilt !== undefined) {
+    console.log(`- Text index: ${stats.rebuilt ? 'rebuilt' : 'already current, left in place'}`);
+  }
+  if (stats.terms !== undefined) {
+    console.log(`- Organizations: ${stats.organizations}`);
+    console.log(`- Distinct terms: ${stats.terms}`);
+  }
+  console.log(`- Duration: ${stats.durationMs}ms`);
+
+  return stats;
+};
+
+const readOption = (args, name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+
+// Run reindex if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+
+  reindexSearch({
+    provider: readOption(args, 'provider'),
+    organizationId: readOption(args, 'organization')
+  })
+    .then(async () => {
+      await database.disconnect();
+      console.log('\n✅ Reindex completed');
+      process.exit(0);
+    })
+    .catch(async (error) => {
+      console.error('\n❌ Reindex failed:', error);
+      await database.disconnect();
+      process.exit(1);
+    });
+}
+
+export { reindexSearch };
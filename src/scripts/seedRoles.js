@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Default role seeding script
+ * Creates the admin, editor and viewer roles for organizations that don't have them yet,
+ * and reports members whose role doesn't exist in their organization.
+ * Roles an organization has already edited are left as they are.
+ *
+ * Usage: node src/scripts/seedRoles.js [--organization=<id>]
+ */
+
+import 'dotenv/config';
+import database from '../config/database.js';
+import { Organization } from '../models/Organization.js';
+import { User } from '../models/User.js';
+import { Role, DEFAULT_ROLES } from '../models/Role.js';
+
+const seedRoles = async (options = {}) => {
+  const { organizationId = null } = options;
+
+  const results = {
+    organizations: 0,
+    rolesCreated: 0,
+    unknownRoles: []
+  };
+
+  console.log(`🔄 Seeding default roles${organizationId ? ` for organization ${organizationId}` : ''}...\n`);
+
+  await database.connect();
+  console.log('✅ Database connected\n');
+
+  const organizations = await Organization.find(organizationId ? { _id: organizationId } : {}).select('name');
+
+  for (const organization of organizations) {
+    const { upsertedCount } = await Role.seedDefaults(organization._id);
+    results.organizations++;
+    results.rolesCreated += upsertedCount;
+
+    if (upsertedCount > 0) {
+      console.log(`🔑 ${organization.name}: created ${upsertedCount} default roles`);
+    }
+
+    const customKeys = await Role.distinct('key', { organization: organization._id });
+    const knownKeys = [...new Set([...Object.keys(DEFAULT_ROLES), ...customKeys])];
+    const orphaned = await User.find({ organization: organization._id, role: { $nin: knownKeys } }).select('email role');
+
+    for (const user of orphaned) {
+      console.log(`⚠️  ${organization.name}: ${user.email} has unknown role "${user.role}"`);
+      results.unknownRoles.push({ organization: organization._id, user: user._id, role: user.role });
+    }
+  }
+
+  console.log('\n📊 Seeding summary:');
+  console.log(`- Organizations: ${results.organizations}`);
+  console.log(`- Roles created: ${results.rolesCreated}`);
+  console.log(`- Members with unknown roles: ${results.unknownRoles.length}`);
+
+  return results;
+};
+
+const readOption = (args, name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+
+// Run seeding if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+
+  seedRoles({ organizationId: readOption(args, 'organization') })
+    .then(async () => {
+      await database.disconnect();
+      console.log('\n✅ Seeding completed');
+      process.exit(0);
+    })
+    .catch(async (error) => {
+      console.error('\n❌ Seeding failed:', error);
+      await database.disconnect();
+      process.exit(1);
+    });
+}
+
+export { seedRoles };
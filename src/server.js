@@ -1,7 +1,9 @@
 import dotenv from 'dotenv/config';
 import http from 'http';
 import { Server as SocketIOServer } from 'socket.io';
+import { createAdapter } from '@socket.io/redis-adapter';
 import database from './config/database.js';
+import redisClient from './config/redis.js';
 import { logger } from './config/logger.js';
 import { initializeModels } from './models/index.js';
 import {
@@ -11,6 +13,9 @@ import {
 } from './middleware/errorHandler.js';
 import app from './app.js';
 import { initializeWebSocket } from './utils/collaboration.js';
+import { createCollaborationStore } from './utils/collaborationStore.js';
+import { getSearchProvider } from './utils/searchProviders.js';
+import { startShareExpirySweeper } from './utils/shareExpiry.js';
 
 // Handle uncaught exceptions
 handleUncaughtException();
@@ -24,6 +29,19 @@ const startServer = async () => {
         // Initialize models
         await initializeModels();
 
+        // Build the search index before serving requests (nothing to do for the Mongo provider)
+        const searchProvider = getSearchProvider();
+        await searchProvider.initialize();
+        logger.info(`Search provider: ${searchProvider.type}`);
+
+        // Connect to Redis (optional for a single node, required to run several)
+        try {
+            await redisClient.connect();
+        } catch (error) {
+            logger.warn('Redis unavailable, running without shared state:', error.message);
+            redisClient.getClient()?.disconnect();
+        }
+
         // Create HTTP server
         const server = http.createServer(app);
 
@@ -38,8 +56,23 @@ const startServer = async () => {
             pingInterval: 25000
         });
 
+        // Share rooms and collaboration state across nodes through Redis
+        let collaborationStore = createCollaborationStore();
+        if (redisClient.isConnectionReady()) {
+            const pubClient = redisClient.getClient().duplicate();
+            const subClient = redisClient.getClient().duplicate();
+            await Promise.all([pubClient.connect(), subClient.connect()]);
+
+            io.adapter(createAdapter(pubClient, subClient));
+            collaborationStore = createCollaborationStore(redisClient.getClient());
+            logger.info('Socket.IO Redis adapter enabled');
+        }
+
         // Initialize WebSocket handlers
-        initializeWebSocket(io);
+        initializeWebSocket(io, { store: collaborationStore });
+
+        // Expire shares and warn their users; runs on every node, each share is handled once
+        startShareExpirySweeper();
 
         // Start server
         const PORT = process.env.PORT || 5000;
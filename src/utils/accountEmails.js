@@ -0,0 +1,119 @@
+import mailer from '../config/mailer.js';
+
+/**
+ * Account emails carrying single-use links back to the client app, plus notices about shared documents
+ */
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const clientLink = (pathname, token) => {
+  const url = new URL(pathname, process.env.CLIENT_URL || 'http://localhost:3000');
+  url.searchParams.set('token', token);
+  return url.toString();
+};
+
+// "24 hours" or "45 minutes" until a token or share expires
+const timeUntil = (date) => {
+  const minutes = Math.max(1, Math.round((new Date(date) - Date.now()) / 60000));
+  if (minutes % 60 === 0 || minutes >= 120) {
+    const hours = Math.round(minutes / 60);
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+const buildMessage = ({ user, subject, intro, action, link, expires, outro }) => ({
+  to: user.email,
+  subject,
+  text: [
+    `Hi ${user.name},`,
+    '',
+    intro,
+    '',
+    `${action}: ${link}`,
+    '',
+    `This link expires in ${expires} and can only be used once.`,
+    outro
+  ].join('\n'),
+  html: [
+    `<p>Hi ${escapeHtml(user.name)},</p>`,
+    `<p>${escapeHtml(intro)}</p>`,
+    `<p><a href="${escapeHtml(link)}">${escapeHtml(action)}</a></p>`,
+    `<p>This link expires in ${expires} and can only be used once. ${escapeHtml(outro)}</p>`
+  ].join('\n')
+});
+
+/**
+ * Send the link that confirms a user's email address
+ * @param {Object} user - { name, email, emailVerificationExpires }
+ * @param {string} token - Plain verification token
+ */
+export const sendVerificationEmail = (user, token) => mailer.send(buildMessage({
+  user,
+  subject: 'Verify your email address',
+  intro: 'Please confirm that this is your email address.',
+  action: 'Verify email',
+  link: clientLink('/verify-email', token),
+  expires: timeUntil(user.emailVerificationExpires),
+  outro: 'If you did not create an account, you can ignore this email.'
+}));
+
+/**
+ * Send the link that lets a user choose a new password
+ * @param {Object} user - { name, email, resetPasswordExpires }
+ * @param {string} token - Plain reset token
+ */
+export const sendPasswordResetEmail = (user, token) => mailer.send(buildMessage({
+  user,
+  subject: 'Reset your password',
+  intro: 'We received a request to reset your password.',
+  action: 'Choose a new password',
+  link: clientLink('/reset-password', token),
+  expires: timeUntil(user.resetPasswordExpires),
+  outro: 'If you did not ask for this, you can ignore this email and your password stays the same.'
+}));
+
+/**
+ * Send the link that lets someone join an organization
+ * @param {Object} invitation - { name, email, role, expiresAt }
+ * @param {string} token - Plain invitation token
+ * @param {Object} context - { organizationName, inviterName }
+ */
+export const sendInvitationEmail = (invitation, token, { organizationName, inviterName }) => mailer.send(buildMessage({
+  user: { name: invitation.name || invitation.email, email: invitation.email },
+  subject: `You're invited to join ${organizationName}`,
+  intro: `${inviterName} invited you to join ${organizationName} as ${invitation.role === 'admin' ? 'an' : 'a'} ${invitation.role}.`,
+  action: 'Accept invitation',
+  link: clientLink('/accept-invitation', token),
+  expires: timeUntil(invitation.expiresAt),
+  outro: 'If you were not expecting this invitation, you can ignore this email.'
+}));
+
+/**
+ * Warn a user that their access to a shared document is about to run out
+ * @param {Object} user - { name, email }
+ * @param {Object} document - { _id, title }
+ * @param {Date} expiresAt - When the share expires
+ */
+export const sendShareExpiringEmail = (user, document, expiresAt) => {
+  const link = new URL(`/documents/${document._id}`, process.env.CLIENT_URL || 'http://localhost:3000').toString();
+  const intro = `Your access to "${document.title}" expires in ${timeUntil(expiresAt)}.`;
+  const outro = 'Ask the document owner to share it again if you still need it.';
+
+  return mailer.send({
+    to: user.email,
+    subject: `Your access to "${document.title}" expires soon`,
+    text: [`Hi ${user.name},`, '', intro, '', `Open document: ${link}`, '', outro].join('\n'),
+    html: [
+      `<p>Hi ${escapeHtml(user.name)},</p>`,
+      `<p>${escapeHtml(intro)}</p>`,
+      `<p><a href="${escapeHtml(link)}">Open document</a></p>`,
+      `<p>${escapeHtml(outro)}</p>`
+    ].join('\n')
+  });
+};
@@ -0,0 +1,110 @@
+import redisClient from '../config/redis.js';
+
+/**
+ * Failed-login tracking per account, so guessing one account's password is slowed
+ * and then stopped no matter how many IPs the attempts come from
+ *
+ * Failures are counted in Redis for `lockoutMinutes`. From `progressiveDelayAfter`
+ * failures on, each one makes the account wait twice as long before the next attempt;
+ * at `maxFailedAttempts` it is locked for `lockoutMinutes`. Without Redis nothing is
+ * tracked and only the IP rate limits apply.
+ */
+
+export const DEFAULT_LOCKOUT_POLICY = {
+  maxFailedAttempts: 5,
+  lockoutMinutes: 15,
+  progressiveDelayAfter: 3
+};
+
+// Longest wait between attempts before the lock kicks in
+const MAX_DELAY_SECONDS = 300;
+
+const failuresKey = (userId) => `login_failures:${userId}`;
+const delayKey = (userId) => `login_delay:${userId}`;
+const lockKey = (userId) => `account_locked:${userId}`;
+
+/**
+ * Lockout thresholds for an organization, falling back to the defaults
+ * @param {Object} organization - Organization with settings.security.lockout
+ * @returns {Object} { maxFailedAttempts, lockoutMinutes, progressiveDelayAfter }
+ */
+export const getLockoutPolicy = (organization) => {
+  const configured = organization?.settings?.security?.lockout || {};
+  const policy = { ...DEFAULT_LOCKOUT_POLICY };
+  for (const key of Object.keys(policy)) {
+    if (Number.isInteger(configured[key])) {
+      policy[key] = configured[key];
+    }
+  }
+  return policy;
+};
+
+/**
+ * Whether the account may try to log in right now
+ * @param {string} userId - User ID
+ * @returns {Object} { allowed, reason: 'locked' | 'throttled', retryAfter (seconds), failures }
+ */
+export const getLoginState = async (userId) => {
+  if (!redisClient.isConnectionReady()) {
+    return { allowed: true, failures: 0 };
+  }
+
+  const client = redisClient.getClient();
+  const [lockTtl, delayTtl, failures] = await Promise.all([
+    client.ttl(lockKey(userId)),
+    client.ttl(delayKey(userId)),
+    redisClient.get(failuresKey(userId))
+  ]);
+
+  if (lockTtl > 0) {
+    return { allowed: false, reason: 'locked', retryAfter: lockTtl, failures: failures || 0 };
+  }
+  if (delayTtl > 0) {
+    return { allowed: false, reason: 'throttled', retryAfter: delayTtl, failures: failures || 0 };
+  }
+  return { allowed: true, failures: failures || 0 };
+};
+
+/**
+ * Count a failed attempt and apply the delay or lock it earns
+ * @param {string} userId - User ID
+ * @param {Object} policy - From getLockoutPolicy
+ * @returns {Object} { failures, locked, retryAfter (seconds, 0 when the next attempt may follow at once) }
+ */
+export const recordLoginFailure = async (userId, policy) => {
+  if (!redisClient.isConnectionReady()) {
+    return { failures: 0, locked: false, retryAfter: 0 };
+  }
+
+  const windowSeconds = policy.lockoutMinutes * 60;
+  const failures = await redisClient.incr(failuresKey(userId), windowSeconds);
+
+  if (failures >= policy.maxFailedAttempts) {
+    await redisClient.set(lockKey(userId), new Date().toISOString(), windowSeconds);
+    await redisClient.del(failuresKey(userId));
+    await redisClient.del(delayKey(userId));
+    return { failures, locked: true, retryAfter: windowSeconds };
+  }
+
+  if (failures >= policy.progressiveDelayAfter) {
+    const retryAfter = Math.min(2 ** (failures - policy.progressiveDelayAfter + 1), MAX_DELAY_SECONDS);
+    await redisClient.set(delayKey(userId), failures, retryAfter);
+    return { failures, locked: false, retryAfter };
+  }
+
+  return { failures, locked: false, retryAfter: 0 };
+};
+
+/**
+ * Forget failed attempts and lift any lock, after a successful login or an admin unlock
+ * @param {string} userId - User ID
+ * @returns {boolean} Whether the account was locked
+ */
+export const clearLoginFailures = async (userId) => {
+  if (!redisClient.isConnectionReady()) return false;
+
+  const wasLocked = await redisClient.del(lockKey(userId));
+  await redisClient.del(failuresKey(userId));
+  await redisClient.del(delayKey(userId));
+  return wasLocked > 0;
+};
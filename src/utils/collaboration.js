@@ -2,96 +2,29 @@ import jwt from 'jsonwebtoken';
 import { User } from '../models/User.js';
 import { Document } from '../models/Document.js';
 import { Activity } from '../models/Activity.js';
+import { Team } from '../models/Team.js';
 import { logger } from '../config/logger.js';
-
-// Store active connections and document sessions
-const activeConnections = new Map(); // userId -> socket
-const documentSessions = new Map(); // documentId -> Set of userIds
-const documentLocks = new Map(); // documentId -> { userId, timestamp }
-const userCursors = new Map(); // documentId -> Map(userId -> cursorPosition)
-const pendingOperations = new Map(); // documentId -> Array of operations
-
-// Operational Transform utilities
-class OperationalTransform {
-  static transformOperation(op1, op2) {
-    // Simple operational transform for text operations
-    if (op1.type === 'insert' && op2.type === 'insert') {
-      if (op1.position <= op2.position) {
-        return {
-          ...op2,
-          position: op2.position + op1.content.length
-        };
-      }
-      return op2;
-    }
-
-    if (op1.type === 'delete' && op2.type === 'insert') {
-      if (op1.position < op2.position) {
-        return {
-          ...op2,
-          position: Math.max(op1.position, op2.position - op1.length)
-        };
-      }
-      return op2;
-    }
-
-    if (op1.type === 'insert' && op2.type === 'delete') {
-      if (op1.position <= op2.position) {
-        return {
-          ...op2,
-          position: op2.position + op1.content.length
-        };
-      }
-      return op2;
-    }
-
-    if (op1.type === 'delete' && op2.type === 'delete') {
-      if (op1.position < op2.position) {
-        return {
-          ...op2,
-          position: Math.max(op1.position, op2.position - op1.length),
-          length: op2.length
-        };
-      } else if (op1.position >= op2.position + op2.length) {
-        return {
-          ...op2,
-          position: op2.position,
-          length: op2.length
-        };
-      }
-      // Overlapping deletes - complex case
-      return null; // Skip conflicting operation
-    }
-
-    return op2;
-  }
-
-  static applyOperation(content, operation) {
-    try {
-      switch (operation.type) {
-        case 'insert':
-          return content.slice(0, operation.position) +
-            operation.content +
-            content.slice(operation.position);
-
-        case 'delete':
-          return content.slice(0, operation.position) +
-            content.slice(operation.position + operation.length);
-
-        case 'replace':
-          return content.slice(0, operation.position) +
-            operation.content +
-            content.slice(operation.position + operation.oldLength);
-
-        default:
-          return content;
-      }
-    } catch (error) {
-      logger.error('Error applying operation:', error);
-      return content;
-    }
-  }
-}
+import redisClient from '../config/redis.js';
+import { isSessionRevoked } from '../middleware/auth.js';
+import { OperationError } from './operationalTransform.js';
+import { createCollaborationStore } from './collaborationStore.js';
+import {
+  HEARTBEAT_INTERVAL,
+  IDLE_TIMEOUT,
+  SWEEP_INTERVAL,
+  assignPresenceColor,
+  normalizeCursor,
+  resolvePresenceStatus,
+  formatPresence
+} from './presence.js';
+
+// Sessions, cursors and OT state live in the collaboration store so several nodes can share them
+let store = createCollaborationStore();
+let server = null;
+const persistTimers = new Map(); // documentId -> timeout handle (per node)
+
+// How long edits are batched before the document content is written back
+const PERSIST_DELAY = parseInt(process.env.OT_PERSIST_DELAY) || 2000;
 
 // Authentication middleware for WebSocket
 const authenticateSocket = async (socket, next) => {
@@ -103,6 +36,15 @@ const authenticateSocket = async (socket, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Logged-out tokens and revoked sessions are refused here just as they are over REST
+    if (redisClient.isConnectionReady() && await redisClient.exists(`blacklist:${token}`)) {
+      return next(new Error('Token has been invalidated'));
+    }
+    if (decoded.sid && await isSessionRevoked(decoded.sid)) {
+      return next(new Error('Session has been revoked'));
+    }
+
     const user = await User.findById(decoded.id)
       .populate('organization', 'name domain isActive subscription')
       .select('-password');
@@ -125,9 +67,11 @@ const authenticateSocket = async (socket, next) => {
     }
 
     socket.userId = user._id.toString();
+    socket.sessionId = decoded.sid || null;
     socket.user = user;
     socket.organizationId = user.organization._id.toString();
     socket.organizationDomain = user.organization.domain;
+    socket.teamIds = await Team.findTeamIds(user._id, user.organization._id);
 
     // Log WebSocket connection for audit
     logger.info(`WebSocket connection established`, {
@@ -146,7 +90,7 @@ const authenticateSocket = async (socket, next) => {
 };
 
 // Check document access permissions with enhanced organization isolation
-const checkDocumentAccess = async (userId, documentId, organizationId, permission = 'view') => {
+const checkDocumentAccess = async (userId, documentId, organizationId, permission = 'view', teamIds = []) => {
   try {
     const document = await Document.findOne({
       _id: documentId,
@@ -175,10 +119,9 @@ const checkDocumentAccess = async (userId, documentId, organizationId, permissio
       return { hasAccess: true, document, role: 'owner' };
     }
 
-    // Check shared access
-    const sharedAccess = document.sharedWith.find(
-      share => share.user.toString() === userId && share.isActive
-    );
+    // Check shared access, directly, through one of the user's teams or inherited from the document's folder
+    const access = await document.getEffectiveAccess(userId, teamIds);
+    const sharedAccess = access?.share;
 
     if (!sharedAccess) {
       // Check if document is organization-wide visible
@@ -195,8 +138,9 @@ const checkDocumentAccess = async (userId, documentId, organizationId, permissio
 
     // Check permission level
     const permissionLevels = { view: 1, comment: 2, edit: 3 };
+    const shareLevels = { viewer: 1, editor: 3, admin: 3 };
     const requiredLevel = permissionLevels[permission] || 1;
-    const userLevel = permissionLevels[sharedAccess.permission] || 1;
+    const userLevel = shareLevels[sharedAccess.permission] || 1;
 
     if (userLevel < requiredLevel) {
       return { hasAccess: false, error: 'Insufficient permissions' };
@@ -215,66 +159,345 @@ const checkDocumentAccess = async (userId, documentId, organizationId, permissio
   }
 };
 
-// Process pending operations for a document
-const processPendingOperations = async (documentId) => {
-  const operations = pendingOperations.get(documentId) || [];
-  if (operations.length === 0) return;
+// Load a document into the collaboration store the first time anyone opens it
+const loadDocumentState = (documentId) => {
+  return store.loadDocument(documentId, async () => {
+    const document = await Document.findById(documentId).select('content revision');
+    if (!document) {
+      throw new OperationError('Document not found', 'DOCUMENT_NOT_FOUND');
+    }
+    return { content: document.content, revision: document.revision || 0 };
+  });
+};
 
+// Write the current OT state back to the document
+const persistDocumentState = async (documentId) => {
   try {
-    // Get current document
-    const document = await Document.findById(documentId);
-    if (!document) return;
-
-    let content = document.content;
-    const processedOps = [];
-
-    // Apply operations in order with conflict resolution
-    for (let i = 0; i < operations.length; i++) {
-      const currentOp = operations[i];
-
-      // Transform against all previous operations
-      let transformedOp = currentOp;
-      for (let j = 0; j < i; j++) {
-        const prevOp = processedOps[j];
-        if (prevOp) {
-          transformedOp = OperationalTransform.transformOperation(prevOp, transformedOp);
-          if (!transformedOp) break; // Skip conflicting operation
-        }
-      }
+    return await store.persistDocument(documentId, async ({ content, revision, fromRevision, edits }) => {
+      const document = await Document.findById(documentId);
+      if (!document) return null;
+
+      const editors = [...new Set(edits.map(entry => entry.userId).filter(Boolean))];
 
-      if (transformedOp) {
-        content = OperationalTransform.applyOperation(content, transformedOp);
-        processedOps.push(transformedOp);
+      document.content = content;
+      document.revision = revision;
+      if (editors.length > 0) {
+        document.metadata.lastEditedBy = editors[editors.length - 1];
       }
-    }
+      await document.save();
+
+      if (editors.length > 0) {
+        await Activity.logActivity({
+          user: editors[editors.length - 1],
+          organization: document.organization,
+          document: document._id,
+          action: 'document_updated',
+          details: `Document "${document.title}" edited collaboratively (revisions ${fromRevision + 1}-${revision})`,
+          category: 'document',
+          severity: 'low',
+          relatedUsers: editors.slice(0, -1)
+        });
+      }
+
+      return { success: true, revision };
+    });
 
-    // Update document with new content
-    document.content = content;
-    document.version += 1;
-    document.updatedAt = new Date();
-    await document.save();
+  } catch (error) {
+    logger.error('Error persisting document state:', error);
+    return { success: false, error: error.message };
+  }
+};
 
-    // Clear processed operations
-    pendingOperations.delete(documentId);
+// Batch writes so every keystroke doesn't hit the database
+const schedulePersist = (documentId) => {
+  if (persistTimers.has(documentId)) return;
 
-    return { success: true, newContent: content, version: document.version };
+  persistTimers.set(documentId, setTimeout(() => {
+    persistTimers.delete(documentId);
+    persistDocumentState(documentId);
+  }, PERSIST_DELAY));
+};
 
+/**
+ * Apply content written outside the socket layer (REST updates, version restores) as an
+ * operation, so live sessions receive it instead of overwriting it on their next persist
+ * @param {string} documentId
+ * @param {string} content - The document's new content
+ * @param {Object} user - { id, name } of whoever made the change
+ * @returns {Object|null} The operation result, or null when nobody is editing the document
+ */
+export const applyExternalContent = async (documentId, content, user) => {
+  const id = documentId.toString();
+  const state = await store.getDocument(id);
+  if (!state || state.content === content) return null;
+
+  // Replace only the changed span so collaborators' cursors outside it stay put
+  const previous = state.content;
+  let start = 0;
+  while (start < previous.length && start < content.length && previous[start] === content[start]) start++;
+  let end = 0;
+  while (end < previous.length - start && end < content.length - start &&
+    previous[previous.length - 1 - end] === content[content.length - 1 - end]) end++;
+
+  let result;
+  try {
+    result = await store.submitOperation(id, {
+      type: 'replace',
+      position: start,
+      oldLength: previous.length - start - end,
+      content: content.slice(start, content.length - end)
+    }, state.revision, { userId: user.id.toString() });
   } catch (error) {
-    logger.error('Error processing pending operations:', error);
-    return { success: false, error: error.message };
+    // The session closed in the meantime, so the database write already stands
+    if (error instanceof OperationError) return null;
+    throw error;
   }
+
+  server?.to(`document:${id}`).emit('document-operation', {
+    documentId: id,
+    operation: result.operation.toJSON(),
+    revision: result.revision,
+    user: {
+      id: user.id.toString(),
+      name: user.name
+    }
+  });
+
+  schedulePersist(id);
+  return result;
+};
+
+// Flush and drop the OT state once nobody on any node is editing the document
+const releaseDocumentState = async (documentId) => {
+  clearTimeout(persistTimers.get(documentId));
+  persistTimers.delete(documentId);
+
+  try {
+    await persistDocumentState(documentId);
+    await store.releaseDocument(documentId);
+  } catch (error) {
+    logger.error('Error releasing document state:', error);
+  }
+};
+
+// Save a socket's presence to the store and tell the room when its status changes
+const publishPresence = async (socket, now = Date.now()) => {
+  const documentId = socket.currentDocument;
+  const presence = socket.presence;
+  if (!documentId || !presence) return;
+
+  const status = resolvePresenceStatus(presence, now);
+  const changed = status !== presence.status;
+
+  // Heartbeats are written through at most every half interval; status changes go out immediately
+  if (!changed && presence.lastSeen - presence.savedAt < HEARTBEAT_INTERVAL / 2) return;
+
+  presence.status = status;
+  presence.savedAt = now;
+
+  await store.setPresence(documentId, socket.userId, {
+    away: presence.away,
+    lastSeen: presence.lastSeen,
+    lastActivity: presence.lastActivity
+  });
+
+  if (changed) {
+    socket.nsp.to(`document:${documentId}`).emit('presence-update', {
+      documentId,
+      userId: socket.userId,
+      userName: socket.user.name,
+      color: presence.color,
+      status,
+      lastActivity: new Date(presence.lastActivity)
+    });
+  }
+};
+
+// Record a heartbeat or user activity on the socket's current document
+const recordPresence = (socket, { active = false, away } = {}) => {
+  const presence = socket.presence;
+  if (!presence) return Promise.resolve();
+
+  const now = Date.now();
+  presence.lastSeen = now;
+  if (active) {
+    presence.lastActivity = now;
+    presence.away = false;
+  }
+  if (typeof away === 'boolean') {
+    presence.away = away;
+  }
+
+  return publishPresence(socket, now);
+};
+
+// Who is in a document right now, across every node
+export const listDocumentPresence = async (documentId) => {
+  const members = await store.getSessionMembers(documentId);
+  const now = Date.now();
+  return members.map(member => formatPresence(member, now));
+};
+
+// Remove a socket from the document it is currently in
+const leaveCurrentDocument = async (socket) => {
+  const documentId = socket.currentDocument;
+  if (!documentId) return;
+
+  socket.currentDocument = null;
+  socket.documentPermission = null;
+  socket.presence = null;
+  socket.leave(`document:${documentId}`);
+
+  const { userConnections, sessionSize } = await store.removeSessionMember(documentId, socket.userId);
+
+  // Other tabs of the same user keep them present in the document
+  if (userConnections === 0) {
+    socket.to(`document:${documentId}`).emit('user-left', {
+      userId: socket.userId,
+      userName: socket.user.name
+    });
+  }
+
+  if (sessionSize === 0) {
+    await releaseDocumentState(documentId);
+  }
+
+  logger.info(`User ${socket.user.name} left document ${documentId}`);
+};
+
+// Put a socket in a document's room and session, leaving any other document first
+const enterDocument = async (socket, documentId, permission) => {
+  if (socket.currentDocument && socket.currentDocument !== documentId) {
+    await leaveCurrentDocument(socket);
+  }
+
+  // Join document room
+  socket.join(`document:${documentId}`);
+  socket.documentPermission = permission;
+  if (socket.currentDocument === documentId) return;
+
+  socket.currentDocument = documentId;
+
+  // Add user to document session
+  const members = await store.getSessionMembers(documentId);
+  const existing = members.find(member => member.id === socket.userId);
+  const now = Date.now();
+
+  // Other tabs of the same user keep their colour
+  const color = existing?.color || assignPresenceColor(
+    socket.userId,
+    members.map(member => member.color)
+  );
+
+  await store.addSessionMember(documentId, socket.userId, {
+    name: socket.user.name,
+    email: socket.user.email,
+    permission,
+    color,
+    joinedAt: existing?.joinedAt || now
+  });
+
+  socket.presence = {
+    color,
+    status: 'active',
+    away: false,
+    lastSeen: now,
+    lastActivity: now,
+    savedAt: 0
+  };
+  await publishPresence(socket, now);
+
+  // Notify other users about new collaborator
+  socket.to(`document:${documentId}`).emit('user-joined', {
+    user: {
+      id: socket.userId,
+      name: socket.user.name,
+      email: socket.user.email,
+      permission,
+      color,
+      status: socket.presence.status
+    }
+  });
+};
+
+// Take this node's sockets for the given users out of a document they can no longer open
+const removeFromDocument = async (documentId, userIds, reason) => {
+  const users = userIds.map(id => id.toString());
+  const sockets = await server.local.in(`document:${documentId}`).fetchSockets();
+
+  for (const socket of sockets) {
+    if (!users.includes(socket.userId) || socket.currentDocument !== documentId) continue;
+
+    socket.emit('access-revoked', { documentId, reason });
+    await leaveCurrentDocument(socket);
+  }
+};
+
+// Remove users from a document's live session on every node, e.g. once their share has expired
+export const revokeDocumentAccess = async (documentId, userIds, reason = 'Access revoked') => {
+  if (!server || userIds.length === 0) return;
+
+  const payload = { documentId: documentId.toString(), userIds: userIds.map(id => id.toString()), reason };
+  await removeFromDocument(payload.documentId, payload.userIds, reason);
+
+  // Other nodes hold their own sockets; only the Redis adapter can reach them
+  if (store.type === 'redis') {
+    server.serverSideEmit('revoke-document-access', payload);
+  }
+};
+
+// Close the sockets of revoked device sessions on every node
+export const disconnectSessions = (sessionIds, reason) => {
+  if (!server || sessionIds.length === 0) return;
+
+  const rooms = sessionIds.map(id => `session:${id}`);
+  server.to(rooms).emit('session-revoked', { reason });
+  server.in(rooms).disconnectSockets(true);
+};
+
+// Tell a user's sockets on every node about something that concerns them
+export const notifyUser = (userId, event, data) => {
+  server?.to(`user:${userId}`).emit(event, data);
 };
 
 // WebSocket event handlers
-export const initializeWebSocket = (io) => {
+export const initializeWebSocket = (io, options = {}) => {
+  if (options.store) {
+    store = options.store;
+  }
+  server = io;
+  logger.info(`Collaboration state stored in ${store.type}`);
+
+  // Catch users going idle or silent between their own heartbeats
+  const presenceSweep = setInterval(() => {
+    io.of('/').sockets.forEach(socket => {
+      publishPresence(socket).catch(error => {
+        logger.error('Error sweeping presence:', error);
+      });
+    });
+  }, SWEEP_INTERVAL);
+  presenceSweep.unref();
+
+  // Revocations published by other nodes
+  io.on('revoke-document-access', ({ documentId, userIds, reason }) => {
+    removeFromDocument(documentId, userIds, reason).catch(error => {
+      logger.error('Error revoking document access:', error);
+    });
+  });
+
   // Apply authentication middleware
   io.use(authenticateSocket);
 
   io.on('connection', (socket) => {
     logger.info(`User ${socket.user.name} connected via WebSocket`);
 
-    // Store active connection
-    activeConnections.set(socket.userId, socket);
+    // Personal room, reachable from every node through the adapter
+    socket.join(`user:${socket.userId}`);
+
+    // Device session room, so revoking the session can close its sockets
+    if (socket.sessionId) {
+      socket.join(`session:${socket.sessionId}`);
+    }
 
     // Handle joining a document room
     socket.on('join-document', async (data) => {
@@ -291,7 +514,8 @@ export const initializeWebSocket = (io) => {
           socket.userId,
           documentId,
           socket.organizationId,
-          'view'
+          'view',
+          socket.teamIds
         );
 
         if (!accessCheck.hasAccess) {
@@ -301,57 +525,33 @@ export const initializeWebSocket = (io) => {
 
         const { document, permission } = accessCheck;
 
-        // Join document room
-        socket.join(`document:${documentId}`);
-        socket.currentDocument = documentId;
-        socket.documentPermission = permission;
-
-        // Add user to document session
-        if (!documentSessions.has(documentId)) {
-          documentSessions.set(documentId, new Set());
-        }
-        documentSessions.get(documentId).add(socket.userId);
+        await enterDocument(socket, documentId, permission);
 
-        // Initialize cursor tracking for document
-        if (!userCursors.has(documentId)) {
-          userCursors.set(documentId, new Map());
-        }
+        const state = await loadDocumentState(documentId);
 
         // Get current active users in document
-        const activeUsers = Array.from(documentSessions.get(documentId))
-          .map(userId => {
-            const userSocket = activeConnections.get(userId);
-            return userSocket ? {
-              id: userId,
-              name: userSocket.user.name,
-              email: userSocket.user.email,
-              permission: userSocket.documentPermission,
-              cursor: userCursors.get(documentId).get(userId) || null
-            } : null;
-          })
-          .filter(Boolean);
+        const activeUsers = await listDocumentPresence(documentId);
 
         // Send document data and active users
         socket.emit('document-joined', {
           document: {
             id: document._id,
             title: document.title,
-            content: document.content,
-            version: document.version,
+            content: state.content,
+            revision: state.revision,
             lastModified: document.updatedAt
           },
           activeUsers,
-          permission
+          permission,
+          presence: {
+            heartbeatInterval: HEARTBEAT_INTERVAL,
+            idleTimeout: IDLE_TIMEOUT
+          }
         });
 
-        // Notify other users about new collaborator
-        socket.to(`document:${documentId}`).emit('user-joined', {
-          user: {
-            id: socket.userId,
-            name: socket.user.name,
-            email: socket.user.email,
-            permission
-          }
+        socket.emit('presence-snapshot', {
+          documentId,
+          users: activeUsers
         });
 
         logger.info(`User ${socket.user.name} joined document ${documentId}`);
@@ -363,21 +563,45 @@ export const initializeWebSocket = (io) => {
     });
 
     // Handle document editing operations
+    // Clients send { documentId, operation, revision, operationId } where revision is the
+    // last server revision the operation was based on
     socket.on('document-operation', async (data) => {
-      try {
-        const { documentId, operation } = data;
+      const { documentId, operation, revision, operationId } = data || {};
 
+      try {
         if (!documentId || !operation) {
           socket.emit('error', { message: 'Document ID and operation required' });
           return;
         }
 
+        // Only sockets in the document's session may edit it, so its state is released when they leave
+        if (socket.currentDocument !== documentId) {
+          socket.emit('operation-error', {
+            documentId,
+            operationId,
+            code: 'NOT_JOINED',
+            message: 'Join the document before editing it'
+          });
+          return;
+        }
+
+        if (!Number.isInteger(revision)) {
+          socket.emit('operation-error', {
+            documentId,
+            operationId,
+            code: 'INVALID_REVISION',
+            message: 'Base revision required'
+          });
+          return;
+        }
+
         // Check edit permissions
         const accessCheck = await checkDocumentAccess(
           socket.userId,
           documentId,
           socket.organizationId,
-          'edit'
+          'edit',
+          socket.teamIds
         );
 
         if (!accessCheck.hasAccess) {
@@ -385,59 +609,48 @@ export const initializeWebSocket = (io) => {
           return;
         }
 
-        // Add operation to pending queue
-        if (!pendingOperations.has(documentId)) {
-          pendingOperations.set(documentId, []);
+        await loadDocumentState(documentId);
+
+        let result;
+        try {
+          result = await store.submitOperation(documentId, operation, revision, {
+            userId: socket.userId,
+            operationId
+          });
+        } catch (error) {
+          if (!(error instanceof OperationError)) throw error;
+
+          socket.emit('operation-error', {
+            documentId,
+            operationId,
+            code: error.code,
+            message: error.message,
+            revision: error.revision
+          });
+          return;
         }
 
-        const operationWithMeta = {
-          ...operation,
-          userId: socket.userId,
-          timestamp: new Date(),
-          id: `${socket.userId}-${Date.now()}-${Math.random()}`
-        };
+        socket.emit('operation-ack', {
+          documentId,
+          operationId,
+          revision: result.revision
+        });
 
-        pendingOperations.get(documentId).push(operationWithMeta);
+        if (result.duplicate) return;
 
-        // Broadcast operation to other users in the document
+        // Other clients apply the transformed operation on top of the previous revision
         socket.to(`document:${documentId}`).emit('document-operation', {
-          operation: operationWithMeta,
+          documentId,
+          operation: result.operation.toJSON(),
+          revision: result.revision,
           user: {
             id: socket.userId,
             name: socket.user.name
           }
         });
 
-        // Process operations periodically (debounced)
-        setTimeout(async () => {
-          const result = await processPendingOperations(documentId);
-          if (result && result.success) {
-            // Broadcast updated content to all users
-            socket.to(`document:${documentId}`).emit('document-updated', {
-              content: result.newContent,
-              version: result.version
-            });
-
-            socket.emit('document-updated', {
-              content: result.newContent,
-              version: result.version
-            });
-          }
-        }, 500); // 500ms debounce
-
-        // Log activity
-        await Activity.create({
-          user: socket.userId,
-          organization: socket.organizationId,
-          action: 'document_edit',
-          resource: 'document',
-          resourceId: documentId,
-          details: {
-            operation: operation.type,
-            position: operation.position,
-            contentLength: operation.content?.length || operation.length
-          }
-        });
+        schedulePersist(documentId);
+        await recordPresence(socket, { active: true });
 
       } catch (error) {
         logger.error('Error processing document operation:', error);
@@ -445,68 +658,154 @@ export const initializeWebSocket = (io) => {
       }
     });
 
-    // Handle cursor position updates
-    socket.on('cursor-position', (data) => {
+    // Handle clients reconnecting with edits made while offline
+    // Clients send { documentId, revision, operations: [{ operation, operationId }] } where revision
+    // is the last server revision they saw and operations are all unacknowledged edits in order.
+    // Operations broadcast before the reply should be ignored up to the reply's revision.
+    socket.on('resync-document', async (data) => {
+      const { documentId, revision, operations = [] } = data || {};
+
       try {
-        const { documentId, position } = data;
+        if (!documentId || !Number.isInteger(revision) || !Array.isArray(operations)) {
+          socket.emit('error', { message: 'Document ID, revision and operations required' });
+          return;
+        }
 
-        if (!documentId || position === undefined) {
+        // Replaying edits needs edit access, catching up only needs view access
+        const accessCheck = await checkDocumentAccess(
+          socket.userId,
+          documentId,
+          socket.organizationId,
+          operations.length > 0 ? 'edit' : 'view',
+          socket.teamIds
+        );
+
+        if (!accessCheck.hasAccess) {
+          socket.emit('error', { message: accessCheck.error });
           return;
         }
 
-        // Update cursor position
-        if (userCursors.has(documentId)) {
-          userCursors.get(documentId).set(socket.userId, position);
+        await enterDocument(socket, documentId, accessCheck.permission);
+        await loadDocumentState(documentId);
 
-          // Broadcast cursor position to other users
-          socket.to(`document:${documentId}`).emit('cursor-update', {
-            userId: socket.userId,
-            userName: socket.user.name,
-            position
+        let result;
+        try {
+          result = await store.replayOperations(documentId, operations, revision, {
+            userId: socket.userId
           });
+        } catch (error) {
+          if (!(error instanceof OperationError)) throw error;
+
+          // The gap is beyond the retained log (or the edits no longer fit): start over from a snapshot
+          const state = await loadDocumentState(documentId);
+          socket.emit('document-resynced', {
+            documentId,
+            mode: 'snapshot',
+            content: state.content,
+            revision: state.revision,
+            rejected: operations.map(item => item?.operationId).filter(Boolean),
+            reason: error.code
+          });
+          return;
         }
 
+        // Concurrent edits rebased over the client's pending ones, to apply locally in order
+        socket.emit('document-resynced', {
+          documentId,
+          mode: 'operations',
+          operations: result.remote.map(entry => entry.operation.toJSON()),
+          acknowledged: [
+            ...result.acknowledged,
+            ...result.applied.map(({ operationId, revision: applied }) => ({ operationId, revision: applied }))
+          ],
+          revision: result.revision
+        });
+
+        const replayed = result.applied.filter(entry => !entry.duplicate);
+        replayed.forEach(entry => {
+          socket.to(`document:${documentId}`).emit('document-operation', {
+            documentId,
+            operation: entry.operation.toJSON(),
+            revision: entry.revision,
+            user: {
+              id: socket.userId,
+              name: socket.user.name
+            }
+          });
+        });
+
+        if (replayed.length > 0) {
+          schedulePersist(documentId);
+          await recordPresence(socket, { active: true });
+        }
+
+        socket.emit('presence-snapshot', {
+          documentId,
+          users: await listDocumentPresence(documentId)
+        });
+
+        logger.info(`User ${socket.user.name} resynced document ${documentId} (${replayed.length} offline edits replayed)`);
+
       } catch (error) {
-        logger.error('Error updating cursor position:', error);
+        logger.error('Error resyncing document:', error);
+        socket.emit('error', { message: 'Failed to resync document' });
       }
     });
 
-    // Handle leaving a document
-    socket.on('leave-document', (data) => {
+    // Handle cursor position and selection updates
+    // Clients send { documentId, position, selection: { start, end } } as character offsets
+    socket.on('cursor-position', async (data) => {
       try {
-        const { documentId } = data;
+        const { documentId } = data || {};
+        const cursor = normalizeCursor(data);
 
-        if (documentId && socket.currentDocument === documentId) {
-          // Remove from document session
-          if (documentSessions.has(documentId)) {
-            documentSessions.get(documentId).delete(socket.userId);
-
-            // Clean up empty sessions
-            if (documentSessions.get(documentId).size === 0) {
-              documentSessions.delete(documentId);
-              userCursors.delete(documentId);
-              documentLocks.delete(documentId);
-            }
-          }
+        if (!documentId || !cursor || socket.currentDocument !== documentId) {
+          return;
+        }
 
-          // Remove cursor
-          if (userCursors.has(documentId)) {
-            userCursors.get(documentId).delete(socket.userId);
-          }
+        // Update cursor position
+        await store.setCursor(documentId, socket.userId, cursor);
 
-          // Leave socket room
-          socket.leave(`document:${documentId}`);
+        // Broadcast cursor position to other users
+        socket.to(`document:${documentId}`).emit('cursor-update', {
+          userId: socket.userId,
+          userName: socket.user.name,
+          color: socket.presence?.color,
+          position: cursor.position,
+          selection: cursor.selection
+        });
 
-          // Notify other users
-          socket.to(`document:${documentId}`).emit('user-left', {
-            userId: socket.userId,
-            userName: socket.user.name
-          });
+        await recordPresence(socket, { active: true });
 
-          socket.currentDocument = null;
-          socket.documentPermission = null;
+      } catch (error) {
+        logger.error('Error updating cursor position:', error);
+      }
+    });
 
-          logger.info(`User ${socket.user.name} left document ${documentId}`);
+    // Handle presence heartbeats
+    // active reports user input since the last beat, away a hidden or backgrounded tab
+    socket.on('presence-heartbeat', async (data) => {
+      try {
+        const { documentId, active, away } = data || {};
+
+        if (!documentId || socket.currentDocument !== documentId) {
+          return;
+        }
+
+        await recordPresence(socket, { active: active === true, away });
+
+      } catch (error) {
+        logger.error('Error recording presence heartbeat:', error);
+      }
+    });
+
+    // Handle leaving a document
+    socket.on('leave-document', async (data) => {
+      try {
+        const { documentId } = data;
+
+        if (documentId && socket.currentDocument === documentId) {
+          await leaveCurrentDocument(socket);
         }
 
       } catch (error) {
@@ -515,39 +814,12 @@ export const initializeWebSocket = (io) => {
     });
 
     // Handle disconnection
-    socket.on('disconnect', () => {
+    socket.on('disconnect', async () => {
       try {
         logger.info(`User ${socket.user.name} disconnected from WebSocket`);
 
-        // Clean up active connection
-        activeConnections.delete(socket.userId);
-
         // Clean up document sessions
-        if (socket.currentDocument) {
-          const documentId = socket.currentDocument;
-
-          if (documentSessions.has(documentId)) {
-            documentSessions.get(documentId).delete(socket.userId);
-
-            // Clean up empty sessions
-            if (documentSessions.get(documentId).size === 0) {
-              documentSessions.delete(documentId);
-              userCursors.delete(documentId);
-              documentLocks.delete(documentId);
-            }
-          }
-
-          // Remove cursor
-          if (userCursors.has(documentId)) {
-            userCursors.get(documentId).delete(socket.userId);
-          }
-
-          // Notify other users
-          socket.to(`document:${documentId}`).emit('user-left', {
-            userId: socket.userId,
-            userName: socket.user.name
-          });
-        }
+        await leaveCurrentDocument(socket);
 
       } catch (error) {
         logger.error('Error handling disconnect:', error);
@@ -0,0 +1,489 @@
+import crypto from 'crypto';
+import { OperationServer, OperationError, TextOperation } from './operationalTransform.js';
+import { logger } from '../config/logger.js';
+
+/**
+ * Shared state for real-time collaboration
+ *
+ * Both stores expose the same async interface so the socket layer doesn't care whether it
+ * runs as a single node (MemoryCollaborationStore) or as several nodes sharing Redis
+ * (RedisCollaborationStore). Operations for a document always go through one sequencer:
+ * an in-process queue, plus a Redis lock when several nodes share the document.
+ */
+
+const KEY_PREFIX = 'collab';
+const STATE_TTL = parseInt(process.env.COLLAB_STATE_TTL) || 24 * 60 * 60; // seconds
+const LOCK_TTL = parseInt(process.env.COLLAB_LOCK_TTL) || 5000; // ms
+const LOCK_WAIT_TIMEOUT = parseInt(process.env.COLLAB_LOCK_WAIT_TIMEOUT) || 10000; // ms
+const MAX_LOG_SIZE = parseInt(process.env.OT_MAX_LOG_SIZE) || 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run tasks for the same key one after another within this process
+const createQueue = () => {
+  const tails = new Map();
+
+  return (key, task) => {
+    const previous = tails.get(key) || Promise.resolve();
+    const next = previous.then(task, task);
+    const settled = next.then(() => {}, () => {});
+
+    tails.set(key, settled);
+    settled.then(() => {
+      if (tails.get(key) === settled) tails.delete(key);
+    });
+
+    return next;
+  };
+};
+
+const serializeEntry = (entry) => JSON.stringify({
+  revision: entry.revision,
+  ops: entry.operation.toJSON(),
+  userId: entry.userId,
+  operationId: entry.operationId,
+  timestamp: entry.timestamp
+});
+
+const deserializeEntry = (raw) => {
+  const entry = JSON.parse(raw);
+  return {
+    revision: entry.revision,
+    operation: TextOperation.fromJSON(entry.ops),
+    userId: entry.userId,
+    operationId: entry.operationId,
+    timestamp: new Date(entry.timestamp)
+  };
+};
+
+export class MemoryCollaborationStore {
+  constructor() {
+    this.type = 'memory';
+    this.documents = new Map(); // documentId -> { server, persistedRevision }
+    this.members = new Map(); // documentId -> Map(userId -> { count, info })
+    this.cursors = new Map(); // documentId -> Map(userId -> { position, selection })
+    this.presence = new Map(); // documentId -> Map(userId -> { away, lastSeen, lastActivity })
+    this.sequence = createQueue();
+  }
+
+  async loadDocument(documentId, loader) {
+    return this.sequence(documentId, async () => {
+      if (!this.documents.has(documentId)) {
+        const { content, revision } = await loader();
+        this.documents.set(documentId, {
+          server: new OperationServer(content, revision, { maxLogSize: MAX_LOG_SIZE }),
+          persistedRevision: revision
+        });
+      }
+
+      const { server } = this.documents.get(documentId);
+      return { content: server.content, revision: server.revision };
+    });
+  }
+
+  async getDocument(documentId) {
+    const state = this.documents.get(documentId);
+    return state ? { content: state.server.content, revision: state.server.revision } : null;
+  }
+
+  async submitOperation(documentId, operation, baseRevision, meta = {}) {
+    return this.sequence(documentId, async () => {
+      const state = this.documents.get(documentId);
+      if (!state) {
+        throw new OperationError('Document is not open for editing', 'SESSION_NOT_LOADED');
+      }
+      return state.server.receive(operation, baseRevision, meta);
+    });
+  }
+
+  async replayOperations(documentId, operations, baseRevision, meta = {}) {
+    return this.sequence(documentId, async () => {
+      const state = this.documents.get(documentId);
+      if (!state) {
+        throw new OperationError('Document is not open for editing', 'SESSION_NOT_LOADED');
+      }
+      return state.server.replay(operations, baseRevision, meta);
+    });
+  }
+
+  async getOperationsSince(documentId, revision) {
+    const state = this.documents.get(documentId);
+    if (!state) return null;
+
+    const entries = state.server.getOperationsSince(revision);
+    return entries ? { entries, revision: state.server.revision } : null;
+  }
+
+  async persistDocument(documentId, writer) {
+    return this.sequence(documentId, async () => {
+      const state = this.documents.get(documentId);
+      if (!state || state.server.revision === state.persistedRevision) return null;
+
+      const { server, persistedRevision } = state;
+      const result = await writer({
+        content: server.content,
+        revision: server.revision,
+        fromRevision: persistedRevision,
+        edits: server.getOperationsSince(persistedRevision) || []
+      });
+
+      state.persistedRevision = server.revision;
+      return result;
+    });
+  }
+
+  async releaseDocument(documentId) {
+    return this.sequence(documentId, async () => {
+      if (this.members.has(documentId)) return false;
+
+      this.documents.delete(documentId);
+      this.cursors.delete(documentId);
+      this.presence.delete(documentId);
+      return true;
+    });
+  }
+
+  async addSessionMember(documentId, userId, info) {
+    if (!this.members.has(documentId)) {
+      this.members.set(documentId, new Map());
+    }
+
+    const members = this.members.get(documentId);
+    const member = members.get(userId) || { count: 0, info };
+    member.count += 1;
+    member.info = info;
+    members.set(userId, member);
+
+    return member.count;
+  }
+
+  async removeSessionMember(documentId, userId) {
+    const members = this.members.get(documentId);
+    if (!members || !members.has(userId)) {
+      return { userConnections: 0, sessionSize: members ? members.size : 0 };
+    }
+
+    const member = members.get(userId);
+    member.count -= 1;
+
+    if (member.count <= 0) {
+      members.delete(userId);
+      this.cursors.get(documentId)?.delete(userId);
+      this.presence.get(documentId)?.delete(userId);
+    }
+
+    if (members.size === 0) {
+      this.members.delete(documentId);
+    }
+
+    return { userConnections: Math.max(member.count, 0), sessionSize: members.size };
+  }
+
+  async getSessionMembers(documentId) {
+    const members = this.members.get(documentId);
+    if (!members) return [];
+
+    const cursors = this.cursors.get(documentId);
+    const presence = this.presence.get(documentId);
+    return Array.from(members.entries()).map(([userId, { info }]) => ({
+      id: userId,
+      ...info,
+      cursor: cursors?.get(userId) ?? null,
+      presence: presence?.get(userId) ?? null
+    }));
+  }
+
+  async setCursor(documentId, userId, cursor) {
+    if (!this.cursors.has(documentId)) {
+      this.cursors.set(documentId, new Map());
+    }
+    this.cursors.get(documentId).set(userId, cursor);
+  }
+
+  async setPresence(documentId, userId, presence) {
+    if (!this.members.get(documentId)?.has(userId)) return;
+
+    if (!this.presence.has(documentId)) {
+      this.presence.set(documentId, new Map());
+    }
+    this.presence.get(documentId).set(userId, presence);
+  }
+}
+
+// Decrement a member's connection count and drop their presence when it reaches zero
+const REMOVE_MEMBER_SCRIPT = `
+local count = redis.call('HINCRBY', KEYS[1], ARGV[1], -1)
+if count <= 0 then
+  redis.call('HDEL', KEYS[1], ARGV[1])
+  redis.call('HDEL', KEYS[2], ARGV[1])
+  redis.call('HDEL', KEYS[3], ARGV[1])
+  redis.call('HDEL', KEYS[4], ARGV[1])
+end
+return { count, redis.call('HLEN', KEYS[1]) }
+`;
+
+// Only the holder of the lock token may release it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+export class RedisCollaborationStore {
+  constructor(client, options = {}) {
+    this.type = 'redis';
+    this.client = client;
+    this.prefix = options.prefix || KEY_PREFIX;
+    this.sequence = createQueue();
+  }
+
+  keys(documentId) {
+    const base = `${this.prefix}:doc:${documentId}`;
+    return {
+      state: `${base}:state`,
+      log: `${base}:log`,
+      lock: `${base}:lock`,
+      members: `${base}:members`,
+      users: `${base}:users`,
+      cursors: `${base}:cursors`,
+      presence: `${base}:presence`
+    };
+  }
+
+  // Serialize work on a document across this process and every other node
+  async withDocumentLock(documentId, task) {
+    return this.sequence(documentId, async () => {
+      const { lock } = this.keys(documentId);
+      const token = crypto.randomUUID();
+      const deadline = Date.now() + LOCK_WAIT_TIMEOUT;
+
+      while (!(await this.client.set(lock, token, 'PX', LOCK_TTL, 'NX'))) {
+        if (Date.now() > deadline) {
+          throw new OperationError('Timed out waiting for the document sequencer', 'SEQUENCER_BUSY');
+        }
+        await sleep(5 + Math.floor(Math.random() * 20));
+      }
+
+      try {
+        return await task();
+      } finally {
+        await this.client.eval(RELEASE_LOCK_SCRIPT, 1, lock, token).catch(error => {
+          logger.error('Failed to release document lock:', error);
+        });
+      }
+    });
+  }
+
+  async loadDocument(documentId, loader) {
+    const { state, log } = this.keys(documentId);
+
+    const [content, revision] = await this.client.hmget(state, 'content', 'revision');
+    if (revision !== null) {
+      return { content, revision: parseInt(revision) };
+    }
+
+    return this.withDocumentLock(documentId, async () => {
+      // Another node may have loaded it while we waited for the lock
+      const [loadedContent, loadedRevision] = await this.client.hmget(state, 'content', 'revision');
+      if (loadedRevision !== null) {
+        return { content: loadedContent, revision: parseInt(loadedRevision) };
+      }
+
+      const document = await loader();
+      await this.client.multi()
+        .del(log)
+        .hset(state, 'content', document.content, 'revision', document.revision, 'persistedRevision', document.revision)
+        .expire(state, STATE_TTL)
+        .exec();
+
+      return { content: document.content, revision: document.revision };
+    });
+  }
+
+  // Build an OperationServer holding only the log entries after fromRevision
+  async hydrate(documentId, fromRevision) {
+    const { state, log } = this.keys(documentId);
+
+    const [[, content], [, revisionValue], [, logLength]] = await this.client.multi()
+      .hget(state, 'content')
+      .hget(state, 'revision')
+      .llen(log)
+      .exec();
+
+    if (revisionValue === null) return null;
+
+    const revision = parseInt(revisionValue);
+    const oldest = revision - logLength;
+    const server = new OperationServer(content, revision, { maxLogSize: Infinity });
+
+    if (Number.isInteger(fromRevision) && fromRevision >= oldest && fromRevision <= revision) {
+      const entries = await this.client.lrange(log, fromRevision - oldest, -1);
+      server.log = entries.map(deserializeEntry);
+    }
+
+    return server;
+  }
+
+  async getDocument(documentId) {
+    const [content, revision] = await this.client.hmget(this.keys(documentId).state, 'content', 'revision');
+    return revision === null ? null : { content, revision: parseInt(revision) };
+  }
+
+  async submitOperation(documentId, operation, baseRevision, meta = {}) {
+    return this.withDocumentLock(documentId, async () => {
+      const server = await this.hydrate(documentId, baseRevision);
+      if (!server) {
+        throw new OperationError('Document is not open for editing', 'SESSION_NOT_LOADED');
+      }
+
+      const result = server.receive(operation, baseRevision, meta);
+
+      if (!result.duplicate) {
+        await this.appendEntries(documentId, server, server.log.slice(-1));
+      }
+
+      return result;
+    });
+  }
+
+  async replayOperations(documentId, operations, baseRevision, meta = {}) {
+    return this.withDocumentLock(documentId, async () => {
+      const server = await this.hydrate(documentId, baseRevision);
+      if (!server) {
+        throw new OperationError('Document is not open for editing', 'SESSION_NOT_LOADED');
+      }
+
+      const logLength = server.log.length;
+      const result = server.replay(operations, baseRevision, meta);
+
+      if (server.log.length > logLength) {
+        await this.appendEntries(documentId, server, server.log.slice(logLength));
+      }
+
+      return result;
+    });
+  }
+
+  // Store new log entries and the content they produced; callers hold the document lock
+  async appendEntries(documentId, server, entries) {
+    const { state, log } = this.keys(documentId);
+
+    await this.client.multi()
+      .hset(state, 'content', server.content, 'revision', server.revision)
+      .rpush(log, ...entries.map(serializeEntry))
+      .ltrim(log, -MAX_LOG_SIZE, -1)
+      .expire(state, STATE_TTL)
+      .expire(log, STATE_TTL)
+      .exec();
+  }
+
+  async getOperationsSince(documentId, revision) {
+    const server = await this.hydrate(documentId, revision);
+    if (!server) return null;
+
+    const entries = server.getOperationsSince(revision);
+    return entries ? { entries, revision: server.revision } : null;
+  }
+
+  async persistDocument(documentId, writer) {
+    return this.withDocumentLock(documentId, async () => {
+      const { state } = this.keys(documentId);
+      const persisted = await this.client.hget(state, 'persistedRevision');
+      if (persisted === null) return null;
+
+      const fromRevision = parseInt(persisted);
+      const server = await this.hydrate(documentId, fromRevision);
+      if (!server || server.revision === fromRevision) return null;
+
+      const result = await writer({
+        content: server.content,
+        revision: server.revision,
+        fromRevision,
+        edits: server.getOperationsSince(fromRevision) || []
+      });
+
+      await this.client.hset(state, 'persistedRevision', server.revision);
+      return result;
+    });
+  }
+
+  async releaseDocument(documentId) {
+    return this.withDocumentLock(documentId, async () => {
+      const keys = this.keys(documentId);
+      if (await this.client.hlen(keys.members) > 0) return false;
+
+      await this.client.del(keys.state, keys.log, keys.users, keys.cursors, keys.presence);
+      return true;
+    });
+  }
+
+  async addSessionMember(documentId, userId, info) {
+    const { members, users } = this.keys(documentId);
+
+    const [[, count]] = await this.client.multi()
+      .hincrby(members, userId, 1)
+      .hset(users, userId, JSON.stringify(info))
+      .expire(members, STATE_TTL)
+      .expire(users, STATE_TTL)
+      .exec();
+
+    return count;
+  }
+
+  async removeSessionMember(documentId, userId) {
+    const { members, users, cursors, presence } = this.keys(documentId);
+    const [count, sessionSize] = await this.client.eval(
+      REMOVE_MEMBER_SCRIPT, 4, members, users, cursors, presence, userId
+    );
+
+    return { userConnections: Math.max(count, 0), sessionSize };
+  }
+
+  async getSessionMembers(documentId) {
+    const { users, cursors, presence } = this.keys(documentId);
+    const [[, userInfo], [, cursorInfo], [, presenceInfo]] = await this.client.multi()
+      .hgetall(users)
+      .hgetall(cursors)
+      .hgetall(presence)
+      .exec();
+
+    const parseField = (hash, userId) => hash && hash[userId] ? JSON.parse(hash[userId]) : null;
+
+    return Object.entries(userInfo || {}).map(([userId, info]) => ({
+      id: userId,
+      ...JSON.parse(info),
+      cursor: parseField(cursorInfo, userId),
+      presence: parseField(presenceInfo, userId)
+    }));
+  }
+
+  async setCursor(documentId, userId, cursor) {
+    const { cursors } = this.keys(documentId);
+    await this.client.multi()
+      .hset(cursors, userId, JSON.stringify(cursor))
+      .expire(cursors, STATE_TTL)
+      .exec();
+  }
+
+  async setPresence(documentId, userId, presence) {
+    const keys = this.keys(documentId);
+
+    // Skip writes racing a leave so a departed user doesn't linger
+    if (!(await this.client.hexists(keys.members, userId))) return;
+
+    await this.client.multi()
+      .hset(keys.presence, userId, JSON.stringify(presence))
+      .expire(keys.presence, STATE_TTL)
+      .exec();
+  }
+}
+
+/**
+ * Pick the collaboration store for this process
+ * @param {Object|null} redis - Connected ioredis client, or null for single-node mode
+ * @returns {MemoryCollaborationStore|RedisCollaborationStore} Store instance
+ */
+export const createCollaborationStore = (redis = null) => {
+  return redis ? new RedisCollaborationStore(redis) : new MemoryCollaborationStore();
+};
@@ -0,0 +1,381 @@
+import path from 'path';
+import { Marked } from 'marked';
+import TurndownService from 'turndown';
+import sanitizeHtml from 'sanitize-html';
+
+/**
+ * Conversions between the stored document content types (text, markdown, html, json)
+ * and the file formats documents are exported as and imported from
+ */
+
+export const EXPORT_FORMATS = {
+  md: { contentType: 'markdown', mimeType: 'text/markdown', extension: 'md' },
+  html: { contentType: 'html', mimeType: 'text/html', extension: 'html' },
+  txt: { contentType: 'text', mimeType: 'text/plain', extension: 'txt' },
+  json: { contentType: 'json', mimeType: 'application/json', extension: 'json' }
+};
+
+// Identifies JSON bundles produced by the export endpoint
+export const BUNDLE_FORMAT = 'collab-doc-export';
+export const BUNDLE_VERSION = 1;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Raw HTML inside markdown is shown as text rather than passed through
+const markdown = new Marked({
+  gfm: true,
+  renderer: {
+    html: (html) => escapeHtml(typeof html === 'string' ? html : html.text)
+  }
+});
+
+const turndown = new TurndownService({
+  headingStyle: 'atx',
+  codeBlockStyle: 'fenced',
+  bulletListMarker: '-'
+});
+turndown.remove(['script', 'style']);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isNaN(code) ? match : String.fromCodePoint(code);
+  }
+  return ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+/**
+ * Strip markup from HTML, keeping paragraph and line structure
+ * @param {string} html - HTML markup
+ * @returns {string} Plain text
+ */
+export const htmlToText = (html) => decodeEntities(html
+  .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+  .replace(/>\s+</g, '><')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<li[^>]*>/gi, '- ')
+  .replace(/<\/(li|tr)>/gi, '\n')
+  .replace(/<\/(p|div|h[1-6]|pre|blockquote|ul|ol|table|section|article)>/gi, '\n\n')
+  .replace(/<[^>]+>/g, ''))
+  .replace(/[ \t]+\n/g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Render markdown as an HTML fragment
+ * @param {string} source - Markdown
+ * @returns {string} HTML markup
+ */
+export const markdownToHtml = (source) => markdown.parse(source);
+
+/**
+ * Convert HTML to markdown
+ * @param {string} html - HTML markup
+ * @returns {string} Markdown
+ */
+export const htmlToMarkdown = (html) => turndown.turndown(html);
+
+// Keep plain text literal when it is read as markdown
+const escapeMarkdown = (text) => text
+  .split('\n')
+  .map(line => line
+    .replace(/([\\`*_{}[\]<>|])/g, '\\$1')
+    .replace(/^(\s*)([#>+-]|\d+\.)(\s)/, '$1\\$2$3')
+    // Trailing double space keeps single line breaks
+    .replace(/(\S)$/, '$1  '))
+  .join('\n')
+  .replace(/ {2}\n\n/g, '\n\n')
+  .replace(/ {2}$/, '');
+
+const textToHtml = (text) => text
+  .split(/\n{2,}/)
+  .filter(paragraph => paragraph.trim())
+  .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>\n')}</p>`)
+  .join('\n');
+
+const prettyJson = (content) => {
+  try {
+    return JSON.stringify(JSON.parse(content), null, 2);
+  } catch (error) {
+    return content;
+  }
+};
+
+const converters = {
+  text: {
+    markdown: escapeMarkdown,
+    html: textToHtml,
+    text: (content) => content
+  },
+  markdown: {
+    markdown: (content) => content,
+    html: markdownToHtml,
+    text: (content) => htmlToText(markdownToHtml(content))
+  },
+  html: {
+    markdown: htmlToMarkdown,
+    html: (content) => content,
+    text: htmlToText
+  },
+  json: {
+    markdown: (content) => `\`\`\`json\n${prettyJson(content)}\n\`\`\`\n`,
+    html: (content) => `<pre><code class="language-json">${escapeHtml(prettyJson(content))}</code></pre>`,
+    text: prettyJson
+  }
+};
+
+/**
+ * Convert document content from one content type to another
+ * @param {string} content - Stored content
+ * @param {string} from - Source content type (text, markdown, html, json)
+ * @param {string} to - Target content type (text, markdown, html)
+ * @returns {string} Converted content
+ */
+export const convertContent = (content, from, to) => {
+  const converter = converters[from]?.[to];
+  if (!converter) {
+    throw new Error(`Cannot convert ${from} content to ${to}`);
+  }
+  return converter(content || '');
+};
+
+// Wrap a fragment so the exported file opens as a standalone page
+const wrapHtmlDocument = (body, { title, language = 'en' }) => {
+  if (/^\s*(<!doctype|<html)/i.test(body)) return body;
+
+  return [
+    '<!DOCTYPE html>',
+    `<html lang="${escapeHtml(language)}">`,
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    '</head>',
+    '<body>',
+    body,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Build a JSON bundle holding a document and, optionally, its version history
+ * @param {Object} document - Document
+ * @param {Object} options - { versions: exported version data }
+ * @returns {Object} Bundle
+ */
+export const buildExportBundle = (document, options = {}) => {
+  const { versions = null } = options;
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date(),
+    document: {
+      id: document._id,
+      title: document.title,
+      content: document.content,
+      contentType: document.contentType,
+      tags: document.tags,
+      status: document.status,
+      visibility: document.visibility,
+      currentVersion: document.currentVersion,
+      metadata: {
+        wordCount: document.metadata?.wordCount,
+        readTime: document.metadata?.readTime,
+        language: document.metadata?.language
+      },
+      settings: document.settings,
+      createdAt: document.createdAt,
+      updatedAt: document.updatedAt
+    },
+    ...(versions && { versions })
+  };
+};
+
+/**
+ * File name for an exported document
+ * @param {string} title - Document title
+ * @param {string} extension - File extension
+ * @returns {string} File name
+ */
+export const exportFileName = (title, extension) => {
+  const base = (title || 'document')
+    .replace(/[^\p{L}\p{N}\s._-]/gu, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .slice(0, 100);
+
+  return `${base || 'document'}.${extension}`;
+};
+
+/**
+ * Render a document in an export format
+ * @param {Object} document - Document
+ * @param {string} format - md, html, txt or json
+ * @param {Object} options - { versions } for JSON bundles, { sanitize } to strip active content from HTML
+ * @returns {Object} { body, mimeType, fileName }
+ */
+export const renderExport = (document, format, options = {}) => {
+  const target = EXPORT_FORMATS[format];
+  if (!target) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  let body;
+  if (format === 'json') {
+    body = JSON.stringify(buildExportBundle(document, options), null, 2);
+  } else {
+    body = convertContent(document.content, document.contentType || 'text', target.contentType);
+    if (format === 'html') {
+      if (options.sanitize) {
+        body = sanitizeImportedHtml(body);
+      }
+      body = wrapHtmlDocument(body, { title: document.title, language: document.metadata?.language });
+    }
+  }
+
+  return {
+    body,
+    mimeType: target.mimeType,
+    fileName: exportFileName(document.title, target.extension)
+  };
+};
+
+// File types documents can be imported from (as in organization allowedFileTypes)
+export const IMPORT_FILE_TYPES = {
+  md: 'markdown',
+  txt: 'text',
+  html: 'html',
+  json: 'json'
+};
+
+const EXTENSION_ALIASES = { markdown: 'md', htm: 'html', text: 'txt' };
+
+const MAX_TITLE_LENGTH = 200;
+
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'del', 'ins', 's', 'u']),
+  allowedAttributes: {
+    ...sanitizeHtml.defaults.allowedAttributes,
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    code: ['class'],
+    th: ['colspan', 'rowspan'],
+    td: ['colspan', 'rowspan']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https', 'data'] }
+};
+
+/**
+ * Import type of an uploaded file from its name
+ * @param {string} fileName - Original file name
+ * @returns {string|null} md, txt, html or json, or null when unsupported
+ */
+export const importFileType = (fileName) => {
+  const extension = path.extname(fileName || '').slice(1).toLowerCase();
+  const type = EXTENSION_ALIASES[extension] || extension;
+  return IMPORT_FILE_TYPES[type] ? type : null;
+};
+
+/**
+ * Strip scripts, event handlers and unsafe URLs from uploaded HTML
+ * @param {string} html - Uploaded markup, a fragment or a full page
+ * @returns {string} Safe HTML fragment
+ */
+export const sanitizeImportedHtml = (html) => {
+  // Only the body of a full page becomes document content
+  const body = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+  return sanitizeHtml(body ? body[1] : html, SANITIZE_OPTIONS).trim();
+};
+
+const clipTitle = (title) => (title || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TITLE_LENGTH);
+
+const markdownTitle = (source) => source.match(/^#\s+(.+?)\s*#*\s*$/m)?.[1];
+
+const htmlTitle = (html) => {
+  const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+  return match ? htmlToText(match[1]) : null;
+};
+
+const parseJsonImport = (text, fallbackTitle) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('File is not valid JSON');
+  }
+
+  // Bundles from the export endpoint bring back the original document
+  if (data?.format !== BUNDLE_FORMAT || !data.document) {
+    return { title: fallbackTitle, content: text, contentType: 'json', tags: [] };
+  }
+
+  if (data.version > BUNDLE_VERSION) {
+    throw new Error(`Unsupported export bundle version ${data.version}`);
+  }
+
+  const { title, content = '', contentType = 'text', tags = [] } = data.document;
+  if (!Object.values(IMPORT_FILE_TYPES).includes(contentType)) {
+    throw new Error(`Unsupported content type ${contentType}`);
+  }
+
+  return {
+    title: clipTitle(title) || fallbackTitle,
+    content: contentType === 'html' ? sanitizeImportedHtml(String(content)) : String(content),
+    contentType,
+    tags: Array.isArray(tags) ? tags.filter(tag => typeof tag === 'string') : [],
+    bundle: true
+  };
+};
+
+/**
+ * Turn an uploaded file into document fields
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - Original file name
+ * @returns {Object} { title, content, contentType, tags, sanitized, bundle }
+ */
+export const parseImportFile = (buffer, fileName) => {
+  const fileType = importFileType(fileName);
+  if (!fileType) {
+    throw new Error('Unsupported file type');
+  }
+
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  if (text.includes('\u0000')) {
+    throw new Error('File is not a text file');
+  }
+
+  const fallbackTitle = clipTitle(path.basename(fileName, path.extname(fileName))) || 'Imported document';
+
+  switch (fileType) {
+    case 'md':
+      return {
+        title: clipTitle(markdownTitle(text)) || fallbackTitle,
+        content: text,
+        contentType: 'markdown',
+        tags: []
+      };
+    case 'html': {
+      const content = sanitizeImportedHtml(text);
+      return {
+        title: clipTitle(htmlTitle(text)) || fallbackTitle,
+        content,
+        contentType: 'html',
+        tags: [],
+        sanitized: content !== text.trim()
+      };
+    }
+    case 'json':
+      return parseJsonImport(text, fallbackTitle);
+    default:
+      return { title: fallbackTitle, content: text, contentType: 'text', tags: [] };
+  }
+};
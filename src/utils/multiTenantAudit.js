@@ -249,6 +249,7 @@ export const auditDataIntegrity = async (organizationId) => {
     const { Document } = await import('../models/Document.js');
     const { User } = await import('../models/User.js');
     const { Activity } = await import('../models/Activity.js');
+    const { Team } = await import('../models/Team.js');
 
     // Check documents
     const documents = await Document.find({ organization: organizationId });
@@ -278,6 +279,19 @@ export const auditDataIntegrity = async (organizationId) => {
           });
         }
       }
+
+      // Check shared teams
+      for (const share of doc.sharedWithTeams) {
+        const sharedTeam = await Team.findById(share.team);
+        if (sharedTeam && sharedTeam.organization.toString() !== organizationId.toString()) {
+          results.issues.push({
+            type: 'cross_org_document_team_share',
+            documentId: doc._id,
+            sharedTeamId: share.team,
+            sharedTeamOrganization: sharedTeam.organization
+          });
+        }
+      }
     }
 
     // Check users
@@ -0,0 +1,242 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import redisClient from '../config/redis.js';
+
+/**
+ * OpenID Connect relying party for organization single sign-on
+ *
+ * Authorization code flow with PKCE: the browser is sent to the provider with a
+ * code challenge, state and nonce; the code that comes back is exchanged with the
+ * verifier and the client secret, and the ID token's signature, issuer, audience,
+ * expiry and nonce are checked against the provider's published keys.
+ */
+
+const DISCOVERY_TTL = 60 * 60 * 1000; // 1 hour
+const REQUEST_TIMEOUT = 10000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+export const SSO_STATE_TTL = 10 * 60; // seconds to finish signing in at the provider
+
+export class OidcError extends Error {
+  constructor(message, code = 'SSO_ERROR') {
+    super(message);
+    this.name = 'OidcError';
+    this.code = code;
+  }
+}
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+  } catch (error) {
+    throw new OidcError(`Identity provider is unreachable (${error.message})`, 'SSO_PROVIDER_UNAVAILABLE');
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const reason = body?.error_description || body?.error || `HTTP ${response.status}`;
+    throw new OidcError(`Identity provider request failed: ${reason}`, 'SSO_PROVIDER_ERROR');
+  }
+  if (!body) {
+    throw new OidcError('Identity provider returned an invalid response', 'SSO_PROVIDER_ERROR');
+  }
+  return body;
+};
+
+// Provider metadata and signing keys, cached per issuer
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const normalizeIssuer = (issuer) => issuer.replace(/\/+$/, '');
+
+/**
+ * Load the provider's metadata from /.well-known/openid-configuration
+ * @param {string} issuer - Issuer URL
+ * @returns {Object} Provider metadata
+ */
+export const discover = async (issuer) => {
+  const key = normalizeIssuer(issuer);
+  const cached = discoveryCache.get(key);
+  if (cached && cached.expires > Date.now()) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${key}/.well-known/openid-configuration`);
+  if (normalizeIssuer(metadata.issuer || '') !== key) {
+    throw new OidcError('Identity provider metadata is for a different issuer', 'SSO_MISCONFIGURED');
+  }
+  for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (!metadata[field]) {
+      throw new OidcError(`Identity provider metadata is missing ${field}`, 'SSO_MISCONFIGURED');
+    }
+  }
+
+  discoveryCache.set(key, { metadata, expires: Date.now() + DISCOVERY_TTL });
+  return metadata;
+};
+
+// Find the key an ID token was signed with, refetching once in case the provider rotated keys
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => keys.find(candidate => (!kid || candidate.kid === kid) && candidate.use !== 'enc');
+
+  let cached = jwksCache.get(jwksUri);
+  let jwk = cached && cached.expires > Date.now() ? findKey(cached.keys) : null;
+
+  if (!jwk) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    cached = { keys, expires: Date.now() + DISCOVERY_TTL };
+    jwksCache.set(jwksUri, cached);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw new OidcError('ID token was signed with an unknown key', 'SSO_INVALID_TOKEN');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Create the PKCE verifier/challenge pair, state and nonce for a login
+ * @returns {Object} { codeVerifier, codeChallenge, state, nonce }
+ */
+export const createAuthorizationRequest = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  return {
+    codeVerifier,
+    codeChallenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest()),
+    state: base64url(crypto.randomBytes(24)),
+    nonce: base64url(crypto.randomBytes(24))
+  };
+};
+
+/**
+ * Build the URL that sends the browser to the provider
+ * @param {Object} metadata - From discover
+ * @param {Object} options - { clientId, redirectUri, codeChallenge, state, nonce, loginHint }
+ * @returns {string} Authorization URL
+ */
+export const buildAuthorizationUrl = (metadata, { clientId, redirectUri, codeChallenge, state, nonce, loginHint }) => {
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', 'openid email profile');
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  if (loginHint) {
+    url.searchParams.set('login_hint', loginHint);
+  }
+  return url.toString();
+};
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {Object} metadata - From discover
+ * @param {Object} options - { clientId, clientSecret, code, codeVerifier, redirectUri }
+ * @returns {Object} Token response (id_token, access_token, ...)
+ */
+export const exchangeCode = async (metadata, { clientId, clientSecret, code, codeVerifier, redirectUri }) => {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  // client_secret_basic unless the provider only takes the secret in the body
+  const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (authMethods.includes('client_secret_basic')) {
+    const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    body.set('client_id', clientId);
+    body.set('client_secret', clientSecret);
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+  if (!tokens.id_token) {
+    throw new OidcError('Identity provider did not return an ID token', 'SSO_INVALID_TOKEN');
+  }
+  return tokens;
+};
+
+/**
+ * Verify an ID token and return its claims
+ * @param {Object} metadata - From discover
+ * @param {string} idToken - Encoded ID token
+ * @param {Object} options - { clientId, nonce }
+ * @returns {Object} Claims
+ */
+export const verifyIdToken = async (metadata, idToken, { clientId, nonce }) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new OidcError('ID token is malformed', 'SSO_INVALID_TOKEN');
+  }
+
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: clientId,
+      clockTolerance: 60
+    });
+  } catch (error) {
+    throw new OidcError(`ID token is invalid: ${error.message}`, 'SSO_INVALID_TOKEN');
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new OidcError('ID token nonce does not match', 'SSO_INVALID_TOKEN');
+  }
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== clientId) {
+    throw new OidcError('ID token was issued to another client', 'SSO_INVALID_TOKEN');
+  }
+  if (!claims.sub) {
+    throw new OidcError('ID token has no subject', 'SSO_INVALID_TOKEN');
+  }
+  return claims;
+};
+
+// Pending logins wait in Redis, or in memory on a single instance without Redis
+const memoryStates = new Map();
+
+/**
+ * Remember a login until the provider sends the browser back
+ * @param {string} state - State parameter
+ * @param {Object} data - { organizationId, codeVerifier, nonce, redirectUri }
+ */
+export const saveLoginState = async (state, data) => {
+  if (redisClient.isConnectionReady()) {
+    await redisClient.set(`sso_state:${state}`, data, SSO_STATE_TTL);
+    return;
+  }
+
+  const now = Date.now();
+  for (const [key, entry] of memoryStates) {
+    if (entry.expires <= now) memoryStates.delete(key);
+  }
+  memoryStates.set(state, { data, expires: now + SSO_STATE_TTL * 1000 });
+};
+
+/**
+ * Take a pending login; each state can only be used once
+ * @param {string} state - State parameter from the callback
+ * @returns {Object|null} Data passed to saveLoginState
+ */
+export const consumeLoginState = async (state) => {
+  if (redisClient.isConnectionReady()) {
+    return await redisClient.getdel(`sso_state:${state}`);
+  }
+
+  const entry = memoryStates.get(state);
+  memoryStates.delete(state);
+  return entry && entry.expires > Date.now() ? entry.data : null;
+};
@@ -0,0 +1,539 @@
+/**
+ * Operational transformation for plain-text documents
+ *
+ * Operations are sequences of components that walk the whole document:
+ * a positive integer retains characters, a string inserts it and a negative
+ * integer deletes characters. Every operation records the document length it
+ * applies to (baseLength) and the length it produces (targetLength).
+ */
+
+export class OperationError extends Error {
+  constructor(message, code = 'INVALID_OPERATION', revision = null) {
+    super(message);
+    this.name = 'OperationError';
+    this.code = code;
+    // Current server revision, so clients know where to resync from
+    this.revision = revision;
+  }
+}
+
+const isRetain = (component) => typeof component === 'number' && component > 0;
+const isInsert = (component) => typeof component === 'string';
+const isDelete = (component) => typeof component === 'number' && component < 0;
+
+export class TextOperation {
+  constructor() {
+    this.ops = [];
+    this.baseLength = 0;
+    this.targetLength = 0;
+  }
+
+  retain(count) {
+    if (!Number.isInteger(count) || count < 0) {
+      throw new OperationError('Retain count must be a non-negative integer');
+    }
+    if (count === 0) return this;
+
+    this.baseLength += count;
+    this.targetLength += count;
+
+    if (isRetain(this.ops[this.ops.length - 1])) {
+      this.ops[this.ops.length - 1] += count;
+    } else {
+      this.ops.push(count);
+    }
+    return this;
+  }
+
+  insert(text) {
+    if (typeof text !== 'string') {
+      throw new OperationError('Inserted content must be a string');
+    }
+    if (text === '') return this;
+
+    this.targetLength += text.length;
+    const ops = this.ops;
+    const last = ops[ops.length - 1];
+
+    if (isInsert(last)) {
+      ops[ops.length - 1] += text;
+    } else if (isDelete(last)) {
+      // Keep inserts before deletes so equal operations have one canonical form
+      if (isInsert(ops[ops.length - 2])) {
+        ops[ops.length - 2] += text;
+      } else {
+        ops.push(last);
+        ops[ops.length - 2] = text;
+      }
+    } else {
+      ops.push(text);
+    }
+    return this;
+  }
+
+  delete(count) {
+    if (typeof count === 'string') count = count.length;
+    if (!Number.isInteger(count)) {
+      throw new OperationError('Delete count must be an integer');
+    }
+    if (count === 0) return this;
+    if (count > 0) count = -count;
+
+    this.baseLength -= count;
+
+    if (isDelete(this.ops[this.ops.length - 1])) {
+      this.ops[this.ops.length - 1] += count;
+    } else {
+      this.ops.push(count);
+    }
+    return this;
+  }
+
+  isNoop() {
+    return this.ops.length === 0 || (this.ops.length === 1 && isRetain(this.ops[0]));
+  }
+
+  apply(content) {
+    if (content.length !== this.baseLength) {
+      throw new OperationError(
+        `Operation expects a document of length ${this.baseLength}, got ${content.length}`,
+        'LENGTH_MISMATCH'
+      );
+    }
+
+    const parts = [];
+    let index = 0;
+
+    for (const component of this.ops) {
+      if (isRetain(component)) {
+        parts.push(content.slice(index, index + component));
+        index += component;
+      } else if (isInsert(component)) {
+        parts.push(component);
+      } else {
+        index -= component;
+      }
+    }
+
+    return parts.join('');
+  }
+
+  /**
+   * Combine this operation with one that follows it into a single operation
+   * @param {TextOperation} next - Operation applied after this one
+   * @returns {TextOperation} Operation with the effect of both
+   */
+  compose(next) {
+    if (this.targetLength !== next.baseLength) {
+      throw new OperationError('The base length of the second operation must match the target length of the first');
+    }
+
+    const result = new TextOperation();
+    const ops1 = this.ops;
+    const ops2 = next.ops;
+    let i1 = 0;
+    let i2 = 0;
+    let op1 = ops1[i1++];
+    let op2 = ops2[i2++];
+
+    while (op1 !== undefined || op2 !== undefined) {
+      if (isDelete(op1)) {
+        result.delete(op1);
+        op1 = ops1[i1++];
+        continue;
+      }
+      if (isInsert(op2)) {
+        result.insert(op2);
+        op2 = ops2[i2++];
+        continue;
+      }
+      if (op1 === undefined || op2 === undefined) {
+        throw new OperationError('Cannot compose operations: one is too short');
+      }
+
+      if (isRetain(op1) && isRetain(op2)) {
+        if (op1 > op2) {
+          result.retain(op2);
+          op1 -= op2;
+          op2 = ops2[i2++];
+        } else if (op1 === op2) {
+          result.retain(op1);
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          result.retain(op1);
+          op2 -= op1;
+          op1 = ops1[i1++];
+        }
+      } else if (isInsert(op1) && isDelete(op2)) {
+        if (op1.length > -op2) {
+          op1 = op1.slice(-op2);
+          op2 = ops2[i2++];
+        } else if (op1.length === -op2) {
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          op2 += op1.length;
+          op1 = ops1[i1++];
+        }
+      } else if (isInsert(op1) && isRetain(op2)) {
+        if (op1.length > op2) {
+          result.insert(op1.slice(0, op2));
+          op1 = op1.slice(op2);
+          op2 = ops2[i2++];
+        } else if (op1.length === op2) {
+          result.insert(op1);
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          result.insert(op1);
+          op2 -= op1.length;
+          op1 = ops1[i1++];
+        }
+      } else if (isRetain(op1) && isDelete(op2)) {
+        if (op1 > -op2) {
+          result.delete(op2);
+          op1 += op2;
+          op2 = ops2[i2++];
+        } else if (op1 === -op2) {
+          result.delete(op2);
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          result.delete(op1);
+          op2 += op1;
+          op1 = ops1[i1++];
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Transform two concurrent operations so that
+   * apply(apply(s, a), b') === apply(apply(s, b), a')
+   * @param {TextOperation} operation1 - Operation that wins ties on inserts
+   * @param {TextOperation} operation2 - Concurrent operation on the same base
+   * @returns {Array<TextOperation>} [operation1', operation2']
+   */
+  static transform(operation1, operation2) {
+    if (operation1.baseLength !== operation2.baseLength) {
+      throw new OperationError('Both operations must have the same base length', 'LENGTH_MISMATCH');
+    }
+
+    const prime1 = new TextOperation();
+    const prime2 = new TextOperation();
+    const ops1 = operation1.ops;
+    const ops2 = operation2.ops;
+    let i1 = 0;
+    let i2 = 0;
+    let op1 = ops1[i1++];
+    let op2 = ops2[i2++];
+
+    while (op1 !== undefined || op2 !== undefined) {
+      if (isInsert(op1)) {
+        prime1.insert(op1);
+        prime2.retain(op1.length);
+        op1 = ops1[i1++];
+        continue;
+      }
+      if (isInsert(op2)) {
+        prime1.retain(op2.length);
+        prime2.insert(op2);
+        op2 = ops2[i2++];
+        continue;
+      }
+      if (op1 === undefined || op2 === undefined) {
+        throw new OperationError('Cannot transform operations: one is too short');
+      }
+
+      let length;
+      if (isRetain(op1) && isRetain(op2)) {
+        if (op1 > op2) {
+          length = op2;
+          op1 -= op2;
+          op2 = ops2[i2++];
+        } else if (op1 === op2) {
+          length = op2;
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          length = op1;
+          op2 -= op1;
+          op1 = ops1[i1++];
+        }
+        prime1.retain(length);
+        prime2.retain(length);
+      } else if (isDelete(op1) && isDelete(op2)) {
+        // Both sides deleted the same characters; neither needs to delete them again
+        if (-op1 > -op2) {
+          op1 -= op2;
+          op2 = ops2[i2++];
+        } else if (op1 === op2) {
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          op2 -= op1;
+          op1 = ops1[i1++];
+        }
+      } else if (isDelete(op1) && isRetain(op2)) {
+        if (-op1 > op2) {
+          length = op2;
+          op1 += op2;
+          op2 = ops2[i2++];
+        } else if (-op1 === op2) {
+          length = op2;
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          length = -op1;
+          op2 += op1;
+          op1 = ops1[i1++];
+        }
+        prime1.delete(length);
+      } else if (isRetain(op1) && isDelete(op2)) {
+        if (op1 > -op2) {
+          length = -op2;
+          op1 += op2;
+          op2 = ops2[i2++];
+        } else if (op1 === -op2) {
+          length = op1;
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          length = op1;
+          op2 += op1;
+          op1 = ops1[i1++];
+        }
+        prime2.delete(length);
+      }
+    }
+
+    return [prime1, prime2];
+  }
+
+  toJSON() {
+    return this.ops;
+  }
+
+  static fromJSON(ops) {
+    if (!Array.isArray(ops)) {
+      throw new OperationError('Operation components must be an array');
+    }
+
+    const operation = new TextOperation();
+    ops.forEach(component => {
+      if (isRetain(component)) operation.retain(component);
+      else if (isInsert(component)) operation.insert(component);
+      else if (isDelete(component)) operation.delete(component);
+      else throw new OperationError(`Invalid operation component: ${JSON.stringify(component)}`);
+    });
+    return operation;
+  }
+}
+
+/**
+ * Build a TextOperation from a client operation
+ * Accepts component form ({ ops: [...] }) or positional insert/delete/replace operations
+ * @param {Object} operation - Client operation
+ * @param {number} documentLength - Length of the document the operation was made against
+ * @returns {TextOperation} Equivalent text operation
+ */
+export const fromClientOperation = (operation, documentLength) => {
+  if (!operation || typeof operation !== 'object') {
+    throw new OperationError('Operation must be an object');
+  }
+
+  if (Array.isArray(operation.ops)) {
+    const textOperation = TextOperation.fromJSON(operation.ops);
+    if (textOperation.baseLength !== documentLength) {
+      throw new OperationError(
+        `Operation expects a document of length ${textOperation.baseLength}, revision has length ${documentLength}`,
+        'LENGTH_MISMATCH'
+      );
+    }
+    return textOperation;
+  }
+
+  const { type, position } = operation;
+  if (!['insert', 'delete', 'replace'].includes(type)) {
+    throw new OperationError(`Unsupported operation type: ${type}`);
+  }
+
+  if (!Number.isInteger(position) || position < 0 || position > documentLength) {
+    throw new OperationError('Operation position is outside the document', 'INVALID_POSITION');
+  }
+
+  const removed = type === 'delete' ? operation.length : type === 'replace' ? operation.oldLength : 0;
+  if (!Number.isInteger(removed) || removed < 0 || position + removed > documentLength) {
+    throw new OperationError('Operation range is outside the document', 'INVALID_POSITION');
+  }
+
+  if (type !== 'delete' && typeof operation.content !== 'string') {
+    throw new OperationError('Operation content must be a string');
+  }
+
+  return new TextOperation()
+    .retain(position)
+    .delete(removed)
+    .insert(type === 'delete' ? '' : operation.content)
+    .retain(documentLength - position - removed);
+};
+
+/**
+ * Authoritative revision server for a single document
+ * Keeps the current content, its revision and a bounded log of applied operations
+ */
+export class OperationServer {
+  constructor(content = '', revision = 0, options = {}) {
+    this.content = content;
+    this.revision = revision;
+    this.maxLogSize = options.maxLogSize || parseInt(process.env.OT_MAX_LOG_SIZE) || 1000;
+    this.log = []; // { revision, operation, userId, operationId, timestamp }
+  }
+
+  // Oldest revision that operations can still be transformed from
+  get oldestRevision() {
+    return this.revision - this.log.length;
+  }
+
+  lengthAt(revision) {
+    if (revision === this.revision) return this.content.length;
+    return this.log[revision - this.oldestRevision].operation.baseLength;
+  }
+
+  /**
+   * Operations applied after a revision, in order
+   * @param {number} revision - Revision the caller has
+   * @returns {Array|null} Log entries, or null when the log no longer reaches back that far
+   */
+  getOperationsSince(revision) {
+    if (revision < this.oldestRevision || revision > this.revision) return null;
+    return this.log.slice(revision - this.oldestRevision);
+  }
+
+  // Like getOperationsSince, but a revision that can't be transformed from is an error
+  requireOperationsSince(baseRevision) {
+    if (!Number.isInteger(baseRevision) || baseRevision < 0 || baseRevision > this.revision) {
+      throw new OperationError(`Unknown revision ${baseRevision}`, 'INVALID_REVISION', this.revision);
+    }
+
+    const concurrent = this.getOperationsSince(baseRevision);
+    if (concurrent === null) {
+      throw new OperationError(
+        `Revision ${baseRevision} is older than the retained history (${this.oldestRevision})`,
+        'REVISION_TOO_OLD',
+        this.revision
+      );
+    }
+
+    return concurrent;
+  }
+
+  /**
+   * Transform an operation made against baseRevision over everything applied since, then apply it
+   * @param {Object|TextOperation} operation - Client operation
+   * @param {number} baseRevision - Revision the client made the operation against
+   * @param {Object} meta - { userId, operationId }
+   * @returns {Object} { operation, revision, duplicate }
+   */
+  receive(operation, baseRevision, meta = {}) {
+    const concurrent = this.requireOperationsSince(baseRevision);
+
+    // A client resending after a reconnect gets the original acknowledgement back
+    if (meta.operationId) {
+      const existing = concurrent.find(entry => entry.operationId === meta.operationId);
+      if (existing) {
+        return { operation: existing.operation, revision: existing.revision, duplicate: true };
+      }
+    }
+
+    let transformed;
+    try {
+      transformed = operation instanceof TextOperation
+        ? operation
+        : fromClientOperation(operation, this.lengthAt(baseRevision));
+
+      for (const entry of concurrent) {
+        transformed = TextOperation.transform(transformed, entry.operation)[0];
+      }
+    } catch (error) {
+      if (error instanceof OperationError) error.revision = this.revision;
+      throw error;
+    }
+
+    this.content = transformed.apply(this.content);
+    this.revision += 1;
+    this.log.push({
+      revision: this.revision,
+      operation: transformed,
+      userId: meta.userId,
+      operationId: meta.operationId,
+      timestamp: new Date()
+    });
+
+    if (this.log.length > this.maxLogSize) {
+      this.log.splice(0, this.log.length - this.maxLogSize);
+    }
+
+    return { operation: transformed, revision: this.revision, duplicate: false };
+  }
+
+  /**
+   * Replay the operations a client made while disconnected
+   * Entries since baseRevision are either the client's own operations that reached the server
+   * before the connection dropped (acknowledged now) or concurrent edits, which the pending
+   * operations are transformed over exactly as a connected client would have done.
+   * @param {Array} operations - [{ operation, operationId }] in the order the client made them
+   * @param {number} baseRevision - Last server revision the client had
+   * @param {Object} meta - { userId }
+   * @returns {Object} { remote, acknowledged, applied, revision }
+   */
+  replay(operations, baseRevision, meta = {}) {
+    const concurrent = this.requireOperationsSince(baseRevision);
+
+    let pending;
+    const remote = [];
+    const acknowledged = [];
+
+    try {
+      // Each operation follows the previous one in the client's history
+      let length = this.lengthAt(baseRevision);
+      pending = operations.map(({ operation, operationId }) => {
+        const parsed = fromClientOperation(operation, length);
+        length = parsed.targetLength;
+        return { operation: parsed, operationId };
+      });
+
+      for (const entry of concurrent) {
+        const next = pending[0];
+        if (next && next.operationId && entry.operationId === next.operationId && entry.userId === meta.userId) {
+          acknowledged.push({ operationId: entry.operationId, revision: entry.revision });
+          pending.shift();
+          continue;
+        }
+
+        // Rebase the pending operations over the concurrent edit, and the edit over them
+        let incoming = entry.operation;
+        pending = pending.map(item => {
+          const [rebased, rest] = TextOperation.transform(item.operation, incoming);
+          incoming = rest;
+          return { ...item, operation: rebased };
+        });
+        remote.push({ operation: incoming, revision: entry.revision });
+      }
+    } catch (error) {
+      if (error instanceof OperationError) error.revision = this.revision;
+      throw error;
+    }
+
+    // Pending operations now apply directly on top of the current revision
+    const applied = pending.map(item => ({
+      operationId: item.operationId,
+      ...this.receive(item.operation, this.revision, { userId: meta.userId, operationId: item.operationId })
+    }));
+
+    return { remote, acknowledged, applied, revision: this.revision };
+  }
+}
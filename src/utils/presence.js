@@ -0,0 +1,95 @@
+/**
+ * Presence helpers shared by the socket handlers and the REST presence endpoint
+ *
+ * Clients send a heartbeat every HEARTBEAT_INTERVAL. A user is "idle" when heartbeats
+ * keep arriving without any edits, cursor moves or reported activity for IDLE_TIMEOUT,
+ * and "away" when they said so (hidden tab) or no heartbeat arrived for HEARTBEAT_TIMEOUT.
+ */
+
+export const HEARTBEAT_INTERVAL = parseInt(process.env.WS_HEARTBEAT_INTERVAL) || 30000;
+export const HEARTBEAT_TIMEOUT = parseInt(process.env.WS_HEARTBEAT_TIMEOUT) || 60000;
+export const IDLE_TIMEOUT = parseInt(process.env.PRESENCE_IDLE_TIMEOUT) || 60000;
+export const SWEEP_INTERVAL = parseInt(process.env.PRESENCE_SWEEP_INTERVAL) || 10000;
+
+export const PRESENCE_STATUSES = ['active', 'idle', 'away'];
+
+// Distinguishable on light and dark backgrounds
+export const PRESENCE_COLORS = [
+  '#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4',
+  '#f032e6', '#469990', '#9a6324', '#800000', '#808000', '#000075'
+];
+
+/**
+ * Pick a colour for a user joining a document
+ * @param {string} userId - Joining user
+ * @param {Array} takenColors - Colours already used by others in the document
+ * @returns {string} Hex colour
+ */
+export const assignPresenceColor = (userId, takenColors = []) => {
+  const free = PRESENCE_COLORS.find(color => !takenColors.includes(color));
+  if (free) return free;
+
+  // Every colour is taken, fall back to one that is stable for the user
+  const hash = [...String(userId)].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 0);
+  return PRESENCE_COLORS[hash % PRESENCE_COLORS.length];
+};
+
+const isOffset = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Normalize a cursor update from a client
+ * Accepts a bare position or { position, selection: { start, end } }
+ * @returns {Object|null} { position, selection } or null when invalid
+ */
+export const normalizeCursor = ({ position, selection } = {}) => {
+  if (!isOffset(position)) return null;
+  if (!selection) return { position, selection: null };
+
+  if (!isOffset(selection.start) || !isOffset(selection.end)) return null;
+
+  return {
+    position,
+    selection: {
+      start: Math.min(selection.start, selection.end),
+      end: Math.max(selection.start, selection.end)
+    }
+  };
+};
+
+/**
+ * Work out a user's status from their heartbeat and activity timestamps
+ * @param {Object} presence - { lastSeen, lastActivity, away }
+ * @param {number} now - Current time in ms
+ * @returns {string} active, idle or away
+ */
+export const resolvePresenceStatus = (presence, now = Date.now()) => {
+  if (!presence) return 'active';
+  if (presence.away || now - presence.lastSeen > HEARTBEAT_TIMEOUT) return 'away';
+  if (now - presence.lastActivity > IDLE_TIMEOUT) return 'idle';
+  return 'active';
+};
+
+/**
+ * Shape a session member from the collaboration store for clients
+ * @param {Object} member - Member from store.getSessionMembers
+ * @param {number} now - Current time in ms
+ * @returns {Object} Presence entry
+ */
+export const formatPresence = (member, now = Date.now()) => {
+  // Older entries stored the cursor as a bare position
+  const cursor = typeof member.cursor === 'number'
+    ? { position: member.cursor, selection: null }
+    : member.cursor || null;
+
+  return {
+    id: member.id,
+    name: member.name,
+    email: member.email,
+    permission: member.permission,
+    color: member.color || assignPresenceColor(member.id, PRESENCE_COLORS),
+    status: resolvePresenceStatus(member.presence, now),
+    cursor,
+    joinedAt: member.joinedAt ? new Date(member.joinedAt) : null,
+    lastActivity: member.presence ? new Date(member.presence.lastActivity) : null
+  };
+};
@@ -0,0 +1,492 @@
+import { Document } from '../models/Document.js';
+import { logger } from '../config/logger.js';
+import { convertContent } from './documentFormats.js';
+import { buildTextSearch, stem, escapeRegex } from './searchQuery.js';
+
+/**
+ * Search backends for document search
+ *
+ * Every provider exposes the same async interface so the search endpoint doesn't care
+ * which one is configured (SEARCH_PROVIDER):
+ *   initialize()                      - Prepare the provider when the server starts
+ *   search(parsed, { organizationId, filter, skip, limit }) - { documents, total }, ranked
+ *   indexDocument(document)           - Called from Document save hooks
+ *   removeDocument(documentId)        - Called from Document delete hooks
+ *   reindex({ organizationId })       - Rebuild the index, returns stats
+ *
+ * `filter` holds the access rules and field filters of the request. MongoDB stays the
+ * source of truth for both, so a provider only decides which documents match the text
+ * and in which order.
+ */
+
+const SEARCH_FIELDS = 'title content contentType tags status visibility owner folder updatedAt';
+const FIELD_BOOSTS = { title: 3, tags: 2, content: 1 };
+const PREFIX_WEIGHT = 0.6;
+const FUZZY_WEIGHT = 0.4;
+const MIN_EXPANSION_LENGTH = 3;
+
+// MongoDB's error code for a $text query without a text index
+const INDEX_NOT_FOUND = 27;
+
+// Fetch a page of documents in the shape the search endpoint returns
+const findDocuments = (filter, { projection = {}, sort, skip, limit }) => Document.find(filter, projection)
+  .select(SEARCH_FIELDS)
+  .sort(sort)
+  .skip(skip)
+  .limit(limit)
+  .populate('owner', 'name email')
+  .populate('folder', 'name path')
+  .lean();
+
+// Filter-only searches have nothing to rank, so the most recently updated come first
+const listDocuments = async (filter, { skip, limit }) => {
+  const [documents, total] = await Promise.all([
+    findDocuments(filter, { sort: { updatedAt: -1 }, skip, limit }),
+    Document.countDocuments(filter)
+  ]);
+  return { documents, total };
+};
+
+// Slower stand-in for $text while the text index is rebuilt: every word and phrase must
+// appear in the title or content, excluded ones must not
+const buildRegexSearch = ({ terms, phrases, excluded }) => {
+  const mentions = (text) => {
+    const pattern = new RegExp(escapeRegex(text), 'i');
+    return { $or: [{ title: pattern }, { content: pattern }] };
+  };
+
+  return [
+    ...[...terms, ...phrases].map(mentions),
+    ...excluded.map(text => ({ $nor: [mentions(text)] }))
+  ];
+};
+
+// The schema's text index in the shape MongoDB reports it: prefix keys and field weights
+const textIndexSpec = () => {
+  const [fields, options = {}] = Document.schema.indexes().find(([keys]) => Object.values(keys).includes('text'));
+  const key = {};
+  const weights = {};
+  Object.entries(fields).forEach(([field, type]) => {
+    if (type === 'text') weights[field] = options.weights?.[field] || 1;
+    else key[field] = type;
+  });
+  return { key, weights };
+};
+
+const sameEntries = (a, b) => JSON.stringify(Object.entries(a).sort()) === JSON.stringify(Object.entries(b).sort());
+
+export const tokenize = (text = '') => (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).map(stem);
+
+// Levenshtein distance with an early exit once every path is over the limit
+const withinDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return false;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return false;
+    previous = current;
+  }
+
+  return previous[b.length] <= max;
+};
+
+// Longer words tolerate more typos
+const allowedTypos = (token) => (token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0);
+
+const containsSequence = (tokens, sequence) => {
+  if (sequence.length === 0 || sequence.length > tokens.length) return false;
+
+  for (let start = 0; start <= tokens.length - sequence.length; start++) {
+    if (sequence.every((token, offset) => tokens[start + offset] === token)) return true;
+  }
+  return false;
+};
+
+/**
+ * Inverted index over the documents of one organization
+ */
+class OrganizationIndex {
+  constructor() {
+    this.documents = new Map(); // documentId -> { fields: { title, tags, content }, updatedAt }
+    this.postings = new Map(); // term -> Map(documentId -> { title, tags, content } term counts)
+  }
+
+  add(documentId, fields, updatedAt) {
+    this.remove(documentId);
+
+    for (const [field, tokens] of Object.entries(fields)) {
+      for (const token of tokens) {
+        if (!this.postings.has(token)) this.postings.set(token, new Map());
+        const counts = this.postings.get(token);
+        if (!counts.has(documentId)) counts.set(documentId, { title: 0, tags: 0, content: 0 });
+        counts.get(documentId)[field]++;
+      }
+    }
+
+    this.documents.set(documentId, { fields, updatedAt });
+  }
+
+  remove(documentId) {
+    const entry = this.documents.get(documentId);
+    if (!entry) return;
+
+    const terms = new Set(Object.values(entry.fields).flat());
+    for (const term of terms) {
+      const counts = this.postings.get(term);
+      counts?.delete(documentId);
+      if (counts?.size === 0) this.postings.delete(term);
+    }
+
+    this.documents.delete(documentId);
+  }
+
+  // Index terms a query token should match, with how much each match is worth
+  expand(token, { exactOnly = false } = {}) {
+    const expansions = new Map();
+    if (this.postings.has(token)) expansions.set(token, 1);
+    if (exactOnly || token.length < MIN_EXPANSION_LENGTH) return expansions;
+
+    const typos = allowedTypos(token);
+    for (const term of this.postings.keys()) {
+      if (term === token) continue;
+      if (term.startsWith(token)) {
+        expansions.set(term, PREFIX_WEIGHT);
+      } else if (typos > 0 && withinDistance(token, term, typos)) {
+        expansions.set(term, FUZZY_WEIGHT);
+      }
+    }
+    return expansions;
+  }
+
+  hasSequence(documentId, sequence) {
+    const entry = this.documents.get(documentId);
+    return Boolean(entry) && Object.values(entry.fields).some(tokens => containsSequence(tokens, sequence));
+  }
+
+  hasTerm(documentId, term) {
+    return Boolean(this.postings.get(term)?.has(documentId));
+  }
+
+  /**
+   * Rank documents for a parsed query
+   * Words match by prefix and with typos, phrases must appear as written and
+   * excluded words or phrases drop the document
+   * @returns {Array} [{ id, score }] best first
+   */
+  search({ terms, phrases, excluded }) {
+    const phraseTokens = phrases.map(phrase => tokenize(phrase)).filter(tokens => tokens.length > 0);
+    const queryTokens = [
+      ...terms.flatMap(term => tokenize(term)).map(token => ({ token, exactOnly: false })),
+      ...phraseTokens.flat().map(token => ({ token, exactOnly: true }))
+    ];
+
+    const scores = new Map();
+    for (const { token, exactOnly } of queryTokens) {
+      // A document scores once per query token, through its best matching term
+      const best = new Map();
+      for (const [term, weight] of this.expand(token, { exactOnly })) {
+        const counts = this.postings.get(term);
+        const idf = Math.log(1 + this.documents.size / counts.size);
+
+        for (const [documentId, fieldCounts] of counts) {
+          const fieldScore = Object.entries(FIELD_BOOSTS).reduce(
+            (sum, [field, boost]) => sum + (boost * fieldCounts[field]) / (fieldCounts[field] + 1.2), 0
+          );
+          const score = weight * idf * fieldScore;
+          if (score > (best.get(documentId) || 0)) best.set(documentId, score);
+        }
+      }
+
+      for (const [documentId, score] of best) {
+        scores.set(documentId, (scores.get(documentId) || 0) + score);
+      }
+    }
+
+    const excludedTokens = excluded.map(text => tokenize(text)).filter(tokens => tokens.length > 0);
+
+    return [...scores]
+      .filter(([documentId]) => phraseTokens.every(sequence => this.hasSequence(documentId, sequence)))
+      .filter(([documentId]) => !excludedTokens.some(sequence => (sequence.length === 1
+        ? this.hasTerm(documentId, sequence[0])
+        : this.hasSequence(documentId, sequence))))
+      .map(([id, score]) => ({ id, score, updatedAt: this.documents.get(id).updatedAt }))
+      .sort((a, b) => b.score - a.score || b.updatedAt - a.updatedAt)
+      .map(({ id, score }) => ({ id, score }));
+  }
+}
+
+/**
+ * Search through MongoDB's text index on title and content
+ */
+export class MongoSearchProvider {
+  constructor() {
+    this.type = 'mongo';
+  }
+
+  async initialize() {}
+
+  async search(parsed, { filter, skip, limit }) {
+    const textSearch = buildTextSearch(parsed);
+    if (!textSearch) return listDocuments(filter, { skip, limit });
+
+    const query = { ...filter, $text: { $search: textSearch } };
+    try {
+      const [documents, total] = await Promise.all([
+        findDocuments(query, {
+          projection: { score: { $meta: 'textScore' } },
+          sort: { score: { $meta: 'textScore' }, updatedAt: -1 },
+          skip,
+          limit
+        }),
+        Document.countDocuments(query)
+      ]);
+
+      return { documents, total };
+    } catch (error) {
+      if (error.code !== INDEX_NOT_FOUND) throw error;
+
+      // The text index is being rebuilt; keep answering, unranked, until it is back
+      logger.warn('Text index unavailable, falling back to pattern search');
+      return listDocuments({ ...filter, $and: [...(filter.$and || []), ...buildRegexSearch(parsed)] }, { skip, limit });
+    }
+  }
+
+  // MongoDB keeps its text index up to date on every write
+  async indexDocument() {}
+
+  async removeDocument() {}
+
+  // The text index covers every organization, so it is always rebuilt as a whole. MongoDB keeps
+  // it current on every write and allows only one per collection, so it is only dropped and
+  // rebuilt when its definition changed; searches fall back to patterns while it builds
+  async reindex() {
+    const startedAt = Date.now();
+    const indexes = await Document.collection.indexes();
+    const textIndex = indexes.find(index => index.textIndexVersion);
+    const spec = textIndexSpec();
+
+    const current = textIndex && sameEntries(spec.weights, textIndex.weights) && sameEntries(
+      spec.key,
+      Object.fromEntries(Object.entries(textIndex.key).filter(([field]) => !['_fts', '_ftsx'].includes(field)))
+    );
+
+    if (!current) {
+      if (textIndex) {
+        await Document.collection.dropIndex(textIndex.name);
+      }
+      await Document.createIndexes();
+    }
+
+    return {
+      provider: this.type,
+      documents: await Document.countDocuments({ status: { $ne: 'deleted' } }),
+      rebuilt: !current,
+      durationMs: Date.now() - startedAt
+    };
+  }
+}
+
+/**
+ * Search through an inverted index kept in this process
+ *
+ * Adds prefix matching, typo tolerance and per-field boosting (title over tags over content).
+ * Each node builds its own index on start and only sees writes made through its own
+ * Document hooks, so run a single node or restart nodes to pick up each other's edits.
+ */
+export class InvertedIndexSearchProvider {
+  constructor() {
+    this.type = 'memory';
+    this.indexes = new Map(); // organizationId -> OrganizationIndex
+    this.ready = false;
+  }
+
+  async initialize() {
+    const stats = await this.reindex();
+    logger.info(`Search index built: ${stats.documents} documents, ${stats.terms} terms in ${stats.durationMs}ms`);
+  }
+
+  async search(parsed, { organizationId, filter, skip, limit }) {
+    if (parsed.terms.length === 0 && parsed.phrases.length === 0) {
+      return listDocuments(filter, { skip, limit });
+    }
+
+    const ranked = this.indexes.get(String(organizationId))?.search(parsed) || [];
+    if (ranked.length === 0) return { documents: [], total: 0 };
+
+    // Access rules and field filters are applied by MongoDB before paging, so every document
+    // the user may see competes for the page and counts towards the total
+    const allowed = await Document.find(filter).distinct('_id');
+    const allowedIds = new Set(allowed.map(id => id.toString()));
+    const matches = ranked.filter(match => allowedIds.has(match.id));
+    const page = matches.slice(skip, skip + limit);
+
+    const documents = await findDocuments(
+      { _id: { $in: page.map(match => match.id) } },
+      { sort: { updatedAt: -1 }, skip: 0, limit: page.length }
+    );
+    const byId = new Map(documents.map(document => [document._id.toString(), document]));
+
+    return {
+      documents: page
+        .filter(match => byId.has(match.id))
+        .map(match => ({ ...byId.get(match.id), score: match.score })),
+      total: matches.length
+    };
+  }
+
+  async indexDocument(document) {
+    // Writes before the first build are picked up by it
+    if (!this.ready) return;
+    this.addToIndex(document);
+  }
+
+  async removeDocument(documentId, organizationId = null) {
+    if (!this.ready) return;
+
+    const id = documentId.toString();
+    const indexes = organizationId ? [this.indexes.get(organizationId.toString())] : [...this.indexes.values()];
+    indexes.forEach(index => index?.remove(id));
+  }
+
+  addToIndex(document) {
+    const id = document._id.toString();
+    const organizationId = document.organization.toString();
+
+    if (document.status === 'deleted') {
+      this.indexes.get(organizationId)?.remove(id);
+      return;
+    }
+
+    let text = document.content || '';
+    try {
+      text = convertContent(text, document.contentType || 'text', 'text');
+    } catch (error) {
+      logger.warn(`Could not convert document ${id} for the search index:`, error.message);
+    }
+
+    if (!this.indexes.has(organizationId)) this.indexes.set(organizationId, new OrganizationIndex());
+    this.indexes.get(organizationId).add(id, {
+      title: tokenize(document.title),
+      tags: (document.tags || []).flatMap(tag => tokenize(tag)),
+      content: tokenize(text)
+    }, new Date(document.updatedAt || Date.now()).getTime());
+  }
+
+  async reindex({ organizationId = null } = {}) {
+    const startedAt = Date.now();
+    const filter = { status: { $ne: 'deleted' } };
+
+    if (organizationId) {
+      filter.organization = organizationId;
+      this.indexes.delete(organizationId.toString());
+    } else {
+      this.indexes.clear();
+    }
+
+    const cursor = Document.find(filter)
+      .select('organization title tags content contentType status updatedAt')
+      .lean()
+      .cursor();
+
+    let documents = 0;
+    for await (const document of cursor) {
+      this.addToIndex(document);
+      documents++;
+    }
+    this.ready = true;
+
+    const indexes = organizationId ? [this.indexes.get(organizationId.toString())].filter(Boolean) : [...this.indexes.values()];
+
+    return {
+      provider: this.type,
+      documents,
+      organizations: indexes.length,
+      terms: indexes.reduce((sum, index) => sum + index.postings.size, 0),
+      durationMs: Date.now() - startedAt
+    };
+  }
+}
+
+const SEARCH_PROVIDERS = {
+  mongo: MongoSearchProvider,
+  memory: InvertedIndexSearchProvider
+};
+
+/**
+ * Create a search provider
+ * @param {string} type - mongo or memory
+ * @returns {MongoSearchProvider|InvertedIndexSearchProvider} Provider instance
+ */
+export const createSearchProvider = (type = process.env.SEARCH_PROVIDER || 'mongo') => {
+  const Provider = SEARCH_PROVIDERS[type];
+  if (!Provider) {
+    throw new Error(`Unknown search provider "${type}", expected one of: ${Object.keys(SEARCH_PROVIDERS).join(', ')}`);
+  }
+  return new Provider();
+};
+
+let activeProvider = null;
+
+// The provider configured for this process
+export const getSearchProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createSearchProvider();
+  }
+  return activeProvider;
+};
+
+// Index updates never fail the write that triggered them
+const syncSearchIndex = (task) => {
+  Promise.resolve()
+    .then(() => task(getSearchProvider()))
+    .catch(error => logger.error('Search index update failed:', error));
+};
+
+/**
+ * Mongoose plugin keeping the active search provider in step with document writes
+ * Declared as a function so the Document model can apply it while this module is still loading
+ * @param {mongoose.Schema} schema - Document schema
+ */
+export function searchIndexPlugin(schema) {
+  schema.pre('save', function (next) {
+    this.$locals.searchIndexStale = this.isNew || ['title', 'content', 'contentType', 'tags', 'status']
+      .some(path => this.isModified(path));
+    next();
+  });
+
+  schema.post('save', function (document) {
+    if (!document.$locals.searchIndexStale) return;
+    syncSearchIndex(provider => provider.indexDocument(document));
+  });
+
+  schema.post('findOneAndUpdate', function (document) {
+    if (!document) return;
+    syncSearchIndex(async (provider) => {
+      const updated = await this.model.findById(document._id)
+        .select('organization title tags content contentType status updatedAt')
+        .lean();
+      return updated
+        ? provider.indexDocument(updated)
+        : provider.removeDocument(document._id, document.organization);
+    });
+  });
+
+  schema.post('findOneAndDelete', function (document) {
+    if (!document) return;
+    syncSearchIndex(provider => provider.removeDocument(document._id, document.organization));
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, function (document) {
+    syncSearchIndex(provider => provider.removeDocument(document._id, document.organization));
+  });
+}
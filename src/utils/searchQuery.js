@@ -0,0 +1,154 @@
+/**
+ * Search query parsing and result highlighting
+ *
+ * Queries accept words, "quoted phrases", -negated words or phrases and field filters
+ * (tag:, owner:, status:, folder:), which can also be negated and quoted, for example:
+ *   roadmap "q3 planning" -draft tag:product owner:me -status:archived
+ */
+
+export const SEARCH_FILTERS = ['tag', 'owner', 'status', 'folder'];
+
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+/**
+ * Split a search query into text terms and field filters
+ * @param {string} input - Raw query
+ * @returns {Object} { terms, phrases, excluded, filters: { tag: { include, exclude }, ... } }
+ */
+export const parseSearchQuery = (input = '') => {
+  const parsed = {
+    terms: [],
+    phrases: [],
+    excluded: [],
+    filters: Object.fromEntries(SEARCH_FILTERS.map(field => [field, { include: [], exclude: [] }]))
+  };
+
+  for (const match of input.matchAll(TOKEN_PATTERN)) {
+    const [, negation, field, quoted, bare] = match;
+    const value = (quoted ?? bare ?? '').trim();
+    if (!value) continue;
+
+    const filterName = field?.toLowerCase();
+    if (filterName && SEARCH_FILTERS.includes(filterName)) {
+      parsed.filters[filterName][negation ? 'exclude' : 'include'].push(value);
+      continue;
+    }
+
+    // Unknown prefixes are searched as plain text
+    const text = field && !quoted ? `${field}:${value}` : value;
+
+    if (negation) {
+      parsed.excluded.push(text);
+    } else if (quoted !== undefined) {
+      parsed.phrases.push(text);
+    } else {
+      parsed.terms.push(text);
+    }
+  }
+
+  return parsed;
+};
+
+/**
+ * Build the $search string for a MongoDB $text query
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {string|null} Search string, or null when there is nothing to match on
+ */
+export const buildTextSearch = ({ terms, phrases, excluded }) => {
+  // $text needs at least one positive term or phrase
+  if (terms.length === 0 && phrases.length === 0) return null;
+
+  return [
+    ...terms,
+    ...phrases.map(phrase => `"${phrase.replace(/"/g, '')}"`),
+    ...excluded.map(term => (term.includes(' ') ? `-"${term.replace(/"/g, '')}"` : `-${term}`))
+  ].join(' ');
+};
+
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// $text matches on word stems, so "planning" should also light up "plans"
+export const stem = (word) => {
+  const lower = word.toLowerCase();
+  const base = lower.replace(/(ing|ed|es|s)$/, '');
+  if (!base) return lower;
+
+  // "planning" and "stopped" double their last consonant before the suffix
+  return base !== lower && /([bgmnprt])\1$/.test(base) ? base.slice(0, -1) : base;
+};
+
+const buildHighlightPattern = ({ terms, phrases }) => {
+  const parts = [
+    ...phrases.map(phrase => escapeRegex(phrase).replace(/\s+/g, '\\s+')),
+    ...terms.map(term => `${escapeRegex(stem(term))}\\w*`)
+  ];
+  if (parts.length === 0) return null;
+
+  // Longest alternatives first so phrases win over their own words
+  parts.sort((a, b) => b.length - a.length);
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${parts.join('|')})`, 'giu');
+};
+
+const markMatches = (text, pattern) => {
+  if (!pattern) return escapeHtml(text);
+
+  let output = '';
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    output += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return output + escapeHtml(text.slice(last));
+};
+
+/**
+ * Highlight matches in a title and pick snippets of body text around them
+ * @param {Object} source - { title, text } where text is plain text
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @param {Object} options - { snippetLength, maxSnippets }
+ * @returns {Object} { title, snippets } as HTML with matches wrapped in <mark>
+ */
+export const highlightMatches = ({ title = '', text = '' }, parsed, options = {}) => {
+  const { snippetLength = 160, maxSnippets = 3 } = options;
+  const pattern = buildHighlightPattern(parsed);
+  const body = text.replace(/\s+/g, ' ').trim();
+
+  const windows = [];
+  if (pattern) {
+    for (const match of body.matchAll(pattern)) {
+      const previous = windows[windows.length - 1];
+      // Matches close together share a snippet
+      if (previous && match.index < previous.end) continue;
+      if (windows.length === maxSnippets) break;
+
+      const start = Math.max(0, match.index - Math.floor((snippetLength - match[0].length) / 2));
+      windows.push({ start, end: Math.min(body.length, start + snippetLength) });
+    }
+  }
+
+  // No visible match (stemming or a title-only hit): show the opening of the document
+  if (windows.length === 0 && body) {
+    windows.push({ start: 0, end: Math.min(body.length, snippetLength) });
+  }
+
+  const snippets = windows.map(({ start, end }) => {
+    // Don't cut words in half
+    const from = start > 0 ? body.indexOf(' ', start) + 1 || start : 0;
+    const to = end < body.length ? body.lastIndexOf(' ', end) : end;
+    const slice = body.slice(from, to > from ? to : end);
+
+    return `${from > 0 ? '…' : ''}${markMatches(slice, pattern)}${to < body.length ? '…' : ''}`;
+  });
+
+  return {
+    title: markMatches(title, pattern),
+    snippets
+  };
+};
@@ -0,0 +1,196 @@
+import { Document } from '../models/Document.js';
+import { Team } from '../models/Team.js';
+import { User } from '../models/User.js';
+import { Activity } from '../models/Activity.js';
+import { logger } from '../config/logger.js';
+import { sendShareExpiringEmail } from './accountEmails.js';
+import { revokeDocumentAccess, notifyUser } from './collaboration.js';
+
+// How often expired shares are swept, in milliseconds
+const SHARE_SWEEP_INTERVAL = parseInt(process.env.SHARE_SWEEP_INTERVAL) || 60000;
+
+// How long before a share expires its users are warned, in seconds
+const SHARE_EXPIRY_NOTICE = parseInt(process.env.SHARE_EXPIRY_NOTICE) || 86400;
+
+// Members of the given teams
+const findTeamMembers = async (teamIds) => {
+  const teams = await Team.find({ _id: { $in: teamIds } }).select('members.user');
+  return teams.flatMap(team => team.members.map(member => member.user));
+};
+
+/**
+ * Deactivate user and team shares that have reached their expiry, remove users who lost access
+ * from live sessions and log one activity per document. Safe to run on several nodes at once:
+ * only the node whose update lands acts on a document.
+ * @param {Date} now
+ * @returns {number} Number of shares deactivated
+ */
+export const deactivateExpiredShares = async (now = new Date()) => {
+  const expired = { isActive: true, expiresAt: { $lte: now } };
+  const isExpired = share => share.isActive && share.expiresAt && share.expiresAt <= now;
+
+  const documents = await Document.find({
+    $or: [
+      { sharedWith: { $elemMatch: expired } },
+      { sharedWithTeams: { $elemMatch: expired } }
+    ]
+  }).select('title owner organization folder visibility settings sharedWith sharedWithTeams');
+
+  let deactivated = 0;
+
+  for (const document of documents) {
+    const userShares = document.sharedWith.filter(isExpired);
+    const teamShares = (document.sharedWithTeams || []).filter(isExpired);
+
+    // Only touch the arrays holding expired shares; older documents may lack sharedWithTeams
+    const update = {};
+    const arrayFilters = [];
+    if (userShares.length > 0) {
+      update['sharedWith.$[user].isActive'] = false;
+      arrayFilters.push({ 'user.isActive': true, 'user.expiresAt': { $lte: now } });
+    }
+    if (teamShares.length > 0) {
+      update['sharedWithTeams.$[team].isActive'] = false;
+      arrayFilters.push({ 'team.isActive': true, 'team.expiresAt': { $lte: now } });
+    }
+
+    const result = await Document.updateOne(
+      { _id: document._id },
+      { $set: update },
+      { arrayFilters, timestamps: false }
+    );
+
+    if (result.modifiedCount === 0) continue;
+    deactivated += userShares.length + teamShares.length;
+
+    // Users may still reach the document through another share, a folder or its visibility
+    const candidates = [
+      ...userShares.map(share => share.user),
+      ...await findTeamMembers(teamShares.map(share => share.team))
+    ];
+    const lostAccess = [];
+    for (const userId of new Set(candidates.map(id => id.toString()))) {
+      const teamIds = await Team.findTeamIds(userId, document.organization);
+      if (!(await document.hasEffectivePermission(userId, 'viewer', teamIds))) {
+        lostAccess.push(userId);
+      }
+    }
+
+    await revokeDocumentAccess(document._id, lostAccess, 'Your access to this document has expired');
+    lostAccess.forEach(userId => notifyUser(userId, 'share-expired', {
+      documentId: document._id,
+      title: document.title
+    }));
+
+    await Activity.logActivity({
+      user: (userShares[0] || teamShares[0]).sharedBy,
+      organization: document.organization,
+      document: document._id,
+      action: 'document_share_expired',
+      details: `${userShares.length} user and ${teamShares.length} team share(s) of document "${document.title}" expired` +
+        (lostAccess.length ? `, ${lostAccess.length} user(s) lost access` : ''),
+      category: 'document',
+      relatedUsers: lostAccess,
+      tags: ['share_expiry']
+    });
+  }
+
+  return deactivated;
+};
+
+/**
+ * Warn the users of shares expiring within the notice period, by socket and email.
+ * Each share is claimed before it is announced, so every reminder goes out once.
+ * @param {Date} now
+ * @returns {number} Number of users notified
+ */
+export const notifyExpiringShares = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() + SHARE_EXPIRY_NOTICE * 1000);
+  const upcoming = { isActive: true, expiresAt: { $gt: now, $lte: cutoff }, expiryNotifiedAt: null };
+  const isUpcoming = share => share.isActive && !share.expiryNotifiedAt &&
+    share.expiresAt && share.expiresAt > now && share.expiresAt <= cutoff;
+
+  const documents = await Document.find({
+    status: { $ne: 'deleted' },
+    $or: [
+      { sharedWith: { $elemMatch: upcoming } },
+      { sharedWithTeams: { $elemMatch: upcoming } }
+    ]
+  }).select('title sharedWith sharedWithTeams');
+
+  let notified = 0;
+
+  for (const document of documents) {
+    const shares = [
+      ...document.sharedWith.filter(isUpcoming).map(share => ({ share, field: 'sharedWith' })),
+      ...(document.sharedWithTeams || []).filter(isUpcoming).map(share => ({ share, field: 'sharedWithTeams' }))
+    ];
+
+    for (const { share, field } of shares) {
+      const claimed = await Document.updateOne(
+        { _id: document._id, [field]: { $elemMatch: { _id: share._id, expiryNotifiedAt: null } } },
+        { $set: { [`${field}.$.expiryNotifiedAt`]: now } },
+        { timestamps: false }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      const recipients = share.team ? await findTeamMembers([share.team]) : [share.user];
+      const users = await User.find({ _id: { $in: recipients }, isActive: true }).select('name email');
+
+      for (const user of users) {
+        notifyUser(user._id, 'share-expiring', {
+          documentId: document._id,
+          title: document.title,
+          expiresAt: share.expiresAt
+        });
+
+        try {
+          await sendShareExpiringEmail(user, document, share.expiresAt);
+        } catch (error) {
+          logger.error(`Failed to send share expiry notice to ${user.email}:`, error);
+        }
+        notified += 1;
+      }
+    }
+  }
+
+  return notified;
+};
+
+/**
+ * Send expiry reminders, then deactivate shares that have run out
+ * @returns {Object} { expired, notified }
+ */
+export const sweepShares = async (now = new Date()) => {
+  const notified = await notifyExpiringShares(now);
+  const expired = await deactivateExpiredShares(now);
+  return { expired, notified };
+};
+
+/**
+ * Run the share sweep on an interval for the life of the process
+ * @returns {Object} Interval handle
+ */
+export const startShareExpirySweeper = () => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    // A slow sweep should not overlap with the next one
+    if (running) return;
+    running = true;
+
+    try {
+      const { expired, notified } = await sweepShares();
+      if (expired > 0 || notified > 0) {
+        logger.info(`Share sweep: ${expired} share(s) expired, ${notified} expiry notice(s) sent`);
+      }
+    } catch (error) {
+      logger.error('Error sweeping expired shares:', error);
+    } finally {
+      running = false;
+    }
+  }, SHARE_SWEEP_INTERVAL);
+  timer.unref();
+
+  return timer;
+};
@@ -0,0 +1,189 @@
+/**
+ * Document templates
+ *
+ * Built-in system templates are available to every organization next to the templates
+ * an organization creates from its own documents. Template titles and content may use
+ * placeholders that are filled in when a document is created from the template:
+ *   {{date}} {{time}} {{year}} {{user.name}} {{user.email}} {{organization.name}}
+ * Unknown placeholders are left as written.
+ */
+
+export const TEMPLATE_CATEGORIES = ['meeting', 'project', 'report', 'proposal', 'other'];
+
+export const SYSTEM_TEMPLATE_PREFIX = 'system-';
+
+export const SYSTEM_TEMPLATES = [
+  {
+    id: 'system-meeting-notes',
+    title: 'Meeting notes {{date}}',
+    description: 'Agenda, attendees, decisions and action items',
+    templateCategory: 'meeting',
+    contentType: 'markdown',
+    tags: ['meeting'],
+    content: [
+      '# Meeting notes',
+      '',
+      '**Date:** {{date}} {{time}} UTC  ',
+      '**Organizer:** {{user.name}}',
+      '',
+      '## Attendees',
+      '',
+      '- ',
+      '',
+      '## Agenda',
+      '',
+      '1. ',
+      '',
+      '## Decisions',
+      '',
+      '- ',
+      '',
+      '## Action items',
+      '',
+      '- [ ] Owner: task (due date)',
+      ''
+    ].join('\n')
+  },
+  {
+    id: 'system-project-brief',
+    title: 'Project brief',
+    description: 'Goals, scope, milestones and risks for a new project',
+    templateCategory: 'project',
+    contentType: 'markdown',
+    tags: ['project'],
+    content: [
+      '# Project brief',
+      '',
+      '_{{organization.name}} · prepared by {{user.name}} on {{date}}_',
+      '',
+      '## Goals',
+      '',
+      '## Scope',
+      '',
+      '### In scope',
+      '',
+      '### Out of scope',
+      '',
+      '## Milestones',
+      '',
+      '| Milestone | Owner | Target date |',
+      '| --- | --- | --- |',
+      '|  |  |  |',
+      '',
+      '## Risks',
+      ''
+    ].join('\n')
+  },
+  {
+    id: 'system-status-report',
+    title: 'Status report {{date}}',
+    description: 'Weekly progress, blockers and next steps',
+    templateCategory: 'report',
+    contentType: 'markdown',
+    tags: ['report'],
+    content: [
+      '# Status report',
+      '',
+      '**Week of:** {{date}}  ',
+      '**Author:** {{user.name}} ({{user.email}})',
+      '',
+      '## Summary',
+      '',
+      '## Progress',
+      '',
+      '- ',
+      '',
+      '## Blockers',
+      '',
+      '- ',
+      '',
+      '## Next steps',
+      '',
+      '- ',
+      ''
+    ].join('\n')
+  },
+  {
+    id: 'system-proposal',
+    title: 'Proposal',
+    description: 'Problem, proposed solution, costs and timeline',
+    templateCategory: 'proposal',
+    contentType: 'markdown',
+    tags: ['proposal'],
+    content: [
+      '# Proposal',
+      '',
+      '_Submitted to {{organization.name}} by {{user.name}} on {{date}}_',
+      '',
+      '## Problem',
+      '',
+      '## Proposed solution',
+      '',
+      '## Alternatives considered',
+      '',
+      '## Costs',
+      '',
+      '## Timeline',
+      ''
+    ].join('\n')
+  },
+  {
+    id: 'system-blank',
+    title: 'Untitled document',
+    description: 'An empty document',
+    templateCategory: 'other',
+    contentType: 'text',
+    tags: [],
+    content: ''
+  }
+];
+
+export const isSystemTemplateId = (id) => typeof id === 'string' && id.startsWith(SYSTEM_TEMPLATE_PREFIX);
+
+export const findSystemTemplate = (id) => SYSTEM_TEMPLATES.find(template => template.id === id) || null;
+
+/**
+ * Values for template placeholders
+ * @param {Object} context - { user: { name, email }, organization: { name }, now }
+ * @returns {Object} Placeholder name -> value
+ */
+export const buildTemplateValues = ({ user = {}, organization = {}, now = new Date() }) => {
+  const iso = now.toISOString();
+
+  return {
+    date: iso.slice(0, 10),
+    time: iso.slice(11, 16),
+    year: iso.slice(0, 4),
+    'user.name': user.name || '',
+    'user.email': user.email || '',
+    'organization.name': organization.name || ''
+  };
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Values are escaped for the content they land in
+const escapers = {
+  html: escapeHtml,
+  json: (value) => JSON.stringify(value).slice(1, -1)
+};
+
+/**
+ * Fill in placeholders in a template title or content
+ * @param {string} text - Template text
+ * @param {Object} values - Result of buildTemplateValues
+ * @param {string} contentType - text, markdown, html or json
+ * @returns {string} Text with known placeholders replaced
+ */
+export const renderTemplate = (text = '', values, contentType = 'text') => {
+  const escape = escapers[contentType] || (value => value);
+
+  return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, name) => (
+    Object.prototype.hasOwnProperty.call(values, name) ? escape(String(values[name])) : placeholder
+  ));
+};
@@ -0,0 +1,360 @@
+/**
+ * Text diffing utilities based on Myers' O(ND) difference algorithm
+ */
+
+// Beyond this many edits the trace gets expensive; fall back to replacing the changed region
+const MAX_EDIT_DISTANCE = parseInt(process.env.DIFF_MAX_EDIT_DISTANCE) || 4000;
+
+const DEFAULT_CONTEXT_LINES = 3;
+
+/**
+ * Compute the shortest edit script between two sequences
+ * @param {Array} oldItems - Original sequence
+ * @param {Array} newItems - New sequence
+ * @param {Function} equals - Equality comparator
+ * @returns {Array} Operations of { type: 'equal'|'delete'|'insert', oldIndex, newIndex, value }
+ */
+export const diffSequences = (oldItems, newItems, equals = (a, b) => a === b) => {
+  const ops = [];
+
+  // Strip the common prefix and suffix; they never take part in the edit script
+  let start = 0;
+  while (start < oldItems.length && start < newItems.length && equals(oldItems[start], newItems[start])) {
+    start++;
+  }
+
+  let oldEnd = oldItems.length;
+  let newEnd = newItems.length;
+  while (oldEnd > start && newEnd > start && equals(oldItems[oldEnd - 1], newItems[newEnd - 1])) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  for (let i = 0; i < start; i++) {
+    ops.push({ type: 'equal', oldIndex: i, newIndex: i, value: newItems[i] });
+  }
+
+  ops.push(...myersMiddle(oldItems, newItems, start, oldEnd, newEnd, equals));
+
+  for (let i = 0; i < oldItems.length - oldEnd; i++) {
+    ops.push({ type: 'equal', oldIndex: oldEnd + i, newIndex: newEnd + i, value: newItems[newEnd + i] });
+  }
+
+  return ops;
+};
+
+// Myers' greedy forward search over the region [start, oldEnd) x [start, newEnd)
+const myersMiddle = (oldItems, newItems, start, oldEnd, newEnd, equals) => {
+  const n = oldEnd - start;
+  const m = newEnd - start;
+
+  if (n === 0 && m === 0) return [];
+  if (n === 0 || m === 0) return replaceRegion(oldItems, newItems, start, oldEnd, newEnd);
+
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Only diagonals -d..d are reachable at step d, so keep just that slice
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+
+      while (x < n && y < m && equals(oldItems[start + x], newItems[start + y])) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, d, n, m, oldItems, newItems, start);
+      }
+    }
+  }
+
+  return replaceRegion(oldItems, newItems, start, oldEnd, newEnd);
+};
+
+// Walk the saved V arrays back from (n, m) to rebuild the edit script
+const backtrack = (trace, finalD, n, m, oldItems, newItems, start) => {
+  const ops = [];
+  let x = n;
+  let y = m;
+
+  for (let d = finalD; d > 0; d--) {
+    const v = trace[d];
+    // trace[d] holds diagonals -d-1..d+1 of the V array before step d
+    const at = (k) => v[k + d + 1];
+    const k = x - y;
+
+    let prevK;
+    if (k === -d || (k !== d && at(k - 1) < at(k + 1))) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      ops.push({ type: 'equal', oldIndex: start + x, newIndex: start + y, value: newItems[start + y] });
+    }
+
+    if (x === prevX) {
+      y--;
+      ops.push({ type: 'insert', oldIndex: start + x, newIndex: start + y, value: newItems[start + y] });
+    } else {
+      x--;
+      ops.push({ type: 'delete', oldIndex: start + x, newIndex: start + y, value: oldItems[start + x] });
+    }
+  }
+
+  while (x > 0 && y > 0) {
+    x--;
+    y--;
+    ops.push({ type: 'equal', oldIndex: start + x, newIndex: start + y, value: newItems[start + y] });
+  }
+
+  return ops.reverse();
+};
+
+const replaceRegion = (oldItems, newItems, start, oldEnd, newEnd) => {
+  const ops = [];
+  for (let i = start; i < oldEnd; i++) {
+    ops.push({ type: 'delete', oldIndex: i, newIndex: start, value: oldItems[i] });
+  }
+  for (let j = start; j < newEnd; j++) {
+    ops.push({ type: 'insert', oldIndex: oldEnd, newIndex: j, value: newItems[j] });
+  }
+  return ops;
+};
+
+/**
+ * Split text into words, whitespace runs and punctuation for intra-line diffs
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens that concatenate back to the input
+ */
+export const tokenizeWords = (text) => {
+  return text.match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+};
+
+/**
+ * Word-level diff between two lines
+ * @param {string} oldLine - Original line
+ * @param {string} newLine - New line
+ * @returns {Object} Segments for each side: { oldSegments, newSegments }
+ */
+export const diffWords = (oldLine, newLine) => {
+  const ops = diffSequences(tokenizeWords(oldLine), tokenizeWords(newLine));
+  const oldSegments = [];
+  const newSegments = [];
+
+  const push = (segments, type, value) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.value += value;
+    } else {
+      segments.push({ type, value });
+    }
+  };
+
+  ops.forEach(op => {
+    if (op.type === 'equal') {
+      push(oldSegments, 'equal', op.value);
+      push(newSegments, 'equal', op.value);
+    } else if (op.type === 'delete') {
+      push(oldSegments, 'delete', op.value);
+    } else {
+      push(newSegments, 'insert', op.value);
+    }
+  });
+
+  return { oldSegments, newSegments };
+};
+
+// Pair runs of deleted lines with the inserted lines that replace them
+const annotateModifications = (lines) => {
+  let i = 0;
+  while (i < lines.length) {
+    if (lines[i].type !== 'delete') {
+      i++;
+      continue;
+    }
+
+    let deleteEnd = i;
+    while (deleteEnd < lines.length && lines[deleteEnd].type === 'delete') deleteEnd++;
+    let insertEnd = deleteEnd;
+    while (insertEnd < lines.length && lines[insertEnd].type === 'insert') insertEnd++;
+
+    const pairs = Math.min(deleteEnd - i, insertEnd - deleteEnd);
+    for (let p = 0; p < pairs; p++) {
+      const oldLine = lines[i + p];
+      const newLine = lines[deleteEnd + p];
+      const { oldSegments, newSegments } = diffWords(oldLine.content, newLine.content);
+      oldLine.segments = oldSegments;
+      newLine.segments = newSegments;
+      oldLine.modified = true;
+      newLine.modified = true;
+    }
+
+    i = insertEnd;
+  }
+};
+
+/**
+ * Diff two texts line by line and group the changes into hunks with context
+ * @param {string} oldText - Original text
+ * @param {string} newText - New text
+ * @param {Object} options - { context: number of unchanged lines around each change }
+ * @returns {Object} { lines, hunks, stats }
+ */
+export const diffLines = (oldText, newText, options = {}) => {
+  const { context = DEFAULT_CONTEXT_LINES } = options;
+  const oldLines = oldText.split('\n');
+  const newLines = newText.split('\n');
+
+  const lines = diffSequences(oldLines, newLines).map(op => ({
+    type: op.type,
+    content: op.value,
+    oldLineNumber: op.type === 'insert' ? null : op.oldIndex + 1,
+    newLineNumber: op.type === 'delete' ? null : op.newIndex + 1
+  }));
+
+  annotateModifications(lines);
+
+  // Collect [start, end) ranges of lines to show, merging overlapping context
+  const ranges = [];
+  lines.forEach((line, index) => {
+    if (line.type === 'equal') return;
+    const from = Math.max(0, index - context);
+    const to = Math.min(lines.length, index + context + 1);
+    const last = ranges[ranges.length - 1];
+    if (last && from <= last.to) {
+      last.to = Math.max(last.to, to);
+    } else {
+      ranges.push({ from, to });
+    }
+  });
+
+  const hunks = ranges.map(({ from, to }) => {
+    const hunkLines = lines.slice(from, to);
+    const oldCount = hunkLines.filter(l => l.type !== 'insert').length;
+    const newCount = hunkLines.filter(l => l.type !== 'delete').length;
+    const firstOld = hunkLines.find(l => l.oldLineNumber !== null);
+    const firstNew = hunkLines.find(l => l.newLineNumber !== null);
+
+    return {
+      // Unified diff convention: an empty side starts at the line before the hunk
+      oldStart: firstOld ? firstOld.oldLineNumber : precedingLineNumber(lines, from, 'oldLineNumber'),
+      oldLines: oldCount,
+      newStart: firstNew ? firstNew.newLineNumber : precedingLineNumber(lines, from, 'newLineNumber'),
+      newLines: newCount,
+      lines: hunkLines
+    };
+  });
+
+  const deleted = lines.filter(l => l.type === 'delete');
+  const inserted = lines.filter(l => l.type === 'insert');
+  const modifications = deleted.filter(l => l.modified).length;
+
+  return {
+    lines,
+    hunks,
+    stats: {
+      additions: inserted.length - modifications,
+      deletions: deleted.length - modifications,
+      modifications,
+      unchanged: lines.length - deleted.length - inserted.length
+    }
+  };
+};
+
+const precedingLineNumber = (lines, index, field) => {
+  for (let i = index - 1; i >= 0; i--) {
+    if (lines[i][field] !== null) return lines[i][field];
+  }
+  return 0;
+};
+
+/**
+ * Render a line diff as unified diff text
+ * @param {Object} diff - Result of diffLines
+ * @param {Object} options - { oldLabel, newLabel }
+ * @returns {string} Unified diff
+ */
+export const formatUnifiedDiff = (diff, options = {}) => {
+  const { oldLabel = 'a', newLabel = 'b' } = options;
+
+  if (diff.hunks.length === 0) {
+    return '';
+  }
+
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  const prefixes = { equal: ' ', delete: '-', insert: '+' };
+
+  diff.hunks.forEach(hunk => {
+    const oldRange = hunk.oldLines === 1 ? `${hunk.oldStart}` : `${hunk.oldStart},${hunk.oldLines}`;
+    const newRange = hunk.newLines === 1 ? `${hunk.newStart}` : `${hunk.newStart},${hunk.newLines}`;
+    output.push(`@@ -${oldRange} +${newRange} @@`);
+    hunk.lines.forEach(line => output.push(`${prefixes[line.type]}${line.content}`));
+  });
+
+  return output.join('\n') + '\n';
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Render a line diff as an HTML fragment with word-level highlights
+ * @param {Object} diff - Result of diffLines
+ * @returns {string} HTML markup
+ */
+export const formatHtmlDiff = (diff) => {
+  const classes = { equal: 'diff-equal', delete: 'diff-delete', insert: 'diff-insert' };
+  const tags = { delete: 'del', insert: 'ins' };
+
+  const renderContent = (line) => {
+    if (!line.segments) {
+      return escapeHtml(line.content);
+    }
+    return line.segments.map(segment => {
+      const value = escapeHtml(segment.value);
+      return segment.type === 'equal' ? value : `<${tags[segment.type]}>${value}</${tags[segment.type]}>`;
+    }).join('');
+  };
+
+  const hunks = diff.hunks.map(hunk => {
+    const rows = hunk.lines.map(line => (
+      `<tr class="${classes[line.type]}">` +
+      `<td class="diff-line-old">${line.oldLineNumber ?? ''}</td>` +
+      `<td class="diff-line-new">${line.newLineNumber ?? ''}</td>` +
+      `<td class="diff-content">${renderContent(line)}</td>` +
+      '</tr>'
+    ));
+
+    return `<tbody class="diff-hunk" data-old-start="${hunk.oldStart}" data-new-start="${hunk.newStart}">` +
+      `<tr class="diff-hunk-header"><td colspan="3">@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@</td></tr>` +
+      rows.join('') +
+      '</tbody>';
+  });
+
+  return `<table class="diff">${hunks.join('')}</table>`;
+};
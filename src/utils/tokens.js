@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+
+/**
+ * Single-use tokens sent by email (verification, password reset, invitations)
+ * The plain token only travels in the email; the database keeps its SHA-256 hash.
+ *
+ * Secrets the server has to read back (TOTP secrets, SSO client secrets) are instead
+ * encrypted with AES-256-GCM under ENCRYPTION_KEY (falls back to a key derived from JWT_SECRET).
+ */
+
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create a random token with its hash and expiry
+ * @param {number} ttlSeconds - Lifetime in seconds
+ * @returns {Object} { token, hash, expires }
+ */
+export const issueToken = (ttlSeconds) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return {
+    token,
+    hash: hashToken(token),
+    expires: new Date(Date.now() + ttlSeconds * 1000)
+  };
+};
+
+const encryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.ENCRYPTION_KEY || `secrets:${process.env.JWT_SECRET}`)
+  .digest();
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} secret - Plain value
+ * @returns {string} iv:tag:ciphertext, base64
+ */
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a stored secret
+ * @param {string} payload - Value from encryptSecret
+ * @returns {string} Plain value
+ */
+export const decryptSecret = (payload) => {
+  const [iv, tag, ciphertext] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
@@ -1,5 +1,6 @@
 import crypto from 'crypto';
 import { Activity } from '../models/Activity.js';
+import { diffLines, diffSequences, formatUnifiedDiff, formatHtmlDiff } from './textDiff.js';
 
 /**
  * Generate checksum for content
@@ -20,43 +21,149 @@ export const calculateContentSize = (content) => {
 };
 
 /**
- * Generate a simple diff between two text strings
+ * Generate a line diff between two text strings using Myers' algorithm
  * @param {string} oldText - Original text
  * @param {string} newText - New text
- * @returns {Object} Diff object with changes
+ * @param {Object} options - { context: unchanged lines kept around each hunk }
+ * @returns {Object} Diff object with changes, hunks and summary
  */
-export const generateTextDiff = (oldText, newText) => {
+export const generateTextDiff = (oldText, newText, options = {}) => {
+  const diff = diffLines(oldText || '', newText || '', options);
   const changes = [];
-  const oldLines = oldText.split('\n');
-  const newLines = newText.split('\n');
-  
-  const maxLines = Math.max(oldLines.length, newLines.length);
-  
-  for (let i = 0; i < maxLines; i++) {
-    const oldLine = oldLines[i] || '';
-    const newLine = newLines[i] || '';
-    
-    if (oldLine !== newLine) {
+
+  // Pair each run of deleted lines with the inserted lines that follow it
+  let i = 0;
+  while (i < diff.lines.length) {
+    if (diff.lines[i].type === 'equal') {
+      i++;
+      continue;
+    }
+
+    const deleted = [];
+    const inserted = [];
+    while (i < diff.lines.length && diff.lines[i].type === 'delete') deleted.push(diff.lines[i++]);
+    while (i < diff.lines.length && diff.lines[i].type === 'insert') inserted.push(diff.lines[i++]);
+
+    const pairs = Math.min(deleted.length, inserted.length);
+    for (let p = 0; p < pairs; p++) {
       changes.push({
-        lineNumber: i + 1,
-        type: !oldLine ? 'addition' : !newLine ? 'deletion' : 'modification',
-        oldContent: oldLine,
-        newContent: newLine
+        lineNumber: inserted[p].newLineNumber,
+        oldLineNumber: deleted[p].oldLineNumber,
+        type: 'modification',
+        oldContent: deleted[p].content,
+        newContent: inserted[p].content,
+        wordDiff: {
+          old: deleted[p].segments,
+          new: inserted[p].segments
+        }
       });
     }
+    deleted.slice(pairs).forEach(line => changes.push({
+      lineNumber: line.oldLineNumber,
+      oldLineNumber: line.oldLineNumber,
+      type: 'deletion',
+      oldContent: line.content,
+      newContent: ''
+    }));
+    inserted.slice(pairs).forEach(line => changes.push({
+      lineNumber: line.newLineNumber,
+      oldLineNumber: null,
+      type: 'addition',
+      oldContent: '',
+      newContent: line.content
+    }));
   }
-  
+
   return {
     changes,
+    hunks: diff.hunks,
     summary: {
       totalChanges: changes.length,
-      additions: changes.filter(c => c.type === 'addition').length,
-      deletions: changes.filter(c => c.type === 'deletion').length,
-      modifications: changes.filter(c => c.type === 'modification').length
+      additions: diff.stats.additions,
+      deletions: diff.stats.deletions,
+      modifications: diff.stats.modifications,
+      unchanged: diff.stats.unchanged,
+      hunks: diff.hunks.length
     }
   };
 };
 
+/**
+ * Render a diff produced by generateTextDiff in the requested output format
+ * @param {Object} diffResult - Result of generateTextDiff
+ * @param {string} format - 'unified' or 'html'
+ * @param {Object} options - { oldLabel, newLabel } for unified output
+ * @returns {string} Rendered diff
+ */
+export const renderTextDiff = (diffResult, format, options = {}) => {
+  if (format === 'html') {
+    return formatHtmlDiff(diffResult);
+  }
+  return formatUnifiedDiff(diffResult, options);
+};
+
+/**
+ * Create a forward line delta that turns oldText into newText
+ * @param {string} oldText - Base content
+ * @param {string} newText - Target content
+ * @returns {Array} Delta operations: { op: 'retain'|'delete', count } or { op: 'insert', lines }
+ */
+export const createContentDelta = (oldText, newText) => {
+  const delta = [];
+
+  diffSequences(oldText.split('\n'), newText.split('\n')).forEach(({ type, value }) => {
+    const op = type === 'equal' ? 'retain' : type;
+    const last = delta[delta.length - 1];
+
+    if (last && last.op === op) {
+      if (op === 'insert') last.lines.push(value);
+      else last.count++;
+    } else {
+      delta.push(op === 'insert' ? { op, lines: [value] } : { op, count: 1 });
+    }
+  });
+
+  return delta;
+};
+
+/**
+ * Apply a delta produced by createContentDelta
+ * @param {string} baseText - Content the delta was created against
+ * @param {Array} delta - Delta operations
+ * @returns {string} Resulting content
+ */
+export const applyContentDelta = (baseText, delta) => {
+  const baseLines = baseText.split('\n');
+  const result = [];
+  let index = 0;
+
+  delta.forEach(operation => {
+    if (operation.op === 'retain') {
+      result.push(...baseLines.slice(index, index + operation.count));
+      index += operation.count;
+    } else if (operation.op === 'delete') {
+      index += operation.count;
+    } else if (operation.op === 'insert') {
+      result.push(...operation.lines);
+    }
+  });
+
+  if (index !== baseLines.length) {
+    throw new Error(`Delta does not match base content (consumed ${index} of ${baseLines.length} lines)`);
+  }
+
+  return result.join('\n');
+};
+
+/**
+ * Estimate the stored size of a delta in bytes
+ * @param {Array} delta - Delta operations
+ * @returns {number} Approximate size in bytes
+ */
+export const calculateDeltaSize = (delta) => {
+  return calculateContentSize(JSON.stringify(delta));
+};
+
 /**
  * Create a version snapshot with metadata
  * @param {Object} document - Document object
@@ -132,7 +239,7 @@ export const getVersionStatistics = (document) => {
   
   const versions = document.versions;
   const totalSize = versions.reduce((sum, v) => sum + (v.size || 0), 0);
-  const contributors = [...new Set(versions.map(v => v.editedBy?.toString()).filter(Boolean))];
+  const contributors = [...new Set(versions.map(v => (v.editedBy?._id || v.editedBy)?.toString()).filter(Boolean))];
   
   return {
     totalVersions: versions.length,
@@ -0,0 +1,156 @@
+import { jest } from '@jest/globals';
+import bcrypt from 'bcryptjs';
+import request from 'supertest';
+import app from '../src/app.js';
+import redisClient from '../src/config/redis.js';
+import { User } from '../src/models/User.js';
+import { Organization } from '../src/models/Organization.js';
+import { Activity } from '../src/models/Activity.js';
+import { updateOrganization } from '../src/controllers/organizationController.js';
+import {
+  DEFAULT_LOCKOUT_POLICY,
+  getLockoutPolicy,
+  getLoginState,
+  recordLoginFailure,
+  clearLoginFailures
+} from '../src/utils/accountLockout.js';
+import { objectId, query, fakeRedis, invoke } from './helpers.js';
+
+const policy = { maxFailedAttempts: 5, lockoutMinutes: 15, progressiveDelayAfter: 3 };
+
+const connectRedis = () => {
+  redisClient.client = fakeRedis();
+  redisClient.isConnected = true;
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Activity, 'logActivity').mockResolvedValue();
+});
+
+afterEach(() => {
+  redisClient.client = null;
+  redisClient.isConnected = false;
+});
+
+describe('getLockoutPolicy', () => {
+  test('falls back to the defaults for settings an organization has not made', () => {
+    const organization = { settings: { security: { lockout: { maxFailedAttempts: 8 } } } };
+
+    expect(getLockoutPolicy(organization)).toEqual({ ...DEFAULT_LOCKOUT_POLICY, maxFailedAttempts: 8 });
+    expect(getLockoutPolicy(undefined)).toEqual(DEFAULT_LOCKOUT_POLICY);
+  });
+});
+
+describe('failed login tracking', () => {
+  test('slows down and then locks an account', async () => {
+    connectRedis();
+    const userId = objectId();
+
+    expect(await recordLoginFailure(userId, policy)).toEqual({ failures: 1, locked: false, retryAfter: 0 });
+    await recordLoginFailure(userId, policy);
+    expect(await recordLoginFailure(userId, policy)).toEqual({ failures: 3, locked: false, retryAfter: 2 });
+    expect(await getLoginState(userId)).toMatchObject({ allowed: false, reason: 'throttled' });
+
+    await recordLoginFailure(userId, policy);
+    const locked = await recordLoginFailure(userId, policy);
+
+    expect(locked).toEqual({ failures: 5, locked: true, retryAfter: 15 * 60 });
+    expect(await getLoginState(userId)).toMatchObject({ allowed: false, reason: 'locked', retryAfter: 15 * 60 });
+  });
+
+  test('lifts the lock once failures are cleared', async () => {
+    connectRedis();
+    const userId = objectId();
+    for (let i = 0; i < policy.maxFailedAttempts; i += 1) {
+      await recordLoginFailure(userId, policy);
+    }
+
+    expect(await clearLoginFailures(userId)).toBe(true);
+    expect(await getLoginState(userId)).toEqual({ allowed: true, failures: 0 });
+  });
+
+  test('tracks nothing without Redis', async () => {
+    const userId = objectId();
+
+    expect(await recordLoginFailure(userId, policy)).toEqual({ failures: 0, locked: false, retryAfter: 0 });
+    expect(await getLoginState(userId)).toEqual({ allowed: true, failures: 0 });
+  });
+});
+
+describe('POST /api/auth/login with lockout', () => {
+  let user;
+
+  beforeEach(async () => {
+    const organization = new Organization({ name: 'Acme', domain: 'acme.test', slug: 'acme', isActive: true });
+    user = new User({
+      name: 'Ada',
+      email: 'ada@acme.test',
+      password: await bcrypt.hash('Correct-horse-1', 4),
+      role: 'editor',
+      organization,
+      isActive: true
+    });
+    jest.spyOn(User, 'findOne').mockReturnValue(query(user));
+    connectRedis();
+  });
+
+  test('counts a wrong password against the account', async () => {
+    const res = await request(app).post('/api/auth/login').send({ email: user.email, password: 'Wrong-horse-1' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_CREDENTIALS');
+    expect(await getLoginState(user._id)).toEqual({ allowed: true, failures: 1 });
+  });
+
+  test('refuses a locked account before checking the password', async () => {
+    for (let i = 0; i < policy.maxFailedAttempts; i += 1) {
+      await recordLoginFailure(user._id, policy);
+    }
+    const comparePassword = jest.spyOn(User.prototype, 'comparePassword');
+
+    const res = await request(app).post('/api/auth/login').send({ email: user.email, password: 'Correct-horse-1' });
+
+    expect(res.status).toBe(423);
+    expect(res.body.code).toBe('ACCOUNT_LOCKED');
+    expect(res.headers['retry-after']).toBe(String(15 * 60));
+    expect(comparePassword).not.toHaveBeenCalled();
+  });
+});
+
+describe('lockout settings', () => {
+  const organizationId = objectId();
+
+  const update = async (lockout) => {
+    const organization = new Organization({
+      _id: organizationId,
+      name: 'Acme',
+      domain: 'acme.test',
+      settings: { security: { lockout: { maxFailedAttempts: 10, progressiveDelayAfter: 3 } } }
+    });
+    jest.spyOn(Organization, 'findById').mockResolvedValue(organization);
+    const save = jest.spyOn(Organization.prototype, 'save').mockResolvedValue();
+
+    const { res, error } = await invoke(updateOrganization, {
+      user: { id: objectId(), role: 'admin', organization: { id: organizationId }, permissions: ['organization.manage'] },
+      body: { settings: { security: { lockout } } }
+    });
+    return { organization, save, res, error };
+  };
+
+  test('refuses a delay threshold at or above the resulting attempt limit', async () => {
+    const { save, error } = await update({ progressiveDelayAfter: 6 });
+
+    expect(error).toMatchObject({ statusCode: 400, code: 'VALIDATION_ERROR' });
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('accepts a threshold below the attempt limit sent with it', async () => {
+    const { organization, save, res, error } = await update({ maxFailedAttempts: 8, progressiveDelayAfter: 6 });
+
+    expect(error).toBeNull();
+    expect(save).toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    expect(getLockoutPolicy(organization)).toMatchObject({ maxFailedAttempts: 8, progressiveDelayAfter: 6 });
+  });
+});
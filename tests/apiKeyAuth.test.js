@@ -0,0 +1,126 @@
+import { jest } from '@jest/globals';
+import { authenticate } from '../src/middleware/auth.js';
+import { ApiKey } from '../src/models/ApiKey.js';
+import { User } from '../src/models/User.js';
+import { Organization } from '../src/models/Organization.js';
+import { Role, DEFAULT_ROLES } from '../src/models/Role.js';
+import { Team } from '../src/models/Team.js';
+import { hashToken } from '../src/utils/tokens.js';
+import { objectId, query } from './helpers.js';
+
+const organizationId = objectId();
+const { key, prefix, keyHash } = ApiKey.generateKey();
+
+const owner = (role, fields = {}) => new User({
+  name: 'Ada',
+  email: 'ada@acme.test',
+  password: 'unused-password',
+  role,
+  organization: new Organization({
+    _id: organizationId,
+    name: 'Acme',
+    domain: 'acme.test',
+    isActive: true,
+    subscription: { plan: 'enterprise' }
+  }),
+  isActive: true,
+  ...fields
+});
+
+const apiKey = (scopes, fields = {}) => new ApiKey({
+  organization: organizationId,
+  name: 'CI',
+  prefix,
+  keyHash,
+  scopes,
+  createdBy: objectId(),
+  ...fields
+});
+
+// Run the middleware for a request made with the key and resolve once it answers or passes it on
+const authenticateWithKey = ({ method = 'GET', baseUrl = '/api/documents' } = {}) => new Promise((resolve) => {
+  const req = { headers: { authorization: `ApiKey ${key}` }, method, baseUrl, ip: '127.0.0.1' };
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(body => resolve({ req, status: res.status.mock.calls[0]?.[0], body }));
+  authenticate(req, res, () => resolve({ req, status: null, body: null }));
+});
+
+const signInAs = (keyDoc, user) => {
+  jest.spyOn(ApiKey, 'findOne').mockResolvedValue(keyDoc);
+  jest.spyOn(User, 'findById').mockReturnValue(query(user));
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Role, 'getPermissions').mockImplementation(async (organization, role) => DEFAULT_ROLES[role].permissions);
+  jest.spyOn(Team, 'findTeamIds').mockResolvedValue([]);
+  jest.spyOn(ApiKey, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+});
+
+describe('API key authentication', () => {
+  test('limits a write key to what a viewer owner may do', async () => {
+    signInAs(apiKey(['documents:read', 'documents:write']), owner('viewer'));
+
+    const { req, status } = await authenticateWithKey();
+
+    expect(status).toBeNull();
+    expect(req.user.role).toBe('viewer');
+    expect(req.user.permissions).toEqual(DEFAULT_ROLES.viewer.permissions);
+    expect(req.apiKey.scopes).toEqual(['documents:read', 'documents:write']);
+  });
+
+  test('never gives an admin\'s key more than the key\'s own role', async () => {
+    signInAs(apiKey(['documents:read']), owner('admin'));
+
+    const { req } = await authenticateWithKey();
+
+    expect(req.user.role).toBe('viewer');
+    expect(req.user.permissions).not.toContain('member.manage');
+    expect(req.user.permissions).not.toContain('document.edit');
+  });
+
+  test('refuses requests outside the key\'s scopes', async () => {
+    signInAs(apiKey(['documents:read']), owner('editor'));
+
+    const write = await authenticateWithKey({ method: 'POST' });
+    const folders = await authenticateWithKey({ baseUrl: '/api/folders' });
+
+    expect(write).toMatchObject({ status: 403, body: { code: 'INSUFFICIENT_SCOPE', requiredScope: 'documents:write' } });
+    expect(folders).toMatchObject({ status: 403, body: { code: 'INSUFFICIENT_SCOPE', requiredScope: 'folders:read' } });
+  });
+
+  test('refuses keys on endpoints they are not meant for', async () => {
+    signInAs(apiKey(['documents:read']), owner('editor'));
+
+    const { status, body } = await authenticateWithKey({ baseUrl: '/api/organizations' });
+
+    expect(status).toBe(403);
+    expect(body.code).toBe('API_KEY_NOT_ALLOWED');
+  });
+
+  test('only looks up keys that are neither revoked nor expired', async () => {
+    const findOne = jest.spyOn(ApiKey, 'findOne').mockResolvedValue(null);
+
+    const { status, body } = await authenticateWithKey();
+
+    expect(status).toBe(401);
+    expect(body.code).toBe('INVALID_API_KEY');
+    expect(findOne).toHaveBeenCalledWith({
+      keyHash: hashToken(key),
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: expect.any(Date) } }]
+    });
+    expect(apiKey(['documents:read'], { revokedAt: new Date() }).isActive).toBe(false);
+    expect(apiKey(['documents:read'], { expiresAt: new Date(Date.now() - 1000) }).isActive).toBe(false);
+  });
+
+  test('refuses a key whose owner was deactivated', async () => {
+    signInAs(apiKey(['documents:read']), owner('editor', { isActive: false }));
+
+    const { status, body } = await authenticateWithKey();
+
+    expect(status).toBe(401);
+    expect(body.code).toBe('API_KEY_INACTIVE');
+  });
+});
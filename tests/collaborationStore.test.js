@@ -0,0 +1,117 @@
+import { RedisCollaborationStore } from '../src/utils/collaborationStore.js';
+
+// In-memory Redis holding the strings, hashes and lists the store uses. Every command yields
+// to the event loop first so calls from two nodes interleave like they would over the network
+const sharedRedis = () => {
+  const data = new Map();
+  const hash = key => data.get(key) || data.set(key, new Map()).get(key);
+  const list = key => data.get(key) || data.set(key, []).get(key);
+
+  const commands = {
+    del: (...keys) => keys.filter(key => data.delete(key)).length,
+    expire: () => 1,
+    get: key => data.get(key) ?? null,
+    set: (key, value, ...flags) => {
+      if (flags.includes('NX') && data.has(key)) return null;
+      data.set(key, String(value));
+      return 'OK';
+    },
+    hget: (key, field) => data.get(key)?.get(field) ?? null,
+    hmget: (key, ...fields) => fields.map(field => commands.hget(key, field)),
+    hset: (key, ...pairs) => {
+      for (let index = 0; index < pairs.length; index += 2) {
+        hash(key).set(pairs[index], String(pairs[index + 1]));
+      }
+      return pairs.length / 2;
+    },
+    llen: key => data.get(key)?.length ?? 0,
+    rpush: (key, ...values) => list(key).push(...values),
+    lrange: (key, start, stop) => list(key).slice(start, stop === -1 ? undefined : stop + 1),
+    ltrim: (key, start) => {
+      data.set(key, list(key).slice(start));
+      return 'OK';
+    },
+    // Only the lock release script runs in these tests
+    eval: (script, keyCount, key, token) => (data.get(key) === token ? commands.del(key) : 0)
+  };
+
+  const client = {};
+  for (const [name, command] of Object.entries(commands)) {
+    client[name] = async (...args) => {
+      await new Promise(resolve => setImmediate(resolve));
+      return command(...args);
+    };
+  }
+
+  // Queued commands run together, like MULTI/EXEC
+  client.multi = () => {
+    const queued = [];
+    const chain = {
+      exec: async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        return queued.map(([name, args]) => [null, commands[name](...args)]);
+      }
+    };
+    for (const name of Object.keys(commands)) {
+      chain[name] = (...args) => {
+        queued.push([name, args]);
+        return chain;
+      };
+    }
+    return chain;
+  };
+
+  return client;
+};
+
+const documentId = 'doc-1';
+const initial = 'The quick brown fox';
+
+describe('RedisCollaborationStore on two nodes', () => {
+  let nodes;
+
+  beforeEach(async () => {
+    const redis = sharedRedis();
+    nodes = [new RedisCollaborationStore(redis), new RedisCollaborationStore(redis)];
+    await Promise.all(nodes.map(node => node.loadDocument(documentId, async () => ({ content: initial, revision: 0 }))));
+  });
+
+  test('sequences concurrent operations from both nodes into one history', async () => {
+    // Every client edits revision 0 without having seen anyone else's change, each at its own position
+    const edits = [
+      { ops: [4, 'slow', -5, 10] },
+      { ops: [19, ' jumps'] },
+      { ops: ['Oh, ', 19] },
+      { ops: [10, 'red', -5, 4] },
+      { ops: [16, 'cat', -3] },
+      { ops: [9, ' and sly', 10] }
+    ];
+
+    const results = await Promise.all(edits.map((operation, index) =>
+      nodes[index % 2].submitOperation(documentId, operation, 0, { userId: `user-${index}`, operationId: `op-${index}` })
+    ));
+
+    expect(results.map(result => result.revision).sort((a, b) => a - b)).toEqual([1, 2, 3, 4, 5, 6]);
+
+    const [first, second] = await Promise.all(nodes.map(node => node.getDocument(documentId)));
+    expect(first).toEqual(second);
+    expect(first.revision).toBe(edits.length);
+    expect(first.content).toBe('Oh, The slow and sly red cat jumps');
+
+    // Replaying the shared log from the start arrives at the same text on either node
+    const { entries } = await nodes[1].getOperationsSince(documentId, 0);
+    expect(entries.reduce((content, entry) => entry.operation.apply(content), initial))
+      .toBe(first.content);
+  });
+
+  test('applies an operation resent to the other node only once', async () => {
+    const operation = { ops: [19, '!'] };
+    const meta = { userId: 'user-1', operationId: 'op-1' };
+
+    await nodes[0].submitOperation(documentId, operation, 0, meta);
+    const resent = await nodes[1].submitOperation(documentId, operation, 0, meta);
+
+    expect(resent.duplicate).toBe(true);
+    expect(await nodes[1].getDocument(documentId)).toEqual({ content: `${initial}!`, revision: 1 });
+  });
+});
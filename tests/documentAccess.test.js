@@ -0,0 +1,199 @@
+import { jest } from '@jest/globals';
+import { Document } from '../src/models/Document.js';
+import { Folder } from '../src/models/Folder.js';
+import { User } from '../src/models/User.js';
+import { Team } from '../src/models/Team.js';
+import { Activity } from '../src/models/Activity.js';
+import { explainDocumentAccess, updateDocument } from '../src/controllers/documentController.js';
+import { objectId, query, invoke } from './helpers.js';
+
+const organizationId = objectId();
+const ownerId = objectId();
+const userId = objectId();
+const teamId = objectId();
+
+const HOUR = 60 * 60 * 1000;
+
+const folder = (name, parent = null, fields = {}) => new Folder({
+  name,
+  parent: parent?._id,
+  path: parent ? `${parent.path}/${parent.name}` : '',
+  level: parent ? parent.level + 1 : 0,
+  owner: ownerId,
+  organization: organizationId,
+  ...fields
+});
+
+const document = (fields = {}) => new Document({
+  title: 'Plan',
+  owner: ownerId,
+  organization: organizationId,
+  ...fields
+});
+
+const userShare = (permission, fields = {}) => ({ user: userId, permission, sharedBy: ownerId, ...fields });
+const teamShare = (permission, fields = {}) => ({ team: teamId, permission, sharedBy: ownerId, ...fields });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Document#getEffectiveAccess', () => {
+  test('gives the owner admin access', async () => {
+    expect(await document().getEffectiveAccess(ownerId)).toMatchObject({ source: 'owner', permission: 'admin' });
+  });
+
+  test('picks the strongest of the user\'s own and team shares', async () => {
+    const doc = document({ sharedWith: [userShare('viewer')], sharedWithTeams: [teamShare('editor')] });
+
+    expect(await doc.getEffectiveAccess(userId, [teamId])).toMatchObject({ source: 'team', permission: 'editor' });
+    expect(await doc.getEffectiveAccess(userId)).toMatchObject({ source: 'user', permission: 'viewer' });
+  });
+
+  test('ignores expired and deactivated shares', async () => {
+    const doc = document({
+      sharedWith: [userShare('admin', { expiresAt: new Date(Date.now() - HOUR) })],
+      sharedWithTeams: [teamShare('editor', { isActive: false })]
+    });
+
+    expect(await doc.getEffectiveAccess(userId, [teamId])).toBeNull();
+    expect(await doc.hasEffectivePermission(userId, 'viewer', [teamId])).toBe(false);
+  });
+
+  test('honors a share until it expires', async () => {
+    const doc = document({ sharedWith: [userShare('editor', { expiresAt: new Date(Date.now() + HOUR) })] });
+
+    expect(await doc.hasEffectivePermission(userId, 'editor')).toBe(true);
+  });
+
+  test('inherits shares from every folder above the document', async () => {
+    const root = folder('Projects', null, { sharedWithTeams: [teamShare('editor')] });
+    const child = folder('Apollo', root);
+    jest.spyOn(Folder, 'getAncestry').mockResolvedValue([child, root]);
+
+    const access = await document({ folder: child._id }).getEffectiveAccess(userId, [teamId]);
+
+    expect(Folder.getAncestry).toHaveBeenCalledWith(child._id);
+    expect(access).toMatchObject({
+      source: 'folder',
+      via: 'team',
+      permission: 'editor',
+      folder: { id: root._id, name: 'Projects' }
+    });
+  });
+
+  test('skips folder shares when the document does not inherit them', async () => {
+    const root = folder('Projects', null, { sharedWith: [userShare('editor')] });
+    jest.spyOn(Folder, 'getAncestry').mockResolvedValue([root]);
+
+    const doc = document({ folder: root._id, settings: { inheritPermissions: false } });
+
+    expect(await doc.getEffectiveAccess(userId)).toBeNull();
+    expect(Folder.getAncestry).not.toHaveBeenCalled();
+  });
+
+  test('lets anyone in the organization view organization documents', async () => {
+    const doc = document({ visibility: 'organization' });
+
+    expect(await doc.getEffectiveAccess(userId)).toMatchObject({ source: 'organization', permission: 'viewer' });
+    expect(await doc.hasEffectivePermission(userId, 'editor')).toBe(false);
+  });
+});
+
+describe('Folder#hasEffectivePermission', () => {
+  test('grants what a share on a parent folder grants', async () => {
+    const root = folder('Projects', null, { sharedWith: [userShare('editor')] });
+    const child = folder('Apollo', root);
+    jest.spyOn(Folder, 'getAncestry').mockResolvedValue([root]);
+
+    expect(await child.hasEffectivePermission(userId, 'editor')).toBe(true);
+    expect(await child.hasEffectivePermission(userId, 'admin')).toBe(false);
+    expect(Folder.getAncestry).toHaveBeenCalledWith(root._id);
+  });
+
+  test('refuses users with no share on the folder or above it', async () => {
+    const child = folder('Apollo', folder('Projects'));
+    jest.spyOn(Folder, 'getAncestry').mockResolvedValue([]);
+
+    expect(await child.hasEffectivePermission(userId, 'viewer')).toBe(false);
+  });
+});
+
+describe('explainDocumentAccess', () => {
+  const explain = (doc) => {
+    jest.spyOn(Document, 'findOne').mockReturnValue(query(doc));
+    jest.spyOn(User, 'findOne').mockReturnValue(query(new User({
+      _id: userId,
+      name: 'Ada',
+      email: 'ada@acme.test',
+      password: 'unused-password',
+      role: 'viewer',
+      organization: organizationId
+    })));
+    jest.spyOn(Team, 'find').mockReturnValue(query([]));
+
+    return invoke(explainDocumentAccess, {
+      params: { id: doc._id.toString() },
+      user: { id: userId, role: 'viewer', teams: [], organization: { id: organizationId } }
+    });
+  };
+
+  test('shows a user the grants behind their own access', async () => {
+    const { res } = await explain(document({ sharedWith: [userShare('editor')] }));
+
+    expect(res.json.mock.calls[0][0].data).toMatchObject({
+      document: { title: 'Plan' },
+      canView: true,
+      permission: 'editor',
+      grants: [{ source: 'user', permission: 'editor' }]
+    });
+  });
+
+  test('tells a user without access nothing about the document', async () => {
+    const root = folder('Board', null);
+    const { res } = await explain(document({ title: 'Merger terms', folder: root._id, settings: { inheritPermissions: false } }));
+
+    const { data } = res.json.mock.calls[0][0];
+    expect(data).toEqual({
+      user: expect.objectContaining({ id: userId }),
+      canView: false,
+      reason: 'The user has no access to the document'
+    });
+  });
+});
+
+describe('updateDocument folder moves', () => {
+  const move = (doc, target) => {
+    jest.spyOn(Document, 'findOne').mockResolvedValue(doc);
+    jest.spyOn(Folder, 'findOne').mockResolvedValue(target);
+    jest.spyOn(Folder, 'getAncestry').mockResolvedValue([]);
+    jest.spyOn(Document.prototype, 'save').mockResolvedValue();
+    jest.spyOn(Activity, 'trackDocumentChange').mockResolvedValue();
+
+    return invoke(updateDocument, {
+      params: { id: doc._id.toString() },
+      body: { folder: target._id.toString() },
+      user: { id: userId, role: 'editor', teams: [], organization: { id: organizationId } }
+    });
+  };
+
+  test('refuses to move a document into a folder the user cannot edit', async () => {
+    const doc = document({ sharedWith: [userShare('editor')] });
+
+    const { error } = await move(doc, folder('Board', null, { sharedWith: [userShare('viewer')] }));
+
+    expect(error).toMatchObject({ statusCode: 403, code: 'FOLDER_ACCESS_DENIED' });
+    expect(Document.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('moves a document into a folder the user can edit', async () => {
+    const doc = document({ sharedWith: [userShare('editor')] });
+    const target = folder('Drafts', null, { sharedWith: [userShare('editor')] });
+    jest.spyOn(Document.prototype, 'populate').mockResolvedValue();
+
+    const { error } = await move(doc, target);
+
+    expect(error).toBeNull();
+    expect(doc.folder).toEqual(target._id);
+  });
+});
@@ -0,0 +1,115 @@
+import { jest } from '@jest/globals';
+import { exportDocument } from '../src/controllers/documentController.js';
+import { Document } from '../src/models/Document.js';
+import { Activity } from '../src/models/Activity.js';
+import { renderExport, exportFileName, BUNDLE_FORMAT } from '../src/utils/documentFormats.js';
+import { objectId, invoke } from './helpers.js';
+
+const organizationId = objectId();
+const ownerId = objectId();
+
+const document = (fields = {}) => new Document({
+  title: 'Q3 Plan: draft #2',
+  content: '# Goals\n\nShip **search**.',
+  contentType: 'markdown',
+  owner: ownerId,
+  organization: organizationId,
+  visibility: 'organization',
+  ...fields
+});
+
+describe('renderExport', () => {
+  test('renders markdown as a standalone HTML page', () => {
+    const { body, mimeType, fileName } = renderExport(document(), 'html');
+
+    expect(mimeType).toBe('text/html');
+    expect(fileName).toBe('Q3-Plan-draft-2.html');
+    expect(body).toMatch(/^<!DOCTYPE html>/);
+    expect(body).toContain('<title>Q3 Plan: draft #2</title>');
+    expect(body).toContain('<h1>Goals</h1>');
+    expect(body).toContain('<strong>search</strong>');
+  });
+
+  test('shows raw HTML in markdown as text instead of passing it through', () => {
+    const { body } = renderExport(document({ content: 'Hi <script>alert(1)</script>' }), 'html');
+
+    expect(body).not.toContain('<script>');
+    expect(body).toContain('&lt;script&gt;');
+  });
+
+  test('keeps plain text literal when exported as markdown', () => {
+    const { body } = renderExport(document({ content: '# not a heading\n2 * 3', contentType: 'text' }), 'md');
+
+    expect(body).toBe('\\# not a heading  \n2 \\* 3');
+  });
+
+  test('exports HTML as readable text', () => {
+    const { body } = renderExport(document({ content: '<p>One &amp; two</p><p>Three</p>', contentType: 'html' }), 'txt');
+
+    expect(body.trim()).toBe('One & two\n\nThree');
+  });
+
+  test('bundles the document and its versions as JSON', () => {
+    const versions = [{ versionNumber: 1, content: 'first' }];
+
+    const bundle = JSON.parse(renderExport(document(), 'json', { versions }).body);
+
+    expect(bundle).toMatchObject({ format: BUNDLE_FORMAT, document: { title: 'Q3 Plan: draft #2', contentType: 'markdown' }, versions });
+  });
+
+  test('refuses unknown formats and names files after the title', () => {
+    expect(() => renderExport(document(), 'pdf')).toThrow('Unsupported export format: pdf');
+    expect(exportFileName('///', 'md')).toBe('document.md');
+  });
+});
+
+describe('GET /api/documents/:id/export', () => {
+  const download = (exported, userId, query = {}) => {
+    jest.spyOn(Document, 'findOne').mockResolvedValue(exported);
+    return invoke(exportDocument, {
+      user: { id: userId, organization: { id: organizationId }, teams: [] },
+      params: { id: String(exported._id) },
+      query
+    });
+  };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(Activity, 'logActivity').mockResolvedValue();
+  });
+
+  test('sends the file as an attachment and records the export', async () => {
+    const { res, error } = await download(document(), objectId(), { format: 'md' });
+
+    expect(error).toBeNull();
+    expect(res.attachment).toHaveBeenCalledWith('Q3-Plan-draft-2.md');
+    expect(res.type).toHaveBeenCalledWith('text/markdown; charset=utf-8');
+    expect(res.send).toHaveBeenCalledWith('# Goals\n\nShip **search**.');
+    expect(Activity.logActivity).toHaveBeenCalledWith(expect.objectContaining({ action: 'document_exported', tags: ['export', 'md'] }));
+  });
+
+  test('includes the version history in JSON bundles on request', async () => {
+    const exported = document();
+    jest.spyOn(exported, 'exportVersions').mockResolvedValue({ versions: [{ versionNumber: 1 }] });
+
+    const { res } = await download(exported, ownerId, { format: 'json', includeVersions: true });
+
+    expect(JSON.parse(res.send.mock.calls[0][0]).versions).toEqual([{ versionNumber: 1 }]);
+  });
+
+  test('honours disabled downloads for everyone but the owner', async () => {
+    const locked = document({ settings: { allowDownload: false } });
+
+    const reader = await download(locked, objectId());
+    const owner = await download(locked, ownerId);
+
+    expect(reader.error).toMatchObject({ statusCode: 403, code: 'DOWNLOAD_DISABLED' });
+    expect(owner.error).toBeNull();
+  });
+
+  test('refuses readers who cannot see the document', async () => {
+    const { error } = await download(document({ visibility: 'private' }), objectId());
+
+    expect(error).toMatchObject({ statusCode: 403, code: 'ACCESS_DENIED' });
+  });
+});
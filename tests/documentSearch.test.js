@@ -0,0 +1,119 @@
+import { jest } from '@jest/globals';
+import { searchDocuments } from '../src/controllers/documentController.js';
+import { Document } from '../src/models/Document.js';
+import { Folder } from '../src/models/Folder.js';
+import { User } from '../src/models/User.js';
+import { parseSearchQuery, buildTextSearch, highlightMatches } from '../src/utils/searchQuery.js';
+import { objectId, query, invoke } from './helpers.js';
+
+describe('parseSearchQuery', () => {
+  test('splits words, phrases, exclusions and filters', () => {
+    const parsed = parseSearchQuery('roadmap "q3 planning" -draft tag:product owner:me -status:archived folder:"Team Notes" http://x');
+
+    expect(parsed).toMatchObject({
+      terms: ['roadmap', 'http://x'],
+      phrases: ['q3 planning'],
+      excluded: ['draft'],
+      filters: {
+        tag: { include: ['product'], exclude: [] },
+        owner: { include: ['me'], exclude: [] },
+        status: { include: [], exclude: ['archived'] },
+        folder: { include: ['Team Notes'], exclude: [] }
+      }
+    });
+  });
+
+  test('builds a $text search only when something positive is asked for', () => {
+    expect(buildTextSearch(parseSearchQuery('plan "next step" -"old idea" -draft'))).toBe('plan "next step" -"old idea" -draft');
+    expect(buildTextSearch(parseSearchQuery('-draft tag:x'))).toBeNull();
+  });
+});
+
+describe('highlightMatches', () => {
+  test('marks stemmed words and phrases in the title and a snippet, escaping the rest', () => {
+    const text = `${'Filler words. '.repeat(20)}We are planning <the> launch plans for Q3 planning week.`;
+
+    const { title, snippets } = highlightMatches({ title: 'Plans & goals', text }, parseSearchQuery('planning "q3 planning"'));
+
+    expect(title).toBe('<mark>Plans</mark> &amp; goals');
+    expect(snippets).toHaveLength(1);
+    expect(snippets[0]).toMatch(/^…/);
+    expect(snippets[0]).toContain('<mark>planning</mark> &lt;the&gt; launch <mark>plans</mark> for <mark>Q3 planning</mark> week.');
+  });
+
+  test('falls back to the opening of the document when nothing visible matches', () => {
+    const { snippets } = highlightMatches({ title: 'Notes', text: 'Nothing relevant here' }, parseSearchQuery('tag:x'));
+
+    expect(snippets).toEqual(['Nothing relevant here']);
+  });
+});
+
+describe('GET /api/documents/search', () => {
+  const organizationId = objectId();
+  const userId = objectId();
+  const user = { id: userId, organization: { id: organizationId }, teams: [] };
+  const found = { _id: objectId(), title: 'Launch plan', content: '# Launch\n\nWe **plan** the launch.', contentType: 'markdown', score: 1.5 };
+
+  const search = q => invoke(searchDocuments, { user, query: { q, page: 1, limit: 20 } });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(Folder, 'findSharedFolderIds').mockResolvedValue([]);
+    jest.spyOn(Document, 'find').mockReturnValue(query([found]));
+    jest.spyOn(Document, 'countDocuments').mockResolvedValue(1);
+  });
+
+  test('ranks accessible documents with the text index and highlights readable text', async () => {
+    const { res, error } = await search('plan tag:Product -status:archived');
+
+    expect(error).toBeNull();
+    const [filter, projection] = Document.find.mock.calls[0];
+    expect(filter).toMatchObject({
+      organization: organizationId,
+      status: { $in: ['draft', 'published'] },
+      $and: [{ tags: { $all: ['product'] } }],
+      $text: { $search: 'plan' }
+    });
+    expect(projection).toEqual({ score: { $meta: 'textScore' } });
+
+    const { results, pagination } = res.json.mock.calls[0][0].data;
+    expect(pagination).toMatchObject({ total: 1, pages: 1, hasNext: false });
+    expect(results[0]).toMatchObject({
+      document: { id: found._id, title: 'Launch plan' },
+      score: 1.5,
+      highlights: { title: 'Launch <mark>plan</mark>', snippets: ['Launch We <mark>plan</mark> the launch.'] }
+    });
+  });
+
+  test('resolves owner filters by email and never lists deleted documents', async () => {
+    const owner = { _id: objectId() };
+    jest.spyOn(User, 'findOne').mockReturnValue(query(owner));
+
+    await search('owner:Ada@Acme.test status:deleted');
+
+    expect(User.findOne).toHaveBeenCalledWith({ organization: organizationId, email: 'ada@acme.test' });
+    const [filter] = Document.find.mock.calls[0];
+    expect(filter.status).toEqual({ $in: [] });
+    expect(filter.$and).toEqual([{ owner: { $in: [owner._id] } }]);
+    expect(filter.$text).toBeUndefined();
+  });
+
+  test('keeps answering with pattern matching while the text index is rebuilt', async () => {
+    Document.find
+      .mockReturnValueOnce(query(Promise.reject(Object.assign(new Error('text index required'), { code: 27 }))))
+      .mockReturnValueOnce(query([found]));
+
+    const { error } = await search('launch');
+
+    expect(error).toBeNull();
+    const [filter] = Document.find.mock.calls[1];
+    expect(filter.$text).toBeUndefined();
+    expect(filter.$and).toEqual([{ $or: [{ title: /launch/i }, { content: /launch/i }] }]);
+  });
+
+  test('refuses a query with nothing to search for', async () => {
+    const { error } = await search('   ');
+
+    expect(error).toMatchObject({ statusCode: 400, code: 'EMPTY_SEARCH' });
+  });
+});
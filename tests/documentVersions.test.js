@@ -0,0 +1,134 @@
+import { jest } from '@jest/globals';
+import { DocumentVersion } from '../src/models/DocumentVersion.js';
+import { objectId } from './helpers.js';
+
+const SNAPSHOT_INTERVAL = 10;
+const documentId = objectId();
+const document = { _id: documentId, organization: objectId(), title: 'Plan' };
+const editedBy = objectId();
+
+// In-memory version collection with the unique (document, versionNumber) index
+let rows;
+
+const matches = (row, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (condition && typeof condition === 'object' && !condition._bsontype) {
+    return Object.entries(condition).every(([operator, value]) => ({
+      $lt: () => row[field] < value,
+      $lte: () => row[field] <= value,
+      $gt: () => row[field] > value,
+      $gte: () => row[field] >= value,
+      $in: () => value.includes(row[field])
+    })[operator]());
+  }
+  return String(row[field]) === String(condition);
+});
+
+const find = (filter, single = false) => {
+  let found = rows.filter(row => matches(row, filter));
+  let limit = 0;
+  const chain = {
+    sort: (spec) => {
+      const [[field, direction]] = Object.entries(spec);
+      found = [...found].sort((a, b) => (a[field] - b[field]) * direction);
+      return chain;
+    },
+    limit: (count) => { limit = count; return chain; },
+    select: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => {
+      const result = limit ? found.slice(0, limit) : found;
+      return Promise.resolve(single ? result[0] || null : result).then(resolve, reject);
+    }
+  };
+  return chain;
+};
+
+const contentOf = versionNumber => DocumentVersion.getContent(documentId, versionNumber);
+const save = (content, number) => DocumentVersion.createVersion(document, { content, editedBy, changeDescription: `v${number}` });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  rows = [];
+  jest.spyOn(DocumentVersion, 'find').mockImplementation(filter => find(filter));
+  jest.spyOn(DocumentVersion, 'findOne').mockImplementation(filter => find(filter, true));
+  jest.spyOn(DocumentVersion, 'countDocuments').mockImplementation(async filter => rows.filter(row => matches(row, filter)).length);
+  jest.spyOn(DocumentVersion.prototype, 'save').mockImplementation(async function () {
+    if (rows.some(row => row.versionNumber === this.versionNumber)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    rows.push(this.toObject());
+    return this;
+  });
+  jest.spyOn(DocumentVersion, 'bulkWrite').mockImplementation(async (operations) => {
+    for (const { updateOne: { filter, update } } of operations) {
+      const row = rows.find(candidate => matches(candidate, filter));
+      Object.assign(row, update.$set);
+      Object.keys(update.$unset || {}).forEach(field => delete row[field]);
+    }
+  });
+  jest.spyOn(DocumentVersion, 'deleteMany').mockImplementation(async (filter) => {
+    const before = rows.length;
+    rows = rows.filter(row => !matches(row, filter));
+    return { deletedCount: before - rows.length };
+  });
+});
+
+describe('DocumentVersion.createVersion', () => {
+  test('gives racing saves consecutive numbers instead of failing one', async () => {
+    await save('line one', 1);
+
+    const versions = await Promise.all([save('line one\nline two', 2), save('line one\nline three', 3)]);
+
+    expect(versions.map(version => version.versionNumber).sort()).toEqual([2, 3]);
+    expect(DocumentVersion.prototype.save).toHaveBeenCalledTimes(4);
+    for (const version of versions) {
+      expect(await contentOf(version.versionNumber)).toBe(version.changeDescription === 'v2' ? 'line one\nline two' : 'line one\nline three');
+    }
+  });
+
+  test('gives up after repeated collisions', async () => {
+    DocumentVersion.prototype.save.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+    await expect(save('text', 1)).rejects.toMatchObject({ code: 11000 });
+    expect(DocumentVersion.prototype.save).toHaveBeenCalledTimes(5);
+  });
+});
+
+describe('DocumentVersion.pruneVersions', () => {
+  const maxVersions = 5;
+  // Long lines keep most edits smaller than the content, so most versions are stored as deltas
+  const lines = count => Array.from({ length: count }, (_, index) => `line ${index + 1} of the plan, long enough to be worth a delta`).join('\n');
+
+  beforeEach(async () => {
+    for (let number = 1; number < maxVersions + SNAPSHOT_INTERVAL; number += 1) {
+      await save(lines(number), number);
+    }
+  });
+
+  test('waits until the history is a snapshot interval over the limit', async () => {
+    expect(await DocumentVersion.pruneVersions(documentId, maxVersions)).toBe(0);
+    expect(rows).toHaveLength(maxVersions + SNAPSHOT_INTERVAL - 1);
+  });
+
+  test('trims the history to the limit and keeps every survivor readable', async () => {
+    await save(lines(maxVersions + SNAPSHOT_INTERVAL), maxVersions + SNAPSHOT_INTERVAL);
+
+    expect(await DocumentVersion.pruneVersions(documentId, maxVersions)).toBe(SNAPSHOT_INTERVAL);
+
+    expect(rows.map(row => row.versionNumber)).toEqual([11, 12, 13, 14, 15]);
+    for (const { versionNumber } of rows) {
+      expect(await contentOf(versionNumber)).toBe(lines(versionNumber));
+    }
+  });
+
+  test('only reads the versions a removal can affect', async () => {
+    await save(lines(15), 15);
+    expect(rows.filter(row => row.storage === 'snapshot').map(row => row.versionNumber)).toEqual([1, 2, 12]);
+    DocumentVersion.find.mockClear();
+
+    await DocumentVersion.removeVersions(documentId, [4, 5]);
+
+    expect(DocumentVersion.find).toHaveBeenCalledWith({ document: documentId, versionNumber: { $gte: 2, $lt: 12 } });
+    expect(await contentOf(6)).toBe(lines(6));
+  });
+});
@@ -0,0 +1,150 @@
+import { jest } from '@jest/globals';
+import { Folder } from '../src/models/Folder.js';
+import { Document } from '../src/models/Document.js';
+import { Activity } from '../src/models/Activity.js';
+import { DEFAULT_ROLES } from '../src/models/Role.js';
+import { moveFolder, moveDocumentsToFolder } from '../src/controllers/folderController.js';
+import { objectId, query, invoke } from './helpers.js';
+
+const organizationId = objectId();
+const userId = objectId();
+const user = { id: userId, role: 'editor', permissions: DEFAULT_ROLES.editor.permissions, organization: { id: organizationId }, teams: [] };
+
+// In-memory folder collection; saves still run the model's hooks, which recompute path and level
+let folders;
+
+const matches = (folder, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (condition?.$in) return condition.$in.some(id => String(id) === String(folder[field]));
+  return String(folder[field] ?? null) === String(condition ?? null);
+});
+
+const folder = (name, parent = null, fields = {}) => {
+  const created = new Folder({
+    name,
+    organization: organizationId,
+    owner: userId,
+    parent: parent?._id ?? null,
+    path: parent ? parent.fullPath : '',
+    level: parent ? parent.level + 1 : 0,
+    ...fields
+  });
+  folders.set(String(created._id), created);
+  return created;
+};
+
+const move = (moved, parent) => invoke(moveFolder, { user, params: { id: String(moved._id) }, body: { parent: parent ? String(parent._id) : null } });
+
+let root;
+let child;
+let grandchild;
+let other;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  folders = new Map();
+
+  jest.spyOn(Folder, 'findOne').mockImplementation(filter => query([...folders.values()].find(candidate => matches(candidate, filter)) || null));
+  jest.spyOn(Folder, 'findById').mockImplementation(id => query(folders.get(String(id)) || null));
+  jest.spyOn(Folder, 'find').mockImplementation(filter => query([...folders.values()].filter(candidate => matches(candidate, filter))));
+  jest.spyOn(Folder, 'countDocuments').mockImplementation(async filter => [...folders.values()].filter(candidate => matches(candidate, { parent: filter.parent })).length);
+  jest.spyOn(Folder, 'bulkWrite').mockImplementation(async (operations) => {
+    for (const { updateOne: { filter, update } } of operations) {
+      Object.assign(folders.get(String(filter._id)), update.$set);
+    }
+  });
+  jest.spyOn(Folder.prototype, '$__handleSave').mockImplementation((options, callback) => callback(null, 1));
+  jest.spyOn(Document, 'countDocuments').mockResolvedValue(0);
+  jest.spyOn(Activity, 'logActivity').mockResolvedValue();
+
+  root = folder('Projects');
+  child = folder('Apollo', root);
+  grandchild = folder('Specs', child);
+  other = folder('Archive');
+});
+
+describe('POST /api/folders/:id/move', () => {
+  test('moves a folder with its subfolders and refreshes both parents', async () => {
+    const { res, error } = await move(child, other);
+
+    expect(error).toBeNull();
+    expect(res.json.mock.calls[0][0].data.updatedDescendants).toBe(1);
+    expect(child).toMatchObject({ path: '/Archive', level: 1 });
+    expect(grandchild).toMatchObject({ path: '/Archive/Apollo', level: 2 });
+    expect(root.stats.subfolderCount).toBe(0);
+    expect(other.stats.subfolderCount).toBe(1);
+    expect(Activity.logActivity).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'folder_moved',
+      metadata: expect.objectContaining({ from: root._id, to: other._id })
+    }));
+  });
+
+  test('moves a folder to the root', async () => {
+    const { error } = await move(grandchild, null);
+
+    expect(error).toBeNull();
+    expect(grandchild).toMatchObject({ parent: null, path: '', level: 0 });
+  });
+
+  test('refuses to move a folder into one of its own subfolders', async () => {
+    const { error } = await move(root, grandchild);
+
+    expect(error).toMatchObject({ statusCode: 400, code: 'CIRCULAR_FOLDER_REFERENCE' });
+    expect(root.parent).toBeNull();
+  });
+
+  test('refuses a move that would nest folders too deep', async () => {
+    let deepest = other;
+    for (let level = 1; level < 9; level += 1) {
+      deepest = folder(`Level ${level}`, deepest);
+    }
+
+    const { error } = await move(root, deepest);
+
+    expect(error).toMatchObject({ statusCode: 400, code: 'FOLDER_DEPTH_EXCEEDED' });
+  });
+
+  test('refuses a destination the user cannot edit', async () => {
+    const shared = folder('Finance', null, { owner: objectId() });
+
+    const { error } = await move(child, shared);
+
+    expect(error).toMatchObject({ statusCode: 403, code: 'FOLDER_ACCESS_DENIED' });
+    expect(child.parent).toEqual(root._id);
+  });
+});
+
+describe('POST /api/folders/:id/documents', () => {
+  const document = (fields = {}) => new Document({
+    title: 'Launch plan',
+    content: 'Ship it',
+    owner: userId,
+    organization: organizationId,
+    folder: root._id,
+    ...fields
+  });
+
+  test('moves documents into the folder and records where they came from', async () => {
+    const plan = document();
+    jest.spyOn(Document, 'find').mockResolvedValue([plan]);
+    jest.spyOn(Document, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    const { error } = await invoke(moveDocumentsToFolder, { user, params: { id: String(other._id) }, body: { documentIds: [String(plan._id)] } });
+
+    expect(error).toBeNull();
+    expect(Document.updateMany).toHaveBeenCalledWith({ _id: { $in: [plan._id] } }, { $set: { folder: other._id } });
+    expect(Activity.logActivity).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'document_moved',
+      metadata: { from: root._id, to: other._id }
+    }));
+  });
+
+  test('moves nothing when one of the documents is not the user\'s to edit', async () => {
+    jest.spyOn(Document, 'find').mockResolvedValue([document(), document({ owner: objectId() })]);
+    jest.spyOn(Document, 'updateMany');
+
+    const { error } = await invoke(moveDocumentsToFolder, { user, params: { id: String(other._id) }, body: { documentIds: ['a', 'b'] } });
+
+    expect(error).toMatchObject({ statusCode: 403, code: 'EDIT_ACCESS_DENIED' });
+    expect(Document.updateMany).not.toHaveBeenCalled();
+  });
+});
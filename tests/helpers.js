@@ -0,0 +1,76 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+export const objectId = () => new mongoose.Types.ObjectId();
+
+// Stand-in for a Mongoose query: chainable like one and resolving to `value` when awaited
+export const query = (value) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  ['select', 'populate', 'sort', 'limit', 'skip', 'lean', 'collation'].forEach((method) => {
+    chain[method] = jest.fn(() => chain);
+  });
+  return chain;
+};
+
+// In-memory stand-in for the ioredis client behind config/redis.js, covering the commands the app uses
+export const fakeRedis = () => {
+  const values = new Map();
+  const expiries = new Map();
+
+  const live = (key) => {
+    if (expiries.has(key) && expiries.get(key) <= Date.now()) {
+      values.delete(key);
+      expiries.delete(key);
+    }
+    return values.has(key);
+  };
+
+  return {
+    status: 'ready',
+    get: async key => (live(key) ? values.get(key) : null),
+    set: async (key, value) => { values.set(key, String(value)); expiries.delete(key); return 'OK'; },
+    setex: async (key, ttl, value) => { values.set(key, String(value)); expiries.set(key, Date.now() + ttl * 1000); return 'OK'; },
+    getdel: async (key) => {
+      const value = live(key) ? values.get(key) : null;
+      values.delete(key);
+      expiries.delete(key);
+      return value;
+    },
+    del: async (key) => {
+      const existed = live(key);
+      values.delete(key);
+      expiries.delete(key);
+      return existed ? 1 : 0;
+    },
+    exists: async key => (live(key) ? 1 : 0),
+    incr: async (key) => {
+      const value = (live(key) ? parseInt(values.get(key)) : 0) + 1;
+      values.set(key, String(value));
+      return value;
+    },
+    expire: async (key, ttl) => { expiries.set(key, Date.now() + ttl * 1000); return 1; },
+    ttl: async (key) => {
+      if (!live(key)) return -2;
+      return expiries.has(key) ? Math.ceil((expiries.get(key) - Date.now()) / 1000) : -1;
+    }
+  };
+};
+
+/**
+ * Call a catchAsync controller and wait for it to respond or pass on an error
+ * @param {Function} controller - Express handler
+ * @param {Object} req - Request fields the controller reads
+ * @returns {Object} { res, error } with res.status, res.json and res.send as mocks
+ */
+export const invoke = (controller, req) => new Promise((resolve) => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  res.attachment = jest.fn(() => res);
+  res.type = jest.fn(() => res);
+  res.json = jest.fn(() => resolve({ res, error: null }));
+  res.send = jest.fn(() => resolve({ res, error: null }));
+  controller({ params: {}, query: {}, body: {}, get: () => undefined, ...req }, res, error => resolve({ res, error }));
+});
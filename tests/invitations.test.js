@@ -0,0 +1,133 @@
+import { jest } from '@jest/globals';
+import { createInvitation, revokeInvitation } from '../src/controllers/organizationController.js';
+import { acceptInvitation } from '../src/controllers/authController.js';
+import { Invitation } from '../src/models/Invitation.js';
+import { User } from '../src/models/User.js';
+import { Organization } from '../src/models/Organization.js';
+import { Session } from '../src/models/Session.js';
+import { Activity } from '../src/models/Activity.js';
+import { Role, DEFAULT_ROLES } from '../src/models/Role.js';
+import mailer from '../src/config/mailer.js';
+import { hashToken } from '../src/utils/tokens.js';
+import { objectId, query, invoke } from './helpers.js';
+
+const organization = new Organization({ name: 'Acme', domain: 'acme.test', slug: 'acme', isActive: true, subscription: { plan: 'enterprise' } });
+const admin = { id: objectId(), role: 'admin', permissions: DEFAULT_ROLES.admin.permissions, organization: { id: organization._id, name: 'Acme' } };
+
+// The token only ever travels in the emailed link
+const linkToken = message => new URL(message.text.match(/Accept invitation: (\S+)/)[1]).searchParams.get('token');
+
+const pendingInvitation = (fields = {}) => {
+  const invitation = new Invitation({ organization: organization._id, email: 'bo@acme.test', role: 'editor', invitedBy: admin.id, ...fields });
+  const token = invitation.issueToken();
+  return { invitation, token };
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Role, 'getPermissions').mockImplementation(async (organizationId, key) => DEFAULT_ROLES[key]?.permissions || []);
+  jest.spyOn(Role, 'isAssignable').mockImplementation(async (organizationId, key) => key in DEFAULT_ROLES);
+  jest.spyOn(Invitation.prototype, 'save').mockImplementation(async function () { return this; });
+  jest.spyOn(mailer, 'send').mockResolvedValue({ messageId: 'sent' });
+  jest.spyOn(Activity, 'logActivity').mockResolvedValue();
+});
+
+describe('POST /api/organizations/invitations', () => {
+  const invite = body => invoke(createInvitation, { user: admin, body });
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(User, 'findById').mockReturnValue(query({ name: 'Ada' }));
+    jest.spyOn(Invitation, 'findOne').mockResolvedValue(null);
+  });
+
+  test('emails a single-use link and stores only its hash', async () => {
+    const { res, error } = await invite({ email: 'bo@acme.test', role: 'editor', name: 'Bo' });
+
+    expect(error).toBeNull();
+    expect(res.status).toHaveBeenCalledWith(201);
+    const [message] = mailer.send.mock.calls[0];
+    expect(message).toMatchObject({ to: 'bo@acme.test', subject: 'You\'re invited to join Acme' });
+    expect(message.text).toContain('Ada invited you to join Acme as a editor.');
+
+    const invitation = Invitation.prototype.save.mock.contexts[0];
+    expect(invitation.tokenHash).toBe(hashToken(linkToken(message)));
+    expect(invitation.expiresAt.getTime()).toBeGreaterThan(Date.now() + 6 * 24 * 60 * 60 * 1000);
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ emailSent: true, invitation: { status: 'pending', sentCount: 1 } });
+    expect(JSON.stringify(res.json.mock.calls[0][0])).not.toContain(linkToken(message));
+  });
+
+  test('keeps the invitation when the email cannot be sent', async () => {
+    mailer.send.mockRejectedValue(new Error('SMTP down'));
+
+    const { res } = await invite({ email: 'bo@acme.test', role: 'viewer' });
+
+    expect(res.json.mock.calls[0][0]).toMatchObject({ message: 'Invitation created but the email could not be sent', data: { emailSent: false } });
+    expect(Invitation.prototype.save).toHaveBeenCalled();
+  });
+
+  test('refuses a second pending invitation and addresses that already have an account', async () => {
+    Invitation.findOne.mockResolvedValueOnce(pendingInvitation().invitation);
+    const duplicate = await invite({ email: 'bo@acme.test', role: 'viewer' });
+
+    User.findOne.mockReturnValue(query({ organization: objectId() }));
+    const taken = await invite({ email: 'cy@elsewhere.test', role: 'viewer' });
+
+    expect(duplicate.error).toMatchObject({ statusCode: 409, code: 'INVITATION_EXISTS' });
+    expect(taken.error).toMatchObject({ statusCode: 409, code: 'EMAIL_IN_USE' });
+    expect(mailer.send).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/auth/accept-invitation', () => {
+  const accept = token => invoke(acceptInvitation, { body: { token, name: 'Bo', password: 'Str0ng!Passw0rd' } });
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function () { return this; });
+    jest.spyOn(User.prototype, 'updateLastLogin').mockResolvedValue();
+    jest.spyOn(Organization, 'findById').mockResolvedValue(null);
+    jest.spyOn(Session.prototype, 'save').mockImplementation(async function () { return this; });
+  });
+
+  test('creates a verified member with the invited role and uses up the link', async () => {
+    const { invitation, token } = pendingInvitation({ organization });
+    const findOne = jest.spyOn(Invitation, 'findOne').mockReturnValue(query(invitation));
+
+    const { res } = await accept(token);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(findOne).toHaveBeenCalledWith({ tokenHash: hashToken(token), status: 'pending', expiresAt: { $gt: expect.any(Date) } });
+    const member = User.prototype.save.mock.contexts[0];
+    expect(member).toMatchObject({ email: 'bo@acme.test', name: 'Bo', role: 'editor', emailVerified: true });
+    expect(member.organization).toEqual(organization._id);
+    expect(invitation).toMatchObject({ status: 'accepted', tokenHash: undefined });
+    expect(invitation.acceptedUser).toEqual(member._id);
+    expect(res.json.mock.calls[0][0].data.tokens.accessToken).toBeDefined();
+  });
+
+  test('refuses links that are unknown, expired, revoked or already used', async () => {
+    jest.spyOn(Invitation, 'findOne').mockReturnValue(query(null));
+
+    const { res } = await accept('stale-token');
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].code).toBe('INVALID_INVITATION');
+    expect(User.prototype.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('DELETE /api/organizations/invitations/:id', () => {
+  test('revokes a pending invitation so its link stops working', async () => {
+    const { invitation } = pendingInvitation();
+    jest.spyOn(Invitation, 'findOne').mockResolvedValue(invitation);
+
+    const { error } = await invoke(revokeInvitation, { user: admin, params: { id: String(invitation._id) } });
+    const again = await invoke(revokeInvitation, { user: admin, params: { id: String(invitation._id) } });
+
+    expect(error).toBeNull();
+    expect(invitation).toMatchObject({ status: 'revoked', tokenHash: undefined });
+    expect(invitation.revokedBy).toEqual(admin.id);
+    expect(again.error).toMatchObject({ statusCode: 400, code: 'INVITATION_NOT_PENDING' });
+  });
+});
@@ -0,0 +1,133 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import app from '../src/app.js';
+import { User } from '../src/models/User.js';
+import { Organization } from '../src/models/Organization.js';
+import { Session } from '../src/models/Session.js';
+import { Activity } from '../src/models/Activity.js';
+import { generateSecret, generateTOTP } from '../src/utils/mfa.js';
+import { encryptSecret } from '../src/utils/tokens.js';
+import { query } from './helpers.js';
+
+const PASSWORD = 'Correct-horse-1';
+const secret = generateSecret();
+let passwordHash;
+let user;
+
+beforeAll(async () => {
+  passwordHash = await bcrypt.hash(PASSWORD, 4);
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+
+  const organization = new Organization({ name: 'Acme', domain: 'acme.test', slug: 'acme', isActive: true });
+  user = new User({
+    name: 'Ada',
+    email: 'ada@acme.test',
+    password: passwordHash,
+    role: 'editor',
+    organization,
+    isActive: true,
+    emailVerified: true,
+    mfa: { enabled: true, secret: encryptSecret(secret) }
+  });
+
+  jest.spyOn(User, 'findOne').mockReturnValue(query(user));
+  jest.spyOn(User, 'findById').mockReturnValue(query(user));
+  jest.spyOn(User.prototype, 'save').mockResolvedValue();
+  jest.spyOn(User.prototype, 'updateLastLogin').mockResolvedValue();
+  jest.spyOn(Session.prototype, 'save').mockResolvedValue();
+  jest.spyOn(Activity, 'logActivity').mockResolvedValue();
+});
+
+// Log in with the password and return the challenge token the second step needs
+const startLogin = async () => {
+  jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  const res = await request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+  return res.body.data.challengeToken;
+};
+
+describe('two-factor login', () => {
+  test('asks for a code and makes the new challenge the only one that works', async () => {
+    const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const res = await request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.mfaRequired).toBe(true);
+    expect(res.body.data.tokens).toBeUndefined();
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: user._id },
+      { $set: { 'mfa.challengeId': jwt.decode(res.body.data.challengeToken).jti, 'mfa.challengeAttempts': 0 } },
+      { timestamps: false }
+    );
+  });
+
+  test('signs in with a valid code and retires the challenge', async () => {
+    const challengeToken = await startLogin();
+
+    const res = await request(app).post('/api/auth/mfa/verify').send({ challengeToken, code: generateTOTP(secret) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.tokens.accessToken).toBeDefined();
+    expect(user.mfa.challengeId).toBeUndefined();
+    expect(User.prototype.save).toHaveBeenCalled();
+  });
+
+  test('records the login through the real activity log', async () => {
+    Activity.logActivity.mockRestore();
+    const save = jest.spyOn(Activity.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    const challengeToken = await startLogin();
+
+    const res = await request(app).post('/api/auth/mfa/verify').send({ challengeToken, code: generateTOTP(secret) });
+
+    expect(res.status).toBe(200);
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(save.mock.contexts[0]).toMatchObject({ action: 'login', category: 'security', user: user._id });
+    expect(save.mock.contexts[0].validateSync()).toBeUndefined();
+  });
+
+  test('spends an attempt on the challenge before checking a wrong code', async () => {
+    const challengeToken = await startLogin();
+    const { id, jti } = jwt.decode(challengeToken);
+
+    const res = await request(app).post('/api/auth/mfa/verify').send({ challengeToken, code: '000000' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_MFA_CODE');
+    expect(User.updateOne).toHaveBeenLastCalledWith(
+      { _id: id, 'mfa.challengeId': jti, 'mfa.challengeAttempts': { $lt: 5 } },
+      { $inc: { 'mfa.challengeAttempts': 1 } },
+      { timestamps: false }
+    );
+  });
+
+  test('refuses a challenge that has used up its attempts or was replaced', async () => {
+    const challengeToken = await startLogin();
+    User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    const res = await request(app).post('/api/auth/mfa/verify').send({ challengeToken, code: generateTOTP(secret) });
+
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe('MFA_TOO_MANY_ATTEMPTS');
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+
+  test('refuses a challenge token signed for enrollment', async () => {
+    const challengeToken = await startLogin();
+    const { id } = jwt.decode(challengeToken);
+    const challengeKey = crypto.createHmac('sha256', process.env.JWT_SECRET).update('mfa-challenge').digest('hex');
+    const enrollToken = jwt.sign({ id, purpose: 'mfa_enroll' }, challengeKey, { jwtid: 'enroll' });
+
+    const res = await request(app).post('/api/auth/mfa/verify').send({ challengeToken: enrollToken, code: generateTOTP(secret) });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_MFA_CHALLENGE');
+  });
+});
@@ -0,0 +1,105 @@
+import { TextOperation, OperationServer, OperationError } from '../src/utils/operationalTransform.js';
+import { createRandom, runSimulation } from '../src/scripts/fuzzOperationalTransform.js';
+
+const op = (...components) => TextOperation.fromJSON(components);
+
+// Both orders of applying a pair of concurrent operations must give the same text
+const converge = (content, a, b) => {
+  const [aPrime, bPrime] = TextOperation.transform(a, b);
+  const left = bPrime.apply(a.apply(content));
+  const right = aPrime.apply(b.apply(content));
+  expect(left).toBe(right);
+  return left;
+};
+
+describe('TextOperation.transform', () => {
+  test('keeps concurrent inserts at different positions', () => {
+    expect(converge('hello world', op(5, ',', 6), op(11, '!'))).toBe('hello, world!');
+  });
+
+  test('puts the first operation first when both insert at the same position', () => {
+    expect(converge('ab', op(1, 'X', 1), op(1, 'Y', 1))).toBe('aXYb');
+  });
+
+  test('does not delete text twice when deletes overlap', () => {
+    expect(converge('abcdef', op(1, -3, 2), op(2, -3, 1))).toBe('af');
+  });
+
+  test('keeps an insert made inside a range deleted concurrently', () => {
+    expect(converge('abcdef', op(1, -4, 1), op(3, 'XY', 3))).toBe('aXYf');
+  });
+
+  test('converges for random concurrent edits', () => {
+    // Set OT_TEST_SEED to replay a failing run
+    const seed = parseInt(process.env.OT_TEST_SEED) || Date.now() % 100000;
+    const random = createRandom(seed);
+
+    const randomOperation = (content) => {
+      const operation = new TextOperation();
+      let index = 0;
+      while (index < content.length) {
+        const count = Math.min(content.length - index, 1 + Math.floor(random() * 3));
+        const roll = random();
+        if (roll < 0.4) operation.retain(count);
+        else if (roll < 0.7) operation.delete(count);
+        else operation.insert('xyz'.slice(0, count)).retain(count);
+        index += count;
+      }
+      return operation;
+    };
+
+    for (let i = 0; i < 200; i += 1) {
+      const content = 'abcdefghij'.slice(0, 1 + (i % 10));
+      const [a, b] = [randomOperation(content), randomOperation(content)];
+      try {
+        converge(content, a, b);
+      } catch (error) {
+        error.message = `OT_TEST_SEED=${seed}, iteration ${i}: ${JSON.stringify([a, b])}\n${error.message}`;
+        throw error;
+      }
+    }
+  });
+
+  test('keeps every simulated client in step with the server', () => {
+    const seed = parseInt(process.env.OT_TEST_SEED) || Date.now() % 100000;
+
+    for (let run = 0; run < 5; run += 1) {
+      const { converged, diverged, duplicated } = runSimulation(seed + run, 3, 100);
+      expect({ seed: seed + run, converged, diverged: diverged.length, duplicated })
+        .toEqual({ seed: seed + run, converged: true, diverged: 0, duplicated: 0 });
+    }
+  });
+
+  test('refuses operations on documents of different lengths', () => {
+    expect(() => TextOperation.transform(op(3), op(4))).toThrow(OperationError);
+  });
+});
+
+describe('OperationServer', () => {
+  test('transforms an operation made against an older revision', () => {
+    const server = new OperationServer('hello', 0);
+    server.receive({ type: 'insert', position: 5, content: ' world' }, 0);
+
+    const { revision } = server.receive({ type: 'insert', position: 0, content: '> ' }, 0);
+
+    expect(revision).toBe(2);
+    expect(server.content).toBe('> hello world');
+  });
+
+  test('acknowledges a resent operation only once', () => {
+    const server = new OperationServer('abc', 0);
+    server.receive({ ops: [3, 'd'] }, 0, { operationId: 'op-1' });
+
+    const resent = server.receive({ ops: [3, 'd'] }, 0, { operationId: 'op-1' });
+
+    expect(resent.duplicate).toBe(true);
+    expect(server.content).toBe('abcd');
+  });
+
+  test('rejects revisions older than the retained log', () => {
+    const server = new OperationServer('', 0, { maxLogSize: 2 });
+    ['a', 'b', 'c'].forEach((content, position) => server.receive({ type: 'insert', position, content }, position));
+
+    expect(() => server.receive({ ops: ['x'] }, 0)).toThrow(expect.objectContaining({ code: 'REVISION_TOO_OLD' }));
+  });
+});
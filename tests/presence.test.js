@@ -0,0 +1,151 @@
+import { jest } from '@jest/globals';
+import http from 'http';
+import jwt from 'jsonwebtoken';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { User } from '../src/models/User.js';
+import { Organization } from '../src/models/Organization.js';
+import { Document } from '../src/models/Document.js';
+import { Team } from '../src/models/Team.js';
+import { initializeWebSocket } from '../src/utils/collaboration.js';
+import { MemoryCollaborationStore } from '../src/utils/collaborationStore.js';
+import { getDocumentPresence } from '../src/controllers/documentController.js';
+import {
+  PRESENCE_COLORS,
+  HEARTBEAT_TIMEOUT,
+  IDLE_TIMEOUT,
+  assignPresenceColor,
+  normalizeCursor,
+  resolvePresenceStatus
+} from '../src/utils/presence.js';
+import { objectId, query, invoke } from './helpers.js';
+
+describe('presence helpers', () => {
+  test('gives each collaborator a free colour, then a stable one once all are taken', () => {
+    expect(assignPresenceColor('user-1', PRESENCE_COLORS.slice(0, 2))).toBe(PRESENCE_COLORS[2]);
+    expect(assignPresenceColor('user-1', PRESENCE_COLORS)).toBe(assignPresenceColor('user-1', PRESENCE_COLORS));
+    expect(PRESENCE_COLORS).toContain(assignPresenceColor('user-1', PRESENCE_COLORS));
+  });
+
+  test('orders selections and refuses offsets that are not positions', () => {
+    expect(normalizeCursor({ position: 4, selection: { start: 9, end: 2 } })).toEqual({ position: 4, selection: { start: 2, end: 9 } });
+    expect(normalizeCursor({ position: 4 })).toEqual({ position: 4, selection: null });
+    expect(normalizeCursor({ position: -1 })).toBeNull();
+    expect(normalizeCursor({ position: 1, selection: { start: 0, end: 1.5 } })).toBeNull();
+  });
+
+  test('tells active, idle and away users apart', () => {
+    const now = Date.now();
+
+    expect(resolvePresenceStatus({ lastSeen: now, lastActivity: now }, now)).toBe('active');
+    expect(resolvePresenceStatus({ lastSeen: now, lastActivity: now - IDLE_TIMEOUT - 1 }, now)).toBe('idle');
+    expect(resolvePresenceStatus({ lastSeen: now - HEARTBEAT_TIMEOUT - 1, lastActivity: now }, now)).toBe('away');
+    expect(resolvePresenceStatus({ lastSeen: now, lastActivity: now, away: true }, now)).toBe('away');
+  });
+});
+
+describe('presence over WebSocket', () => {
+  const organization = new Organization({ name: 'Acme', domain: 'acme.test', isActive: true, subscription: { plan: 'enterprise', status: 'active' } });
+  const member = name => new User({ name, email: `${name.toLowerCase()}@acme.test`, password: 'unused-password', organization, isActive: true });
+  const ada = member('Ada');
+  const bo = member('Bo');
+  const documentId = String(objectId());
+
+  let io;
+  let httpServer;
+  let clients;
+
+  const nextEvent = (client, event) => new Promise(resolve => client.once(event, resolve));
+
+  const open = (user) => new Promise((resolve, reject) => {
+    const client = connect(`http://localhost:${httpServer.address().port}`, {
+      auth: { token: jwt.sign({ id: String(user._id) }, process.env.JWT_SECRET) },
+      transports: ['websocket'],
+      reconnection: false
+    });
+    clients.push(client);
+    client.once('connect', () => resolve(client));
+    client.once('connect_error', reject);
+  });
+
+  const join = async (client) => {
+    const snapshot = nextEvent(client, 'presence-snapshot');
+    client.emit('join-document', { documentId });
+    return snapshot;
+  };
+
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+    clients = [];
+
+    const users = new Map([ada, bo].map(user => [String(user._id), user]));
+    jest.spyOn(User, 'findById').mockImplementation(id => query(users.get(String(id)) || null));
+    jest.spyOn(Team, 'findTeamIds').mockResolvedValue([]);
+
+    // Ada owns the document and Bo sees it through organization visibility
+    const document = {
+      _id: documentId,
+      title: 'Roadmap',
+      content: 'Ship the roadmap',
+      revision: 0,
+      organization: organization._id,
+      owner: { _id: ada._id, organization: organization._id },
+      visibility: 'organization',
+      getEffectiveAccess: async () => null
+    };
+    jest.spyOn(Document, 'findOne').mockReturnValue(query(document));
+    jest.spyOn(Document, 'findById').mockReturnValue(query(document));
+
+    httpServer = http.createServer();
+    io = new Server(httpServer);
+    initializeWebSocket(io, { store: new MemoryCollaborationStore() });
+    await new Promise(resolve => httpServer.listen(0, resolve));
+  });
+
+  afterEach(async () => {
+    clients.forEach(client => client.disconnect());
+    await new Promise(resolve => io.close(resolve));
+  });
+
+  test('introduces collaborators to each other with their own colours', async () => {
+    const adaClient = await open(ada);
+    await join(adaClient);
+    const boClient = await open(bo);
+
+    const joined = nextEvent(adaClient, 'user-joined');
+    const snapshot = await join(boClient);
+    const { user } = await joined;
+
+    expect(user).toMatchObject({ id: String(bo._id), name: 'Bo', status: 'active' });
+    expect(snapshot.users.map(entry => entry.name).sort()).toEqual(['Ada', 'Bo']);
+    const colors = snapshot.users.map(entry => entry.color);
+    expect(new Set(colors).size).toBe(2);
+    expect(colors).toContain(user.color);
+  });
+
+  test('shares cursors and selections, and reports a collaborator going away', async () => {
+    const adaClient = await open(ada);
+    await join(adaClient);
+    const boClient = await open(bo);
+    await join(boClient);
+
+    const cursor = nextEvent(adaClient, 'cursor-update');
+    boClient.emit('cursor-position', { documentId, position: 4, selection: { start: 8, end: 4 } });
+    expect(await cursor).toMatchObject({ userId: String(bo._id), position: 4, selection: { start: 4, end: 8 } });
+
+    const update = nextEvent(adaClient, 'presence-update');
+    boClient.emit('presence-heartbeat', { documentId, away: true });
+    expect(await update).toMatchObject({ userId: String(bo._id), status: 'away' });
+
+    Document.findOne.mockReturnValue(query(new Document({ _id: documentId, title: 'Roadmap', owner: ada._id, organization: organization._id })));
+    const { res, error } = await invoke(getDocumentPresence, {
+      user: { id: ada._id, organization: { id: organization._id }, teams: [] },
+      params: { id: documentId }
+    });
+
+    expect(error).toBeNull();
+    const { users, summary } = res.json.mock.calls[0][0].data;
+    expect(summary).toEqual({ total: 2, active: 1, idle: 0, away: 1 });
+    expect(users.find(entry => entry.name === 'Bo').cursor).toEqual({ position: 4, selection: { start: 4, end: 8 } });
+  });
+});
@@ -0,0 +1,111 @@
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import app from '../src/app.js';
+import { Session } from '../src/models/Session.js';
+import { User } from '../src/models/User.js';
+import { Activity } from '../src/models/Activity.js';
+import { objectId, query } from './helpers.js';
+
+const userId = objectId();
+const organizationId = objectId();
+const sessionId = objectId();
+
+const refreshTokenFor = (jti) => jwt.sign({ id: userId.toString(), sid: sessionId, jti }, process.env.JWT_REFRESH_SECRET);
+
+const session = (overrides = {}) => ({
+  _id: sessionId,
+  user: userId,
+  organization: organizationId,
+  tokenId: 'current-token',
+  isActive: true,
+  save: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Activity, 'logActivity').mockResolvedValue();
+  jest.spyOn(User, 'findById').mockReturnValue(query({
+    _id: userId,
+    email: 'ada@example.com',
+    role: 'editor',
+    isActive: true,
+    organization: { _id: organizationId, isActive: true }
+  }));
+});
+
+describe('POST /api/auth/refresh', () => {
+  test('rotates the session to a new token ID', async () => {
+    const rotated = session({ tokenId: 'next-token' });
+    jest.spyOn(Session, 'findById').mockResolvedValue(session());
+    const findOneAndUpdate = jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(rotated);
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken: refreshTokenFor('current-token') });
+
+    expect(res.status).toBe(200);
+    expect(findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: sessionId, tokenId: 'current-token', revokedAt: null });
+    expect(jwt.decode(res.body.data.refreshToken)).toMatchObject({ sid: sessionId.toString(), jti: 'next-token' });
+    expect(rotated.save).toHaveBeenCalled();
+  });
+
+  test('revokes the whole session when a rotated token is reused', async () => {
+    jest.spyOn(Session, 'findById').mockResolvedValue(session());
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Session, 'find').mockReturnValue(query([{ _id: sessionId, expiresAt: new Date(Date.now() + 60000) }]));
+    const updateMany = jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken: refreshTokenFor('old-token') });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('REFRESH_TOKEN_REUSED');
+    expect(updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [sessionId] } },
+      { $set: expect.objectContaining({ revokedReason: 'reuse_detected' }) }
+    );
+    expect(Activity.logActivity).toHaveBeenCalledWith(expect.objectContaining({ action: 'refresh_token_reused' }));
+  });
+
+  test('refuses tokens of a revoked session', async () => {
+    jest.spyOn(Session, 'findById').mockResolvedValue(session({ isActive: false }));
+    const findOneAndUpdate = jest.spyOn(Session, 'findOneAndUpdate');
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken: refreshTokenFor('current-token') });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('SESSION_REVOKED');
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('refuses a token issued for another user', async () => {
+    jest.spyOn(Session, 'findById').mockResolvedValue(session({ user: objectId() }));
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken: refreshTokenFor('current-token') });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('SESSION_REVOKED');
+  });
+});
+
+describe('access tokens without Redis', () => {
+  const accessToken = jwt.sign({ id: userId.toString(), sid: sessionId }, process.env.JWT_SECRET);
+
+  test('are refused once their session is revoked', async () => {
+    const exists = jest.spyOn(Session, 'exists').mockResolvedValue({ _id: sessionId });
+
+    const res = await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${accessToken}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('SESSION_REVOKED');
+    expect(exists).toHaveBeenCalledWith({ _id: sessionId.toString(), revokedAt: { $ne: null } });
+  });
+
+  test('keep working while their session is active', async () => {
+    jest.spyOn(Session, 'exists').mockResolvedValue(null);
+
+    const res = await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${accessToken}`);
+
+    expect(res.body.code).not.toBe('SESSION_REVOKED');
+    expect(User.findById).toHaveBeenCalledWith(userId.toString());
+  });
+});
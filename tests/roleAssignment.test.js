@@ -0,0 +1,214 @@
+import { jest } from '@jest/globals';
+import bcrypt from 'bcryptjs';
+import request from 'supertest';
+import app from '../src/app.js';
+import { Role, DEFAULT_ROLES } from '../src/models/Role.js';
+import { User } from '../src/models/User.js';
+import { Organization } from '../src/models/Organization.js';
+import { Folder } from '../src/models/Folder.js';
+import { Activity } from '../src/models/Activity.js';
+import { canGrantRole, missingPermissions } from '../src/middleware/role.js';
+import { updateUser } from '../src/controllers/userController.js';
+import { createRole, updateRole } from '../src/controllers/roleController.js';
+import { updateFolder } from '../src/controllers/folderController.js';
+import { objectId, query, invoke } from './helpers.js';
+
+const organizationId = objectId();
+
+// A custom role that can manage members but not edit documents
+const ROLE_PERMISSIONS = {
+  ...Object.fromEntries(Object.entries(DEFAULT_ROLES).map(([key, role]) => [key, role.permissions])),
+  manager: ['member.manage', 'role.manage', 'document.comment'],
+  // A custom role that runs the organization without the admin role's name
+  operator: ['organization.manage', 'folder.manage']
+};
+
+const member = (role) => ({ id: objectId(), role, organization: { id: organizationId } });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Role, 'getPermissions').mockImplementation(async (organization, key) => ROLE_PERMISSIONS[key] || []);
+  jest.spyOn(Role, 'isAssignable').mockImplementation(async (organization, key) => key in ROLE_PERMISSIONS);
+  jest.spyOn(Activity, 'logActivity').mockResolvedValue();
+});
+
+describe('canGrantRole', () => {
+  test('lets only admins make someone an admin', async () => {
+    expect(await canGrantRole(member('admin'), 'admin')).toBe(true);
+    expect(await canGrantRole(member('manager'), 'admin')).toBe(false);
+  });
+
+  test('allows roles whose permissions the user holds', async () => {
+    expect(await canGrantRole(member('manager'), 'viewer')).toBe(true);
+    expect(await canGrantRole(member('admin'), 'manager')).toBe(true);
+  });
+
+  test('refuses roles with permissions the user lacks', async () => {
+    expect(await canGrantRole(member('manager'), 'editor')).toBe(false);
+    expect(await missingPermissions(member('manager'), ['document.comment', 'document.edit'])).toEqual(['document.edit']);
+  });
+});
+
+describe('updateUser role changes', () => {
+  const target = (role) => {
+    const user = new User({ name: 'Bo', email: 'bo@acme.test', role, organization: organizationId });
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(User, 'findById').mockReturnValue(query(user));
+    jest.spyOn(User.prototype, 'save').mockResolvedValue();
+    return user;
+  };
+
+  test('refuses to promote a member past the manager\'s own permissions', async () => {
+    const user = target('viewer');
+
+    const { error } = await invoke(updateUser, {
+      user: member('manager'),
+      params: { id: user._id.toString() },
+      body: { role: 'editor' }
+    });
+
+    expect(error).toMatchObject({ statusCode: 403, code: 'ROLE_NOT_GRANTABLE' });
+    expect(User.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('refuses to demote a member whose role grants more than the manager has', async () => {
+    const user = target('admin');
+
+    const { error } = await invoke(updateUser, {
+      user: member('manager'),
+      params: { id: user._id.toString() },
+      body: { role: 'viewer' }
+    });
+
+    expect(error).toMatchObject({ statusCode: 403, code: 'ROLE_NOT_GRANTABLE' });
+  });
+
+  test('assigns a role within the manager\'s permissions', async () => {
+    const user = target('viewer');
+
+    const { error } = await invoke(updateUser, {
+      user: member('admin'),
+      params: { id: user._id.toString() },
+      body: { role: 'manager' }
+    });
+
+    expect(error).toBeNull();
+    expect(user.role).toBe('manager');
+  });
+
+  test('ignores a member changing their own role', async () => {
+    const manager = member('manager');
+    const user = target('manager');
+    user._id = manager.id;
+
+    const { error } = await invoke(updateUser, {
+      user: manager,
+      params: { id: manager.id.toString() },
+      body: { role: 'admin', name: 'Bo B.' }
+    });
+
+    expect(error).toBeNull();
+    expect(user.role).toBe('manager');
+    expect(user.name).toBe('Bo B.');
+  });
+});
+
+describe('role permissions', () => {
+  beforeEach(() => {
+    jest.spyOn(Role, 'seedDefaults').mockResolvedValue();
+    jest.spyOn(Role, 'exists').mockResolvedValue(null);
+    jest.spyOn(Role, 'countDocuments').mockResolvedValue(0);
+  });
+
+  test('refuses to create a role with permissions the creator lacks', async () => {
+    const create = jest.spyOn(Role, 'create');
+
+    const { error } = await invoke(createRole, {
+      user: member('manager'),
+      body: { key: 'writer', name: 'Writer', permissions: ['document.comment', 'document.edit'] }
+    });
+
+    expect(error).toMatchObject({ statusCode: 403, code: 'PERMISSION_NOT_GRANTABLE' });
+    expect(error.message).toContain('document.edit');
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('lets a role keep permissions the editor lacks as long as none are added', async () => {
+    const role = new Role({
+      organization: organizationId,
+      key: 'writer',
+      name: 'Writer',
+      permissions: ['document.edit', 'document.comment']
+    });
+    jest.spyOn(Role, 'findOne').mockResolvedValue(role);
+    jest.spyOn(Role.prototype, 'save').mockResolvedValue();
+    jest.spyOn(User, 'countDocuments').mockResolvedValue(0);
+
+    const kept = await invoke(updateRole, {
+      user: member('manager'),
+      params: { id: role._id.toString() },
+      body: { permissions: ['document.edit'] }
+    });
+    expect(kept.error).toBeNull();
+
+    const added = await invoke(updateRole, {
+      user: member('manager'),
+      params: { id: role._id.toString() },
+      body: { permissions: ['document.edit', 'document.publish'] }
+    });
+    expect(added.error).toMatchObject({ statusCode: 403, code: 'PERMISSION_NOT_GRANTABLE' });
+  });
+});
+
+describe('admin-only behavior follows permissions, not the role name', () => {
+  test('lets any role with folder.manage edit folders nobody shared with them', async () => {
+    const folder = new Folder({ name: 'Board', owner: objectId(), organization: organizationId });
+    jest.spyOn(Folder, 'findOne').mockResolvedValue(folder);
+    jest.spyOn(Folder, 'getAncestry').mockResolvedValue([]);
+    jest.spyOn(Folder.prototype, 'save').mockResolvedValue();
+
+    const refused = await invoke(updateFolder, { user: member('editor'), params: { id: folder._id.toString() }, body: { name: 'Minutes' } });
+    const allowed = await invoke(updateFolder, { user: member('operator'), params: { id: folder._id.toString() }, body: { color: '#ff0000' } });
+
+    expect(refused.error).toMatchObject({ statusCode: 403, code: 'FOLDER_ACCESS_DENIED' });
+    expect(allowed.error).toBeNull();
+  });
+
+  test('keeps password login for roles that can manage the organization', async () => {
+    const organization = new Organization({
+      _id: organizationId,
+      name: 'Acme',
+      domain: 'acme.test',
+      sso: { enabled: true, disablePasswordLogin: true }
+    });
+
+    expect(await organization.requiresSso({ role: 'operator' })).toBe(false);
+    expect(await organization.requiresSso({ role: 'admin' })).toBe(false);
+    expect(await organization.requiresSso({ role: 'manager' })).toBe(true);
+  });
+
+  test('requires two-factor of roles that can manage the organization', async () => {
+    const organization = new Organization({
+      _id: organizationId,
+      name: 'Acme',
+      domain: 'acme.test',
+      slug: 'acme',
+      isActive: true,
+      settings: { security: { requireTwoFactor: true } }
+    });
+    const user = new User({
+      name: 'Ada',
+      email: 'ada@acme.test',
+      password: await bcrypt.hash('Correct-horse-1', 4),
+      role: 'operator',
+      organization,
+      isActive: true
+    });
+    jest.spyOn(User, 'findOne').mockReturnValue(query(user));
+
+    const res = await request(app).post('/api/auth/login').send({ email: user.email, password: 'Correct-horse-1' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('MFA_ENROLLMENT_REQUIRED');
+  });
+});
@@ -0,0 +1,100 @@
+import { jest } from '@jest/globals';
+import { Document } from '../src/models/Document.js';
+import { InvertedIndexSearchProvider, createSearchProvider } from '../src/utils/searchProviders.js';
+import { parseSearchQuery } from '../src/utils/searchQuery.js';
+import { objectId, query } from './helpers.js';
+
+const organizationId = objectId();
+const otherOrganizationId = objectId();
+
+const stored = (title, content, fields = {}) => ({
+  _id: objectId(),
+  organization: organizationId,
+  title,
+  content,
+  contentType: 'text',
+  tags: [],
+  status: 'draft',
+  updatedAt: new Date('2026-01-01'),
+  ...fields
+});
+
+const documents = [
+  stored('Launch checklist', 'Everything we need before the release.'),
+  stored('Meeting notes', 'We talked about the launch and the budget.', { tags: ['finance'] }),
+  stored('Budget', 'Quarterly budget planning for marketing.', { contentType: 'html', content: '<p>Quarterly <b>budget</b> planning for marketing.</p>' }),
+  stored('Launch retro', 'What went wrong with the launch.', { organization: otherOrganizationId })
+];
+
+let provider;
+let allowed;
+
+// Stand-in for Document.find: a cursor for reindexing, distinct() for access filters and a page of results
+const mockFind = () => jest.spyOn(Document, 'find').mockImplementation((filter) => {
+  const chain = query(documents.filter(document => filter._id?.$in.includes(document._id.toString())));
+  chain.cursor = () => documents[Symbol.iterator]();
+  chain.distinct = async () => allowed;
+  return chain;
+});
+
+const search = async (q, { skip = 0, limit = 10 } = {}) => {
+  const { documents: found, total } = await provider.search(parseSearchQuery(q), { organizationId, filter: {}, skip, limit });
+  return { titles: found.map(document => document.title), total };
+};
+
+beforeEach(async () => {
+  jest.restoreAllMocks();
+  mockFind();
+  allowed = documents.map(document => document._id);
+  provider = new InvertedIndexSearchProvider();
+  await provider.reindex();
+});
+
+describe('InvertedIndexSearchProvider', () => {
+  test('indexes every organization separately', async () => {
+    expect(await provider.reindex()).toMatchObject({ provider: 'memory', documents: 4, organizations: 2 });
+    expect((await search('retro')).titles).toEqual([]);
+  });
+
+  test('ranks title matches above content matches', async () => {
+    expect((await search('launch')).titles).toEqual(['Launch checklist', 'Meeting notes']);
+  });
+
+  test('matches prefixes, typos and tags', async () => {
+    expect((await search('check')).titles).toEqual(['Launch checklist']);
+    expect((await search('budgat')).titles).toEqual(['Budget', 'Meeting notes']);
+    expect((await search('finance')).titles).toEqual(['Meeting notes']);
+  });
+
+  test('searches the readable text of HTML documents', async () => {
+    expect((await search('"budget planning"')).titles).toEqual(['Budget']);
+    expect((await search('"b budget"')).titles).toEqual([]);
+  });
+
+  test('requires phrases as written and drops excluded words', async () => {
+    expect((await search('launch "the budget"')).titles).toEqual(['Meeting notes']);
+    expect((await search('launch -release')).titles).toEqual(['Meeting notes']);
+  });
+
+  test('pages and counts only the documents the user may see', async () => {
+    allowed = [documents[1]._id];
+
+    expect(await search('launch')).toEqual({ titles: ['Meeting notes'], total: 1 });
+  });
+
+  test('follows saves and deletions once built', async () => {
+    const renamed = { ...documents[0], title: 'Release checklist' };
+    await provider.indexDocument(renamed);
+    expect((await search('launch')).titles).toEqual(['Meeting notes']);
+
+    await provider.indexDocument({ ...documents[1], status: 'deleted' });
+    expect((await search('launch')).titles).toEqual([]);
+  });
+});
+
+describe('createSearchProvider', () => {
+  test('refuses unknown providers', () => {
+    expect(createSearchProvider('mongo').type).toBe('mongo');
+    expect(() => createSearchProvider('elastic')).toThrow('Unknown search provider "elastic", expected one of: mongo, memory');
+  });
+});
@@ -0,0 +1,10 @@
+import mongoose from 'mongoose';
+import { logger } from '../src/config/logger.js';
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-jwt-refresh-secret';
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+
+// Tests stub the models they use; anything else reaching for the database fails at once
+mongoose.set('bufferCommands', false);
+logger.silent = true;
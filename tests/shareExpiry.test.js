@@ -0,0 +1,220 @@
+import { jest } from '@jest/globals';
+import http from 'http';
+import jwt from 'jsonwebtoken';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { validationResult } from 'express-validator';
+import { shareDocument, searchDocuments } from '../src/controllers/documentController.js';
+import { validateDocumentShare } from '../src/middleware/validation.js';
+import { deactivateExpiredShares, notifyExpiringShares } from '../src/utils/shareExpiry.js';
+import { initializeWebSocket } from '../src/utils/collaboration.js';
+import { MemoryCollaborationStore } from '../src/utils/collaborationStore.js';
+import { Document } from '../src/models/Document.js';
+import { Folder } from '../src/models/Folder.js';
+import { Team } from '../src/models/Team.js';
+import { User } from '../src/models/User.js';
+import { Organization } from '../src/models/Organization.js';
+import { Activity } from '../src/models/Activity.js';
+import mailer from '../src/config/mailer.js';
+import { objectId, query, invoke } from './helpers.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const organizationId = objectId();
+const ownerId = objectId();
+const userId = objectId();
+const teamId = objectId();
+
+const document = (fields = {}) => new Document({ title: 'Plan', owner: ownerId, organization: organizationId, ...fields });
+const share = (hoursLeft, fields = {}) => ({ user: userId, permission: 'editor', sharedBy: ownerId, expiresAt: new Date(Date.now() + hoursLeft * HOUR), ...fields });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Activity, 'logActivity').mockResolvedValue();
+});
+
+describe('sharing until a date', () => {
+  const owner = { id: String(ownerId), organization: { id: organizationId }, teams: [] };
+
+  test('refuses expiry dates in the past', async () => {
+    const req = { params: { id: String(objectId()) }, body: { userId: String(userId), permission: 'viewer', expiresAt: new Date(Date.now() - HOUR).toISOString() } };
+
+    await Promise.all(validateDocumentShare.slice(0, -1).map(validator => validator.run(req)));
+
+    expect(validationResult(req).array().map(error => error.msg)).toEqual(['Expiration date must be in the future']);
+  });
+
+  test('stores the expiry on the share and stops honoring it afterwards', async () => {
+    const doc = document();
+    const expiresAt = new Date(Date.now() + HOUR);
+    jest.spyOn(Document, 'findOne').mockResolvedValue(doc);
+    jest.spyOn(Document.prototype, 'save').mockImplementation(async function () { return this; });
+    jest.spyOn(User, 'findOne').mockResolvedValue({ _id: userId, name: 'Bo' });
+
+    const { res, error } = await invoke(shareDocument, {
+      user: owner,
+      params: { id: String(doc._id) },
+      body: { userId, permission: 'editor', expiresAt: expiresAt.toISOString() }
+    });
+
+    expect(error).toBeNull();
+    expect(res.json.mock.calls[0][0].data).toEqual({ expiresAt });
+    expect(Activity.logActivity).toHaveBeenCalledWith(expect.objectContaining({
+      details: `Document "Plan" shared with Bo until ${expiresAt.toISOString()}`
+    }));
+    expect(doc.hasPermission(userId, 'editor')).toBe(true);
+
+    doc.sharedWith[0].expiresAt = new Date(Date.now() - 1);
+    expect(doc.hasPermission(userId, 'viewer')).toBe(false);
+  });
+
+  test('leaves expired shares out of document listings', async () => {
+    jest.spyOn(Folder, 'findSharedFolderIds').mockResolvedValue([]);
+    jest.spyOn(Document, 'find').mockReturnValue(query([]));
+    jest.spyOn(Document, 'countDocuments').mockResolvedValue(0);
+
+    await invoke(searchDocuments, { user: { ...owner, id: userId, teams: [teamId] }, query: { q: 'plan', page: 1, limit: 20 } });
+    await Document.findByOrganization(organizationId, userId, {}, [teamId]);
+    await Document.findAccessible(userId, organizationId, 'viewer', [teamId]);
+
+    const unexpired = { $or: [{ expiresAt: null }, { expiresAt: { $gt: expect.any(Date) } }] };
+    expect(Document.find).toHaveBeenCalledTimes(3);
+    for (const [filter] of Document.find.mock.calls) {
+      expect(filter.$or).toEqual(expect.arrayContaining([
+        { sharedWith: { $elemMatch: expect.objectContaining({ user: userId, ...unexpired }) } },
+        { sharedWithTeams: { $elemMatch: expect.objectContaining({ team: { $in: [teamId] }, ...unexpired }) } }
+      ]));
+    }
+  });
+});
+
+describe('deactivateExpiredShares', () => {
+  const teammate = objectId();
+
+  beforeEach(() => {
+    jest.spyOn(Team, 'find').mockReturnValue(query([{ members: [{ user: teammate }, { user: userId }] }]));
+    jest.spyOn(Team, 'findTeamIds').mockResolvedValue([]);
+    jest.spyOn(Folder, 'getAncestry').mockResolvedValue([]);
+  });
+
+  test('switches off expired user and team shares and reports who lost access', async () => {
+    const doc = document({
+      sharedWith: [share(-1), share(1, { user: objectId() })],
+      sharedWithTeams: [{ team: teamId, permission: 'viewer', sharedBy: ownerId, expiresAt: new Date(Date.now() - HOUR) }]
+    });
+    jest.spyOn(Document, 'find').mockReturnValue(query([doc]));
+    jest.spyOn(Document, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    expect(await deactivateExpiredShares()).toBe(2);
+
+    const [filter, update, options] = Document.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: doc._id });
+    expect(update).toEqual({ $set: { 'sharedWith.$[user].isActive': false, 'sharedWithTeams.$[team].isActive': false } });
+    expect(options.arrayFilters).toHaveLength(2);
+    expect(Activity.logActivity).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'document_share_expired',
+      details: '1 user and 1 team share(s) of document "Plan" expired, 2 user(s) lost access',
+      relatedUsers: expect.arrayContaining([String(userId), String(teammate)])
+    }));
+  });
+
+  test('keeps users who can still see the document and skips documents another node swept', async () => {
+    const visible = document({ visibility: 'organization', sharedWith: [share(-1)] });
+    const swept = document({ sharedWith: [share(-1)] });
+    jest.spyOn(Document, 'find').mockReturnValue(query([visible, swept]));
+    jest.spyOn(Document, 'updateOne')
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 });
+
+    expect(await deactivateExpiredShares()).toBe(1);
+    expect(Activity.logActivity).toHaveBeenCalledTimes(1);
+    expect(Activity.logActivity.mock.calls[0][0]).toMatchObject({ details: '1 user and 0 team share(s) of document "Plan" expired', relatedUsers: [] });
+  });
+});
+
+describe('notifyExpiringShares', () => {
+  const bo = { _id: userId, name: 'Bo', email: 'bo@acme.test' };
+
+  beforeEach(() => {
+    jest.spyOn(User, 'find').mockReturnValue(query([bo]));
+    jest.spyOn(mailer, 'send').mockResolvedValue({ messageId: 'sent' });
+  });
+
+  test('warns each user once before their share runs out', async () => {
+    const doc = document({ sharedWith: [share(2), share(48, { user: objectId() })] });
+    jest.spyOn(Document, 'find').mockReturnValue(query([doc]));
+    jest.spyOn(Document, 'updateOne')
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValue({ modifiedCount: 0 });
+
+    expect(await notifyExpiringShares()).toBe(1);
+    expect(await notifyExpiringShares()).toBe(0);
+
+    expect(Document.updateOne).toHaveBeenCalledTimes(2);
+    expect(Document.updateOne.mock.calls[0][1]).toEqual({ $set: { 'sharedWith.$.expiryNotifiedAt': expect.any(Date) } });
+    expect(mailer.send).toHaveBeenCalledTimes(1);
+    expect(mailer.send.mock.calls[0][0]).toMatchObject({ to: 'bo@acme.test', subject: 'Your access to "Plan" expires soon' });
+  });
+
+  test('still counts a notice when the email fails', async () => {
+    jest.spyOn(Document, 'find').mockReturnValue(query([document({ sharedWith: [share(2)] })]));
+    jest.spyOn(Document, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    mailer.send.mockRejectedValue(new Error('SMTP down'));
+
+    expect(await notifyExpiringShares()).toBe(1);
+  });
+});
+
+describe('live sessions when a share expires', () => {
+  const organization = new Organization({ name: 'Acme', domain: 'acme.test', isActive: true, subscription: { plan: 'enterprise', status: 'active' } });
+  const bo = new User({ _id: userId, name: 'Bo', email: 'bo@acme.test', password: 'unused-password', organization, isActive: true });
+
+  let io;
+  let httpServer;
+  let client;
+
+  beforeEach(async () => {
+    jest.spyOn(User, 'findById').mockReturnValue(query(bo));
+    jest.spyOn(Team, 'find').mockReturnValue(query([]));
+    jest.spyOn(Team, 'findTeamIds').mockResolvedValue([]);
+    jest.spyOn(Folder, 'getAncestry').mockResolvedValue([]);
+
+    httpServer = http.createServer();
+    io = new Server(httpServer);
+    initializeWebSocket(io, { store: new MemoryCollaborationStore() });
+    await new Promise(resolve => httpServer.listen(0, resolve));
+  });
+
+  afterEach(async () => {
+    client?.disconnect();
+    await new Promise(resolve => io.close(resolve));
+  });
+
+  test('removes users whose access ran out from the document room', async () => {
+    const doc = document({ _id: objectId(), organization: organization._id, content: 'Ship it', sharedWith: [share(1)] });
+    const documentId = String(doc._id);
+    jest.spyOn(Document, 'findOne').mockReturnValue(query(Object.assign(doc, { owner: { _id: ownerId, organization: organization._id } })));
+    jest.spyOn(Document, 'findById').mockReturnValue(query(doc));
+
+    client = connect(`http://localhost:${httpServer.address().port}`, {
+      auth: { token: jwt.sign({ id: String(userId) }, process.env.JWT_SECRET) },
+      transports: ['websocket'],
+      reconnection: false
+    });
+    const joined = new Promise(resolve => client.once('presence-snapshot', resolve));
+    client.emit('join-document', { documentId });
+    await joined;
+
+    doc.sharedWith[0].expiresAt = new Date(Date.now() - 1);
+    jest.spyOn(Document, 'find').mockReturnValue(query([doc]));
+    jest.spyOn(Document, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const revoked = new Promise(resolve => client.once('access-revoked', resolve));
+    const expired = new Promise(resolve => client.once('share-expired', resolve));
+
+    await deactivateExpiredShares();
+
+    expect(await revoked).toEqual({ documentId, reason: 'Your access to this document has expired' });
+    expect(await expired).toEqual({ documentId, title: 'Plan' });
+    expect(await io.in(`document:${documentId}`).fetchSockets()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,189 @@
+import { jest } from '@jest/globals';
+import bcrypt from 'bcryptjs';
+import request from 'supertest';
+import app from '../src/app.js';
+import { ShareLink } from '../src/models/ShareLink.js';
+import { Document } from '../src/models/Document.js';
+import { Organization } from '../src/models/Organization.js';
+import { Activity } from '../src/models/Activity.js';
+import { objectId, query } from './helpers.js';
+
+const PASSWORD = 'open-sesame';
+const { token } = ShareLink.generateToken();
+const organizationId = objectId();
+const documentId = objectId();
+let passwordHash;
+
+const shareLink = (fields = {}) => new ShareLink({
+  organization: organizationId,
+  document: documentId,
+  tokenHash: 'hash',
+  createdBy: objectId(),
+  ...fields
+});
+
+const protectedLink = (fields = {}) => shareLink({ passwordHash, requiresPassword: true, ...fields });
+
+const open = (link, { password, format } = {}) => {
+  jest.spyOn(ShareLink, 'findByToken').mockResolvedValue(link);
+  const req = request(app).get(`/api/public/links/${token}`).query(format ? { format } : {});
+  return password === undefined ? req : req.set('X-Share-Password', password);
+};
+
+beforeAll(async () => {
+  passwordHash = await bcrypt.hash(PASSWORD, 4);
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Activity, 'logActivity').mockResolvedValue();
+  jest.spyOn(ShareLink, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Document, 'findOne').mockReturnValue(query(new Document({
+    _id: documentId,
+    title: 'Launch plan',
+    content: '<p onclick="steal()">Ship it</p><script>steal()</script>',
+    contentType: 'html',
+    owner: objectId(),
+    organization: organizationId
+  })));
+  jest.spyOn(Organization, 'findById').mockReturnValue(query({
+    name: 'Acme',
+    isActive: true,
+    settings: { allowPublicDocuments: true }
+  }));
+});
+
+describe('share link passwords', () => {
+  test('asks for the password without counting it as a failure', async () => {
+    const findOneAndUpdate = jest.spyOn(ShareLink, 'findOneAndUpdate');
+
+    const res = await open(protectedLink());
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('SHARE_LINK_PASSWORD_REQUIRED');
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('counts a wrong password against the link', async () => {
+    const link = protectedLink();
+    const findOneAndUpdate = jest.spyOn(ShareLink, 'findOneAndUpdate').mockReturnValue(query({ failedPasswordAttempts: 1 }));
+
+    const res = await open(link, { password: 'guess' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_SHARE_LINK_PASSWORD');
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: link._id },
+      { $inc: { failedPasswordAttempts: 1 } },
+      { new: true, timestamps: false }
+    );
+    expect(ShareLink.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('locks the link at the attempt limit', async () => {
+    const link = protectedLink({ failedPasswordAttempts: 4 });
+    jest.spyOn(ShareLink, 'findOneAndUpdate').mockReturnValue(query({ failedPasswordAttempts: 5 }));
+
+    const res = await open(link, { password: 'guess' });
+
+    expect(res.status).toBe(401);
+    expect(ShareLink.updateOne).toHaveBeenCalledWith(
+      { _id: link._id },
+      { $set: { failedPasswordAttempts: 0, passwordLockedUntil: expect.any(Date) } },
+      { timestamps: false }
+    );
+    expect(Activity.logActivity).toHaveBeenCalledWith(expect.objectContaining({ action: 'share_link_locked' }));
+  });
+
+  test('refuses even the right password while the link is locked', async () => {
+    const link = protectedLink({ passwordLockedUntil: new Date(Date.now() + 60 * 1000) });
+    const checkPassword = jest.spyOn(ShareLink.prototype, 'checkPassword');
+
+    const res = await open(link, { password: PASSWORD });
+
+    expect(res.status).toBe(423);
+    expect(res.body.code).toBe('SHARE_LINK_LOCKED');
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(checkPassword).not.toHaveBeenCalled();
+  });
+
+  test('opens with the right password and forgets earlier failures', async () => {
+    const link = protectedLink({ failedPasswordAttempts: 2 });
+
+    const res = await open(link, { password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.document.title).toBe('Launch plan');
+    expect(ShareLink.updateOne).toHaveBeenCalledWith(
+      { _id: link._id },
+      { $set: { failedPasswordAttempts: 0 }, $unset: { passwordLockedUntil: 1 } },
+      { timestamps: false }
+    );
+  });
+});
+
+describe('share link views', () => {
+  test('counts each view and reports the views left', async () => {
+    const link = shareLink({ maxViews: 3, viewCount: 1 });
+
+    const res = await open(link);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.viewsRemaining).toBe(1);
+    expect(ShareLink.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: link._id }),
+      expect.objectContaining({ $inc: { viewCount: 1 } })
+    );
+  });
+
+  test('records the view as a guest action against the link', async () => {
+    Activity.logActivity.mockRestore();
+    const save = jest.spyOn(Activity.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    const link = shareLink();
+
+    const res = await open(link);
+
+    expect(res.status).toBe(200);
+    const activity = save.mock.contexts[0];
+    expect(activity).toMatchObject({ action: 'share_link_viewed', metadata: { shareLink: link._id } });
+    expect(activity.user).toBeUndefined();
+    expect(activity.validateSync()?.errors.user).toBeUndefined();
+    expect(new Activity({ organization: organizationId, action: 'login' }).validateSync().errors.user).toBeDefined();
+  });
+
+  test('stops working once its views are used up', async () => {
+    const res = await open(shareLink({ maxViews: 2, viewCount: 2 }));
+
+    expect(res.status).toBe(410);
+    expect(res.body.code).toBe('SHARE_LINK_EXHAUSTED');
+    expect(ShareLink.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('refuses the view when another request used the last one first', async () => {
+    ShareLink.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    const res = await open(shareLink({ maxViews: 2, viewCount: 1 }));
+
+    expect(res.status).toBe(410);
+    expect(res.body.code).toBe('SHARE_LINK_EXHAUSTED');
+  });
+
+  test('stops working once it expires', async () => {
+    const res = await open(shareLink({ expiresAt: new Date(Date.now() - 1000) }));
+
+    expect(res.status).toBe(410);
+    expect(res.body.code).toBe('SHARE_LINK_EXPIRED');
+  });
+
+  test('serves standalone pages without active content', async () => {
+    const res = await open(shareLink(), { format: 'html' });
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('<p>Ship it</p>');
+    expect(res.text).not.toMatch(/script|onclick/);
+    expect(res.headers['content-security-policy']).toMatch(/^sandbox;/);
+    expect(res.headers['content-disposition']).toMatch(/^inline;/);
+  });
+});
@@ -0,0 +1,140 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import app from '../src/app.js';
+import { User } from '../src/models/User.js';
+import { Organization } from '../src/models/Organization.js';
+import { Session } from '../src/models/Session.js';
+import { Activity } from '../src/models/Activity.js';
+import redisClient from '../src/config/redis.js';
+import { saveLoginState, consumeLoginState } from '../src/utils/oidc.js';
+import { encryptSecret } from '../src/utils/tokens.js';
+import { query, fakeRedis } from './helpers.js';
+
+const ISSUER = 'https://idp.acme.test';
+const CLIENT_ID = 'docs-app';
+const NONCE = 'nonce-value';
+
+// A fake identity provider: its metadata, signing key and token endpoint are served through fetch
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' }] };
+
+const providerResponses = (claims) => ({
+  [`${ISSUER}/.well-known/openid-configuration`]: {
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`
+  },
+  [`${ISSUER}/jwks`]: jwks,
+  [`${ISSUER}/token`]: {
+    id_token: jwt.sign({ sub: 'idp-user-1', nonce: NONCE, ...claims }, privateKey, {
+      algorithm: 'RS256',
+      keyid: 'key-1',
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: '5m'
+    })
+  }
+});
+
+let organization;
+let user;
+
+// Start a login, let the provider vouch for `claims`, and post the callback
+const callback = async (claims) => {
+  const responses = providerResponses(claims);
+  jest.spyOn(global, 'fetch').mockImplementation(async url => new Response(JSON.stringify(responses[url])));
+
+  const state = crypto.randomBytes(24).toString('base64url');
+  await saveLoginState(state, {
+    organizationId: organization._id,
+    codeVerifier: 'verifier',
+    nonce: NONCE,
+    redirectUri: 'https://docs.acme.test/sso/callback'
+  });
+
+  return request(app).post('/api/auth/sso/callback').send({ code: 'auth-code', state });
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+
+  organization = new Organization({
+    name: 'Acme',
+    domain: 'acme.test',
+    slug: 'acme',
+    isActive: true,
+    subscription: { plan: 'enterprise' },
+    sso: { enabled: true, issuer: ISSUER, clientId: CLIENT_ID, clientSecret: encryptSecret('client-secret') }
+  });
+  user = new User({
+    name: 'Ada',
+    email: 'ada@acme.test',
+    password: 'unused-password',
+    role: 'editor',
+    organization: organization._id,
+    isActive: true,
+    emailVerified: true
+  });
+
+  jest.spyOn(Organization, 'findById').mockReturnValue(query(organization));
+  jest.spyOn(User, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(user);
+  jest.spyOn(User.prototype, 'save').mockResolvedValue();
+  jest.spyOn(User.prototype, 'populate').mockImplementation(async function () {
+    this.organization = organization;
+    return this;
+  });
+  jest.spyOn(User.prototype, 'updateLastLogin').mockResolvedValue();
+  jest.spyOn(Session.prototype, 'save').mockResolvedValue();
+  jest.spyOn(Activity, 'logActivity').mockResolvedValue();
+});
+
+afterEach(() => {
+  redisClient.client = null;
+  redisClient.isConnected = false;
+});
+
+describe('POST /api/auth/sso/callback', () => {
+  test('signs in the account with the verified email the provider shares', async () => {
+    const res = await callback({ email: user.email, email_verified: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.tokens.accessToken).toBeDefined();
+    expect(user.sso).toMatchObject({ issuer: ISSUER, subject: 'idp-user-1' });
+  });
+
+  test('refuses an email the provider does not say it verified', async () => {
+    const res = await callback({ email: user.email });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('SSO_EMAIL_UNVERIFIED');
+    expect(User.findOne).not.toHaveBeenCalled();
+  });
+
+  test('asks for the second factor like a password login does', async () => {
+    user.mfa.enabled = true;
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const res = await callback({ email: user.email, email_verified: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.mfaRequired).toBe(true);
+    expect(jwt.decode(res.body.data.challengeToken)).toMatchObject({ purpose: 'mfa_login' });
+    expect(res.body.data.tokens).toBeUndefined();
+    expect(Session.prototype.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('consumeLoginState', () => {
+  test('hands a pending login in Redis to only one of two parallel callbacks', async () => {
+    redisClient.client = fakeRedis();
+    redisClient.isConnected = true;
+    await saveLoginState('shared-state', { nonce: NONCE });
+
+    const results = await Promise.all([consumeLoginState('shared-state'), consumeLoginState('shared-state')]);
+
+    expect(results.filter(Boolean)).toEqual([{ nonce: NONCE }]);
+  });
+});
@@ -0,0 +1,52 @@
+import { jest } from '@jest/globals';
+import { importDocument, deleteDocument } from '../src/controllers/documentController.js';
+import { Document } from '../src/models/Document.js';
+import { Organization } from '../src/models/Organization.js';
+import { Activity } from '../src/models/Activity.js';
+import { objectId, invoke } from './helpers.js';
+
+const organizationId = objectId();
+const userId = objectId();
+const user = { id: userId, organization: { id: organizationId }, teams: [] };
+
+const storageChanges = () => Organization.updateOne.mock.calls
+  .filter(([filter]) => String(filter._id) === String(organizationId))
+  .map(([, update]) => update.$inc['stats.storageUsed']);
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Organization, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Document.prototype, 'save').mockImplementation(async function () { return this; });
+  jest.spyOn(Document.prototype, 'populate').mockImplementation(async function () { return this; });
+  jest.spyOn(Activity, 'logActivity').mockResolvedValue();
+});
+
+describe('Organization storage usage', () => {
+  test('hands back the imported file\'s bytes when its document is deleted', async () => {
+    const content = '# Plan\n\nShip it.';
+    const imported = await invoke(importDocument, {
+      user,
+      file: { originalname: 'plan.md', size: content.length, buffer: Buffer.from(content), fileType: 'markdown' }
+    });
+    expect(imported.error).toBeNull();
+    const document = Document.prototype.save.mock.contexts[0];
+    expect(document.metadata.importedSize).toBe(content.length);
+
+    jest.spyOn(Document, 'findOne').mockResolvedValue(document);
+    const deleted = await invoke(deleteDocument, { user, params: { id: String(document._id) } });
+
+    expect(deleted.error).toBeNull();
+    expect(document.status).toBe('deleted');
+    expect(storageChanges()).toEqual([content.length, -content.length]);
+  });
+
+  test('leaves storage alone when a document that was not imported is deleted', async () => {
+    const document = new Document({ title: 'Notes', content: 'typed in', owner: userId, organization: organizationId });
+    jest.spyOn(Document, 'findOne').mockResolvedValue(document);
+
+    const { error } = await invoke(deleteDocument, { user, params: { id: String(document._id) } });
+
+    expect(error).toBeNull();
+    expect(Organization.updateOne).not.toHaveBeenCalled();
+  });
+});
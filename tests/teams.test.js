@@ -0,0 +1,218 @@
+import { jest } from '@jest/globals';
+import { createTeam, addTeamMember, removeTeamMember, deleteTeam } from '../src/controllers/teamController.js';
+import { shareDocument } from '../src/controllers/documentController.js';
+import { shareFolder } from '../src/controllers/folderController.js';
+import usersRouter from '../src/routes/users.js';
+import { Team } from '../src/models/Team.js';
+import { Document } from '../src/models/Document.js';
+import { Folder } from '../src/models/Folder.js';
+import { User } from '../src/models/User.js';
+import { Activity } from '../src/models/Activity.js';
+import { Role, DEFAULT_ROLES } from '../src/models/Role.js';
+import { objectId, query, invoke } from './helpers.js';
+
+const organizationId = objectId();
+const member = (role, fields = {}) => ({
+  id: objectId(),
+  role,
+  permissions: DEFAULT_ROLES[role].permissions,
+  organization: { id: organizationId },
+  teams: [],
+  ...fields
+});
+
+const admin = member('admin');
+const editor = member('editor');
+
+const team = (fields = {}) => new Team({ organization: organizationId, name: 'Design', createdBy: admin.id, ...fields });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Team.prototype, 'save').mockImplementation(async function () { return this; });
+  jest.spyOn(Activity, 'logActivity').mockResolvedValue();
+});
+
+describe('Team members', () => {
+  test('adding someone twice changes their team role instead of duplicating them', () => {
+    const design = team();
+    design.addMember(editor.id);
+    design.addMember(editor.id, 'maintainer');
+
+    expect(design.members).toHaveLength(1);
+    expect(design.isMaintainer(editor.id)).toBe(true);
+    expect(design.removeMember(editor.id)).toBe(true);
+    expect(design.removeMember(editor.id)).toBe(false);
+  });
+});
+
+describe('POST /api/teams', () => {
+  test('creates a team with its first members', async () => {
+    jest.spyOn(Team, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(User, 'find').mockReturnValue(query([{ _id: editor.id }]));
+
+    const { res, error } = await invoke(createTeam, {
+      user: admin,
+      body: { name: 'Design', members: [{ userId: editor.id, role: 'maintainer' }] }
+    });
+
+    expect(error).toBeNull();
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json.mock.calls[0][0].data.team).toMatchObject({ name: 'Design', memberCount: 1 });
+    expect(Team.prototype.save.mock.contexts[0].isMaintainer(editor.id)).toBe(true);
+  });
+
+  test('refuses taken names and people from other organizations', async () => {
+    jest.spyOn(Team, 'findOne').mockReturnValueOnce(query(team())).mockReturnValue(query(null));
+    jest.spyOn(User, 'find').mockReturnValue(query([]));
+
+    const taken = await invoke(createTeam, { user: admin, body: { name: 'design' } });
+    const outsider = await invoke(createTeam, { user: admin, body: { name: 'Research', members: [{ userId: objectId() }] } });
+
+    expect(taken.error).toMatchObject({ statusCode: 409, code: 'TEAM_EXISTS' });
+    expect(outsider.error).toMatchObject({ statusCode: 404, code: 'USER_NOT_FOUND' });
+    expect(Team.prototype.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('Team membership endpoints', () => {
+  const newcomer = { _id: objectId(), email: 'cy@acme.test' };
+
+  beforeEach(() => {
+    jest.spyOn(User, 'find').mockReturnValue(query([newcomer]));
+  });
+
+  test('lets maintainers manage their own team without team.manage', async () => {
+    const design = team();
+    design.addMember(editor.id, 'maintainer');
+    jest.spyOn(Team, 'findOne').mockResolvedValue(design);
+
+    const added = await invoke(addTeamMember, { user: editor, params: { id: String(design._id) }, body: { userId: newcomer._id } });
+    const promoted = await invoke(addTeamMember, { user: editor, params: { id: String(design._id) }, body: { userId: newcomer._id, role: 'maintainer' } });
+
+    expect(added.res.status).toHaveBeenCalledWith(201);
+    expect(promoted.res.status).toHaveBeenCalledWith(200);
+    expect(design.isMaintainer(newcomer._id)).toBe(true);
+  });
+
+  test('refuses plain members, who may still leave on their own', async () => {
+    const design = team();
+    design.addMember(editor.id);
+    jest.spyOn(Team, 'findOne').mockResolvedValue(design);
+
+    const add = await invoke(addTeamMember, { user: editor, params: { id: String(design._id) }, body: { userId: newcomer._id } });
+    const leave = await invoke(removeTeamMember, { user: editor, params: { id: String(design._id), userId: String(editor.id) } });
+
+    expect(add.error).toMatchObject({ statusCode: 403, code: 'TEAM_ACCESS_DENIED' });
+    expect(leave.error).toBeNull();
+    expect(design.members).toHaveLength(0);
+  });
+});
+
+describe('DELETE /api/teams/:id', () => {
+  test('revokes every document and folder share with the team', async () => {
+    const design = team();
+    jest.spyOn(Team, 'findOne').mockResolvedValue(design);
+    jest.spyOn(Team.prototype, 'deleteOne').mockResolvedValue();
+    jest.spyOn(Document, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+    jest.spyOn(Folder, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    const { error } = await invoke(deleteTeam, { user: admin, params: { id: String(design._id) } });
+
+    expect(error).toBeNull();
+    const revoke = { $pull: { sharedWithTeams: { team: design._id } } };
+    expect(Document.updateMany).toHaveBeenCalledWith({ organization: organizationId, 'sharedWithTeams.team': design._id }, revoke);
+    expect(Folder.updateMany).toHaveBeenCalledWith({ organization: organizationId, 'sharedWithTeams.team': design._id }, revoke);
+    expect(Activity.logActivity).toHaveBeenCalledWith(expect.objectContaining({
+      details: 'Deleted team "Design", revoking 3 document and 1 folder share(s)'
+    }));
+  });
+});
+
+describe('Sharing with a team', () => {
+  const design = team();
+
+  beforeEach(() => {
+    jest.spyOn(Document.prototype, 'save').mockImplementation(async function () { return this; });
+    jest.spyOn(Folder.prototype, 'save').mockImplementation(async function () { return this; });
+  });
+
+  test('gives every member of the team access to a document', async () => {
+    const document = new Document({ title: 'Brief', owner: admin.id, organization: organizationId });
+    jest.spyOn(Document, 'findOne').mockResolvedValue(document);
+    jest.spyOn(Team, 'findOne').mockResolvedValue(design);
+
+    const { error } = await invoke(shareDocument, { user: admin, params: { id: String(document._id) }, body: { teamId: design._id, permission: 'editor' } });
+    await invoke(shareDocument, { user: admin, params: { id: String(document._id) }, body: { teamId: design._id, permission: 'viewer' } });
+
+    expect(error).toBeNull();
+    expect(document.sharedWithTeams).toHaveLength(1);
+    expect(document.hasPermission(editor.id, 'viewer', [design._id])).toBe(true);
+    expect(document.hasPermission(editor.id, 'editor', [design._id])).toBe(false);
+    expect(document.hasPermission(editor.id, 'viewer')).toBe(false);
+  });
+
+  test('gives every member of the team access to a folder', async () => {
+    const folder = new Folder({ name: 'Assets', owner: admin.id, organization: organizationId });
+    jest.spyOn(Folder, 'findOne').mockResolvedValue(folder);
+    jest.spyOn(Team, 'findOne').mockResolvedValue(design);
+
+    const { error } = await invoke(shareFolder, { user: admin, params: { id: String(folder._id) }, body: { teamId: design._id, permission: 'editor' } });
+
+    expect(error).toBeNull();
+    expect(folder.hasPermission(editor.id, 'editor', [design._id])).toBe(true);
+  });
+
+  test('lists documents shared with the user\'s teams or with folders shared with them', async () => {
+    const folderId = objectId();
+    jest.spyOn(Folder, 'findSharedFolderIds').mockResolvedValue([folderId]);
+    jest.spyOn(Document, 'find').mockReturnValue(query([]));
+
+    await Document.findAccessible(editor.id, organizationId, 'editor', [design._id]);
+
+    expect(Folder.findSharedFolderIds).toHaveBeenCalledWith(organizationId, editor.id, [design._id], 'editor');
+    expect(Document.find.mock.calls[0][0].$or).toContainEqual({
+      sharedWithTeams: { $elemMatch: expect.objectContaining({ team: { $in: [design._id] }, permission: { $in: ['editor', 'admin'] } }) }
+    });
+  });
+
+  test('refuses teams from other organizations', async () => {
+    jest.spyOn(Document, 'findOne').mockResolvedValue(new Document({ title: 'Brief', owner: admin.id, organization: organizationId }));
+    jest.spyOn(Team, 'findOne').mockResolvedValue(null);
+
+    const { error } = await invoke(shareDocument, { user: admin, params: { id: String(objectId()) }, body: { teamId: objectId(), permission: 'viewer' } });
+
+    expect(error).toMatchObject({ statusCode: 404, code: 'TEAM_NOT_FOUND' });
+    expect(Document.prototype.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/users/:id/permissions', () => {
+  const getPermissions = usersRouter.stack.find(layer => layer.route?.path === '/:id/permissions').route.stack.at(-1).handle;
+
+  test('reports access that comes from the user\'s teams', async () => {
+    const design = team();
+    design.addMember(editor.id, 'maintainer');
+    const document = new Document({ title: 'Brief', owner: admin.id, organization: organizationId });
+    document.sharedWithTeams.push({ team: design._id, permission: 'editor', sharedBy: admin.id });
+
+    jest.spyOn(User, 'findOne').mockReturnValue(query({ _id: editor.id, name: 'Bo', email: 'bo@acme.test', role: 'editor' }));
+    jest.spyOn(Team, 'find').mockReturnValue(query([design]));
+    jest.spyOn(Document, 'find').mockReturnValue(query([document]));
+    jest.spyOn(Folder, 'find').mockReturnValue(query([]));
+    jest.spyOn(Role, 'getPermissions').mockResolvedValue(DEFAULT_ROLES.editor.permissions);
+
+    const { res } = await invoke(getPermissions, { user: editor, params: { id: String(editor.id) } });
+
+    const { permissions } = res.json.mock.calls[0][0].data;
+    expect(permissions.teams).toEqual([{ id: design._id, name: 'Design', role: 'maintainer' }]);
+    expect(permissions.sharedDocuments[0]).toMatchObject({
+      documentTitle: 'Brief',
+      permission: 'editor',
+      source: 'team',
+      team: { id: design._id, name: 'Design' }
+    });
+    expect(Document.find.mock.calls[0][0].$or).toContainEqual({
+      sharedWithTeams: { $elemMatch: expect.objectContaining({ team: { $in: [design._id] } }) }
+    });
+  });
+});
@@ -0,0 +1,124 @@
+import { jest } from '@jest/globals';
+import { getTemplates, instantiateTemplate } from '../src/controllers/templateController.js';
+import { Document } from '../src/models/Document.js';
+import { User } from '../src/models/User.js';
+import { Activity } from '../src/models/Activity.js';
+import { SYSTEM_TEMPLATES, buildTemplateValues, renderTemplate } from '../src/utils/templates.js';
+import { objectId, query, invoke } from './helpers.js';
+
+const organizationId = objectId();
+const userId = objectId();
+const user = { id: userId, organization: { id: organizationId, name: 'Acme & Co' }, teams: [] };
+
+describe('renderTemplate', () => {
+  const values = buildTemplateValues({
+    user: { name: 'Ada "A" <Lovelace>', email: 'ada@acme.test' },
+    organization: { name: 'Acme' },
+    now: new Date('2026-03-04T05:06:07Z')
+  });
+
+  test('fills in known placeholders and leaves the rest as written', () => {
+    expect(renderTemplate('{{ date }} {{time}} {{year}} {{organization.name}} {{unknown}}', values))
+      .toBe('2026-03-04 05:06 2026 Acme {{unknown}}');
+  });
+
+  test('escapes values for the content type they land in', () => {
+    expect(renderTemplate('<p>{{user.name}}</p>', values, 'html')).toBe('<p>Ada &quot;A&quot; &lt;Lovelace&gt;</p>');
+    expect(JSON.parse(renderTemplate('{"author": "{{user.name}}"}', values, 'json'))).toEqual({ author: 'Ada "A" <Lovelace>' });
+  });
+});
+
+describe('GET /api/templates', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('groups organization and system templates by category with previews', async () => {
+    const own = { _id: objectId(), title: 'Weekly sync', content: '# Sync\n\nNotes', contentType: 'markdown', templateCategory: 'meeting' };
+    jest.spyOn(Document, 'find').mockReturnValue(query([own]));
+
+    const { res } = await invoke(getTemplates, { user, query: { category: 'meeting' } });
+
+    const { categories, total } = res.json.mock.calls[0][0].data;
+    const systemMeetings = SYSTEM_TEMPLATES.filter(template => template.templateCategory === 'meeting');
+    expect(categories.map(group => group.category)).toEqual(['meeting']);
+    expect(total).toBe(1 + systemMeetings.length);
+    expect(categories[0].templates[0]).toMatchObject({ id: own._id, source: 'organization', preview: 'Sync Notes' });
+    expect(categories[0].templates[1]).not.toHaveProperty('content');
+    expect(Document.find.mock.calls[0][0]).toMatchObject({ organization: organizationId, isTemplate: true, templateCategory: 'meeting' });
+  });
+
+  test('lists only system templates without touching the database', async () => {
+    jest.spyOn(Document, 'find');
+
+    const { res } = await invoke(getTemplates, { user, query: { source: 'system' } });
+
+    expect(res.json.mock.calls[0][0].data.total).toBe(SYSTEM_TEMPLATES.length);
+    expect(Document.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/templates/:id/instantiate', () => {
+  let saved;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    saved = [];
+    jest.spyOn(User, 'findById').mockReturnValue(query({ name: 'Ada <Lovelace>', email: 'ada@acme.test' }));
+    jest.spyOn(Document.prototype, 'save').mockImplementation(async function () { saved.push(this); return this; });
+    jest.spyOn(Document.prototype, 'populate').mockImplementation(async function () { return this; });
+    jest.spyOn(Activity, 'logActivity').mockResolvedValue();
+  });
+
+  const instantiate = (id, body = {}) => invoke(instantiateTemplate, { user, params: { id }, body });
+
+  test('creates a private draft from a system template with placeholders filled in', async () => {
+    const { res, error } = await instantiate('system-meeting-notes');
+
+    expect(error).toBeNull();
+    expect(res.status).toHaveBeenCalledWith(201);
+    const [document] = saved;
+    expect(document.title).toMatch(/^Meeting notes \d{4}-\d{2}-\d{2}$/);
+    expect(document.content).toContain('**Organizer:** Ada <Lovelace>');
+    expect(document).toMatchObject({ status: 'draft', visibility: 'private', isTemplate: false, contentType: 'markdown' });
+    expect(document.owner).toEqual(userId);
+    expect(Activity.logActivity).toHaveBeenCalledWith(expect.objectContaining({ action: 'template_used' }));
+  });
+
+  test('copies an organization template into a document that is not itself a template', async () => {
+    const template = new Document({
+      title: 'Report for {{organization.name}}',
+      content: '<h1>{{user.name}}</h1>',
+      contentType: 'html',
+      owner: objectId(),
+      organization: organizationId,
+      visibility: 'organization',
+      isTemplate: true,
+      templateCategory: 'report'
+    });
+    jest.spyOn(Document, 'findOne').mockResolvedValue(template);
+
+    const { error } = await instantiate(String(template._id));
+
+    expect(error).toBeNull();
+    expect(saved[0]).toMatchObject({
+      title: 'Report for Acme & Co',
+      content: '<h1>Ada &lt;Lovelace&gt;</h1>',
+      isTemplate: false,
+      visibility: 'private'
+    });
+    expect(saved[0]._id).not.toEqual(template._id);
+  });
+
+  test('refuses someone else\'s private template and unknown system templates', async () => {
+    const template = new Document({ title: 'Private', content: 'x', owner: objectId(), organization: organizationId, visibility: 'private', isTemplate: true });
+    jest.spyOn(Document, 'findOne').mockResolvedValue(template);
+
+    const hidden = await instantiate(String(template._id));
+    const missing = await instantiate('system-nope');
+
+    expect(hidden.error).toMatchObject({ statusCode: 403, code: 'ACCESS_DENIED' });
+    expect(missing.error).toMatchObject({ statusCode: 404, code: 'TEMPLATE_NOT_FOUND' });
+    expect(saved).toHaveLength(0);
+  });
+});
@@ -0,0 +1,108 @@
+import { diffSequences, diffWords, diffLines, formatUnifiedDiff, formatHtmlDiff } from '../src/utils/textDiff.js';
+
+// Rebuild both sides from an edit script
+const sides = ops => ({
+  old: ops.filter(op => op.type !== 'insert').map(op => op.value),
+  new: ops.filter(op => op.type !== 'delete').map(op => op.value)
+});
+
+describe('diffSequences', () => {
+  test('finds the shortest edit script', () => {
+    const oldItems = [...'ABCABBA'];
+    const newItems = [...'CBABAC'];
+
+    const ops = diffSequences(oldItems, newItems);
+
+    expect(ops.filter(op => op.type !== 'equal')).toHaveLength(5);
+    expect(sides(ops)).toEqual({ old: oldItems, new: newItems });
+  });
+
+  test('handles empty sides', () => {
+    expect(diffSequences([], ['a', 'b']).map(op => op.type)).toEqual(['insert', 'insert']);
+    expect(diffSequences(['a'], []).map(op => op.type)).toEqual(['delete']);
+    expect(diffSequences([], [])).toEqual([]);
+  });
+});
+
+describe('diffLines', () => {
+  const oldText = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'].join('\n');
+
+  test('reports an inserted line without marking the lines after it as changed', () => {
+    const newText = oldText.replace('three\n', 'three\nthree and a half\n');
+
+    const { stats, hunks } = diffLines(oldText, newText);
+
+    expect(stats).toEqual({ additions: 1, deletions: 0, modifications: 0, unchanged: 10 });
+    expect(hunks).toHaveLength(1);
+    expect(hunks[0]).toMatchObject({ oldStart: 1, oldLines: 6, newStart: 1, newLines: 7 });
+  });
+
+  test('pairs a replaced line with its replacement and highlights the changed words', () => {
+    const { stats, lines } = diffLines('the quick brown fox', 'the slow brown fox');
+
+    expect(stats).toEqual({ additions: 0, deletions: 0, modifications: 1, unchanged: 0 });
+    expect(lines[0].segments).toEqual([
+      { type: 'equal', value: 'the ' },
+      { type: 'delete', value: 'quick' },
+      { type: 'equal', value: ' brown fox' }
+    ]);
+    expect(lines[1].segments).toEqual([
+      { type: 'equal', value: 'the ' },
+      { type: 'insert', value: 'slow' },
+      { type: 'equal', value: ' brown fox' }
+    ]);
+  });
+
+  test('splits distant changes into separate hunks', () => {
+    const newText = oldText.replace('two', '2').replace('nine', '9');
+
+    const { hunks } = diffLines(oldText, newText, { context: 1 });
+
+    expect(hunks.map(({ oldStart, oldLines }) => [oldStart, oldLines])).toEqual([[1, 3], [8, 3]]);
+  });
+});
+
+describe('formatUnifiedDiff', () => {
+  test('renders hunks like diff -u', () => {
+    const diff = diffLines('a\nb\nc', 'a\nB\nc\nd');
+
+    expect(formatUnifiedDiff(diff, { oldLabel: 'v1', newLabel: 'v2' })).toBe([
+      '--- v1',
+      '+++ v2',
+      '@@ -1,3 +1,4 @@',
+      ' a',
+      '-b',
+      '+B',
+      ' c',
+      '+d',
+      ''
+    ].join('\n'));
+  });
+
+  test('is empty when nothing changed', () => {
+    expect(formatUnifiedDiff(diffLines('same', 'same'))).toBe('');
+  });
+});
+
+describe('formatHtmlDiff', () => {
+  test('escapes content and marks changed words', () => {
+    const html = formatHtmlDiff(diffLines('<b>old</b> text', '<b>new</b> text'));
+
+    expect(html).toContain('&lt;b&gt;<del>old</del>&lt;/b&gt; text');
+    expect(html).toContain('&lt;b&gt;<ins>new</ins>&lt;/b&gt; text');
+    expect(html).not.toContain('<b>');
+  });
+});
+
+describe('diffWords', () => {
+  test('keeps punctuation and whitespace as their own tokens', () => {
+    const { newSegments } = diffWords('Hello, world', 'Hello; world!');
+
+    expect(newSegments).toEqual([
+      { type: 'equal', value: 'Hello' },
+      { type: 'insert', value: ';' },
+      { type: 'equal', value: ' world' },
+      { type: 'insert', value: '!' }
+    ]);
+  });
+});